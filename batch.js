@@ -0,0 +1,261 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { detectContainer } = require('./lib/containers');
+const { flagValue, positionalArgs } = require('./lib/cli');
+const { parseKeyOptions } = require('./lib/keys');
+const { readEmbeddedManifest } = require('./lib/embed');
+const { listVideoFiles, runPool, fingerprint, sameFingerprint, openState, runScript, failureReason } = require('./lib/batch');
+require('dotenv').config({ quiet: true });
+
+// -------------------------------
+// Batch signing and verification
+// -------------------------------
+// Usage: node batch.js sign <dir> [--frames] [--out-dir=<dir>] [--concurrency=<n>] [--state=<file>] [--force]
+//                      [options for sign_video.js / sign_frames.js]
+//        node batch.js verify <dir> [--concurrency=<n>] [--state=<file>] [--force]
+//                      [options for verify_video.js / verify_frames.js]
+//
+// sign runs sign_video.js (or sign_frames.js with --frames) on every supported
+// video under <dir>; the signed copies mirror the tree under --out-dir
+// (default "verifiable mp4s"). Files whose copy is already signed, or that
+// are signed themselves, are skipped unless --force. Each file gets a private
+// work dir, so parallel runs do not share output/; when the container cannot
+// embed the manifest it is written next to the copy as
+// <name>.frames_manifest.json.
+//
+// verify runs verify_video.js on files with a signature payload (comment tag)
+// and verify_frames.js on files with a manifest hash (artist tag), using the
+// embedded manifest or that sidecar; its tamper report goes to
+// output/batch/reports/<file>.json. Unsigned files fail.
+//
+// Finished files are recorded in the state file (default
+// output/batch/<command>-state.json); a rerun skips those that have not
+// changed since, so an interrupted batch resumes. Failed files are retried.
+// Per-file logs go to output/batch/logs/. Other flags are passed through to
+// the per-file scripts. Exit code 1 if any file failed.
+const CLI_ARGS = process.argv.slice(2);
+const BATCH_DIR = path.join(__dirname, 'output', 'batch');
+const DEFAULT_OUT_DIR = path.join(__dirname, 'verifiable mp4s');
+const DEFAULT_CONCURRENCY = Math.max(1, Math.floor(os.cpus().length / 2));
+// Flags owned by batch.js; everything else goes to the per-file scripts
+const BATCH_FLAGS = ['frames', 'out-dir', 'concurrency', 'state', 'force'];
+// Set per file by batch.js
+const RESERVED_FLAGS = ['out', 'work-dir', 'tamper-report'];
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const formatDuration = (ms) => {
+    if (ms < 1000) return `${ms}ms`;
+    const s = ms / 1000;
+    return `${s.toFixed(2)}s`;
+};
+
+const flagName = (arg) => arg.replace(/^--/, '').split('=')[0];
+
+const passThroughArgs = (args) => {
+    const flags = args.filter((a) => a.startsWith('--'));
+    const reserved = flags.find((a) => RESERVED_FLAGS.includes(flagName(a)));
+    if (reserved) throw new Error(`${reserved} is set per file by batch.js`);
+    return flags.filter((a) => !BATCH_FLAGS.includes(flagName(a)));
+};
+
+const parseConcurrency = (args) => {
+    const raw = flagValue(args, 'concurrency');
+    if (raw === null) return DEFAULT_CONCURRENCY;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid --concurrency: ${raw}`);
+    return n;
+};
+
+// Relative path without characters that are awkward in log / work dir names
+const slugOf = (rel) => rel.replace(/[\\/]/g, '__');
+
+const sidecarManifestPath = (videoPath) => path.join(path.dirname(videoPath), `${path.basename(videoPath, path.extname(videoPath))}.frames_manifest.json`);
+
+// Which signatures a file carries, from its container tags
+const readSignatureKinds = async (filePath) => {
+    const container = await detectContainer(filePath);
+    const tags = await container.readTags(filePath).catch(() => ({}));
+    let video = false;
+    try {
+        video = Boolean(tags.comment && JSON.parse(tags.comment).fileHashSha256);
+    } catch (_) {
+        video = false;
+    }
+    return { video, frames: /^[0-9a-f]{64}$/i.test(tags.artist || '') };
+};
+
+// -------------------------------
+// Per-file jobs
+// -------------------------------
+// Each job returns { status, detail } with status signed | verified | skipped | failed
+const signJob = ({ rootDir, outDir, frames, force, forwarded }) => async (rel, state) => {
+    const source = path.join(rootDir, rel);
+    const out = path.join(outDir, rel);
+    const fp = await fingerprint(source);
+    const previous = state.entry(rel);
+    if (!force) {
+        if (previous && previous.status !== 'failed' && sameFingerprint(previous.source, fp)) {
+            return { status: 'skipped', detail: 'done in an earlier run', fp };
+        }
+        const kind = frames ? 'frames' : 'video';
+        if ((await readSignatureKinds(source))[kind]) return { status: 'skipped', detail: 'source is already signed', fp };
+        // A copy left by an earlier run counts only while its source is unchanged
+        const sourceChanged = previous && !sameFingerprint(previous.source, fp);
+        if (!sourceChanged && fs.existsSync(out) && (await readSignatureKinds(out))[kind]) {
+            return { status: 'skipped', detail: 'copy is already signed', fp };
+        }
+    }
+
+    const logPath = path.join(BATCH_DIR, 'logs', 'sign', `${slugOf(rel)}.log`);
+    await fsp.rm(logPath, { force: true });
+    // An unsigned copy left by a failed run would only fail verification later
+    const failed = async () => {
+        await fsp.rm(out, { force: true });
+        return { status: 'failed', detail: await failureReason(logPath), fp };
+    };
+    const workDir = path.join(BATCH_DIR, 'work', slugOf(rel));
+    try {
+        if (!frames) {
+            const { code } = await runScript(path.join(__dirname, 'sign_video.js'), [source, `--out=${out}`, `--work-dir=${workDir}`, ...forwarded], logPath);
+            return code === 0 ? { status: 'signed', detail: out, fp } : failed();
+        }
+        const { code } = await runScript(path.join(__dirname, 'sign_frames.js'), [source, `--out=${out}`, `--work-dir=${workDir}`, ...forwarded], logPath);
+        if (code !== 0) return failed();
+        if (!(await readEmbeddedManifest(out).catch(() => null))) {
+            await fsp.copyFile(path.join(workDir, 'output', 'frames_manifest.json'), sidecarManifestPath(out));
+            return { status: 'signed', detail: `${out} (manifest: ${path.basename(sidecarManifestPath(out))})`, fp };
+        }
+        return { status: 'signed', detail: out, fp };
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+const verifyJob = ({ rootDir, force, forwarded }) => async (rel, state) => {
+    const target = path.join(rootDir, rel);
+    const fp = await fingerprint(target);
+    const previous = state.entry(rel);
+    if (!force && previous && previous.status !== 'failed' && sameFingerprint(previous.source, fp)) {
+        return { status: 'skipped', detail: 'verified in an earlier run', fp };
+    }
+
+    const kinds = await readSignatureKinds(target);
+    if (!kinds.video && !kinds.frames) return { status: 'failed', detail: 'not signed (no signature payload or manifest hash)', fp };
+    const logPath = path.join(BATCH_DIR, 'logs', 'verify', `${slugOf(rel)}.log`);
+    await fsp.rm(logPath, { force: true });
+    const passed = [];
+    if (kinds.video) {
+        const { code } = await runScript(path.join(__dirname, 'verify_video.js'), [target, ...forwarded], logPath);
+        if (code !== 0) return { status: 'failed', detail: `video: ${await failureReason(logPath)}`, fp };
+        passed.push('video');
+    }
+    if (kinds.frames) {
+        const sidecar = sidecarManifestPath(target);
+        const embedded = await readEmbeddedManifest(target).catch(() => null);
+        const manifestArgs = !embedded && fs.existsSync(sidecar) ? [sidecar] : [];
+        const tamperReport = path.join(BATCH_DIR, 'reports', `${slugOf(rel)}.json`);
+        await fsp.rm(tamperReport, { force: true });
+        const { code } = await runScript(path.join(__dirname, 'verify_frames.js'), [target, ...manifestArgs, `--tamper-report=${tamperReport}`, ...forwarded], logPath);
+        if (code !== 0) return { status: 'failed', detail: `frames: ${await failureReason(logPath)}`, fp };
+        passed.push('frames');
+    }
+    return { status: 'verified', detail: passed.join(' + '), fp };
+};
+
+// -------------------------------
+// Summary
+// -------------------------------
+const STATUS_COLORS = { signed: cGreen, verified: cGreen, skipped: cDim, failed: cRed };
+
+const printSummary = (rows) => {
+    const headers = ['File', 'Result', 'Time', 'Detail'];
+    const cells = rows.map((r) => [r.rel, r.status, formatDuration(r.durationMs), r.detail]);
+    const widths = [0, 1, 2].map((i) => Math.max(headers[i].length, ...cells.map((c) => c[i].length)));
+    const line = (c, color = (s) => s) => `${c[0].padEnd(widths[0])}  ${color(c[1].padEnd(widths[1]))}  ${c[2].padStart(widths[2])}  ${c[3]}`;
+    console.log(cBold(line(headers)));
+    for (const c of cells) console.log(line(c, STATUS_COLORS[c[1]]));
+};
+
+const main = async () => {
+    try {
+        const [command, dirArg] = positionalArgs(CLI_ARGS);
+        if (!['sign', 'verify'].includes(command) || !dirArg) {
+            throw new Error('Usage: node batch.js <sign|verify> <dir> [--concurrency=<n>] [--state=<file>] [--force] [...]');
+        }
+        const rootDir = path.resolve(dirArg);
+        if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) throw new Error(`Not a directory: ${rootDir}`);
+        const concurrency = parseConcurrency(CLI_ARGS);
+        const statePath = path.resolve(flagValue(CLI_ARGS, 'state') || path.join(BATCH_DIR, `${command}-state.json`));
+        const outDir = path.resolve(flagValue(CLI_ARGS, 'out-dir') || DEFAULT_OUT_DIR);
+        const frames = CLI_ARGS.includes('--frames');
+        const force = CLI_ARGS.includes('--force');
+        const forwarded = passThroughArgs(CLI_ARGS);
+
+        if (command === 'sign') {
+            if (outDir === rootDir) throw new Error('--out-dir must differ from the source directory');
+            // Children have no terminal to prompt on
+            const keyOptions = parseKeyOptions(forwarded);
+            if (keyOptions.keystorePath && !keyOptions.passwordFile) throw new Error('Batch signing with a keystore needs --password-file');
+        }
+
+        const files = await listVideoFiles(rootDir, { exclude: command === 'sign' ? [outDir, BATCH_DIR] : [BATCH_DIR] });
+        const state = await openState(statePath, { command, rootDir });
+        const job = command === 'sign'
+            ? signJob({ rootDir, outDir, frames, force, forwarded })
+            : verifyJob({ rootDir, force, forwarded });
+
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold(`Batch ${command}`)} ${cDim(`(${command === 'sign' ? (frames ? 'sign_frames.js' : 'sign_video.js') : 'verify_video.js / verify_frames.js'})`)}`);
+        console.log(`${cDim('Directory:')} ${rootDir}  ${cDim('Files:')} ${files.length}  ${cDim('Concurrency:')} ${concurrency}`);
+        if (command === 'sign') console.log(`${cDim('Output:')} ${outDir}`);
+        console.log(`${cDim('State:')} ${statePath}`);
+        console.log(cCyan('='.repeat(60)));
+        if (files.length === 0) {
+            console.log(cYellow('No supported videos (MP4, MOV, MKV, WebM) found'));
+            return;
+        }
+
+        let finished = 0;
+        const rows = await runPool(files, concurrency, async (rel) => {
+            const t0 = Date.now();
+            let result;
+            try {
+                result = await job(rel, state);
+            } catch (err) {
+                result = { status: 'failed', detail: err.message || String(err), fp: null };
+            }
+            const durationMs = Date.now() - t0;
+            await state.record(rel, { status: result.status, detail: result.detail, source: result.fp, finishedAt: new Date().toISOString() });
+            finished += 1;
+            const color = STATUS_COLORS[result.status];
+            console.log(`${cDim(`[${finished}/${files.length}]`)} ${color(result.status.toUpperCase())} ${rel} ${cDim(`(${formatDuration(durationMs)})`)}`);
+            return { rel, status: result.status, detail: result.detail, durationMs };
+        });
+
+        console.log(cCyan('='.repeat(60)));
+        printSummary(rows);
+        const count = (status) => rows.filter((r) => r.status === status).length;
+        const done = command === 'sign' ? 'signed' : 'verified';
+        const failed = count('failed');
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${(failed ? cRed : cGreen)(failed ? 'FAILED' : 'DONE')} ${files.length} files: ${count(done)} ${done}, ${count('skipped')} skipped, ${failed} failed`);
+        if (failed) {
+            console.log(cDim(`Logs: ${path.join(BATCH_DIR, 'logs', command)}`));
+            process.exitCode = 1;
+        }
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { detectContainer } = require('./lib/containers');
+const { flagValue, positionalArgs } = require('./lib/cli');
+const { parseThreadOptions, createFramePool } = require('./lib/frame_pool');
+const { readEmbeddedManifest } = require('./lib/embed');
+const { parseFramesManifest, findBadManifestEntries } = require('./lib/frame_manifest');
+const { SCHEME_LABELS, verifyClaim, signingOf } = require('./lib/signers');
+const { buildCertificate, EXTENSIONS } = require('./lib/x509');
+const { consoleStepRunner } = require('./lib/progress');
+const c2pa = require('./lib/c2pa');
+
+// -------------------------------
+// C2PA content credentials export / import
+// -------------------------------
+// Usage: node c2pa.js certs [--dir=output/c2pa]
+//        node c2pa.js export <video> [--frames-manifest=<path>] [--c2pa-cert=<pem>] [--c2pa-key=<pem>] [--out=<path>]
+//        node c2pa.js import <video> [--c2pa-roots=<pem>] [--threads=<n>]
+//
+// export writes a copy of a signed MP4/MOV (sign_video.js and/or
+// sign_frames.js) with a C2PA manifest store carrying its signatures, see
+// lib/c2pa.js. The frames manifest comes from --frames-manifest or the copy
+// embedded in the video. Default output: output/c2pa/<video name>.
+//
+// import reads the store back: claim signature and certificate chain (roots
+// from --c2pa-roots or C2PA_ROOTS, default c2pa_roots.pem), assertion hashes,
+// hard binding, then the native signatures it carries. The recovered payload
+// and frames manifest are written to output/c2pa/ for verify_video.js and
+// verify_frames.js (frame hashes against the pixels, trust policy, RFC 3161,
+// anchors).
+//
+// certs creates a throwaway root and claim signing certificate for testing,
+// like tsa_server.js does for timestamps.
+const CLI_ARGS = process.argv.slice(2);
+const C2PA_DIR = c2pa.DEFAULT_C2PA_DIR;
+const ORGANIZATION = 'CryptoVideo test C2PA';
+const EMAIL_PROTECTION_OID = c2pa.SIGNER_EKUS[0];
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const banner = (title, detail) => {
+    console.log(cCyan('='.repeat(60)));
+    console.log(`${cBold(title)} ${cDim(detail)}`);
+    console.log(cCyan('='.repeat(60)));
+};
+
+const resolveVideo = (videoArg, usage) => {
+    if (!videoArg) throw new Error(`Usage: ${usage}`);
+    const videoPath = path.resolve(videoArg);
+    if (!fs.existsSync(videoPath)) throw new Error(`Video not found: ${videoPath}`);
+    return videoPath;
+};
+
+// -------------------------------
+// certs
+// -------------------------------
+const generateCertificates = async () => {
+    const dir = path.resolve(flagValue(CLI_ARGS, 'dir') || C2PA_DIR);
+    const ec = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const root = ec();
+    const signer = ec();
+    const rootCert = buildCertificate({
+        organization: ORGANIZATION,
+        subject: 'CryptoVideo Test C2PA Root',
+        issuer: 'CryptoVideo Test C2PA Root',
+        publicKey: root.publicKey,
+        signingKey: root.privateKey,
+        validDays: 3650,
+        extensions: [EXTENSIONS.caBasicConstraints(), EXTENSIONS.caKeyUsage()]
+    });
+    const signerCert = buildCertificate({
+        organization: ORGANIZATION,
+        subject: 'CryptoVideo Test Claim Signer',
+        issuer: 'CryptoVideo Test C2PA Root',
+        publicKey: signer.publicKey,
+        signingKey: root.privateKey,
+        validDays: 1825,
+        extensions: [EXTENSIONS.signingKeyUsage(), EXTENSIONS.extendedKeyUsage(EMAIL_PROTECTION_OID)]
+    });
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(path.join(dir, 'root.pem'), rootCert.toString(), 'utf8');
+    await fsp.writeFile(path.join(dir, 'signer.pem'), signerCert.toString(), 'utf8');
+    await fsp.writeFile(path.join(dir, 'signer-key.pem'), signer.privateKey.export({ type: 'pkcs8', format: 'pem' }), { encoding: 'utf8', mode: 0o600 });
+
+    banner('C2PA Test Certificates', dir);
+    console.log(`${cDim('Root:')}   ${path.join(dir, 'root.pem')}`);
+    console.log(`${cDim('Signer:')} ${path.join(dir, 'signer.pem')} ${cDim('(key: signer-key.pem)')}`);
+    console.log(cYellow('Throwaway keys, stored unencrypted: credentials signed with them prove nothing outside a test setup'));
+    console.log(cDim(`Import with --c2pa-roots=${path.join(dir, 'root.pem')}`));
+};
+
+// -------------------------------
+// export
+// -------------------------------
+const loadFramesManifest = async (videoPath) => {
+    const flag = flagValue(CLI_ARGS, 'frames-manifest');
+    if (flag) return { buffer: await fsp.readFile(path.resolve(flag)), source: path.resolve(flag) };
+    const embedded = await readEmbeddedManifest(videoPath).catch(() => null);
+    return embedded ? { buffer: embedded.manifestBuffer, source: `embedded (${embedded.location})` } : null;
+};
+
+const exportCredentials = async () => {
+    const videoPath = resolveVideo(positionalArgs(CLI_ARGS)[1], 'node c2pa.js export <video> [--frames-manifest=<path>] [--c2pa-cert=<pem>] [--c2pa-key=<pem>] [--out=<path>]');
+    const outPath = path.resolve(flagValue(CLI_ARGS, 'out') || path.join(C2PA_DIR, path.basename(videoPath)));
+    if (outPath === videoPath) throw new Error('--out must differ from the input video');
+    const options = c2pa.parseC2paOptions(CLI_ARGS);
+    const container = await detectContainer(videoPath);
+    banner('C2PA Export', `${path.basename(videoPath)} (${container.name})`);
+
+    const step = consoleStepRunner(5);
+
+    const signer = await step('Load claim signing certificate', async () => {
+        const loaded = await c2pa.loadClaimSigner(options);
+        console.log(`${cDim('Certificate:')} ${loaded.certs[0].subject.replace(/\n/g, ', ')} ${cDim(`(${loaded.alg})`)}`);
+        return loaded;
+    });
+
+    const assertions = await step('Map native signatures to assertions', async () => {
+        const tags = await container.readTags(videoPath);
+        const out = [];
+        let createdMs = null;
+
+        if (tags.comment) {
+            const payload = JSON.parse(tags.comment);
+            out.push({ label: c2pa.ASSERTIONS.video, data: payload, json: true });
+            createdMs = payload.timestampMs;
+            console.log(`${cDim('Video signature:')} ${payload.signerAddress} ${cDim(`(${SCHEME_LABELS[signingOf(payload).scheme]}${payload.rfc3161 ? ', RFC 3161' : ''}${payload.anchor ? ', anchored' : ''})`)}`);
+        } else {
+            console.log(cDim('No video signature payload (comment tag)'));
+        }
+
+        const frames = await loadFramesManifest(videoPath);
+        if (frames) {
+            const { manifest, manifestSha256Hex } = parseFramesManifest(frames.buffer);
+            if (tags.artist && tags.artist.toLowerCase() !== manifestSha256Hex) {
+                throw new Error(`Frames manifest ${frames.source} does not belong to this video (artist tag ${tags.artist})`);
+            }
+            if (!tags.description) throw new Error('Video has no manifest signature in its description tag');
+            out.push({
+                label: c2pa.ASSERTIONS.frames,
+                data: {
+                    manifestSha256: manifestSha256Hex,
+                    manifestSignature: tags.description.trim(),
+                    startTimestampMs: manifest.startTimestampMs,
+                    frameCount: manifest.frames.length,
+                    mode: manifest.mode || 'per-frame',
+                    manifest: frames.buffer,
+                    ...(tags.anchor ? { anchor: JSON.parse(tags.anchor) } : {})
+                }
+            });
+            if (createdMs === null) createdMs = manifest.startTimestampMs;
+            console.log(`${cDim('Frames manifest:')} ${frames.source} ${cDim(`(${manifest.frames.length} frames, ${manifest.mode || 'per-frame'})`)}`);
+        } else {
+            console.log(cDim('No frames manifest (--frames-manifest or embedded)'));
+        }
+
+        if (out.length === 0) console.log(cYellow('Video carries no native signatures; the credentials only bind the certificate to the file'));
+        out.unshift({
+            label: c2pa.ASSERTIONS.actions,
+            data: {
+                actions: [{
+                    action: 'c2pa.created',
+                    ...(createdMs !== null ? { when: new Date(createdMs).toISOString() } : {}),
+                    softwareAgent: c2pa.CLAIM_GENERATOR
+                }]
+            }
+        });
+        return out;
+    });
+
+    const written = await step('Hash media (c2pa.hash.bmff.v2), sign claim and write manifest store', async () => {
+        const result = await c2pa.exportManifestStore(videoPath, outPath, container.name, assertions, signer);
+        console.log(`${cDim('Hard binding:')} ${result.hashHex}`);
+        console.log(`${cDim('Assertions:')} ${[c2pa.ASSERTIONS.hardBinding, ...assertions.map((a) => a.label)].join(', ')}`);
+        console.log(`${cDim('Manifest store:')} ${result.storeBytes} bytes`);
+        return result;
+    });
+
+    await step('Read manifest store back', async () => {
+        const store = await c2pa.readManifestStore(outPath);
+        const problems = c2pa.checkAssertionHashes(store.active);
+        if (problems.length) throw new Error(problems.join('; '));
+        const { actualHex } = await c2pa.checkHardBinding(outPath, store.active);
+        if (actualHex !== written.hashHex) throw new Error('Hard binding changed after writing the store');
+        console.log(`${cDim('Manifest:')} ${store.active.label}`);
+    });
+
+    await step('Check native media hash is unaffected', async () => {
+        if (!assertions.some((a) => a.label === c2pa.ASSERTIONS.video)) {
+            console.log(cDim('No video signature to check'));
+            return;
+        }
+        const [before, after] = await Promise.all([container.canonicalHashHex(videoPath), container.canonicalHashHex(outPath)]);
+        if (before !== after) throw new Error(`Canonical hash changed: ${before} -> ${after}`);
+        console.log(`${cDim('Canonical hash:')} ${after}`);
+    });
+
+    console.log(cCyan('='.repeat(60)));
+    console.log(`${cGreen('EXPORTED')} ${outPath}`);
+    console.log(cCyan('='.repeat(60)));
+};
+
+// -------------------------------
+// import
+// -------------------------------
+const importCredentials = async () => {
+    const videoPath = resolveVideo(positionalArgs(CLI_ARGS)[1], 'node c2pa.js import <video> [--c2pa-roots=<pem>]');
+    const options = c2pa.parseC2paOptions(CLI_ARGS);
+    const container = await detectContainer(videoPath);
+    const base = path.basename(videoPath, path.extname(videoPath));
+    banner('C2PA Import', `${path.basename(videoPath)} (${container.name})`);
+
+    const step = consoleStepRunner(7);
+    // After the store is read, every check runs even if an earlier one failed
+    const failures = [];
+    const check = async (title, fn) => {
+        try {
+            return await step(title, fn);
+        } catch (e) {
+            failures.push({ step: title, error: e.message || String(e) });
+            return undefined;
+        }
+    };
+
+    const manifest = await step('Read C2PA manifest store', async () => {
+        const store = await c2pa.readManifestStore(videoPath);
+        if (!store) throw new Error('Video carries no C2PA manifest store');
+        const { claim } = store.active;
+        console.log(`${cDim('Manifests:')} ${store.manifests.length}  ${cDim('Active:')} ${store.active.label}`);
+        console.log(`${cDim('Generator:')} ${claim.claim_generator}  ${cDim('Format:')} ${claim['dc:format']}`);
+        console.log(`${cDim('Assertions:')} ${store.active.assertions.map((a) => a.label).join(', ')}`);
+        return store.active;
+    });
+
+    const claimSigner = await check('Verify claim signature and certificate chain', async () => {
+        const roots = await c2pa.loadC2paRoots(options.rootsPath);
+        const result = c2pa.verifyCose(manifest.signature, manifest.claimBytes, roots);
+        console.log(`${cDim('Signer:')} ${result.subject} ${cDim(`(${result.alg}, chain of ${result.chain.length})`)}`);
+        return result;
+    });
+
+    await check('Verify assertion hashes', async () => {
+        const problems = c2pa.checkAssertionHashes(manifest);
+        if (problems.length) throw new Error(problems.join('; '));
+        console.log(`${cDim('Assertions:')} ${manifest.assertions.length} referenced and intact`);
+    });
+
+    await check(`Verify hard binding (${c2pa.ASSERTIONS.hardBinding})`, async () => {
+        const { expectedHex, actualHex } = await c2pa.checkHardBinding(videoPath, manifest);
+        console.log(`${cDim('Expected:')} ${expectedHex}`);
+        console.log(`${cDim('Actual:  ')} ${actualHex}`);
+        if (expectedHex !== actualHex) throw new Error('Hard binding mismatch - file was modified');
+    });
+
+    const payload = c2pa.assertionData(manifest, c2pa.ASSERTIONS.video);
+    await check('Verify video signature assertion', async () => {
+        if (!payload) {
+            console.log(cDim(`No ${c2pa.ASSERTIONS.video} assertion`));
+            return;
+        }
+        const actualHash = await container.canonicalHashHex(videoPath);
+        console.log(`${cDim('Canonical hash:')} ${actualHash}`);
+        if (payload.canonical !== container.canonicalScheme || actualHash !== String(payload.fileHashSha256).toLowerCase()) {
+            throw new Error('Canonical media hash does not match the signed payload');
+        }
+        const signing = signingOf(payload);
+        const { addrOk, recoveredAddress } = await verifyClaim(signing, 'VideoClaim', {
+            timestampMs: payload.timestampMs,
+            fileHashSha256: payload.fileHashSha256,
+            canonical: payload.canonical,
+            provenanceSha256: payload.provenanceSha256
+        }, payload.signature, payload.signerAddress, payload.signerPublicKey);
+        console.log(`${cDim('Recovered:')} ${recoveredAddress} ${cDim(`(${SCHEME_LABELS[signing.scheme] || signing.scheme})`)}`);
+        if (!addrOk) throw new Error('Signature does not match signer address');
+    });
+
+    const frames = c2pa.assertionData(manifest, c2pa.ASSERTIONS.frames);
+    await check('Verify frames manifest assertion', async () => {
+        if (!frames) {
+            console.log(cDim(`No ${c2pa.ASSERTIONS.frames} assertion`));
+            return;
+        }
+        const { manifest: framesManifest, manifestSha256Hex } = parseFramesManifest(frames.manifest);
+        if (manifestSha256Hex !== frames.manifestSha256) throw new Error('Frames manifest does not match its recorded SHA-256');
+        const { addrOk, recoveredAddress } = await verifyClaim(signingOf(framesManifest.signer), 'ManifestClaim', {
+            startTimestampMs: framesManifest.startTimestampMs,
+            frameCount: framesManifest.frames.length,
+            manifestSha256: manifestSha256Hex
+        }, frames.manifestSignature, framesManifest.signer.address, framesManifest.signer.publicKey);
+        console.log(`${cDim('Recovered:')} ${recoveredAddress}`);
+        if (!addrOk) throw new Error('Manifest signature does not match signer address');
+        const pool = createFramePool(parseThreadOptions(CLI_ARGS));
+        const bad = await findBadManifestEntries(framesManifest, null, { pool }).finally(() => pool.close());
+        if (bad.length) throw new Error(`${bad.length} manifest entries fail their signature or proof (first: frame ${bad[0]})`);
+        console.log(`${cDim('Frames:')} ${framesManifest.frames.length} entries signed by ${framesManifest.signer.address}`);
+    });
+
+    await step('Write recovered credentials', async () => {
+        await fsp.mkdir(C2PA_DIR, { recursive: true });
+        if (payload) {
+            const payloadPath = path.join(C2PA_DIR, `${base}.signature.json`);
+            await fsp.writeFile(payloadPath, JSON.stringify(payload, null, 2), 'utf8');
+            console.log(`${cDim('Video payload:')} ${payloadPath}`);
+        }
+        if (frames) {
+            const manifestPath = path.join(C2PA_DIR, `${base}.frames_manifest.json`);
+            await fsp.writeFile(manifestPath, frames.manifest);
+            console.log(`${cDim('Frames manifest:')} ${manifestPath}`);
+        }
+        const reportPath = path.join(C2PA_DIR, `${base}.c2pa_report.json`);
+        const report = {
+            schema: 'crypto-video-c2pa-report@1',
+            video: path.basename(videoPath),
+            manifest: manifest.label,
+            claimGenerator: manifest.claim.claim_generator,
+            signer: claimSigner ? { subject: claimSigner.subject, alg: claimSigner.alg } : null,
+            assertions: manifest.assertions.map((a) => a.label),
+            verified: failures.length === 0,
+            failures
+        };
+        await fsp.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+        console.log(`${cDim('Report:')} ${reportPath}`);
+    });
+
+    if (failures.length > 0) {
+        console.log(cRed('FAIL'));
+        for (const f of failures) console.log(`${cRed(' - ')}${f.step}: ${f.error}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(cCyan('='.repeat(60)));
+    console.log(`${cGreen('CREDENTIALS VERIFIED')} ${cDim(path.basename(videoPath))}`);
+    if (frames) console.log(cDim(`Check the frames against the pixels: node verify_frames.js "${videoPath}" ${path.join(C2PA_DIR, `${base}.frames_manifest.json`)}`));
+    console.log(cCyan('='.repeat(60)));
+};
+
+const COMMANDS = { certs: generateCertificates, export: exportCredentials, import: importCredentials };
+
+const main = async () => {
+    try {
+        const command = COMMANDS[positionalArgs(CLI_ARGS)[0]];
+        if (!command) throw new Error('Usage: node c2pa.js <certs|export|import> ...');
+        await command();
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: ISC
+pragma solidity ^0.8.20;
+
+/// @title HashRegistry
+/// @notice Append-only registry of SHA-256 digests (whole-file hashes and frame
+/// manifests). The block an anchor lands in is the proof of existence; the
+/// submitter and claimed signing time are informational.
+contract HashRegistry {
+    /// @notice Block number of the first anchor of each hash (0 = never anchored)
+    mapping(bytes32 => uint256) public anchoredAt;
+
+    event Anchored(bytes32 indexed hash, address indexed submitter, uint64 timestampMs, string kind);
+
+    /// @param hash SHA-256 digest being anchored
+    /// @param timestampMs signing time claimed by the submitter (ms since epoch)
+    /// @param kind "video" or "manifest"
+    function anchor(bytes32 hash, uint64 timestampMs, string calldata kind) external {
+        if (anchoredAt[hash] == 0) {
+            anchoredAt[hash] = block.number;
+        }
+        emit Anchored(hash, msg.sender, timestampMs, kind);
+    }
+}
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { flagValue, positionalArgs } = require('./lib/cli');
+const { parseKeyOptions, loadSigner, loadSigningWallet } = require('./lib/keys');
+const { parseSchemeOptions } = require('./lib/signers');
+const { parseTrustOptions } = require('./lib/trust');
+const { parseTsaOptions } = require('./lib/tsa');
+const { parseAnchorOptions, anchoringEnabled } = require('./lib/anchor');
+const { parseThreadOptions } = require('./lib/frame_pool');
+const { parseFrameRate } = require('./lib/frames');
+const { parseProvenanceOptions } = require('./lib/provenance');
+const { DEFAULT_CHUNK_MS } = require('./lib/audio');
+const { parseReportOptions, createReport, reserveStdout, writeReport } = require('./lib/report');
+const { palette, consoleProgress } = require('./lib/progress');
+const { signVideo } = require('./lib/sign_video');
+const { verifyVideo } = require('./lib/verify_video');
+const { signFrames } = require('./lib/sign_frames');
+const { verifyFrames } = require('./lib/verify_frames');
+const { inspectVideo } = require('./lib/inspect');
+require('dotenv').config({ quiet: true });
+
+// -------------------------------
+// cryptovid: one command for signing, verifying and inspecting
+// -------------------------------
+// Usage: cryptovid <command> <video> [options]; cryptovid <command> --help
+// The per-tool scripts (sign_video.js, verify_frames.js, ...) keep working; this
+// takes every path as a flag or argument instead of the repo's test.mp4,
+// output/ and "verifiable mp4s" defaults, and reads the same key, timestamp and
+// anchor environment variables (PRIVATE_KEY, TSA_URL, ANCHOR_RPC_URL, ...).
+
+const OUTPUT_OPTIONS = `Output:
+  -q, --quiet               only failures and the result
+  -v, --verbose             also each step's expected/actual values, and error stacks
+  --no-color                no ANSI colors (also when NO_COLOR is set)
+  -h, --help                this help`;
+
+const KEY_OPTIONS = `Signing key (default: PRIVATE_KEY or MNEMONIC from the environment / .env):
+  --keystore=<file>         encrypted JSON keystore (--password-file=<file>, else prompted)
+  --mnemonic-file=<file>    BIP-39 mnemonic (--hd-path=<path>)
+  --ed25519-key=<pem>       Ed25519 private key, for --signature-scheme=ed25519
+  --insecure-demo-key       the public demo key; local experiments only
+  --signature-scheme=<s>    eip191 (default), eip712, secp256k1-sha256, ed25519
+                            (eip712: --chain-id=<id> --verifying-contract=<address>)
+  --tsa-url=<url>           RFC 3161 timestamp authority
+  --anchor-rpc=<url> --anchor-registry=<address>
+                            anchor the hash on-chain
+  --provenance-fields=<tag,...>
+                            capture tags to sign (default: make, model, creation_time,
+                            location, encoder and their Apple/Android forms)
+  --no-provenance           sign no capture tags`;
+
+const VERIFY_OPTIONS = `Checks:
+  --trust-policy=<file>     trusted signers (default trusted_signers.json)
+  --require-role=<role>     signer must hold this role; repeatable
+  --allow-untrusted         accept signers the policy does not trust
+  --tsa-roots=<pem>         TSA root certificates; --require-timestamp
+  --anchor-rpc=<url> --anchor-registry=<address>
+                            check the on-chain anchor; --require-anchor
+Report:
+  --format=text|json|junit  json/junit go to stdout unless --report=<path>
+Exit codes: 0 verified, 1 tool error, 2 not signed, 3 hash mismatch,
+            4 bad signature, 5 untrusted signer`;
+
+const COMMANDS = {
+    sign: {
+        summary: 'sign the whole file into a verifiable copy',
+        flags: ['out', 'hash-dir', ...keyFlags()],
+        help: `Usage: cryptovid sign <video> [options]
+
+Signs the canonical media hash of <video> and stores the signature payload in
+the copy's comment tag. MP4, MOV, MKV and WebM.
+
+  --out=<path>              verifiable copy (default <name>.signed<ext> next to <video>)
+  --hash-dir=<dir>          also write video_hash.txt there
+
+${KEY_OPTIONS}
+
+${OUTPUT_OPTIONS}`
+    },
+    'sign-frames': {
+        summary: 'sign every frame (and audio chunk) into a frames manifest',
+        flags: ['out', 'manifest', 'work-dir', 'frame-rate', 'merkle', 'stream-frames', 'audio-chunk-ms',
+            'no-embed-manifest', 'compress-manifest', 'threads', ...keyFlags()],
+        help: `Usage: cryptovid sign-frames <video> [options]
+
+Hashes and signs every frame into frames_manifest.json, signs the manifest and
+writes a verifiable copy carrying its hash, signature and (by default) the
+manifest itself.
+
+  --out=<path>              verifiable copy (default <name>.signed<ext> next to <video>)
+  --manifest=<path>         where to keep the manifest (default <copy name>.frames_manifest.json)
+  --work-dir=<dir>          extracted frames and manifest_hash.txt (default: a temp dir, removed)
+  --frame-rate=<fps>        sign this many frames per second instead of every frame
+                            (ffmpeg's fps filter, like -r); verifiers sample the same way
+  --merkle                  sign only the Merkle root of the frame hashes
+  --stream-frames           hash raw frames from an ffmpeg pipe; no PNGs on disk
+  --audio-chunk-ms=<ms>     signed audio chunk length (default ${DEFAULT_CHUNK_MS})
+  --no-embed-manifest       do not embed the manifest; --compress-manifest gzips it
+  --threads=<n>             worker threads (default: one per CPU)
+
+${KEY_OPTIONS}
+
+${OUTPUT_OPTIONS}`
+    },
+    verify: {
+        summary: 'verify a whole-file signature',
+        flags: ['expected-timestamp', 'frames-manifest', 'tamper-report', ...verifyFlags()],
+        help: `Usage: cryptovid verify <video> [options]
+
+Recomputes the canonical hash and checks the signature, timestamp, anchor and
+signer of a video signed with \`cryptovid sign\`.
+
+  --expected-timestamp=<ms> start time the video should claim
+  --frames-manifest=<path>  localize tampering against a frames manifest of the video
+  --tamper-report=<path>    write that localization as JSON
+
+${VERIFY_OPTIONS}
+
+${OUTPUT_OPTIONS}`
+    },
+    'verify-frames': {
+        summary: 'verify a video frame by frame against its manifest',
+        flags: ['manifest', 'tamper-report', 'threads', ...verifyFlags()],
+        help: `Usage: cryptovid verify-frames <video> [options]
+
+Checks a video signed with \`cryptovid sign-frames\` against its frames
+manifest and reports which frames, timing and audio differ.
+
+  --manifest=<path>         frames manifest (default: the one embedded in <video>)
+  --tamper-report=<path>    write the tamper report as JSON
+  --threads=<n>             worker threads (default: one per CPU)
+
+${VERIFY_OPTIONS}
+
+${OUTPUT_OPTIONS}`
+    },
+    inspect: {
+        summary: 'print the embedded signature payload and manifest, without verifying',
+        flags: ['full-manifest'],
+        help: `Usage: cryptovid inspect <video> [--full-manifest]
+
+Prints, as JSON, what the signing tools stored in <video>: the whole-file
+signature payload, the frame-manifest tags, the anchor record and the embedded
+frames manifest (its head and counts; every entry with --full-manifest).
+Nothing is verified.
+
+${OUTPUT_OPTIONS}`
+    }
+};
+
+function keyFlags() {
+    return ['keystore', 'password-file', 'mnemonic-file', 'hd-path', 'ed25519-key', 'insecure-demo-key',
+        'signature-scheme', 'chain-id', 'verifying-contract', 'tsa-url', 'anchor-rpc', 'anchor-registry', 'anchor-confirmations',
+        'provenance-fields', 'no-provenance'];
+}
+
+function verifyFlags() {
+    return ['trust-policy', 'require-role', 'allow-untrusted', 'tsa-roots', 'require-timestamp',
+        'anchor-rpc', 'anchor-registry', 'require-anchor', 'format', 'report'];
+}
+
+const GLOBAL_FLAGS = ['quiet', 'verbose', 'no-color', 'help'];
+const SHORT_FLAGS = { '-q': '--quiet', '-v': '--verbose', '-h': '--help' };
+
+const usage = () => [
+    'Usage: cryptovid <command> <video> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(15)}${c.summary}`),
+    '',
+    'Run `cryptovid <command> --help` for its options.'
+].join('\n');
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// Short forms expanded; unknown options are an error rather than silently ignored
+const normalizeArgs = (args, command) => {
+    const expanded = args.map((a) => SHORT_FLAGS[a] || a);
+    const allowed = new Set([...GLOBAL_FLAGS, ...(command ? command.flags : [])]);
+    for (const a of expanded) {
+        if (!a.startsWith('-')) continue;
+        const name = a.replace(/^--/, '').split('=')[0];
+        if (!a.startsWith('--') || !allowed.has(name)) throw usageError(`Unknown option: ${a}`);
+    }
+    return expanded;
+};
+
+const requireVideo = (args, name) => {
+    const [videoArg, extra] = positionalArgs(args);
+    if (!videoArg) throw usageError(`Missing <video>; see cryptovid ${name} --help`);
+    if (extra) throw usageError(`Unexpected argument: ${extra}`);
+    const videoPath = path.resolve(videoArg);
+    if (!fs.existsSync(videoPath)) throw new Error(`Video not found: ${videoPath}`);
+    return videoPath;
+};
+
+const defaultSignedPath = (videoPath) => {
+    const ext = path.extname(videoPath);
+    return path.join(path.dirname(videoPath), `${path.basename(videoPath, ext)}.signed${ext}`);
+};
+
+const loadSigningKey = async (args) => {
+    const anchorOptions = parseAnchorOptions(args);
+    const keyOptions = parseKeyOptions(args);
+    const loaded = await loadSigner(keyOptions, parseSchemeOptions(args));
+    // Ed25519 signers pay for the anchor transaction with a separate Ethereum key
+    const payer = !loaded.wallet && anchoringEnabled(anchorOptions) ? (await loadSigningWallet(keyOptions)).wallet : null;
+    return { loaded, payer, anchorOptions };
+};
+
+// -------------------------------
+// Commands
+// -------------------------------
+const runSign = async (args, onProgress) => {
+    const input = requireVideo(args, 'sign');
+    const { loaded, payer, anchorOptions } = await loadSigningKey(args);
+    const hashDir = flagValue(args, 'hash-dir');
+    await signVideo({
+        input,
+        output: path.resolve(flagValue(args, 'out') || defaultSignedPath(input)),
+        outputDir: hashDir ? path.resolve(hashDir) : null,
+        signer: loaded,
+        tsa: parseTsaOptions(args),
+        anchor: anchorOptions,
+        provenance: parseProvenanceOptions(args),
+        payer,
+        onProgress
+    });
+    return 0;
+};
+
+const runSignFrames = async (args, onProgress) => {
+    const input = requireVideo(args, 'sign-frames');
+    const output = path.resolve(flagValue(args, 'out') || defaultSignedPath(input));
+    const manifestOut = path.resolve(flagValue(args, 'manifest')
+        || path.join(path.dirname(output), `${path.basename(output, path.extname(output))}.frames_manifest.json`));
+    const audioChunkMs = flagValue(args, 'audio-chunk-ms');
+    if (audioChunkMs !== null && !(Number(audioChunkMs) > 0)) throw usageError(`Invalid --audio-chunk-ms: ${audioChunkMs}`);
+    const frameRate = parseFrameRate(flagValue(args, 'frame-rate'));
+    const { loaded, payer, anchorOptions } = await loadSigningKey(args);
+
+    const keepWorkDir = flagValue(args, 'work-dir');
+    const workDir = keepWorkDir ? path.resolve(keepWorkDir) : await fsp.mkdtemp(path.join(os.tmpdir(), 'cryptovid-'));
+    try {
+        const result = await signFrames({
+            input,
+            output,
+            workDir,
+            signer: loaded,
+            mode: args.includes('--merkle') ? 'merkle' : 'per-frame',
+            streamFrames: args.includes('--stream-frames'),
+            frameRate,
+            audioChunkMs: audioChunkMs !== null ? Number(audioChunkMs) : DEFAULT_CHUNK_MS,
+            embedManifest: !args.includes('--no-embed-manifest'),
+            compressManifest: args.includes('--compress-manifest'),
+            threads: parseThreadOptions(args).threads,
+            tsa: parseTsaOptions(args),
+            anchor: anchorOptions,
+            provenance: parseProvenanceOptions(args),
+            payer,
+            onProgress
+        });
+        await fsp.mkdir(path.dirname(manifestOut), { recursive: true });
+        await fsp.copyFile(result.manifestPath, manifestOut);
+    } finally {
+        if (!keepWorkDir) await fsp.rm(workDir, { recursive: true, force: true });
+    }
+    return 0;
+};
+
+const runVerify = async (args, onProgress, tool) => {
+    const reportOptions = parseReportOptions(args);
+    reserveStdout(reportOptions);
+    let input;
+    try {
+        input = requireVideo(args, tool === 'verify_video' ? 'verify' : 'verify-frames');
+    } catch (err) {
+        if (err.usage) throw err;
+        console.error(err.message);
+        return writeReport(createReport(tool).build({ error: err }), reportOptions);
+    }
+    const tamperReport = flagValue(args, 'tamper-report');
+    const common = {
+        input,
+        tamperReport: tamperReport ? path.resolve(tamperReport) : null,
+        trust: parseTrustOptions(args),
+        tsa: parseTsaOptions(args),
+        anchor: parseAnchorOptions(args),
+        onProgress
+    };
+    let result;
+    if (tool === 'verify_video') {
+        const framesManifest = flagValue(args, 'frames-manifest');
+        result = await verifyVideo({
+            ...common,
+            expectedTimestamp: flagValue(args, 'expected-timestamp'),
+            framesManifest: framesManifest ? path.resolve(framesManifest) : null
+        });
+    } else {
+        const manifest = flagValue(args, 'manifest');
+        result = await verifyFrames({
+            ...common,
+            manifest: manifest ? path.resolve(manifest) : null,
+            threads: parseThreadOptions(args).threads
+        });
+    }
+    if (result.error) throw Object.assign(result.error, { exitCode: await writeReport(result.report, reportOptions) });
+    return writeReport(result.report, reportOptions);
+};
+
+const runInspect = async (args) => {
+    const input = requireVideo(args, 'inspect');
+    const info = await inspectVideo(input, { fullManifest: args.includes('--full-manifest') });
+    process.stdout.write(`${JSON.stringify(info, null, 2)}\n`);
+    return info.payload || info.manifest ? 0 : 2;
+};
+
+const RUNNERS = {
+    sign: runSign,
+    'sign-frames': runSignFrames,
+    verify: (args, onProgress) => runVerify(args, onProgress, 'verify_video'),
+    'verify-frames': (args, onProgress) => runVerify(args, onProgress, 'verify_frames'),
+    inspect: runInspect
+};
+
+const main = async () => {
+    const [name, ...rest] = process.argv.slice(2);
+    const verbose = rest.includes('--verbose') || rest.includes('-v');
+    const color = rest.includes('--no-color') ? false : undefined;
+    const { red } = palette(color);
+    try {
+        if (!name || name === '--help' || name === '-h' || name === 'help') {
+            console.log(usage());
+            return;
+        }
+        const command = COMMANDS[name];
+        if (!command) throw usageError(`Unknown command: ${name}`);
+        const args = normalizeArgs(rest, command);
+        if (args.includes('--help')) {
+            console.log(command.help);
+            return;
+        }
+        const onProgress = consoleProgress({ quiet: args.includes('--quiet'), verbose, color });
+        process.exitCode = await RUNNERS[name](args, onProgress);
+    } catch (err) {
+        console.error(`${red('Error:')} ${verbose ? err.stack || err.message : err.message || String(err)}`);
+        if (err.usage) console.error(name && COMMANDS[name] ? `See cryptovid ${name} --help` : usage());
+        process.exitCode = err.exitCode || 1;
+    }
+};
+
+main();
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { sha256Hex } = require('./lib/frames');
+const { readEmbeddedManifest } = require('./lib/embed');
+const { detectContainer } = require('./lib/containers');
+const { flagValue, positionalArgs } = require('./lib/cli');
+
+// -------------------------------
+// Extract the embedded frame manifest
+// -------------------------------
+// Usage: node extract_manifest.js <video> [--out=<path>]
+//
+// Writes the frames_manifest.json stored in a verifiable video by
+// sign_frames.js (see lib/embed.js) back to disk, byte for byte, and checks it
+// against the manifest SHA-256 in the video's `artist` tag. Default output:
+// output/<video name>.frames_manifest.json. verify_frames.js reads the embedded
+// copy by itself; this is for tools that want the JSON file.
+const OUTPUT_DIR = path.join(__dirname, 'output');
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const main = async () => {
+    try {
+        const args = process.argv.slice(2);
+        const [videoArg] = positionalArgs(args);
+        if (!videoArg) throw new Error('Usage: node extract_manifest.js <video> [--out=<path>]');
+        const videoPath = path.resolve(videoArg);
+        if (!fs.existsSync(videoPath)) throw new Error(`Video not found: ${videoPath}`);
+        const outPath = path.resolve(flagValue(args, 'out')
+            || path.join(OUTPUT_DIR, `${path.basename(videoPath, path.extname(videoPath))}.frames_manifest.json`));
+
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold('Extract Frame Manifest')} ${cDim(path.basename(videoPath))}`);
+        console.log(cCyan('='.repeat(60)));
+
+        const embedded = await readEmbeddedManifest(videoPath);
+        if (!embedded) throw new Error('Video carries no embedded frame manifest');
+        const manifestSha256Hex = sha256Hex(embedded.manifestBuffer);
+        console.log(`${cDim('Found:')} ${embedded.location}${embedded.compressed ? cDim(' (gzip)') : ''}  ${cDim('Size:')} ${embedded.manifestBuffer.length} bytes`);
+        console.log(`${cDim('SHA-256:')} ${manifestSha256Hex}`);
+
+        const container = await detectContainer(videoPath);
+        const tags = await container.readTags(videoPath).catch(() => ({}));
+        if (!tags.artist) {
+            console.log(cYellow('Video has no manifest hash in its artist tag; cannot tell which manifest it was signed with'));
+        } else if (tags.artist.toLowerCase() !== manifestSha256Hex) {
+            throw new Error(`Embedded manifest does not match the artist tag (${tags.artist})`);
+        } else {
+            console.log(`${cGreen('OK')} ${cDim('matches the manifest hash in the artist tag')}`);
+        }
+
+        await fsp.mkdir(path.dirname(outPath), { recursive: true });
+        await fsp.writeFile(outPath, embedded.manifestBuffer);
+        console.log(`${cDim('Wrote:')} ${outPath}`);
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { verifyMerkleProof } = require('./lib/merkle');
+const { merkleLeafHex } = require('./lib/frame_messages');
+const { verifyClaim, signingOf, schemeFields } = require('./lib/signers');
+
+// -------------------------------
+// Single-frame proofs for Merkle-mode manifests
+// -------------------------------
+// Usage:
+//   node frame_proof.js export <frameNumber> [manifestPath]
+//   node frame_proof.js verify <proofJsonPath> <framePngPath>
+//
+// "export" writes a self-contained proof bundle (root, root signature and the
+// frame's inclusion proof) plus a copy of the PNG, so a third party can check
+// one frame without receiving the whole manifest. Frames signed with
+// --stream-frames were never written out; the bundle records their pixel format
+// and size, and "verify" takes a raw dump of the frame in that format.
+const INPUT_DIR = path.resolve(__dirname, 'input');
+const OUTPUT_DIR = path.resolve(__dirname, 'output');
+const PROOFS_DIR = path.join(OUTPUT_DIR, 'frame_proofs');
+const DEFAULT_MANIFEST_PATH = path.join(OUTPUT_DIR, 'frames_manifest.json');
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cCyan = ansi(36);
+
+const sha256Hex = (buffer) => {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+const readJson = async (filePath) => {
+    const raw = await fsp.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+};
+
+const writeJson = async (filePath, data) => {
+    const json = JSON.stringify(data, null, 2);
+    await fsp.writeFile(filePath, json, 'utf8');
+};
+
+const exportProof = async (frameNumberArg, manifestPathArg) => {
+    const frameNumber = Number(frameNumberArg);
+    if (!Number.isInteger(frameNumber) || frameNumber < 1) throw new Error(`Invalid frame number: ${frameNumberArg}`);
+    const manifestPath = path.resolve(manifestPathArg || DEFAULT_MANIFEST_PATH);
+    const manifest = await readJson(manifestPath);
+    if (manifest.mode !== 'merkle') throw new Error('Manifest is not in merkle mode; single-frame proofs are unavailable');
+
+    const frame = manifest.frames.find((f) => f.frameNumber === frameNumber);
+    if (!frame) throw new Error(`Frame ${frameNumber} not in manifest (${manifest.frames.length} frames)`);
+
+    const bundle = {
+        schema: 'crypto-video-frame-proof@1',
+        inputVideo: manifest.inputVideo,
+        startTimestampMs: manifest.startTimestampMs,
+        ...(manifest.timing ? { timing: manifest.timing } : {}),
+        ...(manifest.frameFormat ? { frameFormat: manifest.frameFormat } : {}),
+        signer: {
+            address: manifest.signer.address,
+            publicKey: manifest.signer.publicKey,
+            ...schemeFields(signingOf(manifest.signer))
+        },
+        merkle: {
+            hash: manifest.merkle.hash,
+            frameCount: manifest.merkle.frameCount,
+            root: manifest.merkle.root,
+            message: manifest.merkle.message,
+            signature: manifest.merkle.signature
+        },
+        frame: {
+            frameNumber: frame.frameNumber,
+            filename: frame.filename,
+            frameHashSha256: frame.frameHashSha256,
+            ...(manifest.timing ? { pts: frame.pts, ptsTime: frame.ptsTime, duration: frame.duration } : {}),
+            proof: frame.proof
+        }
+    };
+
+    await fsp.mkdir(PROOFS_DIR, { recursive: true });
+    const proofPath = path.join(PROOFS_DIR, frame.filename.replace(/\.[^.]+$/, '.proof.json'));
+    await writeJson(proofPath, bundle);
+    console.log(`${cDim('Wrote proof:')} ${proofPath}`);
+
+    const pngSrc = path.join(INPUT_DIR, frame.filename);
+    if (fs.existsSync(pngSrc)) {
+        const pngDst = path.join(PROOFS_DIR, frame.filename);
+        await fsp.copyFile(pngSrc, pngDst);
+        console.log(`${cDim('Wrote frame:')} ${pngDst}`);
+    }
+};
+
+const verifyProof = async (proofPathArg, framePathArg) => {
+    if (!proofPathArg || !framePathArg) throw new Error('Usage: node frame_proof.js verify <proofJsonPath> <framePngPath>');
+    const bundle = await readJson(path.resolve(proofPathArg));
+    if (bundle.schema !== 'crypto-video-frame-proof@1') throw new Error(`Unsupported proof schema: ${bundle.schema}`);
+    const { merkle, frame, signer } = bundle;
+
+    const frameHash = sha256Hex(await fsp.readFile(path.resolve(framePathArg)));
+    console.log(`${cDim('Frame:')} ${frame.frameNumber}/${merkle.frameCount}  ${cDim('SHA-256:')} ${frameHash}`);
+    if (frameHash !== frame.frameHashSha256) throw new Error('Frame hash does not match proof bundle');
+
+    // The bundle carries the same startTimestampMs/timing fields the leaf is built from
+    if (!verifyMerkleProof(merkleLeafHex(bundle, frame, frameHash), frame.proof, merkle.root, frame.frameNumber - 1, merkle.frameCount)) {
+        throw new Error('Inclusion proof does not lead to the signed Merkle root');
+    }
+
+    const { message: rootMsg, addrOk, recoveredAddress } = await verifyClaim(signingOf(signer), 'FrameRootClaim', {
+        startTimestampMs: bundle.startTimestampMs, frameCount: merkle.frameCount, merkleRootSha256: merkle.root
+    }, merkle.signature, signer.address, signer.publicKey);
+    if (rootMsg !== merkle.message) throw new Error('Merkle root message mismatch');
+    if (!addrOk) {
+        throw new Error(`Root signature does not match signer. Recovered addr=${recoveredAddress}`);
+    }
+
+    console.log(`${cGreen('PASS')} ${cBold('Frame is included in the signed Merkle root')}`);
+    console.log(`${cDim('Signer:')} ${signer.address}`);
+    console.log(`${cDim('Start timestamp:')} ${bundle.startTimestampMs}`);
+    if (bundle.timing) console.log(`${cDim('Presentation time:')} ${frame.pts} ${cDim(`x ${bundle.timing.timeBase}`)}`);
+};
+
+const main = async () => {
+    try {
+        const [command, ...args] = process.argv.slice(2);
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold('Frame Proof')} ${cDim('(Merkle inclusion, signed root)')}`);
+        console.log(cCyan('='.repeat(60)));
+        if (command === 'export') return await exportProof(args[0], args[1]);
+        if (command === 'verify') return await verifyProof(args[0], args[1]);
+        throw new Error('Usage: node frame_proof.js <export|verify> ...');
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,48 @@
+const { signVideo } = require('./lib/sign_video');
+const { verifyVideo } = require('./lib/verify_video');
+const { signFrames } = require('./lib/sign_frames');
+const { verifyFrames } = require('./lib/verify_frames');
+const { inspectVideo } = require('./lib/inspect');
+const { parseKeyOptions, loadSigner, loadSigningWallet } = require('./lib/keys');
+const { parseSchemeOptions, createSigner } = require('./lib/signers');
+const { parseTrustOptions } = require('./lib/trust');
+const { parseTsaOptions } = require('./lib/tsa');
+const { parseAnchorOptions } = require('./lib/anchor');
+const { parseProvenanceOptions } = require('./lib/provenance');
+const { consoleProgress } = require('./lib/progress');
+const { EXIT_CODES } = require('./lib/report');
+
+// -------------------------------
+// Library API
+// -------------------------------
+// The functions behind sign_video.js, verify_video.js, sign_frames.js and
+// verify_frames.js (and cryptovid.js). They take paths and option objects, report progress through
+// onProgress (lib/progress.js) instead of printing, and return structured
+// results; signing throws on failure, verification returns the failed checks
+// with a report (lib/report.js).
+//
+//   const cryptovid = require('nodejscryptovid');
+//   const signer = await cryptovid.loadSigner(cryptovid.parseKeyOptions([]), { scheme: 'eip191', domain: null });
+//   await cryptovid.signVideo({ input: 'in.mp4', output: 'signed.mp4', signer });
+//   const { verified, verdict } = await cryptovid.verifyVideo({ input: 'signed.mp4' });
+//
+// The parse*Options helpers read the same flags and environment variables as
+// the scripts, from an argument array.
+module.exports = {
+    signVideo,
+    verifyVideo,
+    signFrames,
+    verifyFrames,
+    inspectVideo,
+    parseKeyOptions,
+    loadSigner,
+    loadSigningWallet,
+    parseSchemeOptions,
+    createSigner,
+    parseTrustOptions,
+    parseTsaOptions,
+    parseAnchorOptions,
+    parseProvenanceOptions,
+    consoleProgress,
+    EXIT_CODES
+};
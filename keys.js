@@ -0,0 +1,133 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { flagValue } = require('./lib/cli');
+const { parseKeyOptions, readSecretFile, readPassword, loadSigningWallet, loadEd25519Key, ed25519Identity } = require('./lib/keys');
+require('dotenv').config({ quiet: true });
+
+// -------------------------------
+// Signing key management
+// -------------------------------
+// Usage:
+//   node keys.js generate [--out=<file>] [--password-file=<file>] [--show-mnemonic]
+//   node keys.js generate --type=ed25519 [--out=<file>] [--password-file=<file>]
+//   node keys.js export [key source] [--out=<file>] [--new-password-file=<file>] [--reveal-private-key]
+//   node keys.js address [key source]
+//   node keys.js address --type=ed25519 --ed25519-key=<file> [--password-file=<file>]
+//
+// [key source] is any of the signer options (--keystore, --password-file,
+// --mnemonic-file, --hd-path, MNEMONIC, PRIVATE_KEY); see lib/keys.js.
+// "generate" creates a random BIP-39 wallet and stores it as an encrypted
+// keystore; "export" re-encrypts an existing key (e.g. one derived from a
+// mnemonic) into a keystore, or prints its private key on request.
+// Ed25519 keys (for --signature-scheme=ed25519) are written as encrypted
+// PKCS#8 PEM files.
+const KEYS_DIR = path.resolve(__dirname, 'output', 'keys');
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const readNewPassword = async (passwordFile) => {
+    if (passwordFile) return readSecretFile(path.resolve(passwordFile));
+    const first = await readPassword(null, 'New keystore password: ');
+    const second = await readPassword(null, 'Repeat password: ');
+    if (first !== second) throw new Error('Passwords do not match');
+    if (first.length < 8) throw new Error('Password must be at least 8 characters');
+    return first;
+};
+
+const writeKeystore = async (wallet, outArg, password) => {
+    const outPath = path.resolve(outArg || path.join(KEYS_DIR, `keystore-${wallet.address}.json`));
+    if (fs.existsSync(outPath)) throw new Error(`Refusing to overwrite existing file: ${outPath}`);
+    await fsp.mkdir(path.dirname(outPath), { recursive: true });
+    const json = await wallet.encrypt(password);
+    await fsp.writeFile(outPath, json, { encoding: 'utf8', mode: 0o600 });
+    console.log(`${cDim('Wrote keystore:')} ${outPath}`);
+};
+
+const printIdentity = (wallet, source) => {
+    console.log(`${cDim('Source:')} ${source}`);
+    console.log(`${cDim('Address:')} ${wallet.address}`);
+    console.log(`${cDim('Public key:')} ${wallet.publicKey}`);
+};
+
+const isEd25519 = (args) => flagValue(args, 'type') === 'ed25519';
+
+const printEd25519Identity = (privateKey, source) => {
+    const { address: signerId, publicKey } = ed25519Identity(privateKey);
+    console.log(`${cDim('Source:')} ${source}`);
+    console.log(`${cDim('Signer id:')} ${signerId}`);
+    console.log(`${cDim('Public key:')} ${publicKey}`);
+    return signerId;
+};
+
+const generateEd25519 = async (args) => {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const signerId = printEd25519Identity(privateKey, 'new Ed25519 key');
+    const passphrase = await readNewPassword(flagValue(args, 'password-file'));
+    const outArg = flagValue(args, 'out');
+    const outPath = path.resolve(outArg || path.join(KEYS_DIR, `ed25519-${signerId.slice('ed25519:'.length, 'ed25519:'.length + 16)}.pem`));
+    if (fs.existsSync(outPath)) throw new Error(`Refusing to overwrite existing file: ${outPath}`);
+    await fsp.mkdir(path.dirname(outPath), { recursive: true });
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase });
+    await fsp.writeFile(outPath, pem, { encoding: 'utf8', mode: 0o600 });
+    console.log(`${cDim('Wrote key:')} ${outPath}`);
+};
+
+const generate = async (args) => {
+    if (isEd25519(args)) return generateEd25519(args);
+    const wallet = ethers.Wallet.createRandom();
+    printIdentity(wallet, `new mnemonic ${wallet.mnemonic.path}`);
+    const password = await readNewPassword(flagValue(args, 'password-file'));
+    await writeKeystore(wallet, flagValue(args, 'out'), password);
+    if (args.includes('--show-mnemonic')) {
+        console.log(`${cYellow('Mnemonic (write it down, keep it offline):')} ${wallet.mnemonic.phrase}`);
+    } else {
+        console.log(cDim('The mnemonic is stored encrypted inside the keystore; use --show-mnemonic to print it once.'));
+    }
+};
+
+const exportKey = async (args) => {
+    const { wallet, source } = await loadSigningWallet(parseKeyOptions(args));
+    printIdentity(wallet, source);
+    if (args.includes('--reveal-private-key')) {
+        console.log(`${cYellow('Private key:')} ${wallet.privateKey}`);
+        return;
+    }
+    const password = await readNewPassword(flagValue(args, 'new-password-file'));
+    await writeKeystore(wallet, flagValue(args, 'out'), password);
+};
+
+const address = async (args) => {
+    if (isEd25519(args)) {
+        const { privateKey, source } = await loadEd25519Key(parseKeyOptions(args));
+        printEd25519Identity(privateKey, source);
+        return;
+    }
+    const { wallet, source } = await loadSigningWallet(parseKeyOptions(args));
+    printIdentity(wallet, source);
+};
+
+const main = async () => {
+    try {
+        const [command, ...args] = process.argv.slice(2);
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold('Signing Keys')} ${cDim('(encrypted keystore, BIP-39 / BIP-32, Ed25519)')}`);
+        console.log(cCyan('='.repeat(60)));
+        if (command === 'generate') return await generate(args);
+        if (command === 'export') return await exportKey(args);
+        if (command === 'address') return await address(args);
+        throw new Error('Usage: node keys.js <generate|export|address> ...');
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,180 @@
+const { ethers } = require('ethers');
+const { flagValue } = require('./cli');
+const artifact = require('../contracts/HashRegistry.json');
+
+// -------------------------------
+// On-chain anchoring
+// -------------------------------
+// Optional: when a JSON-RPC endpoint and a HashRegistry address are configured
+// (--anchor-rpc / ANCHOR_RPC_URL, --anchor-registry / ANCHOR_REGISTRY) the
+// signers submit the whole-file hash or manifest SHA-256 with the signing time
+// to the registry (contracts/HashRegistry.sol) and record
+//
+//   "anchor": { "chainId": 31337, "registry": "0x...", "kind": "video",
+//               "hash": "<hex>", "txHash": "0x...", "blockNumber": 12 }
+//
+// The transaction is paid by an Ethereum key from the usual key sources
+// (lib/keys.js), so ed25519 signers need one too.
+//
+// Verifiers fetch the receipt, find the Anchored event for the hash and take
+// the block time as an independent upper bound on the signing time. They do
+// not rely on the registry's own storage, so an anchor in an unexpected
+// contract still proves existence; --anchor-registry pins the address.
+// Without a recorded anchor, a configured registry is asked for the first
+// block the hash was anchored in.
+const ANCHOR_ABI = artifact.abi;
+const ANCHOR_BYTECODE = artifact.bytecode;
+const DEFAULT_CONFIRMATIONS = 1;
+// Block timestamps may run a little behind the signer's clock
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const registryInterface = new ethers.utils.Interface(ANCHOR_ABI);
+
+const toBytes32 = (hex) => `0x${String(hex).replace(/^0x/i, '').toLowerCase()}`;
+
+/**
+ * Anchoring options from CLI args and the environment.
+ */
+const parseAnchorOptions = (args, env = process.env) => {
+    const registry = flagValue(args, 'anchor-registry') || env.ANCHOR_REGISTRY || null;
+    return {
+        rpcUrl: flagValue(args, 'anchor-rpc') || env.ANCHOR_RPC_URL || null,
+        registry: registry ? ethers.utils.getAddress(registry) : null,
+        confirmations: Number(flagValue(args, 'anchor-confirmations') || env.ANCHOR_CONFIRMATIONS || DEFAULT_CONFIRMATIONS),
+        requireAnchor: args.includes('--require-anchor')
+    };
+};
+
+const anchoringEnabled = (options) => Boolean(options.rpcUrl && options.registry);
+
+const providerFor = (options) => {
+    if (!options.rpcUrl) throw new Error('No JSON-RPC endpoint configured (--anchor-rpc or ANCHOR_RPC_URL)');
+    return new ethers.providers.JsonRpcProvider(options.rpcUrl);
+};
+
+/**
+ * Deploy a new HashRegistry.
+ * @returns {Promise<{ address: string, txHash: string, blockNumber: number, chainId: number }>}
+ */
+const deployRegistry = async (wallet, options) => {
+    const signer = wallet.connect(providerFor(options));
+    const factory = new ethers.ContractFactory(ANCHOR_ABI, ANCHOR_BYTECODE, signer);
+    const contract = await factory.deploy();
+    const receipt = await contract.deployTransaction.wait(options.confirmations);
+    const { chainId } = await signer.provider.getNetwork();
+    return { address: contract.address, txHash: receipt.transactionHash, blockNumber: receipt.blockNumber, chainId };
+};
+
+/**
+ * Submit a hash to the registry and wait for it to be mined.
+ * @param {ethers.Wallet} wallet pays for the transaction
+ * @param {{ hashHex: string, timestampMs: number, kind: 'video'|'manifest' }} claim
+ * @returns {Promise<{ chainId: number, registry: string, kind: string, hash: string, txHash: string, blockNumber: number }>}
+ */
+const anchorHash = async (wallet, options, { hashHex, timestampMs, kind }) => {
+    const signer = wallet.connect(providerFor(options));
+    const registry = new ethers.Contract(options.registry, ANCHOR_ABI, signer);
+    const tx = await registry.anchor(toBytes32(hashHex), timestampMs, kind);
+    const receipt = await tx.wait(options.confirmations);
+    const { chainId } = await signer.provider.getNetwork();
+    return {
+        chainId,
+        registry: options.registry,
+        kind,
+        hash: String(hashHex).toLowerCase(),
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber
+    };
+};
+
+const checkClaimedTime = (claimedMs, blockTimeMs) => {
+    if (Number.isFinite(claimedMs) && claimedMs > blockTimeMs + CLOCK_SKEW_MS) {
+        throw new Error(`Claimed start ${new Date(claimedMs).toISOString()} is after the anchor block time ${new Date(blockTimeMs).toISOString()}`);
+    }
+};
+
+/**
+ * Check a recorded anchor against the chain.
+ * @returns {Promise<{ chainId: number, registry: string, txHash: string, blockNumber: number, blockTimeMs: number,
+ *   submitter: string, confirmations: number }>}
+ */
+const verifyAnchorRecord = async (options, record, { hashHex, claimedMs }) => {
+    const provider = providerFor(options);
+    const { chainId } = await provider.getNetwork();
+    if (Number(record.chainId) !== chainId) throw new Error(`Anchor is on chain ${record.chainId}, RPC endpoint serves chain ${chainId}`);
+    if (String(record.hash).toLowerCase() !== String(hashHex).toLowerCase()) throw new Error('Anchor covers a different hash');
+    const registry = ethers.utils.getAddress(record.registry);
+    if (options.registry && registry !== options.registry) {
+        throw new Error(`Anchor registry ${registry} is not the configured registry ${options.registry}`);
+    }
+    const receipt = await provider.getTransactionReceipt(record.txHash);
+    if (!receipt) throw new Error(`Anchor transaction ${record.txHash} not found`);
+    if (receipt.status !== 1) throw new Error('Anchor transaction reverted');
+    const event = receipt.logs
+        .filter((log) => ethers.utils.getAddress(log.address) === registry)
+        .map((log) => {
+            try { return registryInterface.parseLog(log); } catch (_) { return null; }
+        })
+        .find((parsed) => parsed && parsed.name === 'Anchored' && parsed.args.hash.toLowerCase() === toBytes32(hashHex));
+    if (!event) throw new Error('Anchor transaction has no Anchored event for this hash');
+    if (receipt.blockNumber !== Number(record.blockNumber)) {
+        throw new Error(`Anchor was recorded in block ${record.blockNumber} but is in block ${receipt.blockNumber} (reorg?)`);
+    }
+    const block = await provider.getBlock(receipt.blockNumber);
+    const blockTimeMs = block.timestamp * 1000;
+    checkClaimedTime(claimedMs, blockTimeMs);
+    return {
+        chainId,
+        registry,
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        blockTimeMs,
+        submitter: event.args.submitter,
+        confirmations: receipt.confirmations
+    };
+};
+
+/**
+ * Ask the configured registry for the first block a hash was anchored in.
+ * @returns {Promise<{ chainId: number, registry: string, blockNumber: number, blockTimeMs: number }|null>} null if never anchored
+ */
+const lookupAnchor = async (options, { hashHex, claimedMs }) => {
+    if (!options.registry) throw new Error('No registry configured (--anchor-registry or ANCHOR_REGISTRY)');
+    const provider = providerFor(options);
+    const registry = new ethers.Contract(options.registry, ANCHOR_ABI, provider);
+    const blockNumber = (await registry.anchoredAt(toBytes32(hashHex))).toNumber();
+    if (blockNumber === 0) return null;
+    const [{ chainId }, block] = await Promise.all([provider.getNetwork(), provider.getBlock(blockNumber)]);
+    const blockTimeMs = block.timestamp * 1000;
+    checkClaimedTime(claimedMs, blockTimeMs);
+    return { chainId, registry: options.registry, blockNumber, blockTimeMs };
+};
+
+/**
+ * Shared verifier check: verify the recorded anchor, or look the hash up in
+ * the configured registry. Returns null when there is nothing to check.
+ */
+const checkAnchor = async (options, record, { hashHex, claimedMs }) => {
+    if (record) return { source: 'recorded', ...(await verifyAnchorRecord(options, record, { hashHex, claimedMs })) };
+    if (anchoringEnabled(options)) {
+        const found = await lookupAnchor(options, { hashHex, claimedMs });
+        if (found) return { source: 'registry lookup', ...found };
+    }
+    if (options.requireAnchor) throw new Error('No on-chain anchor found for this hash');
+    return null;
+};
+
+const describeAnchor = (a) => `chain ${a.chainId} block ${a.blockNumber} (${new Date(a.blockTimeMs).toISOString()}) in ${a.registry}`;
+
+module.exports = {
+    ANCHOR_ABI,
+    ANCHOR_BYTECODE,
+    parseAnchorOptions,
+    anchoringEnabled,
+    deployRegistry,
+    anchorHash,
+    verifyAnchorRecord,
+    lookupAnchor,
+    checkAnchor,
+    describeAnchor
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+
+// -------------------------------
+// Audio stream hashing
+// -------------------------------
+// Every audio stream is decoded to interleaved signed 16-bit little-endian PCM at
+// its native sample rate and channel count, with ffmpeg's bitexact flags, and
+// split into fixed-duration chunks. Chunks are hashed as they stream out of
+// ffmpeg; nothing is written to disk.
+const PCM_FORMAT = 's16le';
+const BYTES_PER_SAMPLE = 2;
+const DEFAULT_CHUNK_MS = 1000;
+
+const channelsFromLayout = (layout) => {
+    if (/^mono\b/.test(layout)) return 1;
+    if (/^stereo\b/.test(layout)) return 2;
+    const n = layout.match(/^(\d+) channels/);
+    if (n) return Number(n[1]);
+    const surround = layout.match(/^(\d+)\.(\d+)/);
+    if (surround) return Number(surround[1]) + Number(surround[2]);
+    return null;
+};
+
+// Audio streams in ffmpeg's input summary (stderr of `ffmpeg -i`)
+const parseAudioStreams = (summary) => {
+    const streams = [];
+    const re = /Stream #0:(\d+)[^:]*: Audio: ([^,\s]+)[^,]*, (\d+) Hz, ([^,]+)/g;
+    let m;
+    while ((m = re.exec(summary)) !== null) {
+        streams.push({
+            streamIndex: Number(m[1]),
+            codec: m[2],
+            sampleRate: Number(m[3]),
+            channels: channelsFromLayout(m[4].trim())
+        });
+    }
+    return streams;
+};
+
+/**
+ * List audio streams from ffmpeg's input summary (ffmpeg-static ships without ffprobe).
+ * Returns [{ streamIndex, codec, sampleRate, channels }] in stream order.
+ */
+const probeAudioStreams = (videoPath) => {
+    return new Promise((resolve, reject) => {
+        const child = spawn(ffmpegPath, ['-hide_banner', '-i', videoPath], { stdio: ['ignore', 'ignore', 'pipe'] });
+        let err = '';
+        child.stderr.on('data', (d) => (err += d.toString()));
+        child.on('error', reject);
+        // ffmpeg exits non-zero without an output file; the summary is still printed
+        child.on('exit', () => resolve(parseAudioStreams(err)));
+    });
+};
+
+/**
+ * Split a PCM byte stream into fixed-duration chunks and hash each one.
+ * write() takes the stream in pieces of any size; end() closes the last,
+ * possibly shorter chunk and returns them all.
+ */
+const createPcmChunker = ({ sampleRate, channels }, chunkMs = DEFAULT_CHUNK_MS) => {
+    const bytesPerMs = (sampleRate * channels * BYTES_PER_SAMPLE) / 1000;
+    const frameBytes = channels * BYTES_PER_SAMPLE;
+    // Whole sample frames per chunk so chunk boundaries never split a sample
+    const chunkBytes = Math.round((sampleRate * chunkMs) / 1000) * frameBytes;
+    const chunks = [];
+    let hash = crypto.createHash('sha256');
+    let filled = 0;
+    let offsetBytes = 0;
+    const closeChunk = () => {
+        chunks.push({
+            chunkNumber: chunks.length + 1,
+            startMs: Math.round(offsetBytes / bytesPerMs),
+            durationMs: Math.round(filled / bytesPerMs),
+            byteLength: filled,
+            chunkHashSha256: hash.digest('hex')
+        });
+        offsetBytes += filled;
+        hash = crypto.createHash('sha256');
+        filled = 0;
+    };
+    return {
+        write: (data) => {
+            let pos = 0;
+            while (pos < data.length) {
+                const take = Math.min(chunkBytes - filled, data.length - pos);
+                hash.update(data.subarray(pos, pos + take));
+                filled += take;
+                pos += take;
+                if (filled === chunkBytes) closeChunk();
+            }
+        },
+        end: () => {
+            if (filled > 0) closeChunk();
+            return chunks;
+        }
+    };
+};
+
+/**
+ * Decode one audio stream to PCM and hash it in fixed-duration chunks.
+ * The last chunk may be shorter; its durationMs reflects the real length.
+ */
+const hashAudioChunks = (videoPath, { streamIndex, sampleRate, channels }, chunkMs = DEFAULT_CHUNK_MS) => {
+    return new Promise((resolve, reject) => {
+        if (!sampleRate || !channels) {
+            return reject(new Error(`Unknown sample rate/channels for audio stream ${streamIndex}`));
+        }
+        const args = [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-fflags', '+bitexact',
+            '-i', videoPath,
+            '-map', `0:${streamIndex}`,
+            '-flags:a', '+bitexact',
+            '-vn',
+            '-f', PCM_FORMAT,
+            '-acodec', `pcm_${PCM_FORMAT}`,
+            '-ar', String(sampleRate),
+            '-ac', String(channels),
+            'pipe:1'
+        ];
+
+        const chunker = createPcmChunker({ sampleRate, channels }, chunkMs);
+        const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'inherit'] });
+        child.stdout.on('data', (data) => chunker.write(data));
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code !== 0) return reject(new Error(`ffmpeg (audio decode) exited with code ${code}`));
+            resolve(chunker.end());
+        });
+    });
+};
+
+const buildAudioMessageString = (startTimestampMs, streamIndex, chunkNumber, chunkHashSha256) => {
+    // Stable key order, same binding as the per-frame message
+    return JSON.stringify({
+        startTimestampMs,
+        streamIndex,
+        chunkNumber,
+        chunkHashSha256
+    });
+};
+
+module.exports = {
+    PCM_FORMAT,
+    DEFAULT_CHUNK_MS,
+    parseAudioStreams,
+    probeAudioStreams,
+    createPcmChunker,
+    hashAudioChunks,
+    buildAudioMessageString
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { isSupportedVideoFile } = require('./containers');
+
+// -------------------------------
+// Batch runs over directory trees
+// -------------------------------
+// batch.js runs the single-file CLIs (sign_video.js, verify_frames.js, ...) as
+// child processes, a bounded number at a time, and records every finished file
+// in a JSON state file so an interrupted run picks up where it stopped.
+const STATE_SCHEMA = 'crypto-video-batch-state@1';
+
+/**
+ * Supported videos under rootDir, as sorted paths relative to it. Dot
+ * directories and the `exclude` directories (e.g. the output tree) are skipped.
+ */
+const listVideoFiles = async (rootDir, { exclude = [] } = {}) => {
+    const skip = new Set(exclude.map((d) => path.resolve(d)));
+    const out = [];
+    const walk = async (dir) => {
+        if (skip.has(dir)) return;
+        const entries = await fsp.readdir(dir, { withFileTypes: true });
+        for (const e of entries) {
+            if (e.name.startsWith('.')) continue;
+            const full = path.join(dir, e.name);
+            if (e.isDirectory()) await walk(full);
+            else if (e.isFile() && isSupportedVideoFile(e.name)) out.push(path.relative(rootDir, full));
+        }
+    };
+    await walk(path.resolve(rootDir));
+    return out.sort();
+};
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ * @returns {Promise<any[]>} results in item order
+ */
+const runPool = async (items, concurrency, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const lane = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await worker(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+    return results;
+};
+
+// Size and mtime stand in for the content: a file that changed is processed again
+const fingerprint = async (filePath) => {
+    const st = await fsp.stat(filePath);
+    return { size: st.size, mtimeMs: Math.round(st.mtimeMs) };
+};
+
+const sameFingerprint = (a, b) => Boolean(a && b) && a.size === b.size && a.mtimeMs === b.mtimeMs;
+
+/**
+ * Open (or start) the state file of a batch run. A state file belongs to one
+ * command and one root directory. Writes are queued and atomic (temp file +
+ * rename), so an interruption never leaves a half-written state behind.
+ * @returns {Promise<{ entry: (rel: string) => object|undefined, record: (rel: string, entry: object) => Promise<void> }>}
+ */
+const openState = async (statePath, { command, rootDir }) => {
+    let state = { schema: STATE_SCHEMA, command, rootDir, files: {} };
+    if (fs.existsSync(statePath)) {
+        const loaded = JSON.parse(await fsp.readFile(statePath, 'utf8'));
+        if (loaded.schema !== STATE_SCHEMA) throw new Error(`Unsupported batch state schema in ${statePath}: ${loaded.schema}`);
+        if (loaded.command !== command || loaded.rootDir !== rootDir) {
+            throw new Error(`${statePath} belongs to "${loaded.command}" over ${loaded.rootDir}; use another --state`);
+        }
+        state = loaded;
+    }
+    await fsp.mkdir(path.dirname(statePath), { recursive: true });
+    let queue = Promise.resolve();
+    const save = async () => {
+        const temp = `${statePath}.tmp`;
+        await fsp.writeFile(temp, JSON.stringify(state, null, 2), 'utf8');
+        await fsp.rename(temp, statePath);
+    };
+    return {
+        entry: (rel) => state.files[rel],
+        record: (rel, entry) => {
+            state.files[rel] = entry;
+            queue = queue.then(save);
+            return queue;
+        }
+    };
+};
+
+// -------------------------------
+// Child processes
+// -------------------------------
+const stripAnsi = (s) => s.replace(/\x1b\[[0-9;]*m/g, '');
+
+/**
+ * Run a node script with its output appended to logPath.
+ * @returns {Promise<{ code: number, durationMs: number }>}
+ */
+const runScript = async (scriptPath, args, logPath) => {
+    await fsp.mkdir(path.dirname(logPath), { recursive: true });
+    const log = await fsp.open(logPath, 'a');
+    const t0 = Date.now();
+    try {
+        await log.write(`$ node ${path.basename(scriptPath)} ${args.join(' ')}\n`);
+        const code = await new Promise((resolve, reject) => {
+            // stdin is not a terminal: password prompts fail fast instead of hanging
+            const child = spawn(process.execPath, [scriptPath, ...args], { stdio: ['ignore', log.fd, log.fd] });
+            child.on('error', reject);
+            child.on('exit', (exitCode, signal) => resolve(signal ? 1 : exitCode));
+        });
+        return { code, durationMs: Date.now() - t0 };
+    } finally {
+        await log.close();
+    }
+};
+
+/**
+ * Best one-line reason for a failed run: the last FAIL line of its log, else
+ * the last line that is not blank.
+ */
+const failureReason = async (logPath) => {
+    const lines = stripAnsi(await fsp.readFile(logPath, 'utf8').catch(() => '')).split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+    const failLine = [...lines].reverse().find((l) => /FAIL\b.*\S/.test(l) && l !== 'FAIL');
+    return (failLine || lines[lines.length - 1] || 'no output').replace(/^.*?FAIL\s*(\(\S+\)\s*-\s*)?/, '');
+};
+
+module.exports = {
+    listVideoFiles,
+    runPool,
+    fingerprint,
+    sameFingerprint,
+    openState,
+    runScript,
+    failureReason,
+    stripAnsi
+};
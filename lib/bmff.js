@@ -0,0 +1,499 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const crypto = require('crypto');
+
+// -------------------------------
+// Minimal ISO-BMFF (MP4 / MOV) box parser
+// -------------------------------
+// Used to hash the media of a file without remuxing it through ffmpeg, and to
+// read/write the signature payload (the `comment` tag) in place.
+//
+// Canonical form (scheme 'bmff-sha256@1'):
+//  - top-level boxes in file order, except moov which is always hashed last
+//    (so relocating moov to the end of the file does not change the hash)
+//  - metadata and padding boxes (udta, meta, free, skip, wide) are dropped at
+//    every level of moov and at the top level
+//  - stco/co64 chunk offsets are made relative to the first mdat, so growing
+//    metadata in a faststart (moov-first) file does not change the hash
+//  - every kept box is re-serialized with a 64-bit size header; leaf boxes keep
+//    their original content bytes and mdat is streamed from disk
+//  - a top-level C2PA manifest store (uuid box C2PA_UUID, lib/c2pa.js) is
+//    dropped too: it is signed over the media and added after sign_video.js
+const CANONICAL_SCHEME = 'bmff-sha256@1';
+const C2PA_UUID = Buffer.from('d8fec3d61b0e483c92975828877ec481', 'hex');
+
+const CONTAINER_TYPES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts', 'dinf', 'mvex', 'udta', 'meta', 'ilst']);
+const EXCLUDED_TYPES = new Set(['udta', 'meta', 'free', 'skip', 'wide']);
+
+// Well-known iTunes-style item names mapped to ffmpeg tag names
+const ITEM_TAGS = {
+    '©cmt': 'comment',
+    '©ART': 'artist',
+    '©alb': 'album',
+    '©nam': 'title',
+    '©day': 'date',
+    '©too': 'encoder',
+    desc: 'description'
+};
+
+// Tags with no item of their own are written as iTunes freeform (----) items
+const FREEFORM_TYPE = '----';
+const FREEFORM_MEAN = 'com.apple.iTunes';
+
+// -------------------------------
+// Box headers
+// -------------------------------
+const parseHeader = (buf, offset, limit) => {
+    if (limit - offset < 8) throw new Error(`Truncated box header at offset ${offset}`);
+    let size = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+        if (limit - offset < 16) throw new Error(`Truncated largesize header at offset ${offset}`);
+        size = Number(buf.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+    } else if (size === 0) {
+        size = limit - offset;
+    }
+    if (size < headerSize || offset + size > limit) {
+        throw new Error(`Invalid ${type} box size ${size} at offset ${offset}`);
+    }
+    return { type, start: offset, headerSize, size, end: offset + size };
+};
+
+// Top-level boxes read straight from the file descriptor (mdat is never loaded)
+const listTopLevelBoxes = async (fh, fileSize) => {
+    const boxes = [];
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    while (offset < fileSize) {
+        const { bytesRead } = await fh.read(header, 0, Math.min(16, fileSize - offset), offset);
+        const box = parseHeader(header.subarray(0, bytesRead), 0, fileSize - offset);
+        boxes.push({ ...box, start: offset, end: offset + box.size });
+        offset += box.size;
+    }
+    return boxes;
+};
+
+const readBox = async (fh, box) => {
+    const buf = Buffer.alloc(box.size);
+    await fh.read(buf, 0, box.size, box.start);
+    return buf;
+};
+
+// -------------------------------
+// In-memory box tree (moov and below)
+// -------------------------------
+// meta is a FullBox in ISO files (4 bytes version/flags before children) but a
+// plain container in some QuickTime files; detect by looking for hdlr.
+const metaPrefixLength = (buf, contentStart) => {
+    return buf.toString('latin1', contentStart + 4, contentStart + 8) === 'hdlr' ? 0 : 4;
+};
+
+const parseTree = (buf, start = 0, end = buf.length, parentType = '') => {
+    const nodes = [];
+    let offset = start;
+    while (offset < end) {
+        const h = parseHeader(buf, offset, end);
+        const contentStart = h.start + h.headerSize;
+        // ilst items (e.g. ©cmt or a keys index) are containers of data boxes
+        const isContainer = CONTAINER_TYPES.has(h.type) || parentType === 'ilst';
+        if (isContainer) {
+            const prefixLength = h.type === 'meta' ? metaPrefixLength(buf, contentStart) : 0;
+            nodes.push({
+                type: h.type,
+                prefix: buf.subarray(contentStart, contentStart + prefixLength),
+                children: parseTree(buf, contentStart + prefixLength, h.end, h.type)
+            });
+        } else {
+            nodes.push({ type: h.type, data: buf.subarray(contentStart, h.end) });
+        }
+        offset = h.end;
+    }
+    return nodes;
+};
+
+const boxHeader = (type, contentLength) => {
+    if (contentLength + 8 <= 0xffffffff) {
+        const h = Buffer.alloc(8);
+        h.writeUInt32BE(contentLength + 8, 0);
+        h.write(type, 4, 'latin1');
+        return h;
+    }
+    const h = Buffer.alloc(16);
+    h.writeUInt32BE(1, 0);
+    h.write(type, 4, 'latin1');
+    h.writeBigUInt64BE(BigInt(contentLength + 16), 8);
+    return h;
+};
+
+const serializeTree = (nodes) => {
+    return Buffer.concat(nodes.map((n) => {
+        const content = n.children ? Buffer.concat([n.prefix, serializeTree(n.children)]) : n.data;
+        return Buffer.concat([boxHeader(n.type, content.length), content]);
+    }));
+};
+
+const findChild = (nodes, type) => nodes.find((n) => n.type === type);
+
+// -------------------------------
+// Canonical hashing
+// -------------------------------
+const canonicalHeader = (type, contentLength) => {
+    const h = Buffer.alloc(16);
+    h.writeUInt32BE(1, 0);
+    h.write(type, 4, 'latin1');
+    h.writeBigUInt64BE(BigInt(contentLength + 16), 8);
+    return h;
+};
+
+const canonicalChunkOffsets = (node, mdatStart) => {
+    const { data } = node;
+    const count = data.readUInt32BE(4);
+    const width = node.type === 'co64' ? 8 : 4;
+    const out = Buffer.alloc(8 + count * 8);
+    data.copy(out, 0, 0, 8);
+    for (let i = 0; i < count; i++) {
+        const pos = 8 + i * width;
+        const offset = width === 8 ? data.readBigUInt64BE(pos) : BigInt(data.readUInt32BE(pos));
+        out.writeBigInt64BE(offset - BigInt(mdatStart), 8 + i * 8);
+    }
+    return out;
+};
+
+const canonicalNodes = (nodes, mdatStart) => {
+    const parts = [];
+    for (const n of nodes) {
+        if (EXCLUDED_TYPES.has(n.type)) continue;
+        let content;
+        if (n.children) content = Buffer.concat([n.prefix, canonicalNodes(n.children, mdatStart)]);
+        else if (n.type === 'stco' || n.type === 'co64') content = canonicalChunkOffsets(n, mdatStart);
+        else content = n.data;
+        parts.push(canonicalHeader(n.type, content.length), content);
+    }
+    return Buffer.concat(parts);
+};
+
+const hashFileRange = (hash, filePath, start, end) => {
+    if (end <= start) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const rs = fs.createReadStream(filePath, { start, end: end - 1 });
+        rs.on('data', (chunk) => hash.update(chunk));
+        rs.on('error', reject);
+        rs.on('end', resolve);
+    });
+};
+
+const openBmff = async (filePath, flags = 'r') => {
+    const fh = await fsp.open(filePath, flags);
+    try {
+        const { size } = await fh.stat();
+        const boxes = await listTopLevelBoxes(fh, size);
+        const moov = boxes.find((b) => b.type === 'moov');
+        if (!moov) throw new Error('Not an ISO-BMFF file: no moov box');
+        return { fh, size, boxes, moov };
+    } catch (err) {
+        await fh.close();
+        throw err;
+    }
+};
+
+/**
+ * SHA-256 over the canonical media form of an MP4/MOV file (metadata excluded).
+ * Reads the original file directly; no remux and no temp copies.
+ */
+const canonicalHashHex = async (filePath) => {
+    const { fh, boxes, moov } = await openBmff(filePath);
+    try {
+        const mdat = boxes.find((b) => b.type === 'mdat');
+        const mdatStart = mdat ? mdat.start : 0;
+        const c2paBoxes = new Set(await uuidBoxesOf(fh, boxes, C2PA_UUID));
+        const hash = crypto.createHash('sha256');
+        for (const box of boxes) {
+            if (box.type === 'moov' || EXCLUDED_TYPES.has(box.type) || c2paBoxes.has(box)) continue;
+            hash.update(canonicalHeader(box.type, box.size - box.headerSize));
+            await hashFileRange(hash, filePath, box.start + box.headerSize, box.end);
+        }
+        const moovBuf = await readBox(fh, moov);
+        hash.update(canonicalNodes(parseTree(moovBuf), mdatStart));
+        return hash.digest('hex');
+    } finally {
+        await fh.close();
+    }
+};
+
+// -------------------------------
+// Metadata items (ilst) read/write
+// -------------------------------
+const handlerType = (metaNode) => {
+    const hdlr = findChild(metaNode.children, 'hdlr');
+    return hdlr ? hdlr.data.toString('latin1', 8, 12) : '';
+};
+
+// Keys of an mdta-style meta box, in index order (index 1 = keys[0])
+const parseKeys = (metaNode) => {
+    const keys = findChild(metaNode.children, 'keys');
+    if (!keys) return [];
+    const out = [];
+    const count = keys.data.readUInt32BE(4);
+    let offset = 8;
+    for (let i = 0; i < count; i++) {
+        const size = keys.data.readUInt32BE(offset);
+        out.push(keys.data.toString('utf8', offset + 8, offset + size));
+        offset += size;
+    }
+    return out;
+};
+
+const itemValue = (itemNode) => {
+    const data = findChild(itemNode.children, 'data');
+    // data: 4 bytes type indicator, 4 bytes locale, then the value
+    return data ? data.data.toString('utf8', 8) : '';
+};
+
+const itemKey = (metaNode, itemNode, keys) => {
+    if (handlerType(metaNode) === 'mdta') {
+        const index = Buffer.from(itemNode.type, 'latin1').readUInt32BE(0);
+        return keys[index - 1] || '';
+    }
+    if (itemNode.type === FREEFORM_TYPE) {
+        const name = findChild(itemNode.children, 'name');
+        return name ? name.data.toString('utf8', 4) : '';
+    }
+    return ITEM_TAGS[itemNode.type] || itemNode.type;
+};
+
+// moov/meta (ffmpeg use_metadata_tags) and moov/udta/meta (iTunes style)
+const metaNodes = (moovTree) => {
+    const out = [];
+    const direct = findChild(moovTree, 'meta');
+    if (direct) out.push(direct);
+    const udta = findChild(moovTree, 'udta');
+    const nested = udta && findChild(udta.children, 'meta');
+    if (nested) out.push(nested);
+    return out;
+};
+
+const collectItems = (moovTree) => {
+    const tags = {};
+    for (const meta of metaNodes(moovTree)) {
+        const ilst = findChild(meta.children, 'ilst');
+        if (!ilst) continue;
+        const keys = parseKeys(meta);
+        for (const item of ilst.children) {
+            const key = itemKey(meta, item, keys);
+            if (key && !(key in tags)) tags[key] = itemValue(item);
+        }
+    }
+    return tags;
+};
+
+/**
+ * Read metadata items from an MP4/MOV file as ffmpeg-style tag names
+ * (comment, artist, album, title, ... or raw mdta keys).
+ */
+const readMetadataItems = async (filePath) => {
+    const { fh, moov } = await openBmff(filePath);
+    try {
+        return collectItems(parseTree(await readBox(fh, moov))[0].children);
+    } finally {
+        await fh.close();
+    }
+};
+
+const dataNode = (value) => {
+    const prefix = Buffer.alloc(8);
+    prefix.writeUInt32BE(1, 0); // UTF-8
+    return { type: 'data', data: Buffer.concat([prefix, Buffer.from(value, 'utf8')]) };
+};
+
+// ---- item: mean (reverse-DNS owner), name (the tag) and data, each with 4 bytes version/flags
+const freeformItem = (tag, value) => {
+    const fullBoxString = (type, text) => ({
+        type,
+        data: Buffer.concat([Buffer.alloc(4), Buffer.from(text, 'utf8')])
+    });
+    return {
+        type: FREEFORM_TYPE,
+        prefix: Buffer.alloc(0),
+        children: [fullBoxString('mean', FREEFORM_MEAN), fullBoxString('name', tag), dataNode(value)]
+    };
+};
+
+const newUdtaMeta = () => {
+    const hdlr = Buffer.alloc(25);
+    hdlr.write('mdir', 8, 'latin1');
+    hdlr.write('appl', 12, 'latin1');
+    return {
+        type: 'meta',
+        prefix: Buffer.alloc(4),
+        children: [{ type: 'hdlr', data: hdlr }, { type: 'ilst', prefix: Buffer.alloc(0), children: [] }]
+    };
+};
+
+// Set (or replace) one tag in whichever meta box already holds it, otherwise
+// add it to moov/udta/meta.
+const setItem = (moovTree, tag, value) => {
+    const itemType = Object.keys(ITEM_TAGS).find((k) => ITEM_TAGS[k] === tag);
+    for (const meta of metaNodes(moovTree)) {
+        const ilst = findChild(meta.children, 'ilst');
+        if (!ilst) continue;
+        const keys = parseKeys(meta);
+        const item = ilst.children.find((n) => itemKey(meta, n, keys) === tag);
+        if (item) {
+            item.children = [...item.children.filter((n) => n.type !== 'data'), dataNode(value)];
+            return;
+        }
+    }
+
+    let udta = findChild(moovTree, 'udta');
+    if (!udta) {
+        udta = { type: 'udta', prefix: Buffer.alloc(0), children: [] };
+        moovTree.push(udta);
+    }
+    let meta = findChild(udta.children, 'meta');
+    if (!meta) {
+        meta = newUdtaMeta();
+        udta.children.push(meta);
+    }
+    let ilst = findChild(meta.children, 'ilst');
+    if (!ilst) {
+        ilst = { type: 'ilst', prefix: Buffer.alloc(0), children: [] };
+        meta.children.push(ilst);
+    }
+
+    if (handlerType(meta) === 'mdta') {
+        const keysNode = findChild(meta.children, 'keys');
+        const keys = parseKeys(meta);
+        const entry = Buffer.alloc(8 + Buffer.byteLength(tag));
+        entry.writeUInt32BE(entry.length, 0);
+        entry.write('mdta', 4, 'latin1');
+        entry.write(tag, 8, 'utf8');
+        const data = Buffer.concat([keysNode.data, entry]);
+        data.writeUInt32BE(keys.length + 1, 4);
+        keysNode.data = data;
+        const index = Buffer.alloc(4);
+        index.writeUInt32BE(keys.length + 1, 0);
+        ilst.children.push({ type: index.toString('latin1'), prefix: Buffer.alloc(0), children: [dataNode(value)] });
+        return;
+    }
+    if (!itemType) {
+        ilst.children.push(freeformItem(tag, value));
+        return;
+    }
+    ilst.children.push({ type: itemType, prefix: Buffer.alloc(0), children: [dataNode(value)] });
+};
+
+/**
+ * Write metadata tags into an MP4/MOV file in place.
+ * Media data is never moved: if moov is the last box it is rewritten where it is,
+ * otherwise the old moov is turned into a `free` box and the new one is appended.
+ */
+const writeMetadataItems = async (filePath, tags) => {
+    const { fh, boxes, moov } = await openBmff(filePath, 'r+');
+    try {
+        const tree = parseTree(await readBox(fh, moov));
+        for (const [tag, value] of Object.entries(tags)) setItem(tree[0].children, tag, String(value));
+        const newMoov = serializeTree(tree);
+
+        const isLast = boxes[boxes.length - 1] === moov;
+        if (isLast) {
+            await fh.truncate(moov.start);
+            await fh.write(newMoov, 0, newMoov.length, moov.start);
+        } else {
+            await fh.write(Buffer.from('free', 'latin1'), 0, 4, moov.start + 4);
+            const { size } = await fh.stat();
+            await fh.write(newMoov, 0, newMoov.length, size);
+        }
+    } finally {
+        await fh.close();
+    }
+};
+
+// -------------------------------
+// Top-level uuid boxes
+// -------------------------------
+// Private payloads live in top-level `uuid` boxes (16-byte extended type, then
+// the content). Players and ffmpeg skip them; a stream-copy remux drops them.
+const readAt = async (fh, pos, length) => {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, pos);
+    return buf.subarray(0, bytesRead);
+};
+
+const uuidBoxesOf = async (fh, boxes, userType) => {
+    const out = [];
+    for (const box of boxes.filter((b) => b.type === 'uuid')) {
+        const ext = await readAt(fh, box.start + box.headerSize, 16);
+        if (ext.equals(userType)) out.push(box);
+    }
+    return out;
+};
+
+/**
+ * Content (after the extended type) of the first top-level uuid box with the
+ * given 16-byte extended type, or null.
+ */
+const readUuidBox = async (filePath, userType) => {
+    const { fh, boxes } = await openBmff(filePath);
+    try {
+        const [box] = await uuidBoxesOf(fh, boxes, userType);
+        if (!box) return null;
+        const contentStart = box.start + box.headerSize + 16;
+        return readAt(fh, contentStart, box.end - contentStart);
+    } finally {
+        await fh.close();
+    }
+};
+
+/**
+ * Write (or replace) a top-level uuid box. Like writeMetadataItems, media data
+ * never moves: an old box at the end of the file is overwritten, one elsewhere
+ * becomes `free` and the new box is appended.
+ */
+const writeUuidBox = async (filePath, userType, content) => {
+    const { fh, size, boxes } = await openBmff(filePath, 'r+');
+    try {
+        let end = size;
+        for (const box of await uuidBoxesOf(fh, boxes, userType)) {
+            if (box.end === size) end = box.start;
+            else await fh.write(Buffer.from('free', 'latin1'), 0, 4, box.start + 4);
+        }
+        const body = Buffer.concat([userType, content]);
+        const box = Buffer.concat([boxHeader('uuid', body.length), body]);
+        await fh.truncate(end);
+        await fh.write(box, 0, box.length, end);
+    } finally {
+        await fh.close();
+    }
+};
+
+/**
+ * Top-level boxes of an MP4/MOV file in file order.
+ * @returns {Promise<{ type: string, start: number, end: number, userType: Buffer|null }[]>}
+ *   userType is the 16-byte extended type of uuid boxes
+ */
+const listBoxes = async (filePath) => {
+    const { fh, boxes } = await openBmff(filePath);
+    try {
+        const out = [];
+        for (const box of boxes) {
+            const userType = box.type === 'uuid' ? await readAt(fh, box.start + box.headerSize, 16) : null;
+            out.push({ type: box.type, start: box.start, end: box.end, userType });
+        }
+        return out;
+    } finally {
+        await fh.close();
+    }
+};
+
+module.exports = {
+    CANONICAL_SCHEME,
+    C2PA_UUID,
+    canonicalHashHex,
+    listBoxes,
+    readMetadataItems,
+    writeMetadataItems,
+    readUuidBox,
+    writeUuidBox
+};
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const bmff = require('./bmff');
+const cbor = require('./cbor');
+const jumbf = require('./jumbf');
+const { flagValue } = require('./cli');
+const { readPemCertificates, loadCertificateBundle, chainToRoot } = require('./x509');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+// -------------------------------
+// C2PA-style content credentials
+// -------------------------------
+// Maps the native signatures onto a C2PA manifest store so C2PA tooling can
+// read them, and reads such a store back:
+//  - c2pa.hash.bmff.v2     hard binding over every top-level box except the
+//                          store itself, ftyp and mfra
+//  - c2pa.actions          c2pa.created at the signing start time
+//  - org.cryptovideo.video the sign_video.js comment payload (JSON), with its
+//                          RFC 3161 token and anchor record
+//  - org.cryptovideo.frames frames_manifest.json byte for byte, its SHA-256
+//                          and the ManifestClaim signature (CBOR)
+// The claim is signed as a COSE_Sign1 by an X.509 certificate (x5chain in the
+// protected header). That certificate is separate from the Ethereum / Ed25519
+// keys of the native signatures, which keep verifying on their own.
+//
+// MP4/MOV only: the store is a top-level uuid box (bmff.C2PA_UUID) appended at
+// the end of the file, so no media offsets move.
+const DEFAULT_C2PA_DIR = path.resolve(__dirname, '..', 'output', 'c2pa');
+const DEFAULT_C2PA_ROOTS_PATH = path.resolve(__dirname, '..', 'c2pa_roots.pem');
+const CLAIM_GENERATOR = `nodejscryptovid/${PACKAGE_VERSION}`;
+
+const ASSERTIONS = {
+    hardBinding: 'c2pa.hash.bmff.v2',
+    actions: 'c2pa.actions',
+    video: 'org.cryptovideo.video',
+    frames: 'org.cryptovideo.frames'
+};
+
+const FORMATS = { mp4: 'video/mp4', mov: 'video/quicktime' };
+
+// Extended key usages accepted for claim signers: emailProtection, documentSigning
+const SIGNER_EKUS = ['1.3.6.1.5.5.7.3.4', '1.3.6.1.5.5.7.3.36'];
+
+const COSE_SIGN1_TAG = 18;
+const COSE_HEADER = { alg: 1, x5chain: 33 };
+const COSE_ALGS = {
+    ES256: { id: -7, hash: 'sha256' },
+    ES384: { id: -35, hash: 'sha384' },
+    EdDSA: { id: -8, hash: null },
+    PS256: { id: -37, hash: 'sha256' }
+};
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest();
+
+const parseC2paOptions = (args, env = process.env) => ({
+    certPath: path.resolve(flagValue(args, 'c2pa-cert') || env.C2PA_CERT || path.join(DEFAULT_C2PA_DIR, 'signer.pem')),
+    keyPath: path.resolve(flagValue(args, 'c2pa-key') || env.C2PA_KEY || path.join(DEFAULT_C2PA_DIR, 'signer-key.pem')),
+    rootsPath: path.resolve(flagValue(args, 'c2pa-roots') || env.C2PA_ROOTS || DEFAULT_C2PA_ROOTS_PATH)
+});
+
+const loadC2paRoots = (rootsPath) => loadCertificateBundle(rootsPath, 'C2PA roots (use --c2pa-roots or C2PA_ROOTS)');
+
+// -------------------------------
+// Claim signer (COSE_Sign1)
+// -------------------------------
+const algorithmFor = (key) => {
+    const type = key.asymmetricKeyType;
+    if (type === 'ed25519') return 'EdDSA';
+    if (type === 'rsa' || type === 'rsa-pss') return 'PS256';
+    if (type === 'ec') {
+        const curve = key.asymmetricKeyDetails.namedCurve;
+        if (curve === 'prime256v1') return 'ES256';
+        if (curve === 'secp384r1') return 'ES384';
+    }
+    throw new Error(`Unsupported claim signing key: ${type}`);
+};
+
+const signOptions = (alg, key) => {
+    if (alg === 'PS256') return { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 };
+    if (alg === 'EdDSA') return key;
+    return { key, dsaEncoding: 'ieee-p1363' };
+};
+
+/**
+ * Load the claim signing certificate chain (leaf first, no root) and its key.
+ * @returns {Promise<{ certs: crypto.X509Certificate[], privateKey: crypto.KeyObject, alg: string }>}
+ */
+const loadClaimSigner = async ({ certPath, keyPath }) => {
+    if (!fs.existsSync(certPath) || !fs.existsSync(keyPath)) {
+        throw new Error(`No C2PA signing certificate (${certPath}, ${keyPath}); create test ones with: node c2pa.js certs`);
+    }
+    const certs = readPemCertificates(await fsp.readFile(certPath, 'utf8'));
+    if (certs.length === 0) throw new Error(`No certificates in ${certPath}`);
+    const privateKey = crypto.createPrivateKey(await fsp.readFile(keyPath));
+    if (!certs[0].checkPrivateKey(privateKey)) throw new Error('C2PA signing key does not match the certificate');
+    return { certs, privateKey, alg: algorithmFor(privateKey) };
+};
+
+const sigStructure = (protectedBytes, payload) => cbor.encode(['Signature1', protectedBytes, Buffer.alloc(0), payload]);
+
+// Detached payload: the claim bytes live in the claim box
+const signCose = ({ certs, privateKey, alg }, payload) => {
+    const x5chain = certs.length === 1 ? certs[0].raw : certs.map((c) => c.raw);
+    const protectedBytes = cbor.encode(new Map([[COSE_HEADER.alg, COSE_ALGS[alg].id], [COSE_HEADER.x5chain, x5chain]]));
+    const signature = crypto.sign(COSE_ALGS[alg].hash, sigStructure(protectedBytes, payload), signOptions(alg, privateKey));
+    return cbor.encode(new cbor.Tagged(COSE_SIGN1_TAG, [protectedBytes, new Map(), null, signature]));
+};
+
+const headerValue = (headers, label) => (headers instanceof Map ? headers.get(label) : undefined);
+
+/**
+ * Verify a COSE_Sign1 over a detached payload and chain its signer to a root.
+ * @returns {{ alg: string, subject: string, chain: crypto.X509Certificate[] }}
+ */
+const verifyCose = (coseBytes, payload, roots, atMs = Date.now()) => {
+    let sign1 = cbor.decode(coseBytes);
+    if (sign1 instanceof cbor.Tagged) {
+        if (sign1.tag !== COSE_SIGN1_TAG) throw new Error(`Claim signature is not a COSE_Sign1 (tag ${sign1.tag})`);
+        sign1 = sign1.value;
+    }
+    if (!Array.isArray(sign1) || sign1.length !== 4) throw new Error('Malformed COSE_Sign1');
+    const [protectedBytes, unprotected, , signature] = sign1;
+    const protectedHeaders = protectedBytes.length ? cbor.decode(protectedBytes) : new Map();
+    const algId = headerValue(protectedHeaders, COSE_HEADER.alg);
+    const alg = Object.keys(COSE_ALGS).find((name) => COSE_ALGS[name].id === algId);
+    if (!alg) throw new Error(`Unsupported COSE algorithm: ${algId}`);
+
+    const x5chain = headerValue(protectedHeaders, COSE_HEADER.x5chain) || headerValue(unprotected, COSE_HEADER.x5chain);
+    if (!x5chain) throw new Error('Claim signature carries no certificate (x5chain)');
+    const certs = (Array.isArray(x5chain) ? x5chain : [x5chain]).map((raw) => new crypto.X509Certificate(raw));
+    const [leaf, ...intermediates] = certs;
+
+    const ok = crypto.verify(COSE_ALGS[alg].hash, sigStructure(protectedBytes, payload), signOptions(alg, leaf.publicKey), signature);
+    if (!ok) throw new Error('Claim signature does not verify with the signing certificate');
+    if (!(leaf.keyUsage || []).some((oid) => SIGNER_EKUS.includes(oid))) {
+        throw new Error('Signing certificate lacks the emailProtection / documentSigning extended key usage');
+    }
+    const chain = chainToRoot(leaf, intermediates, roots, atMs, { label: 'C2PA', at: 'verification time' });
+    return { alg, subject: leaf.subject.replace(/\n/g, ', '), chain };
+};
+
+// -------------------------------
+// Hard binding (c2pa.hash.bmff.v2)
+// -------------------------------
+// Each kept top-level box is hashed as its 64-bit big-endian file offset
+// followed by the whole box. Only top-level exclusions are supported.
+const DEFAULT_EXCLUSIONS = [
+    { xpath: '/uuid', data: [{ offset: 8, value: bmff.C2PA_UUID }] },
+    { xpath: '/ftyp' },
+    { xpath: '/mfra' }
+];
+
+const boxBytesAt = async (fh, pos, length) => {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, pos);
+    return buf.subarray(0, bytesRead);
+};
+
+const isExcluded = async (fh, box, exclusions) => {
+    for (const ex of exclusions) {
+        const m = /^\/([^/[\]]{4})$/.exec(ex.xpath || '');
+        if (!m) throw new Error(`Unsupported hard-binding exclusion: ${ex.xpath}`);
+        if (ex.subset || ex.length != null || ex.version != null || ex.flags != null) {
+            throw new Error(`Unsupported hard-binding exclusion fields on ${ex.xpath}`);
+        }
+        if (m[1] !== box.type) continue;
+        let matches = true;
+        for (const d of ex.data || []) {
+            const bytes = await boxBytesAt(fh, box.start + d.offset, d.value.length);
+            if (!bytes.equals(Buffer.from(d.value))) matches = false;
+        }
+        if (matches) return true;
+    }
+    return false;
+};
+
+const hashBoxRange = (hash, filePath, start, end) => new Promise((resolve, reject) => {
+    const rs = fs.createReadStream(filePath, { start, end: end - 1 });
+    rs.on('data', (chunk) => hash.update(chunk));
+    rs.on('error', reject);
+    rs.on('end', resolve);
+});
+
+/**
+ * SHA-256 hard-binding hash of an MP4/MOV file.
+ * @returns {Promise<Buffer>}
+ */
+const bmffHardBindingHash = async (filePath, exclusions = DEFAULT_EXCLUSIONS) => {
+    const boxes = await bmff.listBoxes(filePath);
+    const fh = await fsp.open(filePath, 'r');
+    const hash = crypto.createHash('sha256');
+    try {
+        for (const box of boxes) {
+            if (await isExcluded(fh, box, exclusions)) continue;
+            const offset = Buffer.alloc(8);
+            offset.writeBigUInt64BE(BigInt(box.start));
+            hash.update(offset);
+            await hashBoxRange(hash, filePath, box.start, box.end);
+        }
+    } finally {
+        await fh.close();
+    }
+    return hash.digest();
+};
+
+// -------------------------------
+// Manifest store (JUMBF)
+// -------------------------------
+const assertionBox = ({ label, data, json }) => (json
+    ? jumbf.superbox(jumbf.TYPES.json, label, [jumbf.contentBox('json', Buffer.from(JSON.stringify(data), 'utf8'))])
+    : jumbf.superbox(jumbf.TYPES.cbor, label, [jumbf.contentBox('cbor', cbor.encode(data))]));
+
+// Assertion hashes cover the superbox after its own header (jumd + content)
+const superboxContent = (box) => box.subarray(8);
+
+/**
+ * Build and sign a manifest store holding one manifest.
+ * @param {{ label: string, data: any, json?: boolean }[]} assertions
+ * @returns {Buffer} the JUMBF store
+ */
+const buildManifestStore = (assertions, signer, { format }) => {
+    const boxes = assertions.map((a) => ({ label: a.label, box: assertionBox(a) }));
+    const claim = {
+        claim_generator: CLAIM_GENERATOR,
+        signature: 'self#jumbf=c2pa.signature',
+        assertions: boxes.map(({ label, box }) => ({
+            url: `self#jumbf=c2pa.assertions/${label}`,
+            hash: sha256(superboxContent(box))
+        })),
+        'dc:format': format,
+        instanceID: `xmp:iid:${crypto.randomUUID()}`,
+        alg: 'sha256'
+    };
+    const claimBytes = cbor.encode(claim);
+    const manifest = jumbf.superbox(jumbf.TYPES.manifest, `urn:uuid:${crypto.randomUUID()}`, [
+        jumbf.superbox(jumbf.TYPES.assertionStore, 'c2pa.assertions', boxes.map((b) => b.box)),
+        jumbf.superbox(jumbf.TYPES.claim, 'c2pa.claim', [jumbf.contentBox('cbor', claimBytes)]),
+        jumbf.superbox(jumbf.TYPES.claimSignature, 'c2pa.signature', [jumbf.contentBox('cbor', signCose(signer, claimBytes))])
+    ]);
+    return jumbf.superbox(jumbf.TYPES.manifestStore, 'c2pa', [manifest]);
+};
+
+// uuid box content: FullBox version/flags, purpose "manifest", u64 merkle offset, store
+const uuidBoxContent = (store) => {
+    const offset = Buffer.alloc(8);
+    return Buffer.concat([Buffer.alloc(4), Buffer.from('manifest\0', 'latin1'), offset, store]);
+};
+
+const contentOf = (node) => {
+    const [box] = node.boxes;
+    if (!box) throw new Error(`Empty JUMBF box ${node.label}`);
+    if (box.type === 'cbor') return cbor.decode(box.data);
+    if (box.type === 'json') return JSON.parse(box.data.toString('utf8'));
+    throw new Error(`Unsupported content box ${box.type} in ${node.label}`);
+};
+
+const childOfType = (node, type) => node.superboxes.find((s) => s.type === type.toString('hex'));
+
+const parseManifest = (node) => {
+    const assertionStore = childOfType(node, jumbf.TYPES.assertionStore);
+    const claimBox = childOfType(node, jumbf.TYPES.claim);
+    const signatureBox = childOfType(node, jumbf.TYPES.claimSignature);
+    if (!assertionStore || !claimBox || !signatureBox) throw new Error(`Manifest ${node.label} is incomplete`);
+    const claimBytes = claimBox.boxes[0].data;
+    return {
+        label: node.label,
+        claim: cbor.decode(claimBytes),
+        claimBytes,
+        signature: signatureBox.boxes[0].data,
+        assertions: assertionStore.superboxes.map((a) => ({ label: a.label, content: a.content, data: contentOf(a) }))
+    };
+};
+
+/**
+ * Read the C2PA manifest store of an MP4/MOV file.
+ * @returns {Promise<{ manifests: object[], active: object }|null>} active is the last manifest
+ */
+const readManifestStore = async (videoPath) => {
+    const content = await bmff.readUuidBox(videoPath, bmff.C2PA_UUID);
+    if (!content) return null;
+    const nul = content.indexOf(0, 4);
+    const purpose = content.toString('latin1', 4, nul);
+    if (purpose !== 'manifest') throw new Error(`Unsupported C2PA uuid box purpose: ${purpose}`);
+    const store = jumbf.parseSuperbox(content, nul + 1 + 8);
+    if (store.type !== jumbf.TYPES.manifestStore.toString('hex')) throw new Error('C2PA uuid box does not hold a manifest store');
+    const manifests = store.superboxes.filter((s) => s.type === jumbf.TYPES.manifest.toString('hex')).map(parseManifest);
+    if (manifests.length === 0) throw new Error('C2PA manifest store is empty');
+    return { manifests, active: manifests[manifests.length - 1] };
+};
+
+const assertionLabelOf = (url) => {
+    const m = /c2pa\.assertions\/(.+)$/.exec(url);
+    return m ? m[1] : null;
+};
+
+/**
+ * Compare the claim's hashed assertion references with the assertion store.
+ * @returns {string[]} problems, empty when every reference resolves and matches
+ */
+const checkAssertionHashes = (manifest) => {
+    const problems = [];
+    const refs = manifest.claim.assertions || [];
+    for (const ref of refs) {
+        const label = assertionLabelOf(ref.url);
+        const assertion = manifest.assertions.find((a) => a.label === label);
+        if (!assertion) problems.push(`${ref.url}: not in the assertion store`);
+        else if (!sha256(assertion.content).equals(Buffer.from(ref.hash))) problems.push(`${label}: hash mismatch`);
+    }
+    for (const a of manifest.assertions) {
+        if (!refs.some((ref) => assertionLabelOf(ref.url) === a.label)) problems.push(`${a.label}: not referenced by the claim`);
+    }
+    return problems;
+};
+
+const assertionData = (manifest, label) => {
+    const hit = manifest.assertions.find((a) => a.label === label);
+    return hit ? hit.data : null;
+};
+
+/**
+ * Recompute the c2pa.hash.bmff.v2 hard binding of a file.
+ * @returns {Promise<{ expectedHex: string, actualHex: string }>}
+ */
+const checkHardBinding = async (videoPath, manifest) => {
+    const binding = assertionData(manifest, ASSERTIONS.hardBinding);
+    if (!binding) throw new Error(`Manifest has no ${ASSERTIONS.hardBinding} hard binding`);
+    if ((binding.alg || manifest.claim.alg) !== 'sha256') throw new Error(`Unsupported hard-binding hash: ${binding.alg}`);
+    const actual = await bmffHardBindingHash(videoPath, binding.exclusions || []);
+    return { expectedHex: Buffer.from(binding.hash).toString('hex'), actualHex: actual.toString('hex') };
+};
+
+/**
+ * Write a copy of an MP4/MOV file carrying a signed C2PA manifest store.
+ * A placeholder store is written first: an older store that is not at the end
+ * of the file turns into `free` then, before the hard binding is hashed.
+ * @param {{ label: string, data: any, json?: boolean }[]} assertions without the hard binding
+ */
+const exportManifestStore = async (inputPath, outputPath, containerName, assertions, signer) => {
+    const format = FORMATS[containerName];
+    if (!format) throw new Error(`C2PA export supports MP4/MOV only, not ${containerName}`);
+    await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+    await fsp.copyFile(inputPath, outputPath);
+    await bmff.writeUuidBox(outputPath, bmff.C2PA_UUID, uuidBoxContent(Buffer.alloc(0)));
+    const hash = await bmffHardBindingHash(outputPath);
+    const hardBinding = { label: ASSERTIONS.hardBinding, data: { exclusions: DEFAULT_EXCLUSIONS, alg: 'sha256', hash, name: 'jumbf manifest' } };
+    const store = buildManifestStore([hardBinding, ...assertions], signer, { format });
+    await bmff.writeUuidBox(outputPath, bmff.C2PA_UUID, uuidBoxContent(store));
+    return { hashHex: hash.toString('hex'), storeBytes: store.length };
+};
+
+module.exports = {
+    ASSERTIONS,
+    CLAIM_GENERATOR,
+    DEFAULT_C2PA_DIR,
+    SIGNER_EKUS,
+    parseC2paOptions,
+    loadC2paRoots,
+    loadClaimSigner,
+    verifyCose,
+    bmffHardBindingHash,
+    buildManifestStore,
+    exportManifestStore,
+    readManifestStore,
+    checkAssertionHashes,
+    checkHardBinding,
+    assertionData
+};
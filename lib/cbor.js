@@ -0,0 +1,166 @@
+// -------------------------------
+// Minimal CBOR (RFC 8949) codec
+// -------------------------------
+// Enough for C2PA claims, assertions and COSE_Sign1 (lib/c2pa.js): unsigned
+// and negative integers, byte and text strings, arrays, maps, tags, false,
+// true, null, undefined and floats (decode only). Only definite lengths are
+// written or read. Maps decode to Map when any key is not a string (COSE
+// headers use integer labels), otherwise to plain objects; Buffers encode as
+// byte strings.
+
+class Tagged {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+// -------------------------------
+// Encoding
+// -------------------------------
+const head = (major, n) => {
+    const value = BigInt(n);
+    if (value < 24n) return Buffer.from([(major << 5) | Number(value)]);
+    if (value < 0x100n) return Buffer.from([(major << 5) | 24, Number(value)]);
+    if (value < 0x10000n) {
+        const b = Buffer.alloc(3);
+        b[0] = (major << 5) | 25;
+        b.writeUInt16BE(Number(value), 1);
+        return b;
+    }
+    if (value < 0x100000000n) {
+        const b = Buffer.alloc(5);
+        b[0] = (major << 5) | 26;
+        b.writeUInt32BE(Number(value), 1);
+        return b;
+    }
+    const b = Buffer.alloc(9);
+    b[0] = (major << 5) | 27;
+    b.writeBigUInt64BE(value, 1);
+    return b;
+};
+
+const encode = (value) => {
+    if (value === false) return Buffer.from([0xf4]);
+    if (value === true) return Buffer.from([0xf5]);
+    if (value === null) return Buffer.from([0xf6]);
+    if (value === undefined) return Buffer.from([0xf7]);
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        if (typeof value === 'number' && !Number.isInteger(value)) throw new Error('CBOR: floats are not supported for encoding');
+        return value < 0 ? head(1, -BigInt(value) - 1n) : head(0, value);
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return Buffer.concat([head(2, value.length), Buffer.from(value)]);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([head(3, bytes.length), bytes]);
+    }
+    if (Array.isArray(value)) return Buffer.concat([head(4, value.length), ...value.map(encode)]);
+    if (value instanceof Tagged) return Buffer.concat([head(6, value.tag), encode(value.value)]);
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    const present = entries.filter(([, v]) => v !== undefined);
+    return Buffer.concat([head(5, present.length), ...present.flatMap(([k, v]) => [encode(k), encode(v)])]);
+};
+
+// -------------------------------
+// Decoding
+// -------------------------------
+const halfToNumber = (h) => {
+    const exp = (h >> 10) & 0x1f;
+    const mant = h & 0x3ff;
+    const sign = h & 0x8000 ? -1 : 1;
+    if (exp === 0) return sign * 2 ** -14 * (mant / 1024);
+    if (exp === 31) return mant ? NaN : sign * Infinity;
+    return sign * 2 ** (exp - 15) * (1 + mant / 1024);
+};
+
+const decodeAt = (buf, pos) => {
+    if (pos >= buf.length) throw new Error('CBOR: unexpected end of data');
+    const first = buf[pos];
+    const major = first >> 5;
+    const info = first & 0x1f;
+    let offset = pos + 1;
+    let n;
+    if (info < 24) {
+        n = info;
+    } else if (info === 24) {
+        n = buf[offset];
+        offset += 1;
+    } else if (info === 25) {
+        n = buf.readUInt16BE(offset);
+        offset += 2;
+    } else if (info === 26) {
+        n = buf.readUInt32BE(offset);
+        offset += 4;
+    } else if (info === 27) {
+        const big = buf.readBigUInt64BE(offset);
+        n = big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+        offset += 8;
+    } else {
+        throw new Error(`CBOR: unsupported additional info ${info} (indefinite lengths are not supported)`);
+    }
+
+    switch (major) {
+        case 0: return { value: n, end: offset };
+        case 1: return { value: typeof n === 'bigint' ? -1n - n : -1 - n, end: offset };
+        case 2:
+        case 3: {
+            const end = offset + Number(n);
+            if (end > buf.length) throw new Error('CBOR: string runs past the end of data');
+            const bytes = buf.subarray(offset, end);
+            return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), end };
+        }
+        case 4: {
+            const items = [];
+            let p = offset;
+            for (let i = 0; i < n; i++) {
+                const item = decodeAt(buf, p);
+                items.push(item.value);
+                p = item.end;
+            }
+            return { value: items, end: p };
+        }
+        case 5: {
+            const entries = [];
+            let p = offset;
+            for (let i = 0; i < n; i++) {
+                const k = decodeAt(buf, p);
+                const v = decodeAt(buf, k.end);
+                entries.push([k.value, v.value]);
+                p = v.end;
+            }
+            const value = entries.every(([k]) => typeof k === 'string') ? Object.fromEntries(entries) : new Map(entries);
+            return { value, end: p };
+        }
+        case 6: {
+            const inner = decodeAt(buf, offset);
+            return { value: new Tagged(n, inner.value), end: inner.end };
+        }
+        default: {
+            if (info === 20) return { value: false, end: offset };
+            if (info === 21) return { value: true, end: offset };
+            if (info === 22) return { value: null, end: offset };
+            if (info === 23) return { value: undefined, end: offset };
+            if (info === 25) return { value: halfToNumber(n), end: offset };
+            if (info === 26) return { value: buf.readFloatBE(pos + 1), end: offset };
+            if (info === 27) return { value: buf.readDoubleBE(pos + 1), end: offset };
+            throw new Error(`CBOR: unsupported simple value ${info}`);
+        }
+    }
+};
+
+/**
+ * Decode exactly one CBOR item; trailing bytes are an error.
+ */
+const decode = (buf) => {
+    const { value, end } = decodeAt(buf, 0);
+    if (end !== buf.length) throw new Error(`CBOR: ${buf.length - end} trailing bytes`);
+    return value;
+};
+
+module.exports = {
+    Tagged,
+    encode,
+    decode
+};
@@ -0,0 +1,151 @@
+const { ethers } = require('ethers');
+const { buildMessageString } = require('./frame_messages');
+const { buildRootMessageString } = require('./merkle');
+const { buildAudioMessageString } = require('./audio');
+
+// -------------------------------
+// Signed claims
+// -------------------------------
+// Every signature in a payload or manifest is over one claim:
+//   VideoClaim       whole-file hash and capture tags (sign_video.js)
+//   ProvenanceClaim  capture tags of older whole-file payloads (lib/provenance.js)
+//   FrameClaim       one frame hash + presentation timing (per-frame manifests)
+//   FrameRootClaim   Merkle root over all frames (merkle manifests)
+//   AudioChunkClaim  one decoded PCM chunk
+//   ManifestClaim    SHA-256 of frames_manifest.json (video description tag)
+//   SegmentClaim     one live segment, chained to the previous segment's hash
+//   StreamEndClaim   end of a live stream: segment count and last segment hash
+//
+// How a claim becomes signed bytes depends on the signature backend
+// (lib/signers.js): the legacy EIP-191 strings, EIP-712 typed data, or the
+// claim JSON below for the non-Ethereum backends.
+const DOMAIN_NAME = 'CryptoVideo';
+const DOMAIN_VERSION = '1';
+
+const CLAIM_TYPES = {
+    VideoClaim: [
+        { name: 'timestampMs', type: 'uint64' },
+        { name: 'fileHashSha256', type: 'bytes32' },
+        { name: 'canonical', type: 'string' },
+        { name: 'provenanceSha256', type: 'bytes32' }
+    ],
+    ProvenanceClaim: [
+        { name: 'timestampMs', type: 'uint64' },
+        { name: 'fileHashSha256', type: 'bytes32' },
+        { name: 'provenanceSha256', type: 'bytes32' }
+    ],
+    FrameClaim: [
+        { name: 'startTimestampMs', type: 'uint64' },
+        { name: 'frameNumber', type: 'uint32' },
+        { name: 'frameHashSha256', type: 'bytes32' },
+        { name: 'pts', type: 'int64' },
+        { name: 'duration', type: 'int64' },
+        { name: 'timeBase', type: 'string' }
+    ],
+    FrameRootClaim: [
+        { name: 'startTimestampMs', type: 'uint64' },
+        { name: 'frameCount', type: 'uint32' },
+        { name: 'merkleRootSha256', type: 'bytes32' }
+    ],
+    AudioChunkClaim: [
+        { name: 'startTimestampMs', type: 'uint64' },
+        { name: 'streamIndex', type: 'uint32' },
+        { name: 'chunkNumber', type: 'uint32' },
+        { name: 'chunkHashSha256', type: 'bytes32' }
+    ],
+    ManifestClaim: [
+        { name: 'startTimestampMs', type: 'uint64' },
+        { name: 'frameCount', type: 'uint32' },
+        { name: 'manifestSha256', type: 'bytes32' }
+    ],
+    SegmentClaim: [
+        { name: 'startTimestampMs', type: 'uint64' },
+        { name: 'sequence', type: 'uint32' },
+        { name: 'segmentHashSha256', type: 'bytes32' },
+        { name: 'prevSegmentHashSha256', type: 'bytes32' },
+        { name: 'durationMs', type: 'uint32' }
+    ],
+    StreamEndClaim: [
+        { name: 'startTimestampMs', type: 'uint64' },
+        { name: 'segmentCount', type: 'uint32' },
+        { name: 'lastSegmentHashSha256', type: 'bytes32' }
+    ]
+};
+
+// Fields older claims were signed without; left out of the claim when absent
+const OPTIONAL_FIELDS = {
+    VideoClaim: ['provenanceSha256']
+};
+
+const claimFields = (kind, claim) => CLAIM_TYPES[kind].filter(({ name }) =>
+    !(OPTIONAL_FIELDS[kind] || []).includes(name) || (claim[name] !== undefined && claim[name] !== null));
+
+// Field-ordered JSON, the EIP-191 message for claims added after EIP-712 support
+const fieldJson = (kind) => (c) => JSON.stringify(Object.fromEntries(CLAIM_TYPES[kind].map(({ name }) => [name, c[name]])));
+
+// EIP-191 messages, byte-for-byte what earlier versions signed. VideoClaim adds
+// the canonical scheme and provenance hash when there are; payloads from before
+// canonical hashing (ffmpeg-remux) have neither and keep their original
+// two-field message.
+const LEGACY_MESSAGES = {
+    VideoClaim: (c) => JSON.stringify({
+        timestampMs: c.timestampMs,
+        fileHashSha256: c.fileHashSha256,
+        ...(c.canonical ? { canonical: c.canonical } : {}),
+        ...(c.provenanceSha256 ? { provenanceSha256: c.provenanceSha256 } : {})
+    }),
+    ProvenanceClaim: fieldJson('ProvenanceClaim'),
+    FrameClaim: (c) => buildMessageString(c.startTimestampMs, c.frameNumber, c.frameHashSha256, c.timing),
+    FrameRootClaim: (c) => buildRootMessageString(c.startTimestampMs, c.frameCount, c.merkleRootSha256),
+    AudioChunkClaim: (c) => buildAudioMessageString(c.startTimestampMs, c.streamIndex, c.chunkNumber, c.chunkHashSha256),
+    // The raw 32 digest bytes, not their hex text
+    ManifestClaim: (c) => Buffer.from(c.manifestSha256, 'hex'),
+    SegmentClaim: fieldJson('SegmentClaim'),
+    StreamEndClaim: fieldJson('StreamEndClaim')
+};
+
+/**
+ * EIP-712 domain; chainId and verifyingContract are optional.
+ */
+const buildDomain = ({ chainId, verifyingContract } = {}) => {
+    const domain = { name: DOMAIN_NAME, version: DOMAIN_VERSION };
+    if (chainId !== undefined && chainId !== null && chainId !== '') domain.chainId = Number(chainId);
+    if (verifyingContract) domain.verifyingContract = ethers.utils.getAddress(verifyingContract);
+    return domain;
+};
+
+const toHex32 = (hex) => (String(hex).startsWith('0x') ? hex : `0x${hex}`);
+
+// Claim fields as EIP-712 struct values
+const typedValue = (kind, claim) => {
+    const value = {};
+    for (const { name, type } of claimFields(kind, claim)) {
+        let v = kind === 'FrameClaim' && ['pts', 'duration', 'timeBase'].includes(name)
+            ? (claim.timing ? claim.timing[name] : undefined)
+            : claim[name];
+        if (kind === 'FrameClaim' && name === 'duration' && v === null) v = -1; // showinfo reported none
+        if (v === undefined || v === null) throw new Error(`${kind}: missing ${name}`);
+        value[name] = type === 'bytes32' ? toHex32(v) : v;
+    }
+    return value;
+};
+
+const typedData = (kind, claim, domain) => {
+    if (!domain) throw new Error('EIP-712 signature without a domain');
+    return { domain, types: { [kind]: claimFields(kind, claim) }, value: typedValue(kind, claim) };
+};
+
+// Deterministic claim JSON (field order from CLAIM_TYPES) for backends that
+// sign plain bytes; the domain tag keeps it from being valid in another protocol
+const claimJson = (kind, claim) => {
+    return JSON.stringify({ domain: `${DOMAIN_NAME}/${DOMAIN_VERSION}`, primaryType: kind, ...typedValue(kind, claim) });
+};
+
+module.exports = {
+    CLAIM_TYPES,
+    LEGACY_MESSAGES,
+    buildDomain,
+    typedValue,
+    typedData,
+    claimJson
+};
@@ -0,0 +1,28 @@
+// -------------------------------
+// Shared command-line flag helpers
+// -------------------------------
+// Flags use the --name=value form; positional arguments are everything else.
+
+const flagValue = (args, name) => {
+    const prefix = `--${name}=`;
+    const hit = args.find((a) => a.startsWith(prefix));
+    return hit ? hit.slice(prefix.length) : null;
+};
+
+// All values of a repeatable flag; comma-separated lists are split too
+const flagValues = (args, name) => {
+    const prefix = `--${name}=`;
+    return args
+        .filter((a) => a.startsWith(prefix))
+        .flatMap((a) => a.slice(prefix.length).split(','))
+        .map((v) => v.trim())
+        .filter(Boolean);
+};
+
+const positionalArgs = (args) => args.filter((a) => !a.startsWith('--'));
+
+module.exports = {
+    flagValue,
+    flagValues,
+    positionalArgs
+};
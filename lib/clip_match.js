@@ -0,0 +1,172 @@
+// -------------------------------
+// Clip matching: locate an excerpt inside the original frame manifest
+// -------------------------------
+// A clip cut from a signed video (stream copy at keyframes, or a re-encode that
+// happens to reproduce the pixels) decodes to a contiguous run of the original
+// frames. The longest run of clip frames that equal consecutive manifest frames
+// is the matched range; every other clip frame is flagged:
+//  - not-in-original:  no manifest frame has its hash
+//  - out-of-sequence:  the hash is in the manifest, but not where the matched
+//                      range puts it (spliced in from elsewhere, reordered,
+//                      duplicated)
+// Frame numbers are 1-based on both sides, like frameNumber in the manifest.
+
+// First manifest index of every hash
+const firstOccurrences = (hashes) => {
+    const first = new Map();
+    hashes.forEach((h, i) => {
+        if (!first.has(h)) first.set(h, i);
+    });
+    return first;
+};
+
+// Suffix automaton over the manifest hashes. firstEnd is the earliest manifest
+// index at which the strings of a state end.
+const buildSuffixAutomaton = (hashes) => {
+    const len = [0];
+    const link = [-1];
+    const next = [new Map()];
+    const firstEnd = [-1];
+    let last = 0;
+    hashes.forEach((h, pos) => {
+        const cur = len.length;
+        len.push(len[last] + 1);
+        link.push(0);
+        next.push(new Map());
+        firstEnd.push(pos);
+        let p = last;
+        while (p !== -1 && !next[p].has(h)) {
+            next[p].set(h, cur);
+            p = link[p];
+        }
+        if (p !== -1) {
+            const q = next[p].get(h);
+            if (len[p] + 1 === len[q]) {
+                link[cur] = q;
+            } else {
+                const clone = len.length;
+                len.push(len[p] + 1);
+                link.push(link[q]);
+                next.push(new Map(next[q]));
+                firstEnd.push(firstEnd[q]);
+                while (p !== -1 && next[p].get(h) === q) {
+                    next[p].set(h, clone);
+                    p = link[p];
+                }
+                link[q] = clone;
+                link[cur] = clone;
+            }
+        }
+        last = cur;
+    });
+    return { len, link, next, firstEnd };
+};
+
+// Longest diagonal run clip[j0..j0+len) === manifest[i0..i0+len), in linear time
+// however often a hash repeats (static or black scenes). Ties go to the earliest
+// clip position, then the earliest manifest position.
+const longestRun = (manifestHashes, clipHashes) => {
+    const { len, link, next, firstEnd } = buildSuffixAutomaton(manifestHashes);
+    let best = { clipStart: -1, manifestStart: -1, length: 0 };
+    let state = 0;
+    let length = 0;
+    for (let j = 0; j < clipHashes.length; j++) {
+        const h = clipHashes[j];
+        while (state !== 0 && !next[state].has(h)) {
+            state = link[state];
+            length = len[state];
+        }
+        if (next[state].has(h)) {
+            state = next[state].get(h);
+            length += 1;
+        } else {
+            length = 0;
+        }
+        if (length > best.length) {
+            best = { clipStart: j - length + 1, manifestStart: firstEnd[state] - length + 1, length };
+        }
+    }
+    return best;
+};
+
+// Collapse flagged clip frames into ranges of the same type; out-of-sequence
+// frames only share a range while their original frame numbers stay consecutive.
+const toRanges = (entries) => {
+    const ranges = [];
+    for (const e of entries) {
+        const r = ranges[ranges.length - 1];
+        const extendsRange = r && r.type === e.type && e.clip === r.clip[1] + 1
+            && (e.original === null || e.original === r.original[1] + 1);
+        if (extendsRange) {
+            r.clip[1] = e.clip;
+            if (e.original !== null) r.original[1] = e.original;
+            r.count += 1;
+        } else {
+            ranges.push({
+                type: e.type,
+                clip: [e.clip, e.clip],
+                original: e.original === null ? null : [e.original, e.original],
+                count: 1
+            });
+        }
+    }
+    return ranges;
+};
+
+/**
+ * Find where a clip's frames come from in the original manifest.
+ *
+ * @param {string[]} manifestHashes frameHashSha256 values in manifest order
+ * @param {string[]} clipHashes recomputed clip hashes in extraction order
+ * @returns {{ matched: { clip: number[], original: number[], count: number }|null, contiguous: boolean,
+ *   summary: { matched: number, notInOriginal: number, outOfSequence: number }, flagged: object[],
+ *   pairs: number[][] }}
+ *   pairs are the matched [originalFrame, clipFrame] pairs (1-based); contiguous
+ *   means every clip frame is inside the matched range
+ */
+const matchClip = (manifestHashes, clipHashes) => {
+    const first = firstOccurrences(manifestHashes);
+    const run = longestRun(manifestHashes, clipHashes);
+    const inRun = (j) => run.length > 0 && j >= run.clipStart && j < run.clipStart + run.length;
+
+    const entries = [];
+    let lastOriginal = -1;
+    for (let j = 0; j < clipHashes.length; j++) {
+        if (inRun(j)) {
+            lastOriginal = run.manifestStart + (j - run.clipStart);
+            continue;
+        }
+        if (!first.has(clipHashes[j])) {
+            entries.push({ type: 'not-in-original', clip: j + 1, original: null });
+            continue;
+        }
+        // Prefer continuing the previous flagged frame's original run, so a spliced
+        // block is reported as one range
+        const i = manifestHashes[lastOriginal + 1] === clipHashes[j] ? lastOriginal + 1 : first.get(clipHashes[j]);
+        entries.push({ type: 'out-of-sequence', clip: j + 1, original: i + 1 });
+        lastOriginal = i;
+    }
+
+    const pairs = [];
+    for (let k = 0; k < run.length; k++) pairs.push([run.manifestStart + k + 1, run.clipStart + k + 1]);
+
+    return {
+        matched: run.length === 0 ? null : {
+            clip: [run.clipStart + 1, run.clipStart + run.length],
+            original: [run.manifestStart + 1, run.manifestStart + run.length],
+            count: run.length
+        },
+        contiguous: run.length > 0 && run.length === clipHashes.length,
+        summary: {
+            matched: run.length,
+            notInOriginal: entries.filter((e) => e.type === 'not-in-original').length,
+            outOfSequence: entries.filter((e) => e.type === 'out-of-sequence').length
+        },
+        flagged: toRanges(entries),
+        pairs
+    };
+};
+
+module.exports = {
+    matchClip
+};
@@ -0,0 +1,132 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const bmff = require('./bmff');
+const matroska = require('./matroska');
+
+// -------------------------------
+// Container abstraction for whole-file signing
+// -------------------------------
+// Each container knows:
+//  - where the JSON signature payload lives (payloadLocation, read/writeTags)
+//  - its canonical form (canonicalScheme, canonicalHashHex), which must not
+//    change when the payload is written
+//  - how to make the signed copy (prepareCopy) and the extra ffmpeg muxer
+//    arguments needed to keep custom tags (muxArgs)
+//
+// MP4/MOV are parsed and tagged in place by lib/bmff.js. Matroska/WebM tags are
+// written with an ffmpeg stream-copy remux; their canonical form covers only
+// the coded frames, so the remux does not change it. Matroska could also carry
+// the payload as an attachment, but WebM cannot, so both use a global
+// COMMENT SimpleTag.
+
+// Stream-copy every stream into outputPath, optionally setting global tags
+const remuxWithTags = (inputPath, outputPath, tags = {}, muxArgs = []) => {
+    const args = ['-y', '-hide_banner', '-loglevel', 'error', '-i', inputPath, '-map', '0', '-map_metadata', '0'];
+    for (const [key, value] of Object.entries(tags)) args.push('-metadata', `${key}=${value}`);
+    args.push(...muxArgs, '-c', 'copy', outputPath);
+    return new Promise((resolve, reject) => {
+        const child = spawn(ffmpegPath, args, { stdio: 'inherit' });
+        child.on('error', reject);
+        child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg (remux) exited ${code}`))));
+    });
+};
+
+// "clip.mkv" -> "clip.tmp.mkv" (same folder, same extension so ffmpeg picks the same muxer)
+const tempPathFor = (filePath, tag = 'tmp') => {
+    const ext = path.extname(filePath);
+    return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}.${tag}${ext}`);
+};
+
+const isTempName = (name) => /\.tmp\d*\.[^.]+$/i.test(name);
+
+const writeTagsByRemux = async (filePath, tags) => {
+    const temp = tempPathFor(filePath);
+    try {
+        await remuxWithTags(filePath, temp, tags);
+        await fsp.rename(temp, filePath);
+    } finally {
+        await fsp.rm(temp, { force: true });
+    }
+};
+
+const bmffContainer = (name, extensions) => ({
+    name,
+    extensions,
+    payloadLocation: 'moov/udta/meta ilst ©cmt (comment)',
+    canonicalScheme: bmff.CANONICAL_SCHEME,
+    muxArgs: ['-movflags', 'use_metadata_tags'],
+    canonicalHashHex: bmff.canonicalHashHex,
+    readTags: bmff.readMetadataItems,
+    writeTags: bmff.writeMetadataItems,
+    prepareCopy: (src, dst) => fsp.copyFile(src, dst)
+});
+
+const matroskaContainer = (name, extensions) => ({
+    name,
+    extensions,
+    payloadLocation: 'Segment/Tags global COMMENT SimpleTag',
+    canonicalScheme: matroska.CANONICAL_SCHEME,
+    muxArgs: [],
+    canonicalHashHex: matroska.canonicalHashHex,
+    readTags: matroska.readTags,
+    writeTags: writeTagsByRemux,
+    // Remux once up front so the hashed file already has ffmpeg's block layout
+    // (e.g. no lacing) and the later tag write cannot change the frame records
+    prepareCopy: (src, dst) => remuxWithTags(src, dst)
+});
+
+const CONTAINERS = [
+    bmffContainer('mp4', ['.mp4', '.m4v']),
+    bmffContainer('mov', ['.mov']),
+    matroskaContainer('matroska', ['.mkv', '.mka']),
+    matroskaContainer('webm', ['.webm'])
+];
+
+const SUPPORTED_EXTENSIONS = CONTAINERS.flatMap((c) => c.extensions);
+
+const byName = (name) => CONTAINERS.find((c) => c.name === name);
+
+// Sniff the first bytes when the extension is unknown
+const sniffContainer = async (filePath) => {
+    if (await matroska.isEbmlFile(filePath)) {
+        return byName((await matroska.readDocType(filePath)) === 'webm' ? 'webm' : 'matroska');
+    }
+    const fh = await fsp.open(filePath, 'r');
+    try {
+        const head = Buffer.alloc(12);
+        await fh.read(head, 0, 12, 0);
+        if (head.toString('latin1', 4, 8) === 'ftyp') {
+            return byName(head.toString('latin1', 8, 12) === 'qt  ' ? 'mov' : 'mp4');
+        }
+        return null;
+    } finally {
+        await fh.close();
+    }
+};
+
+/**
+ * Resolve the container for a file by extension, falling back to its magic bytes.
+ * Throws for unsupported formats.
+ */
+const detectContainer = async (filePath) => {
+    const ext = path.extname(filePath).toLowerCase();
+    const container = CONTAINERS.find((c) => c.extensions.includes(ext)) || await sniffContainer(filePath);
+    if (!container) throw new Error(`Unsupported container: ${path.basename(filePath)}`);
+    return container;
+};
+
+// Signed-video candidates in a folder listing (temp files from remuxes are skipped)
+const isSupportedVideoFile = (name) => {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !isTempName(name);
+};
+
+module.exports = {
+    CONTAINERS,
+    SUPPORTED_EXTENSIONS,
+    detectContainer,
+    isSupportedVideoFile,
+    tempPathFor,
+    remuxWithTags
+};
@@ -0,0 +1,255 @@
+// -------------------------------
+// Minimal ASN.1 DER reader / writer
+// -------------------------------
+// Just enough for RFC 3161 time-stamp requests and tokens (CMS SignedData) and
+// for the X.509 certificates of the local test TSA. Definite lengths only.
+
+const CLASS = { universal: 0, application: 1, context: 2, private: 3 };
+
+const TAG = {
+    BOOLEAN: 0x01,
+    INTEGER: 0x02,
+    BIT_STRING: 0x03,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OID: 0x06,
+    UTF8_STRING: 0x0c,
+    SEQUENCE: 0x10,
+    SET: 0x11,
+    PRINTABLE_STRING: 0x13,
+    UTC_TIME: 0x17,
+    GENERALIZED_TIME: 0x18
+};
+
+// -------------------------------
+// Reading
+// -------------------------------
+/**
+ * Parse one DER element at `offset`.
+ * @returns {{ cls: number, tag: number, constructed: boolean, start: number, end: number,
+ *   bytes: Buffer, content: Buffer, children: object[]|null }}
+ * `bytes` is the whole encoding (header included), `content` the value.
+ */
+const decode = (buf, offset = 0) => {
+    const start = offset;
+    if (offset + 2 > buf.length) throw new Error('DER: truncated header');
+    const first = buf[offset++];
+    const cls = first >> 6;
+    const constructed = Boolean(first & 0x20);
+    let tag = first & 0x1f;
+    if (tag === 0x1f) {
+        tag = 0;
+        let b;
+        do {
+            if (offset >= buf.length) throw new Error('DER: truncated tag');
+            b = buf[offset++];
+            tag = tag * 128 + (b & 0x7f);
+        } while (b & 0x80);
+    }
+    let len = buf[offset++];
+    if (len & 0x80) {
+        const n = len & 0x7f;
+        if (n === 0) throw new Error('DER: indefinite length is not allowed');
+        if (n > 4 || offset + n > buf.length) throw new Error('DER: bad length');
+        len = 0;
+        for (let i = 0; i < n; i++) len = len * 256 + buf[offset++];
+    }
+    const end = offset + len;
+    if (end > buf.length) throw new Error('DER: element runs past end of data');
+    const node = {
+        cls,
+        tag,
+        constructed,
+        start,
+        end,
+        bytes: buf.subarray(start, end),
+        content: buf.subarray(offset, end),
+        children: null
+    };
+    if (constructed) {
+        node.children = [];
+        let pos = offset;
+        while (pos < end) {
+            const child = decode(buf.subarray(0, end), pos);
+            node.children.push(child);
+            pos = child.end;
+        }
+    }
+    return node;
+};
+
+// Decode a buffer that must hold exactly one element
+const decodeAll = (buf) => {
+    const node = decode(buf, 0);
+    if (node.end !== buf.length) throw new Error('DER: trailing data');
+    return node;
+};
+
+const isUniversal = (node, tag) => node && node.cls === CLASS.universal && node.tag === tag;
+const isContext = (node, tag) => node && node.cls === CLASS.context && node.tag === tag;
+
+const expect = (node, tag, what) => {
+    if (!isUniversal(node, tag)) throw new Error(`DER: expected ${what}`);
+    return node;
+};
+
+const readOid = (node) => {
+    const b = expect(node, TAG.OID, 'OBJECT IDENTIFIER').content;
+    if (b.length === 0) throw new Error('DER: empty OBJECT IDENTIFIER');
+    // BigInt: UUID-based arcs (2.25.<uuid>) exceed 2^53
+    const arcs = [];
+    let value = 0n;
+    for (let i = 0; i < b.length; i++) {
+        value = value * 128n + BigInt(b[i] & 0x7f);
+        if (!(b[i] & 0x80)) {
+            if (arcs.length === 0) {
+                const first = value < 80n ? value / 40n : 2n;
+                arcs.push(first, value - first * 40n);
+            } else {
+                arcs.push(value);
+            }
+            value = 0n;
+        }
+    }
+    return arcs.join('.');
+};
+
+// Unsigned big-endian INTEGER value as lower-case hex (no leading zero bytes)
+const readIntegerHex = (node) => {
+    let b = expect(node, TAG.INTEGER, 'INTEGER').content;
+    while (b.length > 1 && b[0] === 0) b = b.subarray(1);
+    return b.toString('hex');
+};
+
+const readInteger = (node) => {
+    const hex = readIntegerHex(node);
+    if (node.content[0] & 0x80) throw new Error('DER: negative INTEGER');
+    return Number.parseInt(hex, 16);
+};
+
+const readOctetString = (node) => expect(node, TAG.OCTET_STRING, 'OCTET STRING').content;
+
+const readBoolean = (node) => expect(node, TAG.BOOLEAN, 'BOOLEAN').content[0] !== 0;
+
+/**
+ * UTCTime or GeneralizedTime (Z form, optional fraction) as epoch milliseconds.
+ */
+const readTime = (node) => {
+    const s = node.content.toString('latin1');
+    let m;
+    if (isUniversal(node, TAG.GENERALIZED_TIME)) {
+        m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\.(\d+))?Z$/.exec(s);
+    } else if (isUniversal(node, TAG.UTC_TIME)) {
+        m = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(s);
+        if (m) m[1] = String(Number(m[1]) < 50 ? 2000 + Number(m[1]) : 1900 + Number(m[1]));
+    }
+    if (!m) throw new Error(`DER: unsupported time value ${s}`);
+    const ms = m[7] ? Math.floor(Number(`0.${m[7]}`) * 1000) : 0;
+    return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6]), ms);
+};
+
+// -------------------------------
+// Writing
+// -------------------------------
+const encodeLength = (n) => {
+    if (n < 0x80) return Buffer.from([n]);
+    const bytes = [];
+    for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const tlv = (identifier, content) => Buffer.concat([Buffer.from([identifier]), encodeLength(content.length), content]);
+
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+
+// SET OF: DER orders the encoded elements
+const set = (...items) => tlv(0x31, Buffer.concat([...items].sort(Buffer.compare)));
+
+/**
+ * Non-negative INTEGER from a number, BigInt, hex string or big-endian Buffer.
+ */
+const integer = (value) => {
+    let b;
+    if (Buffer.isBuffer(value)) {
+        b = value;
+    } else {
+        let hex = BigInt(typeof value === 'string' ? `0x${value}` : value).toString(16);
+        if (hex.length % 2) hex = `0${hex}`;
+        b = Buffer.from(hex, 'hex');
+    }
+    while (b.length > 1 && b[0] === 0 && !(b[1] & 0x80)) b = b.subarray(1);
+    if (b[0] & 0x80) b = Buffer.concat([Buffer.from([0]), b]);
+    return tlv(TAG.INTEGER, b);
+};
+
+const oid = (dotted) => {
+    const arcs = dotted.split('.').map(BigInt);
+    const out = [];
+    const push = (v) => {
+        const chunk = [Number(v & 0x7fn)];
+        for (let x = v >> 7n; x > 0n; x >>= 7n) chunk.unshift(0x80 | Number(x & 0x7fn));
+        out.push(...chunk);
+    };
+    push(arcs[0] * 40n + arcs[1]);
+    for (const a of arcs.slice(2)) push(a);
+    return tlv(TAG.OID, Buffer.from(out));
+};
+
+const octetString = (buf) => tlv(TAG.OCTET_STRING, buf);
+const bitString = (buf, unusedBits = 0) => tlv(TAG.BIT_STRING, Buffer.concat([Buffer.from([unusedBits]), buf]));
+const nullValue = () => Buffer.from([TAG.NULL, 0]);
+const boolean = (v) => tlv(TAG.BOOLEAN, Buffer.from([v ? 0xff : 0]));
+const utf8String = (s) => tlv(TAG.UTF8_STRING, Buffer.from(s, 'utf8'));
+
+const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+// GeneralizedTime with millisecond precision; DER drops trailing fraction zeros
+const generalizedTime = (ms) => {
+    const d = new Date(ms);
+    const base = `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+    const frac = pad(d.getUTCMilliseconds(), 3).replace(/0+$/, '');
+    return tlv(TAG.GENERALIZED_TIME, Buffer.from(`${base}${frac ? `.${frac}` : ''}Z`, 'latin1'));
+};
+
+// UTCTime (certificate validity up to 2049)
+const utcTime = (ms) => {
+    const d = new Date(ms);
+    const s = `${pad(d.getUTCFullYear() % 100)}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+    return tlv(TAG.UTC_TIME, Buffer.from(s, 'latin1'));
+};
+
+// [n] EXPLICIT
+const explicit = (n, inner) => tlv(0xa0 | n, inner);
+
+// [n] IMPLICIT over constructed content (e.g. SET OF)
+const implicitConstructed = (n, content) => tlv(0xa0 | n, content);
+
+module.exports = {
+    CLASS,
+    TAG,
+    decode,
+    decodeAll,
+    isUniversal,
+    isContext,
+    expect,
+    readOid,
+    readIntegerHex,
+    readInteger,
+    readOctetString,
+    readBoolean,
+    readTime,
+    tlv,
+    sequence,
+    set,
+    integer,
+    oid,
+    octetString,
+    bitString,
+    nullValue,
+    boolean,
+    utf8String,
+    generalizedTime,
+    utcTime,
+    explicit,
+    implicitConstructed
+};
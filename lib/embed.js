@@ -0,0 +1,120 @@
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const bmff = require('./bmff');
+const matroska = require('./matroska');
+const { detectContainer, tempPathFor, remuxWithTags } = require('./containers');
+
+// -------------------------------
+// Frame manifest embedded in the video
+// -------------------------------
+// sign_frames.js stores frames_manifest.json inside the verifiable copy, byte
+// for byte (optionally gzip-compressed), so the file alone is enough for
+// verify_frames.js; the manifest SHA-256 in the `artist` tag still binds it.
+//  - MP4/MOV: a top-level uuid box with extended type EMBED_UUID, content
+//      u8 version (1) | u8 encoding (0 = JSON, 1 = gzip) | manifest bytes
+//    appended at the end of the file, so no media offsets move
+//  - Matroska: an attachment named frames_manifest.json (application/json) or
+//    frames_manifest.json.gz (application/gzip), written by a stream-copy remux
+//  - WebM has no attachments, so the manifest has to travel next to the file
+// A stream-copy cut keeps neither, so clips are checked against the original
+// manifest (verify_clip.js).
+const EMBED_UUID = Buffer.from('f90be3f63cf54cb49bf80b5b32a06ae6', 'hex');
+const FORMAT_VERSION = 1;
+const ENCODING = { json: 0, gzip: 1 };
+const ATTACHMENT_NAME = 'frames_manifest.json';
+const EMBEDDING_CONTAINERS = new Set(['mp4', 'mov', 'matroska']);
+
+const attachmentFor = (compress) => ({
+    fileName: compress ? `${ATTACHMENT_NAME}.gz` : ATTACHMENT_NAME,
+    mimeType: compress ? 'application/gzip' : 'application/json'
+});
+
+const isManifestAttachment = (a) => a.fileName === ATTACHMENT_NAME || a.fileName === `${ATTACHMENT_NAME}.gz`;
+
+const embedInBmff = async (videoPath, manifestBuffer, compress) => {
+    const header = Buffer.from([FORMAT_VERSION, compress ? ENCODING.gzip : ENCODING.json]);
+    const data = compress ? zlib.gzipSync(manifestBuffer) : manifestBuffer;
+    await bmff.writeUuidBox(videoPath, EMBED_UUID, Buffer.concat([header, data]));
+    return { location: 'top-level uuid box', storedBytes: data.length };
+};
+
+// Replace any earlier manifest attachment; other attachments (fonts, covers) are kept
+const embedInMatroska = async (videoPath, manifestBuffer, compress) => {
+    const existing = await matroska.readAttachments(videoPath);
+    const { fileName, mimeType } = attachmentFor(compress);
+    const data = compress ? zlib.gzipSync(manifestBuffer) : manifestBuffer;
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'embed-manifest-'));
+    const temp = tempPathFor(videoPath);
+    try {
+        const payloadPath = path.join(workDir, fileName);
+        await fsp.writeFile(payloadPath, data);
+        const muxArgs = [];
+        existing.forEach((a, i) => { if (isManifestAttachment(a)) muxArgs.push('-map', `-0:t:${i}`); });
+        const index = existing.filter((a) => !isManifestAttachment(a)).length;
+        muxArgs.push('-attach', payloadPath,
+            `-metadata:s:t:${index}`, `mimetype=${mimeType}`,
+            `-metadata:s:t:${index}`, `filename=${fileName}`);
+        await remuxWithTags(videoPath, temp, {}, muxArgs);
+        await fsp.rename(temp, videoPath);
+    } finally {
+        await fsp.rm(temp, { force: true });
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+    return { location: `attachment ${fileName}`, storedBytes: data.length };
+};
+
+const canEmbedManifest = (container) => EMBEDDING_CONTAINERS.has(container.name);
+
+/**
+ * Store a manifest inside a video file (in place).
+ * @returns {Promise<{ location: string, storedBytes: number }>}
+ */
+const embedManifest = async (videoPath, manifestBuffer, { compress = false } = {}) => {
+    const container = await detectContainer(videoPath);
+    if (!canEmbedManifest(container)) {
+        throw new Error(`${container.name} cannot carry an embedded manifest; share frames_manifest.json with the video`);
+    }
+    if (container.name === 'matroska') return embedInMatroska(videoPath, manifestBuffer, compress);
+    return embedInBmff(videoPath, manifestBuffer, compress);
+};
+
+const decodeBmffPayload = (content) => {
+    if (content.length < 2 || content[0] !== FORMAT_VERSION) throw new Error(`Unsupported embedded manifest version: ${content[0]}`);
+    if (content[1] === ENCODING.json) return { manifestBuffer: content.subarray(2), compressed: false };
+    if (content[1] === ENCODING.gzip) return { manifestBuffer: zlib.gunzipSync(content.subarray(2)), compressed: true };
+    throw new Error(`Unknown embedded manifest encoding: ${content[1]}`);
+};
+
+/**
+ * The manifest embedded by embedManifest, exactly as it was written.
+ * Returns null when the file (or its container type) carries none.
+ * @returns {Promise<{ manifestBuffer: Buffer, location: string, compressed: boolean }|null>}
+ */
+const readEmbeddedManifest = async (videoPath) => {
+    const container = await detectContainer(videoPath).catch(() => null);
+    if (!container) return null;
+    if (container.name === 'mp4' || container.name === 'mov') {
+        const content = await bmff.readUuidBox(videoPath, EMBED_UUID);
+        return content ? { ...decodeBmffPayload(content), location: 'top-level uuid box' } : null;
+    }
+    if (container.name === 'matroska') {
+        const attachment = (await matroska.readAttachments(videoPath)).find(isManifestAttachment);
+        if (!attachment) return null;
+        const compressed = attachment.fileName.endsWith('.gz');
+        return {
+            manifestBuffer: compressed ? zlib.gunzipSync(attachment.data) : attachment.data,
+            location: `attachment ${attachment.fileName}`,
+            compressed
+        };
+    }
+    return null;
+};
+
+module.exports = {
+    EMBED_UUID,
+    canEmbedManifest,
+    embedManifest,
+    readEmbeddedManifest
+};
@@ -0,0 +1,205 @@
+// -------------------------------
+// Tamper localization: align recomputed frame hashes against a manifest
+// -------------------------------
+// Every video frame is matched to a manifest frame with the same hash. The matches
+// that keep their original order (longest increasing run) are anchors; everything
+// else is classified relative to them:
+//  - duplicated: a manifest frame that appears again after already being matched
+//  - reordered:  a matched manifest frame that is out of order w.r.t. the anchors
+//  - modified:   between two anchors, unmatched video and manifest frames paired 1:1
+//  - inserted:   leftover unmatched video frames between two anchors
+//  - dropped:    leftover unmatched manifest frames between two anchors
+// Frame numbers are 1-based on both sides, like frameNumber in the manifest.
+
+const TYPES = ['modified', 'inserted', 'dropped', 'reordered', 'duplicated'];
+
+// Indices (into seq) of one longest strictly increasing subsequence, O(n log n).
+const longestIncreasingSubsequence = (seq) => {
+    const tails = [];
+    const prev = new Array(seq.length).fill(-1);
+    for (let i = 0; i < seq.length; i++) {
+        let lo = 0;
+        let hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo > 0) prev[i] = tails[lo - 1];
+        tails[lo] = i;
+    }
+    const out = [];
+    let k = tails.length ? tails[tails.length - 1] : -1;
+    while (k !== -1) {
+        out.push(k);
+        k = prev[k];
+    }
+    return out.reverse();
+};
+
+// Match each video frame to a manifest index with the same hash. Prefer the next
+// unused occurrence after the previous match so static scenes (repeated hashes in
+// the manifest) still line up in order.
+// Each hash keeps a path-compressed "next unused" pointer per occurrence, so long
+// runs of one hash stay near-linear.
+const matchFrames = (manifestHashes, videoHashes) => {
+    const occurrences = new Map();
+    manifestHashes.forEach((h, i) => {
+        if (!occurrences.has(h)) occurrences.set(h, { indices: [], next: null });
+        occurrences.get(h).indices.push(i);
+    });
+    for (const occ of occurrences.values()) {
+        occ.next = Int32Array.from({ length: occ.indices.length + 1 }, (_, k) => k);
+    }
+    // First unused slot at or after k (indices.length when none is left)
+    const nextUnused = (occ, k) => {
+        let slot = k;
+        while (occ.next[slot] !== slot) {
+            occ.next[slot] = occ.next[occ.next[slot]];
+            slot = occ.next[slot];
+        }
+        return slot;
+    };
+    // First slot whose manifest index is greater than `after`
+    const slotAfter = (indices, after) => {
+        let lo = 0;
+        let hi = indices.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (indices[mid] <= after) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    };
+    const matches = new Array(videoHashes.length).fill(null);
+    let last = -1;
+    for (let j = 0; j < videoHashes.length; j++) {
+        const occ = occurrences.get(videoHashes[j]);
+        if (!occ) continue;
+        const { indices } = occ;
+        const firstFree = nextUnused(occ, 0);
+        if (firstFree === indices.length) {
+            matches[j] = { index: indices[0], duplicate: true };
+            continue;
+        }
+        const afterLast = nextUnused(occ, slotAfter(indices, last));
+        const slot = afterLast < indices.length ? afterLast : firstFree;
+        occ.next[slot] = slot + 1;
+        const index = indices[slot];
+        matches[j] = { index, duplicate: false };
+        last = index;
+    }
+    return matches;
+};
+
+// Collapse per-frame entries of the same type into contiguous ranges.
+const toRanges = (entries) => {
+    const ranges = [];
+    for (const e of entries) {
+        const r = ranges[ranges.length - 1];
+        const extendsRange = r && r.type === e.type
+            && (e.manifest === null) === (r.manifest === null)
+            && (e.video === null) === (r.video === null)
+            && (e.manifest === null || e.manifest === r.manifest[1] + 1)
+            && (e.video === null || e.video === r.video[1] + 1);
+        if (extendsRange) {
+            if (e.manifest !== null) r.manifest[1] = e.manifest;
+            if (e.video !== null) r.video[1] = e.video;
+            r.count += 1;
+        } else {
+            ranges.push({
+                type: e.type,
+                manifest: e.manifest === null ? null : [e.manifest, e.manifest],
+                video: e.video === null ? null : [e.video, e.video],
+                count: 1
+            });
+        }
+    }
+    return ranges;
+};
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+const rangeTime = (range, frameRate) => {
+    if (!range || !frameRate) return null;
+    return { startSec: round3((range[0] - 1) / frameRate), endSec: round3(range[1] / frameRate) };
+};
+
+/**
+ * Align video frame hashes against manifest frame hashes and classify differences.
+ *
+ * @param {string[]} manifestHashes frameHashSha256 values in manifest order
+ * @param {string[]} videoHashes recomputed hashes in extraction order
+ * @param {{ frameRate?: number }} [options] used to convert frame ranges to media time
+ * @returns {{ intact: boolean, matchedFrames: number, summary: object, differences: object[], anchors: number[][] }}
+ *   anchors are the in-order [manifestFrame, videoFrame] pairs (1-based)
+ */
+const diffFrames = (manifestHashes, videoHashes, { frameRate } = {}) => {
+    const matches = matchFrames(manifestHashes, videoHashes);
+
+    const firstMatches = [];
+    matches.forEach((m, j) => { if (m && !m.duplicate) firstMatches.push(j); });
+    const anchorPositions = longestIncreasingSubsequence(firstMatches.map((j) => matches[j].index));
+    const isAnchor = new Array(videoHashes.length).fill(false);
+    anchorPositions.forEach((p) => { isAnchor[firstMatches[p]] = true; });
+
+    const matchedManifest = new Array(manifestHashes.length).fill(false);
+    matches.forEach((m) => { if (m && !m.duplicate) matchedManifest[m.index] = true; });
+
+    const entries = [];
+    const flushGap = (videoGap, manifestGap) => {
+        const paired = Math.min(videoGap.length, manifestGap.length);
+        for (let k = 0; k < paired; k++) {
+            entries.push({ type: 'modified', manifest: manifestGap[k] + 1, video: videoGap[k] + 1 });
+        }
+        for (let k = paired; k < videoGap.length; k++) {
+            entries.push({ type: 'inserted', manifest: null, video: videoGap[k] + 1 });
+        }
+        for (let k = paired; k < manifestGap.length; k++) {
+            entries.push({ type: 'dropped', manifest: manifestGap[k] + 1, video: null });
+        }
+    };
+
+    // Walk anchors in order; the gaps between consecutive anchors hold the differences.
+    let prevVideo = -1;
+    let prevManifest = -1;
+    const anchors = firstMatches.filter((j) => isAnchor[j]);
+    for (const j of [...anchors, videoHashes.length]) {
+        const manifestEnd = j < videoHashes.length ? matches[j].index : manifestHashes.length;
+        const videoGap = [];
+        for (let v = prevVideo + 1; v < j; v++) {
+            const m = matches[v];
+            if (m === null) videoGap.push(v);
+            else entries.push({ type: m.duplicate ? 'duplicated' : 'reordered', manifest: m.index + 1, video: v + 1 });
+        }
+        const manifestGap = [];
+        for (let i = prevManifest + 1; i < manifestEnd; i++) {
+            if (!matchedManifest[i]) manifestGap.push(i);
+        }
+        flushGap(videoGap, manifestGap);
+        prevVideo = j;
+        prevManifest = manifestEnd;
+    }
+
+    const differences = toRanges(entries).map((r) => ({
+        ...r,
+        time: {
+            original: rangeTime(r.manifest, frameRate),
+            video: rangeTime(r.video, frameRate)
+        }
+    }));
+    const summary = Object.fromEntries(TYPES.map((t) => [t, 0]));
+    for (const e of entries) summary[e.type] += 1;
+
+    return {
+        intact: entries.length === 0 && manifestHashes.length === videoHashes.length,
+        matchedFrames: anchors.length,
+        summary,
+        differences,
+        anchors: anchors.map((j) => [matches[j].index + 1, j + 1])
+    };
+};
+
+module.exports = {
+    diffFrames
+};
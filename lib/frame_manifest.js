@@ -0,0 +1,94 @@
+const { verifyMerkleProof } = require('./merkle');
+const { sha256Hex } = require('./frames');
+const { frameTiming, merkleLeafHex } = require('./frame_messages');
+const { verifyClaim, signingOf } = require('./signers');
+const { createFramePool } = require('./frame_pool');
+
+// -------------------------------
+// Frames manifest checks
+// -------------------------------
+// Shared by verify_frames.js (whole video) and verify_clip.js (excerpts).
+const FRAMES_SCHEMA = 'crypto-video-frames-manifest@1';
+
+/**
+ * Parse and sanity-check a frames_manifest.json buffer.
+ * @returns {{ manifest: object, manifestSha256Hex: string }}
+ */
+const parseFramesManifest = (manifestBuffer) => {
+    const parsed = JSON.parse(manifestBuffer.toString('utf8'));
+    if (!parsed || parsed.schema !== FRAMES_SCHEMA) {
+        throw new Error(`Unsupported manifest schema: ${parsed && parsed.schema}`);
+    }
+    if (!Array.isArray(parsed.frames) || parsed.frames.length === 0) {
+        throw new Error('Manifest has no frames');
+    }
+    for (let i = 0; i < parsed.frames.length; i++) {
+        if (parsed.frames[i].frameNumber !== i + 1) {
+            throw new Error(`Frame number out of order at index ${i}: ${parsed.frames[i].frameNumber} !== ${i + 1}`);
+        }
+    }
+    return { manifest: parsed, manifestSha256Hex: sha256Hex(manifestBuffer) };
+};
+
+// SHA-256 of the manifest as first written, i.e. without its own rfc3161 field;
+// that is what the timestamp token covers
+const unstampedManifestSha256 = (manifest) => {
+    const { rfc3161, ...unstamped } = manifest;
+    return sha256Hex(Buffer.from(JSON.stringify(unstamped, null, 2), 'utf8'));
+};
+
+/**
+ * Check the signature (or Merkle proof) of manifest entries against the
+ * manifest's own hashes. Independent of the video, so it never stops early.
+ * @param {number[]} [frameNumbers] entries to check; all of them by default
+ * @param {{ pool?: object }} [options] frame pool (lib/frame_pool.js) for the signature checks
+ * @returns {Promise<number[]>} frame numbers of the entries that fail
+ */
+const findBadManifestEntries = async (manifest, frameNumbers = null, { pool = createFramePool() } = {}) => {
+    const { startTimestampMs, signer } = manifest;
+    const signing = signingOf(signer);
+    const frames = frameNumbers ? frameNumbers.map((n) => manifest.frames[n - 1]) : manifest.frames;
+    const bad = [];
+    if (manifest.mode === 'merkle') {
+        const { merkle } = manifest;
+        const { message: rootMsg, addrOk, pubOk, recoveredAddress } = await verifyClaim(signing, 'FrameRootClaim', {
+            startTimestampMs, frameCount: merkle.frameCount, merkleRootSha256: merkle.root
+        }, merkle.signature, signer.address, signer.publicKey);
+        if (rootMsg !== merkle.message || merkle.frameCount !== manifest.frames.length || !addrOk || !pubOk) {
+            throw new Error(`Merkle root signature verification failed. Recovered addr=${recoveredAddress}`);
+        }
+        for (const f of frames) {
+            if (!verifyMerkleProof(merkleLeafHex(manifest, f, f.frameHashSha256), f.proof, merkle.root, f.frameNumber - 1, merkle.frameCount)) bad.push(f.frameNumber);
+        }
+        return bad;
+    }
+    const results = await pool.map('verify', frames.map((f) => ({
+        kind: 'FrameClaim',
+        claim: {
+            startTimestampMs,
+            frameNumber: f.frameNumber,
+            frameHashSha256: f.frameHashSha256,
+            timing: frameTiming(manifest, f)
+        },
+        signature: f.signature
+    })), { signing, expectedAddress: signer.address, expectedPublicKey: signer.publicKey });
+    frames.forEach((f, i) => {
+        const { message: msg, addrOk, pubOk } = results[i];
+        if (msg !== f.message || !addrOk || !pubOk) bad.push(f.frameNumber);
+    });
+    return bad;
+};
+
+// Rational time base "num/den" in seconds
+const timeBaseSeconds = (timeBase) => {
+    const [num, den] = String(timeBase).split('/').map(Number);
+    return num / den;
+};
+
+module.exports = {
+    FRAMES_SCHEMA,
+    parseFramesManifest,
+    unstampedManifestSha256,
+    findBadManifestEntries,
+    timeBaseSeconds
+};
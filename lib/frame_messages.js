@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// -------------------------------
+// Signed frame messages
+// -------------------------------
+// Manifests with a `timing` section bind each frame's presentation timestamp,
+// duration and time base into its message, so retimed copies (slowed down,
+// stretched, different frame rate) fail verification. Older manifests have no
+// timing and keep the original three-field message.
+
+const buildMessageString = (startTimestampMs, frameNumber, frameHashSha256, timing) => {
+    // Stable key order
+    if (!timing) {
+        return JSON.stringify({
+            startTimestampMs,
+            frameNumber,
+            frameHashSha256
+        });
+    }
+    return JSON.stringify({
+        startTimestampMs,
+        frameNumber,
+        frameHashSha256,
+        pts: timing.pts,
+        duration: timing.duration,
+        timeBase: timing.timeBase
+    });
+};
+
+// Timing of one manifest frame entry, or null for manifests without timing
+const frameTiming = (manifest, frame) => {
+    if (!manifest.timing) return null;
+    return { pts: frame.pts, duration: frame.duration, timeBase: manifest.timing.timeBase };
+};
+
+// Merkle leaf input (hex). With timing the leaf commits to the whole frame
+// message, otherwise only to the frame hash.
+const merkleLeafHex = (manifest, frame, frameHashSha256) => {
+    const timing = frameTiming(manifest, frame);
+    if (!timing) return frameHashSha256;
+    const message = buildMessageString(manifest.startTimestampMs, frame.frameNumber, frameHashSha256, timing);
+    return crypto.createHash('sha256').update(message, 'utf8').digest('hex');
+};
+
+module.exports = {
+    buildMessageString,
+    frameTiming,
+    merkleLeafHex
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { ethers } = require('ethers');
+const { flagValue } = require('./cli');
+const { createSigner, verifyClaim } = require('./signers');
+
+// -------------------------------
+// Worker-thread pool for per-frame work
+// -------------------------------
+// Hashing frame files, signing FrameClaims and verifying claim signatures are
+// independent per frame, so they are spread over worker threads. map() takes
+// an ordered list and resolves to the results in the same order, whatever
+// order the workers finish in; the tasks themselves are the code that runs
+// with --threads=1 (no workers), so the output is the same byte for byte
+// (ECDSA signatures are deterministic, RFC 6979).
+//
+// Tasks:
+//   hash    file path                                -> SHA-256 hex
+//   sign    { filePath | frameHashSha256, claim without the hash } -> { frameHashSha256, signed }
+//   verify  { kind, claim, signature }, context { signing, expectedAddress, expectedPublicKey }
+//           -> verifyClaim result
+//
+// This file is also the worker script.
+const CHUNK_SIZE = 16;
+
+const sha256File = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+const createTasks = (signer) => ({
+    hash: async (filePath) => sha256File(filePath),
+    // Streamed frames arrive already hashed
+    sign: async ({ filePath, frameHashSha256 = sha256File(filePath), claim }) => {
+        if (!signer) throw new Error('Pool was created without a signing key');
+        return { frameHashSha256, signed: await signer.sign('FrameClaim', { ...claim, frameHashSha256 }) };
+    },
+    verify: async ({ kind, claim, signature }, { signing, expectedAddress, expectedPublicKey }) => {
+        return verifyClaim(signing, kind, claim, signature, expectedAddress, expectedPublicKey);
+    }
+});
+
+// Wallets cross the thread boundary as their private key; KeyObjects clone as they are
+const keyForWorker = (key) => (key && !(key instanceof crypto.KeyObject) ? key.privateKey : key);
+const keyFromParent = (key) => (typeof key === 'string' ? new ethers.Wallet(key) : key);
+
+const runChunk = async (tasks, op, items, context) => {
+    const task = tasks[op];
+    if (!task) throw new Error(`Unknown pool task: ${op}`);
+    const out = [];
+    for (const item of items) out.push(await task(item, context));
+    return out;
+};
+
+if (!isMainThread && workerData && workerData.framePool) {
+    const { signing, key } = workerData;
+    const tasks = createTasks(key ? createSigner(signing, keyFromParent(key)) : null);
+    parentPort.on('message', async ({ id, op, items, context }) => {
+        try {
+            parentPort.postMessage({ id, results: await runChunk(tasks, op, items, context) });
+        } catch (err) {
+            parentPort.postMessage({ id, error: err.message || String(err) });
+        }
+    });
+}
+
+/**
+ * Worker count from --threads=<n> or FRAME_THREADS; defaults to the CPU count.
+ */
+const parseThreadOptions = (args, env = process.env) => {
+    const raw = flagValue(args, 'threads') || env.FRAME_THREADS || null;
+    if (raw === null) return { threads: os.cpus().length };
+    const threads = Number(raw);
+    if (!Number.isInteger(threads) || threads < 1) throw new Error(`Invalid --threads: ${raw}`);
+    return { threads };
+};
+
+/**
+ * Start a pool. With threads <= 1 the tasks run on the calling thread.
+ * `signing` and `key` (wallet or Ed25519 KeyObject, as given to createSigner)
+ * are only needed for the sign task.
+ * @returns {{ threads: number, map: (op: string, items: any[], context?: object) => Promise<any[]>, close: () => Promise<void> }}
+ */
+const createFramePool = ({ threads = 1, signing = null, key = null } = {}) => {
+    if (threads <= 1) {
+        const tasks = createTasks(key ? createSigner(signing, key) : null);
+        return {
+            threads: 1,
+            map: (op, items, context = {}) => runChunk(tasks, op, items, context),
+            close: async () => { }
+        };
+    }
+
+    const idle = [];
+    const queue = [];
+    const pending = new Map();
+    let nextId = 0;
+
+    const dispatch = () => {
+        while (idle.length && queue.length) {
+            const worker = idle.pop();
+            const job = queue.shift();
+            pending.set(job.message.id, { ...job, worker });
+            // Referenced only while busy: an idle pool never keeps the process alive
+            worker.ref();
+            worker.postMessage(job.message);
+        }
+    };
+
+    const workers = Array.from({ length: threads }, () => {
+        const worker = new Worker(__filename, { workerData: { framePool: true, signing, key: keyForWorker(key) } });
+        worker.on('message', ({ id, results, error }) => {
+            const job = pending.get(id);
+            pending.delete(id);
+            worker.unref();
+            idle.push(worker);
+            if (error) job.reject(new Error(error));
+            else job.resolve(results);
+            dispatch();
+        });
+        worker.on('error', (err) => {
+            for (const [id, job] of pending) {
+                if (job.worker !== worker) continue;
+                pending.delete(id);
+                job.reject(err);
+            }
+        });
+        worker.unref();
+        idle.push(worker);
+        return worker;
+    });
+
+    const map = async (op, items, context = {}) => {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+            chunks.push(new Promise((resolve, reject) => {
+                queue.push({ message: { id: nextId++, op, items: items.slice(i, i + CHUNK_SIZE), context }, resolve, reject });
+            }));
+        }
+        dispatch();
+        return (await Promise.all(chunks)).flat();
+    };
+
+    return {
+        threads,
+        map,
+        close: async () => {
+            await Promise.all(workers.map((w) => w.terminate()));
+        }
+    };
+};
+
+module.exports = {
+    parseThreadOptions,
+    createFramePool
+};
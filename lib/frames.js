@@ -0,0 +1,304 @@
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const { createFramePool } = require('./frame_pool');
+
+// Used by signing and verification alike, so the extracted PNGs hash the same.
+const FRAME_PATTERN = 'frame_%06d.png';
+
+// Streaming mode: frames are decoded to packed raw pixels and read from ffmpeg's
+// stdout, so nothing is written to disk. Bytes per pixel of the accepted formats.
+const RAW_PIXEL_FORMATS = { rgb24: 3, bgr24: 3, rgba: 4, gray: 1 };
+const STREAM_PIXEL_FORMAT = 'rgb24';
+
+// Frame-rate throttling: ffmpeg's fps filter keeps `frameRate` frames per second
+// (duplicating or dropping by timestamp) ahead of the other filters. Manifests
+// signed that way record it as `sampling`, and verifiers sample the same way.
+const parseFrameRate = (raw) => {
+    if (raw === null || raw === undefined) return null;
+    const rate = Number(raw);
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error(`Invalid frame rate: ${raw}`);
+    return rate;
+};
+const videoFilters = (frameRate, ...filters) => [...(frameRate ? [`fps=${frameRate}`] : []), ...filters].join(',');
+
+const sha256Hex = (buffer) => {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+const listPngFilesSorted = async (dirPath) => {
+    const entries = await fsp.readdir(dirPath, { withFileTypes: true });
+    return entries
+        .filter((e) => e.isFile() && e.name.toLowerCase().endsWith('.png'))
+        .map((e) => e.name)
+        .sort();
+};
+
+// showinfo logs one line per frame, e.g.
+//   [Parsed_showinfo_0 @ 0x..] n:   3 pts:   1536 pts_time:0.1     duration:    512 duration_time:0.0333 ...
+// and the input time base once: "config in time_base: 1/15360, frame_rate: 30/1"
+const parseShowinfo = (stderr) => {
+    const tb = stderr.match(/config in time_base:\s*(\d+\/\d+)/);
+    const frames = [];
+    const re = /\bn:\s*(\d+)\s+pts:\s*(-?\d+)\s+pts_time:\s*(-?[\d.]+)(?:.*?\bduration:\s*(\d+))?/g;
+    let m;
+    while ((m = re.exec(stderr)) !== null) {
+        frames.push({
+            pts: Number(m[2]),
+            ptsTime: Number(m[3]),
+            duration: m[4] === undefined ? null : Number(m[4])
+        });
+    }
+    return { timeBase: tb ? tb[1] : null, frames };
+};
+
+/**
+ * Extract every frame to PNG. With { timing: true } the frames also pass through
+ * the showinfo filter (a pass-through, so PNG bytes are unchanged) and the
+ * per-frame presentation timestamps are returned as { timeBase, frames }.
+ * { frameRate } extracts that many frames per second instead of every frame.
+ */
+const runFfmpegExtractFrames = (inputVideoPath, outputDir, framePattern = FRAME_PATTERN, { timing = false, frameRate = null } = {}) => {
+    return new Promise((resolve, reject) => {
+        const outputTemplate = path.join(outputDir, framePattern);
+        const filters = videoFilters(frameRate, ...(timing ? ['showinfo'] : []));
+        const args = [
+            '-hide_banner',
+            '-nostats',
+            // showinfo reports at info level
+            '-loglevel', timing ? 'info' : 'error',
+            '-i', inputVideoPath,
+            '-vsync', '0',
+            ...(filters ? ['-vf', filters] : []),
+            outputTemplate
+        ];
+
+        const child = spawn(ffmpegPath, args, { stdio: timing ? ['ignore', 'ignore', 'pipe'] : 'inherit' });
+        let err = '';
+        if (timing) child.stderr.on('data', (d) => (err += d.toString()));
+        child.on('error', (e) => reject(e));
+        child.on('exit', (code) => {
+            if (code !== 0) {
+                const tail = err.trim().split(/\r?\n/).slice(-5).join('\n');
+                return reject(new Error(`ffmpeg exited with code ${code}${tail ? `\n${tail}` : ''}`));
+            }
+            resolve(timing ? parseShowinfo(err) : undefined);
+        });
+    });
+};
+
+// Name of a streamed frame in the manifest; a raw dump of that frame
+// (ffmpeg -f rawvideo -pix_fmt <format>) hashes to its frameHashSha256
+const streamFrameName = (frameNumber, pixelFormat) => `frame_${String(frameNumber).padStart(6, '0')}.${pixelFormat}`;
+
+const bytesPerPixelOf = (pixelFormat) => {
+    const bytesPerPixel = RAW_PIXEL_FORMATS[pixelFormat];
+    if (!bytesPerPixel) throw new Error(`Unsupported pixel format for streaming: ${pixelFormat} (expected ${Object.keys(RAW_PIXEL_FORMATS).join(', ')})`);
+    return bytesPerPixel;
+};
+
+/**
+ * Split ffmpeg's rawvideo output into frames using the showinfo lines on its
+ * stderr, and yield each one hashed, as streamFrameHashes does. `exited`
+ * resolves to ffmpeg's exit code.
+ */
+const splitRawFrames = async function* (stdout, stderr, exited, pixelFormat) {
+    const bytesPerPixel = bytesPerPixelOf(pixelFormat);
+    // showinfo lines are parsed as they arrive; a frame's line is logged before
+    // its pixels are written, but the two pipes are read independently
+    let timeBase = null;
+    const infos = [];
+    const otherLines = [];
+    let partial = '';
+    let stderrDone = false;
+    let wake = null;
+    const notify = () => {
+        if (wake) wake();
+        wake = null;
+    };
+    stderr.on('data', (d) => {
+        const lines = (partial + d.toString()).split(/\r?\n/);
+        partial = lines.pop();
+        for (const line of lines) {
+            const tb = line.match(/config in time_base:\s*(\d+\/\d+)/);
+            const m = line.match(/\bn:\s*(\d+)\s+pts:\s*(-?\d+)\s+pts_time:\s*(-?[\d.]+)(?:.*?\bduration:\s*(\d+))?/);
+            const size = line.match(/\bs:(\d+)x(\d+)/);
+            if (tb && !timeBase) timeBase = tb[1];
+            if (m && size) {
+                infos.push({
+                    pts: Number(m[2]),
+                    ptsTime: Number(m[3]),
+                    duration: m[4] === undefined ? null : Number(m[4]),
+                    width: Number(size[1]),
+                    height: Number(size[2])
+                });
+            } else if (!m && line.trim()) {
+                otherLines.push(line);
+                if (otherLines.length > 5) otherLines.shift();
+            }
+        }
+        notify();
+    });
+    stderr.on('end', () => {
+        stderrDone = true;
+        notify();
+    });
+    const infoFor = async (index) => {
+        while (infos.length <= index && !stderrDone) await new Promise((resolve) => { wake = resolve; });
+        if (infos.length <= index) throw new Error(`ffmpeg reported no timing for frame ${index + 1}`);
+        return infos[index];
+    };
+    const failure = (message) => new Error(`${message}${otherLines.length ? `\n${otherLines.join('\n')}` : ''}`);
+
+    let index = 0;
+    let frame = null;
+    for await (const chunk of stdout) {
+        let offset = 0;
+        while (offset < chunk.length) {
+            if (!frame) {
+                const info = await infoFor(index);
+                if (!timeBase) throw failure('Could not determine video time base');
+                if (index > 0 && (info.width !== infos[0].width || info.height !== infos[0].height)) {
+                    throw failure(`Frame size changed at frame ${index + 1} (${infos[0].width}x${infos[0].height} -> ${info.width}x${info.height}); not supported when streaming`);
+                }
+                frame = { info, remaining: info.width * info.height * bytesPerPixel, hash: crypto.createHash('sha256') };
+            }
+            const take = Math.min(frame.remaining, chunk.length - offset);
+            frame.hash.update(chunk.subarray(offset, offset + take));
+            frame.remaining -= take;
+            offset += take;
+            if (frame.remaining === 0) {
+                const { pts, ptsTime, duration, width, height } = frame.info;
+                const frameHashSha256 = frame.hash.digest('hex');
+                frame = null;
+                index += 1;
+                yield { frameNumber: index, frameHashSha256, pts, ptsTime, duration, width, height, timeBase };
+            }
+        }
+    }
+    const code = await exited;
+    if (code !== 0) throw failure(`ffmpeg exited with code ${code}`);
+    if (frame) throw failure(`Stream ended inside frame ${index + 1}`);
+    if (index === 0) throw failure('No frames were decoded');
+    if (infos.length !== index) throw failure(`Timing count mismatch: ${index} frames, ${infos.length} timestamps`);
+};
+
+/**
+ * Decode every frame to raw `pixelFormat` over a pipe and yield each one as it
+ * arrives, hashed but never stored:
+ *   { frameNumber, frameHashSha256, pts, ptsTime, duration, width, height, timeBase }
+ * Timing and frame size come from showinfo (placed after the format conversion,
+ * so it reports the piped frames). Memory does not depend on the frame count;
+ * ffmpeg is paused while the consumer is busy. { frameRate } throttles as above.
+ */
+const streamFrameHashes = async function* (videoPath, { pixelFormat = STREAM_PIXEL_FORMAT, frameRate = null } = {}) {
+    bytesPerPixelOf(pixelFormat);
+    const args = [
+        '-hide_banner',
+        '-nostats',
+        '-loglevel', 'info',
+        '-i', videoPath,
+        '-vsync', '0',
+        '-an', '-sn',
+        '-vf', videoFilters(frameRate, `format=${pixelFormat}`, 'showinfo'),
+        '-f', 'rawvideo',
+        '-pix_fmt', pixelFormat,
+        'pipe:1'
+    ];
+    const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const exited = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('exit', (code) => resolve(code));
+    });
+    try {
+        yield* splitRawFrames(child.stdout, child.stderr, exited, pixelFormat);
+    } finally {
+        if (child.exitCode === null) child.kill();
+    }
+};
+
+/**
+ * Re-extract every frame of a video into a private temp folder (same settings as
+ * sign_frames.js) and return the frame file names and SHA-256 hashes in order,
+ * plus presentation timing when { timing: true }. Frames are hashed on `pool`
+ * (lib/frame_pool.js) when one is given.
+ * The temp folder is removed before returning. With the `frameFormat` of a
+ * streamed manifest the frames are piped in that format instead, no folder.
+ * Pass the manifest's `sampling` to extract at its frame rate.
+ */
+const extractFrameHashes = async (videoPath, { timing = false, pool = createFramePool(), frameFormat = null, sampling = null } = {}) => {
+    const frameRate = sampling ? sampling.frameRate : null;
+    if (frameFormat) {
+        if (frameFormat.encoding !== 'rawvideo') throw new Error(`Unsupported frame encoding: ${frameFormat.encoding}`);
+        const files = [];
+        const hashes = [];
+        const frames = [];
+        let timeBase = null;
+        for await (const f of streamFrameHashes(videoPath, { pixelFormat: frameFormat.pixelFormat, frameRate })) {
+            files.push(streamFrameName(f.frameNumber, frameFormat.pixelFormat));
+            hashes.push(f.frameHashSha256);
+            frames.push({ pts: f.pts, ptsTime: f.ptsTime, duration: f.duration });
+            timeBase = f.timeBase;
+        }
+        return { files, hashes, timings: timing ? { timeBase, frames } : undefined };
+    }
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'verify-frames-'));
+    try {
+        const timings = await runFfmpegExtractFrames(videoPath, workDir, FRAME_PATTERN, { timing, frameRate });
+        const files = await listPngFilesSorted(workDir);
+        const hashes = await pool.map('hash', files.map((f) => path.join(workDir, f)));
+        return { files, hashes, timings };
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+// ffmpeg's input summary on stderr (ffmpeg-static ships without ffprobe)
+const readInputSummary = (videoPath) => {
+    return new Promise((resolve) => {
+        const child = spawn(ffmpegPath, ['-hide_banner', '-i', videoPath], { stdio: ['ignore', 'ignore', 'pipe'] });
+        let err = '';
+        child.stderr.on('data', (d) => (err += d.toString()));
+        child.on('error', () => resolve(''));
+        // ffmpeg exits non-zero without an output file; the summary is still printed
+        child.on('exit', () => resolve(err));
+    });
+};
+
+/**
+ * Read the video stream frame rate. Returns null when it cannot be determined.
+ */
+const probeFrameRate = async (videoPath) => {
+    const m = (await readInputSummary(videoPath)).match(/Video:.*?,\s*([\d.]+)\s*fps/);
+    return m ? Number(m[1]) : null;
+};
+
+/**
+ * Read the container creation_time (when the camera started recording) as epoch
+ * milliseconds. Returns null when the tag is missing or unparsable.
+ */
+const probeCreationTime = async (videoPath) => {
+    const m = (await readInputSummary(videoPath)).match(/creation_time\s*:\s*(\S+)/);
+    const ms = m ? Date.parse(m[1]) : NaN;
+    return Number.isFinite(ms) ? ms : null;
+};
+
+module.exports = {
+    FRAME_PATTERN,
+    RAW_PIXEL_FORMATS,
+    STREAM_PIXEL_FORMAT,
+    parseFrameRate,
+    streamFrameName,
+    splitRawFrames,
+    streamFrameHashes,
+    sha256Hex,
+    listPngFilesSorted,
+    runFfmpegExtractFrames,
+    extractFrameHashes,
+    readInputSummary,
+    probeFrameRate,
+    probeCreationTime
+};
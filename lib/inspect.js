@@ -0,0 +1,86 @@
+const fs = require('fs');
+const { sha256Hex } = require('./frames');
+const { detectContainer } = require('./containers');
+const { readMetadataTags } = require('./metadata');
+const { readEmbeddedManifest } = require('./embed');
+const { parseFramesManifest } = require('./frame_manifest');
+
+// -------------------------------
+// Inspect without verifying
+// -------------------------------
+// Reads what the signing tools stored in a video: the whole-file signature
+// payload (comment tag), the frame-manifest tags and the embedded frames
+// manifest. Nothing is checked; verify_video.js / verify_frames.js do that.
+
+const parseJsonTag = (value) => {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (_) {
+        return { unparsed: value };
+    }
+};
+
+// Manifest head without the per-frame entries and audio chunks
+const summarizeManifest = (manifest) => {
+    const { frames, audio, ...head } = manifest;
+    return {
+        ...head,
+        frameCount: frames.length,
+        ...(audio ? { audio: { ...audio, streams: audio.streams.map(({ chunks, ...stream }) => ({ ...stream, chunkCount: chunks.length })) } } : {})
+    };
+};
+
+/**
+ * What a video carries, as stored.
+ * @param {string} input the video
+ * @param {{ fullManifest?: boolean }} [options] include every manifest entry instead of a summary
+ * @returns {Promise<{ video: string, container: string, payloadLocation: string, payload: object|null,
+ *   tags: object, anchor: object|null, manifest: object|null }>}
+ */
+const inspectVideo = async (input, { fullManifest = false } = {}) => {
+    if (!fs.existsSync(input)) throw new Error(`Video not found: ${input}`);
+    const container = await detectContainer(input);
+    // Native container parser first; ffmpeg as a fallback for files it cannot parse
+    let payloadLocation = container.payloadLocation;
+    const tags = await container.readTags(input).catch(() => {
+        payloadLocation = 'comment tag (read with ffmpeg)';
+        return readMetadataTags(input);
+    });
+    const embedded = await readEmbeddedManifest(input);
+    let manifest = null;
+    if (embedded) {
+        manifest = {
+            location: embedded.location,
+            compressed: Boolean(embedded.compressed),
+            bytes: embedded.manifestBuffer.length,
+            sha256: sha256Hex(embedded.manifestBuffer)
+        };
+        try {
+            const { manifest: parsed } = parseFramesManifest(embedded.manifestBuffer);
+            manifest.content = fullManifest ? parsed : summarizeManifest(parsed);
+        } catch (err) {
+            manifest.error = err.message;
+        }
+    }
+    return {
+        video: input,
+        container: container.name,
+        payloadLocation,
+        // sign_video.js
+        payload: parseJsonTag((tags.comment || '').trim()),
+        // sign_frames.js
+        tags: {
+            artist: tags.artist || null,
+            album: tags.album || null,
+            title: tags.title || null,
+            description: tags.description || null
+        },
+        anchor: parseJsonTag(tags.anchor),
+        manifest
+    };
+};
+
+module.exports = {
+    inspectVideo
+};
@@ -0,0 +1,109 @@
+// -------------------------------
+// JUMBF (ISO/IEC 19566-5) boxes
+// -------------------------------
+// A superbox ('jumb') starts with a description box ('jumd': 16-byte content
+// type UUID, toggles, NUL-terminated label) followed by content boxes (e.g.
+// 'cbor', 'json') or nested superboxes. Box headers are the ISO-BMFF ones.
+
+// C2PA content types are "<4cc>-0011-0010-8000-00AA00389B71"
+const c2paType = (fourcc) => Buffer.concat([Buffer.from(fourcc, 'latin1'), Buffer.from('00110010800000aa00389b71', 'hex')]);
+
+const TYPES = {
+    manifestStore: c2paType('c2pa'),
+    manifest: c2paType('c2ma'),
+    assertionStore: c2paType('c2as'),
+    claim: c2paType('c2cl'),
+    claimSignature: c2paType('c2cs'),
+    cbor: c2paType('cbor'),
+    json: c2paType('json')
+};
+
+// requestable | label present
+const TOGGLES_LABELLED = 0x03;
+
+const box = (type, content) => {
+    if (content.length + 8 > 0xffffffff) throw new Error(`JUMBF ${type} box too large`);
+    const h = Buffer.alloc(8);
+    h.writeUInt32BE(content.length + 8, 0);
+    h.write(type, 4, 'latin1');
+    return Buffer.concat([h, content]);
+};
+
+const descriptionBox = (typeUuid, label) => box('jumd', Buffer.concat([
+    typeUuid,
+    Buffer.from([TOGGLES_LABELLED]),
+    Buffer.from(label, 'utf8'),
+    Buffer.from([0])
+]));
+
+/**
+ * Superbox with a labelled description and the given child boxes.
+ */
+const superbox = (typeUuid, label, children) => box('jumb', Buffer.concat([descriptionBox(typeUuid, label), ...children]));
+
+const contentBox = (type, data) => box(type, data);
+
+const readBoxes = (buf, start = 0, end = buf.length) => {
+    const out = [];
+    let pos = start;
+    while (pos < end) {
+        if (end - pos < 8) throw new Error(`Truncated JUMBF box at offset ${pos}`);
+        let size = buf.readUInt32BE(pos);
+        const type = buf.toString('latin1', pos + 4, pos + 8);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(buf.readBigUInt64BE(pos + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - pos;
+        }
+        if (size < headerSize || pos + size > end) throw new Error(`Invalid JUMBF ${type} box size ${size} at offset ${pos}`);
+        out.push({ type, start: pos, contentStart: pos + headerSize, end: pos + size });
+        pos += size;
+    }
+    return out;
+};
+
+const parseDescription = (buf, b) => {
+    const typeUuid = buf.subarray(b.contentStart, b.contentStart + 16);
+    const toggles = buf[b.contentStart + 16];
+    let label = null;
+    if (toggles & 0x02) {
+        const labelStart = b.contentStart + 17;
+        const nul = buf.indexOf(0, labelStart);
+        if (nul === -1 || nul >= b.end) throw new Error('Unterminated JUMBF label');
+        label = buf.toString('utf8', labelStart, nul);
+    }
+    return { type: typeUuid.toString('hex'), label };
+};
+
+/**
+ * Parse a superbox.
+ * @returns {{ type: string, label: string|null, boxes: object[], superboxes: object[], content: Buffer }}
+ *   type is the content type UUID (hex); boxes are the content boxes { type, data };
+ *   content is the superbox payload after its header (what C2PA assertion hashes cover)
+ */
+const parseSuperbox = (buf, start = 0, end = buf.length) => {
+    const [outer] = readBoxes(buf, start, end).slice(0, 1);
+    if (!outer || outer.type !== 'jumb') throw new Error('Not a JUMBF superbox');
+    const children = readBoxes(buf, outer.contentStart, outer.end);
+    if (!children.length || children[0].type !== 'jumd') throw new Error('JUMBF superbox without description box');
+    const node = {
+        ...parseDescription(buf, children[0]),
+        boxes: [],
+        superboxes: [],
+        content: buf.subarray(outer.contentStart, outer.end)
+    };
+    for (const child of children.slice(1)) {
+        if (child.type === 'jumb') node.superboxes.push(parseSuperbox(buf, child.start, child.end));
+        else node.boxes.push({ type: child.type, data: buf.subarray(child.contentStart, child.end) });
+    }
+    return node;
+};
+
+module.exports = {
+    TYPES,
+    superbox,
+    contentBox,
+    parseSuperbox
+};
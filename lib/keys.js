@@ -0,0 +1,173 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { flagValue } = require('./cli');
+const { createSigner, keyTypeFor, ed25519RawPublicKey, ed25519Address } = require('./signers');
+
+// -------------------------------
+// Signing key sources
+// -------------------------------
+// Checked in this order (flags win over environment variables):
+//  1. encrypted JSON keystore   --keystore=<file>      (KEYSTORE_PATH)
+//     password from a file      --password-file=<file> (KEYSTORE_PASSWORD_FILE), else a prompt
+//  2. BIP-39 mnemonic           --mnemonic-file=<file> (MNEMONIC)
+//     derivation path           --hd-path=<path>       (HD_PATH, default m/44'/60'/0'/0/0)
+//  3. raw private key           PRIVATE_KEY
+//  4. the public demo key, only with --insecure-demo-key
+// Any source that resolves to the demo key is refused without --insecure-demo-key.
+//
+// The ed25519 signature scheme uses its own key instead: a PKCS#8 PEM file,
+// --ed25519-key=<file> (ED25519_KEY_PATH), passphrase-protected or not; the
+// passphrase comes from --password-file or a prompt.
+
+// Published in this repository; anything signed with it proves nothing
+const DEMO_PRIVATE_KEY = '0x59c6995e998f97a5a0044976f83be7f7e7a5f0e7b39dbe7e5c5b8d6e7a5c7d6b';
+const DEMO_ADDRESS = new ethers.Wallet(DEMO_PRIVATE_KEY).address;
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0/0";
+
+/**
+ * Key options from CLI args (e.g. process.argv.slice(2)) and the environment.
+ */
+const parseKeyOptions = (args, env = process.env) => {
+    const keystorePath = flagValue(args, 'keystore') || env.KEYSTORE_PATH || null;
+    const passwordFile = flagValue(args, 'password-file') || env.KEYSTORE_PASSWORD_FILE || null;
+    const mnemonicFile = flagValue(args, 'mnemonic-file');
+    const ed25519KeyPath = flagValue(args, 'ed25519-key') || env.ED25519_KEY_PATH || null;
+    return {
+        keystorePath: keystorePath ? path.resolve(keystorePath) : null,
+        passwordFile: passwordFile ? path.resolve(passwordFile) : null,
+        mnemonicFile: mnemonicFile ? path.resolve(mnemonicFile) : null,
+        mnemonic: env.MNEMONIC || null,
+        hdPath: flagValue(args, 'hd-path') || env.HD_PATH || DEFAULT_HD_PATH,
+        privateKey: env.PRIVATE_KEY || null,
+        ed25519KeyPath: ed25519KeyPath ? path.resolve(ed25519KeyPath) : null,
+        allowDemoKey: args.includes('--insecure-demo-key')
+    };
+};
+
+// Trailing newline from `echo pw > file` is not part of the password
+const readSecretFile = async (filePath) => (await fsp.readFile(filePath, 'utf8')).replace(/\r?\n$/, '');
+
+/**
+ * Ask for a password on the terminal without echoing it.
+ */
+const promptPassword = (question) => {
+    return new Promise((resolve, reject) => {
+        if (!process.stdin.isTTY) {
+            return reject(new Error('Password required but stdin is not a terminal; use --password-file'));
+        }
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = (s) => {
+            if (s.startsWith(question)) rl.output.write(question);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+};
+
+const readPassword = async (passwordFile, question = 'Keystore password: ') => {
+    return passwordFile ? readSecretFile(passwordFile) : promptPassword(question);
+};
+
+const describeSource = (options) => {
+    if (options.keystorePath) return `keystore ${path.basename(options.keystorePath)}`;
+    if (options.mnemonicFile || options.mnemonic) return `mnemonic ${options.hdPath}`;
+    if (options.privateKey) return 'PRIVATE_KEY';
+    return 'demo key';
+};
+
+/**
+ * Resolve the signing wallet from the configured source.
+ * @returns {Promise<{ wallet: ethers.Wallet, source: string }>}
+ */
+const loadSigningWallet = async (options) => {
+    let wallet;
+    if (options.keystorePath) {
+        if (!fs.existsSync(options.keystorePath)) throw new Error(`Keystore not found: ${options.keystorePath}`);
+        const json = await fsp.readFile(options.keystorePath, 'utf8');
+        const password = await readPassword(options.passwordFile);
+        try {
+            wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+        } catch (_) {
+            throw new Error('Could not decrypt keystore (wrong password or corrupt file)');
+        }
+    } else if (options.mnemonicFile || options.mnemonic) {
+        const phrase = options.mnemonicFile ? await readSecretFile(options.mnemonicFile) : options.mnemonic;
+        if (!ethers.utils.isValidMnemonic(phrase.trim())) throw new Error('Invalid BIP-39 mnemonic');
+        wallet = ethers.Wallet.fromMnemonic(phrase.trim(), options.hdPath);
+    } else if (options.privateKey) {
+        wallet = new ethers.Wallet(options.privateKey);
+    } else if (options.allowDemoKey) {
+        wallet = new ethers.Wallet(DEMO_PRIVATE_KEY);
+    } else {
+        throw new Error('No signing key configured. Use --keystore=<file>, --mnemonic-file=<file>, MNEMONIC or PRIVATE_KEY '
+            + '(create one with `node keys.js generate`), or --insecure-demo-key for local experiments');
+    }
+
+    if (wallet.address === DEMO_ADDRESS && !options.allowDemoKey) {
+        throw new Error(`Refusing to sign with the public demo key (${DEMO_ADDRESS}); pass --insecure-demo-key to override`);
+    }
+    return { wallet, source: describeSource(options) };
+};
+
+/**
+ * Load an Ed25519 private key from a PKCS#8 PEM file.
+ * @returns {Promise<{ privateKey: crypto.KeyObject, source: string }>}
+ */
+const loadEd25519Key = async (options) => {
+    if (!options.ed25519KeyPath) {
+        throw new Error('The ed25519 scheme needs --ed25519-key=<file> or ED25519_KEY_PATH (create one with `node keys.js generate --type=ed25519`)');
+    }
+    if (!fs.existsSync(options.ed25519KeyPath)) throw new Error(`Ed25519 key not found: ${options.ed25519KeyPath}`);
+    const pem = await fsp.readFile(options.ed25519KeyPath, 'utf8');
+    const passphrase = pem.includes('ENCRYPTED PRIVATE KEY') ? await readPassword(options.passwordFile, 'Key passphrase: ') : undefined;
+    let privateKey;
+    try {
+        privateKey = crypto.createPrivateKey({ key: pem, format: 'pem', passphrase });
+    } catch (_) {
+        throw new Error('Could not read Ed25519 key (wrong passphrase or not a PKCS#8 PEM)');
+    }
+    if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error(`Not an Ed25519 key: ${privateKey.asymmetricKeyType}`);
+    return { privateKey, source: `ed25519 key ${path.basename(options.ed25519KeyPath)}` };
+};
+
+/**
+ * Load the key the signature scheme needs and bind it to its backend.
+ * `wallet` is the Ethereum wallet behind secp256k1 schemes (null for ed25519),
+ * reused for anchoring so a keystore password is asked only once. `key` is what
+ * the signer was created from (wallet or Ed25519 KeyObject), for lib/frame_pool.js.
+ * @returns {Promise<{ signer: object, source: string, wallet: ethers.Wallet|null, key: ethers.Wallet|crypto.KeyObject }>} see createSigner in lib/signers.js
+ */
+const loadSigner = async (options, signing) => {
+    if (keyTypeFor(signing.scheme) === 'ed25519') {
+        const { privateKey, source } = await loadEd25519Key(options);
+        return { signer: createSigner(signing, privateKey), source, wallet: null, key: privateKey };
+    }
+    const { wallet, source } = await loadSigningWallet(options);
+    return { signer: createSigner(signing, wallet), source, wallet, key: wallet };
+};
+
+// Signer id and public key of an Ed25519 KeyObject, for display
+const ed25519Identity = (keyObject) => {
+    const publicKey = ed25519RawPublicKey(keyObject);
+    return { address: ed25519Address(publicKey), publicKey };
+};
+
+module.exports = {
+    DEMO_PRIVATE_KEY,
+    DEMO_ADDRESS,
+    DEFAULT_HD_PATH,
+    parseKeyOptions,
+    readSecretFile,
+    readPassword,
+    loadSigningWallet,
+    loadEd25519Key,
+    loadSigner,
+    ed25519Identity
+};
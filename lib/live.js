@@ -0,0 +1,241 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { verifyClaim, signingOf } = require('./signers');
+
+// -------------------------------
+// Live segment signing
+// -------------------------------
+// sign_live.js follows an HLS output directory (or a plain directory of fMP4
+// fragments) and signs each file as it becomes complete:
+//  - with a media playlist, a segment is complete once the playlist lists it;
+//    #EXT-X-MAP init segments are signed as entries of their own and
+//    #EXT-X-ENDLIST ends the stream
+//  - without one, files are taken in name order once their size stops changing
+//
+// Every entry signs a SegmentClaim over (startTimestampMs, sequence, segment
+// SHA-256, previous entry's SHA-256, duration); the first entry chains to
+// ZERO_HASH. Dropping, inserting or reordering segments breaks the chain.
+// When the stream ends a StreamEndClaim seals the segment count and last hash,
+// so truncation is detectable too.
+//
+// The sidecar manifest (schema crypto-video-live-manifest@1, default
+// <dir>/signatures.json) is rewritten atomically after every segment, so
+// verify_live.js --follow can check it while the stream is still running.
+const LIVE_SCHEMA = 'crypto-video-live-manifest@1';
+const DEFAULT_MANIFEST_NAME = 'signatures.json';
+const ZERO_HASH = '0'.repeat(64);
+const SEGMENT_EXTENSIONS = new Set(['.ts', '.m4s', '.mp4', '.m4a', '.m4v', '.aac', '.cmfv', '.cmfa']);
+
+/**
+ * Parse an HLS media playlist.
+ * @returns {{ entries: Array<{ uri: string, type: 'init'|'media', durationMs: number }>, ended: boolean }}
+ */
+const parsePlaylist = (text) => {
+    const entries = [];
+    let ended = false;
+    let pendingDurationMs = null;
+    let currentInit = null;
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('#EXT-X-MAP:')) {
+            const m = /URI="([^"]+)"/.exec(line);
+            // Only a changed init segment becomes a new entry
+            if (m && m[1] !== currentInit) {
+                currentInit = m[1];
+                entries.push({ uri: m[1], type: 'init', durationMs: 0 });
+            }
+        } else if (line.startsWith('#EXTINF:')) {
+            pendingDurationMs = Math.round(parseFloat(line.slice('#EXTINF:'.length)) * 1000);
+        } else if (line === '#EXT-X-ENDLIST') {
+            ended = true;
+        } else if (!line.startsWith('#')) {
+            entries.push({ uri: line, type: 'media', durationMs: Number.isFinite(pendingDurationMs) ? pendingDurationMs : 0 });
+            pendingDurationMs = null;
+        }
+    }
+    return { entries, ended };
+};
+
+/**
+ * Media playlist in a directory: the given name, else the only .m3u8 file.
+ * @returns {string|null}
+ */
+const findPlaylist = async (dir, name = null) => {
+    if (name) return path.resolve(dir, name);
+    const playlists = (await fsp.readdir(dir)).filter((f) => f.toLowerCase().endsWith('.m3u8'));
+    if (playlists.length > 1) throw new Error(`Several playlists in ${dir} (${playlists.join(', ')}); pick one with --playlist`);
+    return playlists.length === 1 ? path.join(dir, playlists[0]) : null;
+};
+
+/**
+ * Segment-like files of a directory in name order, with their sizes.
+ */
+const listSegmentFiles = async (dir) => {
+    const dirents = await fsp.readdir(dir, { withFileTypes: true });
+    const files = dirents
+        .filter((d) => d.isFile() && SEGMENT_EXTENSIONS.has(path.extname(d.name).toLowerCase()) && !/\.tmp/i.test(d.name))
+        .map((d) => d.name)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const out = [];
+    for (const name of files) {
+        const stat = await fsp.stat(path.join(dir, name)).catch(() => null);
+        if (stat) out.push({ uri: name, size: stat.size, type: /init/i.test(name) ? 'init' : 'media' });
+    }
+    return out;
+};
+
+// Resolve a playlist URI (relative path or file name) inside the stream directory.
+// The check runs on the decoded path, so %2e%2e%2f cannot climb out either.
+const segmentPath = (dir, uri) => {
+    const clean = decodeURIComponent(String(uri).split('?')[0]);
+    if (/^[a-z]+:\/\//i.test(clean)) throw new Error(`Remote segment URIs are not supported: ${uri}`);
+    const resolved = path.resolve(dir, clean);
+    const relative = path.relative(path.resolve(dir), resolved);
+    if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+        throw new Error(`Segment URI outside the stream directory: ${uri}`);
+    }
+    return resolved;
+};
+
+// Write to a temp file and rename, so concurrent readers never see half a file
+const writeJsonAtomic = async (filePath, data) => {
+    const tmp = `${filePath}.tmp-${process.pid}`;
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2), 'utf8');
+    await fsp.rename(tmp, filePath);
+};
+
+/**
+ * Read a live manifest; null while it does not exist yet.
+ */
+const readLiveManifest = async (manifestPath) => {
+    if (!fs.existsSync(manifestPath)) return null;
+    const parsed = JSON.parse(await fsp.readFile(manifestPath, 'utf8'));
+    if (!parsed || parsed.schema !== LIVE_SCHEMA) throw new Error(`Unsupported live manifest schema: ${parsed && parsed.schema}`);
+    return parsed;
+};
+
+// Claims of a manifest entry / end marker
+const segmentClaim = (manifest, entry) => ({
+    startTimestampMs: manifest.startTimestampMs,
+    sequence: entry.sequence,
+    segmentHashSha256: entry.segmentHashSha256,
+    prevSegmentHashSha256: entry.prevSegmentHashSha256,
+    durationMs: entry.durationMs
+});
+
+const streamEndClaim = (manifest, end) => ({
+    startTimestampMs: manifest.startTimestampMs,
+    segmentCount: end.segmentCount,
+    lastSegmentHashSha256: end.lastSegmentHashSha256
+});
+
+const sha256Hex = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Next manifest entry for a segment's bytes, chained to the last entry; the
+ * signer adds the SegmentClaim signature.
+ */
+const segmentEntry = (manifest, { uri, type, durationMs }, bytes) => {
+    const prev = manifest.segments[manifest.segments.length - 1];
+    return {
+        sequence: manifest.segments.length,
+        uri,
+        type,
+        durationMs: durationMs || 0,
+        sizeBytes: bytes.length,
+        segmentHashSha256: sha256Hex(bytes),
+        prevSegmentHashSha256: prev ? prev.segmentHashSha256 : ZERO_HASH,
+        signedAtMs: Date.now()
+    };
+};
+
+/**
+ * End marker sealing the manifest's segments; the signer adds the
+ * StreamEndClaim signature.
+ */
+const streamEnd = (manifest, reason) => {
+    const last = manifest.segments[manifest.segments.length - 1];
+    return {
+        segmentCount: manifest.segments.length,
+        lastSegmentHashSha256: last ? last.segmentHashSha256 : ZERO_HASH,
+        endedAtMs: Date.now(),
+        reason
+    };
+};
+
+/**
+ * Problems with entry `index`: its position, its link to the previous entry,
+ * its signature and the segment bytes in `streamDir`. Empty when intact.
+ * @returns {Promise<string[]>}
+ */
+const checkSegmentEntry = async (streamDir, manifest, index) => {
+    const entry = manifest.segments[index];
+    const prevHash = index === 0 ? ZERO_HASH : manifest.segments[index - 1].segmentHashSha256;
+    const problems = [];
+    if (entry.sequence !== index) problems.push(`sequence ${entry.sequence} at position ${index}`);
+    if (entry.prevSegmentHashSha256 !== prevHash) problems.push('chain broken (previous hash does not match)');
+    const { addrOk } = await verifyClaim(signingOf(manifest.signer), 'SegmentClaim', segmentClaim(manifest, entry),
+        entry.signature, manifest.signer.address, manifest.signer.publicKey);
+    if (!addrOk) problems.push('signature does not match signer');
+    let bytes = null;
+    try {
+        bytes = await fsp.readFile(segmentPath(streamDir, entry.uri));
+    } catch (err) {
+        problems.push(`segment unavailable (${err.code || err.message})`);
+    }
+    if (bytes && sha256Hex(bytes) !== entry.segmentHashSha256) problems.push('segment bytes do not match signed hash');
+    return problems;
+};
+
+/**
+ * Problems with a sealed manifest's end marker: it must count and seal the last
+ * entry, and every segment of the playlist must be signed. `playlistFound` is
+ * false when the playlist could not be read for that last check.
+ * @returns {Promise<{ problems: string[], playlistFound: boolean }>}
+ */
+const checkStreamEnd = async (streamDir, manifest) => {
+    const end = manifest.end;
+    const last = manifest.segments[manifest.segments.length - 1];
+    const problems = [];
+    if (end.segmentCount !== manifest.segments.length) problems.push(`end marker counts ${end.segmentCount} segments, manifest has ${manifest.segments.length}`);
+    if (end.lastSegmentHashSha256 !== (last ? last.segmentHashSha256 : ZERO_HASH)) problems.push('end marker does not seal the last segment');
+    const { addrOk } = await verifyClaim(signingOf(manifest.signer), 'StreamEndClaim', streamEndClaim(manifest, end),
+        end.signature, manifest.signer.address, manifest.signer.publicKey);
+    if (!addrOk) problems.push('end marker signature does not match signer');
+    for (const s of manifest.skipped || []) problems.push(`signer skipped ${s.uri} (${s.reason})`);
+    let playlistFound = true;
+    if (manifest.playlist) {
+        const text = await fsp.readFile(path.join(streamDir, manifest.playlist), 'utf8').catch(() => null);
+        playlistFound = text !== null;
+        if (playlistFound) {
+            const signedUris = new Set(manifest.segments.map((s) => s.uri));
+            const unsigned = parsePlaylist(text).entries.filter((e) => !signedUris.has(e.uri));
+            if (unsigned.length > 0) problems.push(`${unsigned.length} playlist segment(s) not signed (first: ${unsigned[0].uri})`);
+        }
+    }
+    return { problems, playlistFound };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+    LIVE_SCHEMA,
+    DEFAULT_MANIFEST_NAME,
+    ZERO_HASH,
+    parsePlaylist,
+    findPlaylist,
+    listSegmentFiles,
+    segmentPath,
+    writeJsonAtomic,
+    readLiveManifest,
+    segmentClaim,
+    streamEndClaim,
+    segmentEntry,
+    streamEnd,
+    checkSegmentEntry,
+    checkStreamEnd,
+    sleep
+};
@@ -0,0 +1,68 @@
+const fsp = require('fs').promises;
+
+// -------------------------------
+// Streaming manifest writer
+// -------------------------------
+// Writes a manifest whose `frames` array arrives in batches, so a long video
+// never holds every frame entry in memory. The file is byte-identical to
+// JSON.stringify(manifest, null, 2) of the same object (fields in head, frames,
+// tail order; undefined fields left out), which is what verifiers re-serialize
+// and what the manifest hash and RFC 3161 token cover.
+// It is written to `<path>.partial` and renamed into place by finish().
+
+// `"key": value` at the given nesting depth, as JSON.stringify(…, null, 2) lays it out
+const field = (key, value, depth = 1) => {
+    const indent = '  '.repeat(depth);
+    return `${indent}${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).split('\n').join(`\n${indent}`)}`;
+};
+
+const fields = (obj) => Object.entries(obj).filter(([, v]) => v !== undefined).map(([k, v]) => field(k, v));
+
+const arrayItem = (value) => `    ${JSON.stringify(value, null, 2).split('\n').join('\n    ')}`;
+
+/**
+ * Start writing a manifest. `head` holds the fields that precede `frames`.
+ * @returns {Promise<{ writeFrames: (entries: object[]) => Promise<void>, finish: (tail?: object) => Promise<number>, abort: () => Promise<void> }>}
+ *   finish() writes the fields after `frames` and returns the frame count
+ */
+const createManifestWriter = async (filePath, head) => {
+    const partialPath = `${filePath}.partial`;
+    const handle = await fsp.open(partialPath, 'w');
+    let count = 0;
+    await handle.write(`{\n${[...fields(head), '  "frames": ['].join(',\n')}`);
+
+    return {
+        writeFrames: async (entries) => {
+            if (entries.length === 0) return;
+            const prefix = count === 0 ? '\n' : ',\n';
+            count += entries.length;
+            await handle.write(prefix + entries.map(arrayItem).join(',\n'));
+        },
+        finish: async (tail = {}) => {
+            const rest = fields(tail);
+            await handle.write(`${count === 0 ? ']' : '\n  ]'}${rest.map((f) => `,\n${f}`).join('')}\n}`);
+            await handle.close();
+            await fsp.rename(partialPath, filePath);
+            return count;
+        },
+        abort: async () => {
+            await handle.close().catch(() => { });
+            await fsp.rm(partialPath, { force: true });
+        }
+    };
+};
+
+/**
+ * Append one field to a finished manifest without reading it back, as if it
+ * had been the object's last property all along (used for `rfc3161`).
+ */
+const appendManifestField = async (filePath, key, value) => {
+    const { size } = await fsp.stat(filePath);
+    await fsp.truncate(filePath, size - '\n}'.length);
+    await fsp.appendFile(filePath, `,\n${field(key, value)}\n}`, 'utf8');
+};
+
+module.exports = {
+    createManifestWriter,
+    appendManifestField
+};
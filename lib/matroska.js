@@ -0,0 +1,395 @@
+const fsp = require('fs').promises;
+const crypto = require('crypto');
+
+// -------------------------------
+// Minimal EBML (Matroska / WebM) reader
+// -------------------------------
+// Canonical form (scheme 'mkv-frames-sha256@1') is defined on the coded media,
+// not on the file layout, so it survives the stream-copy remux ffmpeg does when
+// writing tags (cluster sizes, interleaving, SeekHead/Cues and UIDs may change):
+//  - per track: TrackType, CodecID, CodecPrivate and the Video/Audio settings
+//  - per frame, in track order: timestamp (ns, relative to the first block in
+//    the file), keyframe flag and the frame bytes (lacing is expanded)
+//  - Tags, Attachments, Chapters, Info, SeekHead, Cues, Void and CRC-32 are ignored
+// The digest is SHA-256 over, for each track sorted by number:
+//   trackNumber (u64) | sha256(track settings) | sha256(frame records)
+const CANONICAL_SCHEME = 'mkv-frames-sha256@1';
+
+const ID = {
+    EBML: 0x1a45dfa3,
+    DocType: 0x4282,
+    Segment: 0x18538067,
+    Info: 0x1549a966,
+    TimestampScale: 0x2ad7b1,
+    Tracks: 0x1654ae6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63a2,
+    Video: 0xe0,
+    Audio: 0xe1,
+    Cluster: 0x1f43b675,
+    Timestamp: 0xe7,
+    SimpleBlock: 0xa3,
+    BlockGroup: 0xa0,
+    Block: 0xa1,
+    ReferenceBlock: 0xfb,
+    Tags: 0x1254c367,
+    Tag: 0x7373,
+    Targets: 0x63c0,
+    SimpleTag: 0x67c8,
+    TagName: 0x45a3,
+    TagString: 0x4487,
+    Attachments: 0x1941a469,
+    AttachedFile: 0x61a7,
+    FileName: 0x466e,
+    FileMimeType: 0x4660,
+    FileData: 0x465c
+};
+
+// Target UIDs that make a Tag apply to something other than the whole file
+const TARGET_UIDS = new Set([0x63c5, 0x63c9, 0x63c4, 0x63c6]);
+
+// Children that can appear inside a Cluster (used to find the end of unknown-size clusters)
+const CLUSTER_CHILDREN = new Set([0xe7, 0xa3, 0xa0, 0xa7, 0xab, 0xec, 0xbf, 0x5854, 0xaf]);
+
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+// -------------------------------
+// Variable-length integers
+// -------------------------------
+const vintLength = (first) => {
+    for (let i = 0; i < 8; i++) {
+        if (first & (0x80 >> i)) return i + 1;
+    }
+    throw new Error('Invalid EBML variable-length integer');
+};
+
+// Element IDs keep their length marker bits
+const readId = (buf, pos) => {
+    const len = vintLength(buf[pos]);
+    let value = 0;
+    for (let i = 0; i < len; i++) value = value * 256 + buf[pos + i];
+    return { value, length: len };
+};
+
+// Sizes drop the marker bit; all-ones means "unknown size"
+const readSize = (buf, pos) => {
+    const len = vintLength(buf[pos]);
+    let value = buf[pos] & (0xff >> len);
+    let allOnes = value === (0xff >> len);
+    for (let i = 1; i < len; i++) {
+        value = value * 256 + buf[pos + i];
+        if (buf[pos + i] !== 0xff) allOnes = false;
+    }
+    return { value: allOnes ? null : value, length: len };
+};
+
+const readUInt = (buf) => {
+    let v = 0;
+    for (const b of buf) v = v * 256 + b;
+    return v;
+};
+
+// Children of an in-memory element body
+const parseChildren = (buf, start = 0, end = buf.length) => {
+    const out = [];
+    let pos = start;
+    while (pos < end) {
+        const id = readId(buf, pos);
+        const size = readSize(buf, pos + id.length);
+        const dataStart = pos + id.length + size.length;
+        const dataEnd = size.value === null ? end : Math.min(end, dataStart + size.value);
+        out.push({ id: id.value, start: pos, dataStart, dataEnd, data: buf.subarray(dataStart, dataEnd) });
+        pos = dataEnd;
+    }
+    return out;
+};
+
+// -------------------------------
+// File-level element walking
+// -------------------------------
+const readAt = async (fh, pos, length) => {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, pos);
+    return buf.subarray(0, bytesRead);
+};
+
+const readHeaderAt = async (fh, pos) => {
+    const buf = await readAt(fh, pos, 12);
+    if (buf.length < 2) return null;
+    const id = readId(buf, 0);
+    const size = readSize(buf, id.length);
+    return { id: id.value, start: pos, dataStart: pos + id.length + size.length, size: size.value };
+};
+
+// Walk the Segment's level-1 elements, calling visit(header) for each. Unknown
+// sizes are allowed for the Segment (runs to EOF) and for Clusters.
+const walkSegment = async (fh, fileSize, visit) => {
+    const ebml = await readHeaderAt(fh, 0);
+    if (!ebml || ebml.id !== ID.EBML) throw new Error('Not an EBML file');
+    const docTypeBody = parseChildren(await readAt(fh, ebml.dataStart, ebml.size));
+    const docTypeEl = docTypeBody.find((c) => c.id === ID.DocType);
+    const docType = docTypeEl ? docTypeEl.data.toString('latin1') : 'matroska';
+
+    const segment = await readHeaderAt(fh, ebml.dataStart + ebml.size);
+    if (!segment || segment.id !== ID.Segment) throw new Error('Missing Matroska Segment');
+    const segmentEnd = segment.size === null ? fileSize : Math.min(fileSize, segment.dataStart + segment.size);
+
+    let pos = segment.dataStart;
+    while (pos < segmentEnd) {
+        const h = await readHeaderAt(fh, pos);
+        if (!h) break;
+        let end;
+        if (h.size !== null) {
+            end = h.dataStart + h.size;
+        } else if (h.id === ID.Cluster) {
+            // Unknown-size cluster: ends at the first element that cannot be a cluster child
+            end = h.dataStart;
+            while (end < segmentEnd) {
+                const c = await readHeaderAt(fh, end);
+                if (!c || !CLUSTER_CHILDREN.has(c.id) || c.size === null) break;
+                end = c.dataStart + c.size;
+            }
+        } else {
+            throw new Error(`Unknown-size element 0x${h.id.toString(16)} is not supported`);
+        }
+        await visit({ ...h, end: Math.min(end, segmentEnd) });
+        pos = end;
+    }
+    return { docType };
+};
+
+// -------------------------------
+// Blocks and lacing
+// -------------------------------
+const splitLacedFrames = (data, pos, lacing) => {
+    if (lacing === 0) return [data.subarray(pos)];
+    const count = data[pos] + 1;
+    pos += 1;
+    const sizes = [];
+    if (lacing === 1) {
+        // Xiph lacing
+        for (let i = 0; i < count - 1; i++) {
+            let size = 0;
+            let b;
+            do {
+                b = data[pos++];
+                size += b;
+            } while (b === 255);
+            sizes.push(size);
+        }
+    } else if (lacing === 3) {
+        // EBML lacing: first size as vint, then signed differences
+        let { value, length } = readSize(data, pos);
+        pos += length;
+        sizes.push(value);
+        for (let i = 1; i < count - 1; i++) {
+            const d = readSize(data, pos);
+            pos += d.length;
+            const bias = 2 ** (7 * d.length - 1) - 1;
+            value += d.value - bias;
+            sizes.push(value);
+        }
+    }
+    const frames = [];
+    if (lacing === 2) {
+        // Fixed-size lacing
+        const each = (data.length - pos) / count;
+        for (let i = 0; i < count; i++) frames.push(data.subarray(pos + i * each, pos + (i + 1) * each));
+        return frames;
+    }
+    for (const size of sizes) {
+        frames.push(data.subarray(pos, pos + size));
+        pos += size;
+    }
+    frames.push(data.subarray(pos));
+    return frames;
+};
+
+const parseBlock = (data, isSimple, hasReference) => {
+    const track = readSize(data, 0);
+    let pos = track.length;
+    const relative = data.readInt16BE(pos);
+    const flags = data[pos + 2];
+    pos += 3;
+    const keyframe = isSimple ? Boolean(flags & 0x80) : !hasReference;
+    const lacing = (flags >> 1) & 0x03;
+    return { trackNumber: track.value, relative, keyframe, frames: splitLacedFrames(data, pos, lacing) };
+};
+
+// -------------------------------
+// Public API
+// -------------------------------
+const isEbmlFile = async (filePath) => {
+    const fh = await fsp.open(filePath, 'r');
+    try {
+        return (await readAt(fh, 0, 4)).equals(EBML_MAGIC);
+    } finally {
+        await fh.close();
+    }
+};
+
+/**
+ * SHA-256 over the canonical coded-media form of a Matroska/WebM file.
+ */
+const canonicalHashHex = async (filePath) => {
+    const fh = await fsp.open(filePath, 'r');
+    try {
+        const { size: fileSize } = await fh.stat();
+        let timestampScale = 1000000;
+        const tracks = new Map();
+        let firstTs = null;
+
+        const trackState = (n) => {
+            if (!tracks.has(n)) tracks.set(n, { settings: crypto.createHash('sha256'), frames: crypto.createHash('sha256') });
+            return tracks.get(n);
+        };
+
+        await walkSegment(fh, fileSize, async (el) => {
+            if (el.id === ID.Info) {
+                const info = parseChildren(await readAt(fh, el.dataStart, el.end - el.dataStart));
+                const scale = info.find((c) => c.id === ID.TimestampScale);
+                if (scale) timestampScale = readUInt(scale.data);
+            } else if (el.id === ID.Tracks) {
+                const entries = parseChildren(await readAt(fh, el.dataStart, el.end - el.dataStart));
+                for (const entry of entries.filter((c) => c.id === ID.TrackEntry)) {
+                    const children = parseChildren(entry.data);
+                    const num = children.find((c) => c.id === ID.TrackNumber);
+                    if (!num) continue;
+                    const state = trackState(readUInt(num.data));
+                    for (const id of [ID.TrackType, ID.CodecID, ID.CodecPrivate, ID.Video, ID.Audio]) {
+                        const c = children.find((x) => x.id === id);
+                        const len = Buffer.alloc(8);
+                        len.writeBigUInt64BE(BigInt(c ? c.data.length : 0));
+                        state.settings.update(len);
+                        if (c) state.settings.update(c.data);
+                    }
+                }
+            } else if (el.id === ID.Cluster) {
+                const children = parseChildren(await readAt(fh, el.dataStart, el.end - el.dataStart));
+                const tsEl = children.find((c) => c.id === ID.Timestamp);
+                const clusterTs = tsEl ? readUInt(tsEl.data) : 0;
+                for (const c of children) {
+                    let block = null;
+                    if (c.id === ID.SimpleBlock) {
+                        block = parseBlock(c.data, true, false);
+                    } else if (c.id === ID.BlockGroup) {
+                        const group = parseChildren(c.data);
+                        const b = group.find((g) => g.id === ID.Block);
+                        if (b) block = parseBlock(b.data, false, group.some((g) => g.id === ID.ReferenceBlock));
+                    }
+                    if (!block) continue;
+                    const tsNs = BigInt(clusterTs + block.relative) * BigInt(timestampScale);
+                    if (firstTs === null) firstTs = tsNs;
+                    const state = trackState(block.trackNumber);
+                    for (const frame of block.frames) {
+                        const rec = Buffer.alloc(13);
+                        rec.writeBigInt64BE(tsNs - firstTs, 0);
+                        rec.writeUInt8(block.keyframe ? 1 : 0, 8);
+                        rec.writeUInt32BE(frame.length, 9);
+                        state.frames.update(rec);
+                        state.frames.update(frame);
+                    }
+                }
+            }
+        });
+
+        const out = crypto.createHash('sha256');
+        for (const n of [...tracks.keys()].sort((a, b) => a - b)) {
+            const num = Buffer.alloc(8);
+            num.writeBigUInt64BE(BigInt(n));
+            out.update(num);
+            out.update(tracks.get(n).settings.digest());
+            out.update(tracks.get(n).frames.digest());
+        }
+        return out.digest('hex');
+    } finally {
+        await fh.close();
+    }
+};
+
+/**
+ * Read global (file-level) SimpleTags as lower-case tag names, e.g. { comment }.
+ */
+const readTags = async (filePath) => {
+    const fh = await fsp.open(filePath, 'r');
+    try {
+        const { size: fileSize } = await fh.stat();
+        const tags = {};
+        await walkSegment(fh, fileSize, async (el) => {
+            if (el.id !== ID.Tags) return;
+            const tagEls = parseChildren(await readAt(fh, el.dataStart, el.end - el.dataStart));
+            for (const tag of tagEls.filter((c) => c.id === ID.Tag)) {
+                const children = parseChildren(tag.data);
+                const targets = children.find((c) => c.id === ID.Targets);
+                if (targets && parseChildren(targets.data).some((t) => TARGET_UIDS.has(t.id))) continue;
+                for (const st of children.filter((c) => c.id === ID.SimpleTag)) {
+                    const parts = parseChildren(st.data);
+                    const name = parts.find((p) => p.id === ID.TagName);
+                    const value = parts.find((p) => p.id === ID.TagString);
+                    if (name && value) {
+                        const key = name.data.toString('utf8').toLowerCase();
+                        if (!(key in tags)) tags[key] = value.data.toString('utf8');
+                    }
+                }
+            }
+        });
+        return tags;
+    } finally {
+        await fh.close();
+    }
+};
+
+/**
+ * Attached files in file order: { fileName, mimeType, data }.
+ */
+const readAttachments = async (filePath) => {
+    const fh = await fsp.open(filePath, 'r');
+    try {
+        const { size: fileSize } = await fh.stat();
+        const files = [];
+        await walkSegment(fh, fileSize, async (el) => {
+            if (el.id !== ID.Attachments) return;
+            const attached = parseChildren(await readAt(fh, el.dataStart, el.end - el.dataStart));
+            for (const file of attached.filter((c) => c.id === ID.AttachedFile)) {
+                const children = parseChildren(file.data);
+                const text = (id) => {
+                    const c = children.find((x) => x.id === id);
+                    return c ? c.data.toString('utf8') : '';
+                };
+                const data = children.find((x) => x.id === ID.FileData);
+                files.push({ fileName: text(ID.FileName), mimeType: text(ID.FileMimeType), data: data ? Buffer.from(data.data) : Buffer.alloc(0) });
+            }
+        });
+        return files;
+    } finally {
+        await fh.close();
+    }
+};
+
+/**
+ * 'webm' or 'matroska' from the EBML header DocType.
+ */
+const readDocType = async (filePath) => {
+    const fh = await fsp.open(filePath, 'r');
+    try {
+        const ebml = await readHeaderAt(fh, 0);
+        if (!ebml || ebml.id !== ID.EBML) throw new Error('Not an EBML file');
+        const body = parseChildren(await readAt(fh, ebml.dataStart, ebml.size));
+        const docType = body.find((c) => c.id === ID.DocType);
+        return docType ? docType.data.toString('latin1') : 'matroska';
+    } finally {
+        await fh.close();
+    }
+};
+
+module.exports = {
+    CANONICAL_SCHEME,
+    isEbmlFile,
+    canonicalHashHex,
+    readTags,
+    readAttachments,
+    readDocType
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+// -------------------------------
+// SHA-256 Merkle tree over frame hashes
+// -------------------------------
+// Leaves and inner nodes are domain-separated (0x00 / 0x01 prefix) so a leaf can
+// never be passed off as an inner node. An unpaired node at the end of a level is
+// promoted unchanged to the next level (no duplication), which keeps proofs for
+// the last frame short and avoids the duplicate-leaf ambiguity.
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+const sha256 = (...buffers) => {
+    const h = crypto.createHash('sha256');
+    for (const b of buffers) h.update(b);
+    return h.digest();
+};
+
+const hashLeaf = (frameHashSha256Hex) => {
+    return sha256(LEAF_PREFIX, Buffer.from(frameHashSha256Hex, 'hex'));
+};
+
+const hashNode = (left, right) => {
+    return sha256(NODE_PREFIX, left, right);
+};
+
+// Returns every level of the tree, leaves first, root last.
+const buildLevels = (frameHashes) => {
+    if (frameHashes.length === 0) throw new Error('Cannot build a Merkle tree with no leaves');
+    const levels = [frameHashes.map(hashLeaf)];
+    while (levels[levels.length - 1].length > 1) {
+        const prev = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < prev.length; i += 2) {
+            next.push(i + 1 < prev.length ? hashNode(prev[i], prev[i + 1]) : prev[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+};
+
+const proofFromLevels = (levels, index) => {
+    const proof = [];
+    let idx = index;
+    for (let l = 0; l < levels.length - 1; l++) {
+        const level = levels[l];
+        const isRight = idx % 2 === 1;
+        const siblingIdx = isRight ? idx - 1 : idx + 1;
+        if (siblingIdx < level.length) {
+            proof.push({ position: isRight ? 'left' : 'right', hash: level[siblingIdx].toString('hex') });
+        }
+        idx = Math.floor(idx / 2);
+    }
+    return proof;
+};
+
+/**
+ * Build a Merkle tree from hex SHA-256 frame hashes (in frame order).
+ * Returns the hex root and one inclusion proof per leaf.
+ */
+const buildMerkleTree = (frameHashes) => {
+    const { root, proof } = createMerkleProver(frameHashes);
+    return { root, proofs: frameHashes.map((_, i) => proof(i)) };
+};
+
+/**
+ * Same tree as buildMerkleTree, but proofs are built on demand with proof(index),
+ * so a writer streaming frame entries never holds all of them at once.
+ */
+const createMerkleProver = (frameHashes) => {
+    const levels = buildLevels(frameHashes);
+    return {
+        root: levels[levels.length - 1][0].toString('hex'),
+        proof: (index) => proofFromLevels(levels, index)
+    };
+};
+
+// Sibling positions of the proof for leaf `index` in a tree of `leafCount` leaves,
+// following buildLevels: an unpaired last node is promoted without a step.
+const proofPositions = (index, leafCount) => {
+    const positions = [];
+    let idx = index;
+    for (let len = leafCount; len > 1; len = Math.ceil(len / 2)) {
+        if (idx % 2 === 1) positions.push('left');
+        else if (idx + 1 < len) positions.push('right');
+        idx = Math.floor(idx / 2);
+    }
+    return positions;
+};
+
+/**
+ * Recompute the root from a frame hash and its proof and compare with the expected root.
+ * The proof's left/right steps must be exactly those of leaf `index` (frameNumber - 1)
+ * in a tree of `leafCount` leaves, so a proof cannot be replayed for another frame.
+ */
+const verifyMerkleProof = (frameHashSha256Hex, proof, expectedRootHex, index, leafCount) => {
+    if (!Number.isInteger(index) || !Number.isInteger(leafCount) || index < 0 || index >= leafCount) return false;
+    const positions = proofPositions(index, leafCount);
+    if (!Array.isArray(proof) || proof.length !== positions.length) return false;
+    if (proof.some((step, i) => step.position !== positions[i])) return false;
+    let node = hashLeaf(frameHashSha256Hex);
+    for (const step of proof) {
+        const sibling = Buffer.from(step.hash, 'hex');
+        if (step.position === 'left') node = hashNode(sibling, node);
+        else if (step.position === 'right') node = hashNode(node, sibling);
+        else throw new Error(`Invalid proof position: ${step.position}`);
+    }
+    return node.toString('hex') === String(expectedRootHex).toLowerCase();
+};
+
+// The only message signed in Merkle mode. Stable key order, like the per-frame message.
+const buildRootMessageString = (startTimestampMs, frameCount, merkleRootSha256) => {
+    return JSON.stringify({
+        startTimestampMs,
+        frameCount,
+        merkleRootSha256
+    });
+};
+
+module.exports = {
+    buildMerkleTree,
+    createMerkleProver,
+    verifyMerkleProof,
+    buildRootMessageString
+};
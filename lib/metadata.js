@@ -0,0 +1,79 @@
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+
+// -------------------------------
+// Container metadata through ffmpeg
+// -------------------------------
+// The tags the tools use:
+//   comment      sign_video.js signature payload (JSON)
+//   artist       sign_frames.js manifest SHA-256
+//   album        "Timestamp - <start ms>"
+//   title        "Verifiable Video"
+//   description  manifest signature
+//   anchor       on-chain anchor record (JSON)
+// MP4/MOV/MKV/WebM payloads are normally read by the native parsers
+// (lib/containers.js); ffmpeg is the fallback for anything else.
+const TAG_NAMES = ['artist', 'album', 'title', 'comment', 'description', 'anchor'];
+
+/**
+ * Read the global tags above with `ffmpeg -f ffmetadata`. Missing tags are ''.
+ */
+const readMetadataTags = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const args = ['-hide_banner', '-loglevel', 'error', '-i', filePath, '-f', 'ffmetadata', '-'];
+        const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let out = '';
+        child.stdout.on('data', (d) => (out += d.toString()));
+        child.stderr.on('data', () => { });
+        child.on('error', reject);
+        child.on('exit', (code) => {
+            if (code !== 0) return reject(new Error(`ffmpeg (read metadata) exited ${code}`));
+            const tags = Object.fromEntries(TAG_NAMES.map((k) => [k, '']));
+            for (const line of out.split(/\r?\n/)) {
+                const m = line.match(/^([A-Za-z0-9_]+)=(.*)$/);
+                if (!m) continue;
+                const key = m[1].toLowerCase();
+                // ffmetadata escapes '=', ';', '#' and '\' in values; the anchor JSON can contain them
+                if (key === 'anchor') tags.anchor = m[2].replace(/\\(.)/g, '$1');
+                else if (key in tags) tags[key] = m[2];
+            }
+            resolve(tags);
+        });
+    });
+};
+
+const runFfmpeg = (args, what) => new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg (${what}) exited with code ${code}`))));
+});
+
+const metadataArgs = (tags) => Object.entries(tags)
+    .filter(([, v]) => typeof v === 'string')
+    .flatMap(([k, v]) => ['-metadata', `${k}=${v}`]);
+
+/**
+ * Stream-copy with all metadata stripped and only the given tags set; the
+ * canonical form older whole-file signatures were hashed over.
+ */
+const writeCanonicalMetadata = (inputPath, outputPath, { artist, album, title, comment }, muxArgs = []) => {
+    const args = ['-y', '-hide_banner', '-loglevel', 'error', '-i', inputPath, '-map_metadata', '-1'];
+    args.push(...metadataArgs({ artist, album, title, comment }), ...muxArgs, '-c', 'copy', outputPath);
+    return runFfmpeg(args, 'write canonical metadata');
+};
+
+/**
+ * Stream-copy keeping the existing metadata and setting `tags` on top.
+ */
+const writeTaggedCopy = (inputPath, outputPath, tags, muxArgs = []) => {
+    const args = ['-y', '-hide_banner', '-loglevel', 'error', '-i', inputPath, '-map_metadata', '0'];
+    args.push(...metadataArgs(tags), ...muxArgs, '-c', 'copy', outputPath);
+    return runFfmpeg(args, 'metadata write');
+};
+
+module.exports = {
+    TAG_NAMES,
+    readMetadataTags,
+    writeCanonicalMetadata,
+    writeTaggedCopy
+};
@@ -0,0 +1,125 @@
+const fsp = require('fs').promises;
+
+// -------------------------------
+// Streaming multipart/form-data reader
+// -------------------------------
+// Just enough of RFC 7578 for verify_server.js: every part is a file field
+// (video, manifest) written straight to disk as it arrives, so uploads of any
+// size never sit in memory. Only the part headers are buffered.
+const MAX_HEADER_BYTES = 16 * 1024;
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Boundary of a multipart/form-data Content-Type, or null for any other type.
+ */
+const multipartBoundary = (contentType) => {
+    if (!/^multipart\/form-data\b/i.test(contentType || '')) return null;
+    const m = contentType.match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    if (!m) throw httpError(400, 'multipart/form-data without boundary');
+    return m[1] || m[2];
+};
+
+const parsePartHeaders = (text) => {
+    const headers = {};
+    for (const line of text.split('\r\n')) {
+        const i = line.indexOf(':');
+        if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+    }
+    const disposition = headers['content-disposition'] || '';
+    const name = disposition.match(/;\s*name="([^"]*)"/i);
+    const fileName = disposition.match(/;\s*filename="([^"]*)"/i);
+    if (!name) throw httpError(400, 'Multipart part without a field name');
+    return { name: name[1], fileName: fileName ? fileName[1] : null, contentType: headers['content-type'] || null };
+};
+
+/**
+ * Read a multipart body from `stream` (an http.IncomingMessage). Each part is
+ * written to targetFor(name), which returns a file path or null to reject the
+ * field. Returns { [name]: { filePath, fileName, size } }.
+ * @param {{ maxBytes?: number }} [options] whole-body limit (413 when exceeded)
+ */
+const readMultipart = async (stream, boundary, targetFor, { maxBytes = Infinity } = {}) => {
+    // The body starts with "--boundary"; a leading CRLF makes every delimiter alike
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const parts = {};
+    let buf = CRLF;
+    let state = 'preamble';
+    let part = null;
+    let total = 0;
+
+    const closePart = async () => {
+        await part.handle.close();
+        parts[part.name] = { filePath: part.filePath, fileName: part.fileName, size: part.size };
+        part = null;
+    };
+
+    try {
+        // destroyOnReturn: false keeps the socket open for an error response
+        for await (const chunk of stream.iterator({ destroyOnReturn: false })) {
+            total += chunk.length;
+            if (total > maxBytes) throw httpError(413, `Upload larger than ${maxBytes} bytes`);
+            buf = Buffer.concat([buf, chunk]);
+            for (;;) {
+                if (state === 'preamble' || state === 'body') {
+                    const at = buf.indexOf(delimiter);
+                    if (at === -1) {
+                        // Keep a possible partial delimiter for the next chunk
+                        const keep = Math.min(buf.length, delimiter.length - 1);
+                        if (part && buf.length > keep) {
+                            await part.handle.write(buf.subarray(0, buf.length - keep));
+                            part.size += buf.length - keep;
+                        }
+                        buf = buf.subarray(buf.length - keep);
+                        break;
+                    }
+                    if (part) {
+                        await part.handle.write(buf.subarray(0, at));
+                        part.size += at;
+                        await closePart();
+                    }
+                    buf = buf.subarray(at + delimiter.length);
+                    state = 'delimiter';
+                }
+                if (state === 'delimiter') {
+                    if (buf.length < 2) break;
+                    if (buf[0] === 0x2d && buf[1] === 0x2d) {
+                        state = 'done';
+                        break;
+                    }
+                    state = 'headers';
+                }
+                if (state === 'headers') {
+                    const end = buf.indexOf(HEADER_END);
+                    if (end === -1) {
+                        if (buf.length > MAX_HEADER_BYTES) throw httpError(400, 'Multipart part headers too large');
+                        break;
+                    }
+                    // Skip the CRLF (or transport padding) that ends the delimiter line
+                    const { name, fileName } = parsePartHeaders(buf.subarray(buf.indexOf(CRLF) + 2, end).toString('utf8'));
+                    if (parts[name]) throw httpError(400, `Duplicate field: ${name}`);
+                    const filePath = targetFor(name, fileName);
+                    if (!filePath) throw httpError(400, `Unexpected field: ${name}`);
+                    part = { name, fileName, filePath, size: 0, handle: await fsp.open(filePath, 'w') };
+                    buf = buf.subarray(end + HEADER_END.length);
+                    state = 'body';
+                    continue;
+                }
+                break;
+            }
+            if (state === 'done') break;
+        }
+    } finally {
+        if (part) await part.handle.close().catch(() => { });
+    }
+    if (state !== 'done') throw httpError(400, 'Truncated multipart body');
+    return parts;
+};
+
+module.exports = {
+    httpError,
+    multipartBoundary,
+    readMultipart
+};
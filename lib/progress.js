@@ -0,0 +1,165 @@
+// -------------------------------
+// Steps and progress events
+// -------------------------------
+// The signing and verification functions (index.js) do not print; they report
+// what they are doing through an onProgress(event) callback:
+//   { type: 'banner', title, subtitle, lines }        run header; lines are field objects
+//   { type: 'step', index, total, title }              a step starts
+//   { type: 'pass', index, total, title, durationMs, details }
+//   { type: 'fail', index, total, title, durationMs, category, error }
+//   { type: 'note', fields }                           labelled values, e.g. { 'SHA-256': '…' }
+//   { type: 'info' | 'warn' | 'ok', text }             remarks, warnings, confirmations
+//   { type: 'frames', done, total, last }              frame progress (total null when streaming)
+//   { type: 'result', ok, title, subject, failures, lines }   outcome of the run
+// consoleProgress() renders them the way the CLI scripts always looked.
+
+const noop = () => { };
+
+/**
+ * Step runner plus event helpers for one run.
+ * step(title, fn, category) calls fn(record); record(fields) adds expected/actual
+ * values to the step's details. With a `report` (lib/report.js) every step is
+ * added to it too, `category` saying what a failure means.
+ * @param {{ totalSteps: number, onProgress?: (event: object) => void, report?: object }} options
+ */
+const createProgress = ({ totalSteps, onProgress = noop, report = null }) => {
+    let current = 0;
+    const step = async (title, fn, category = null) => {
+        current += 1;
+        const index = current;
+        onProgress({ type: 'step', index, total: totalSteps, title });
+        const t0 = Date.now();
+        const details = {};
+        try {
+            const result = await fn((fields) => Object.assign(details, fields));
+            const durationMs = Date.now() - t0;
+            onProgress({ type: 'pass', index, total: totalSteps, title, durationMs, details });
+            if (report) report.addStep({ name: title, status: 'passed', durationMs, details });
+            return result;
+        } catch (err) {
+            const durationMs = Date.now() - t0;
+            onProgress({ type: 'fail', index, total: totalSteps, title, durationMs, category, error: err.message || String(err) });
+            if (report) report.addStep({ name: title, status: 'failed', durationMs, category, error: err, details });
+            throw err;
+        }
+    };
+    return {
+        step,
+        banner: (title, subtitle, ...lines) => onProgress({ type: 'banner', title, subtitle, lines }),
+        note: (fields) => onProgress({ type: 'note', fields }),
+        info: (text) => onProgress({ type: 'info', text }),
+        warn: (text) => onProgress({ type: 'warn', text }),
+        ok: (text) => onProgress({ type: 'ok', text }),
+        frames: (done, total, last = false) => onProgress({ type: 'frames', done, total, last }),
+        result: (ok, title, subject, { failures = [], lines = [] } = {}) => onProgress({ type: 'result', ok, title, subject, failures, lines })
+    };
+};
+
+// -------------------------------
+// Console rendering
+// -------------------------------
+const ANSI = { bold: 1, dim: 2, red: 31, green: 32, yellow: 33, magenta: 35, cyan: 36 };
+
+/**
+ * Color helpers ({ bold, dim, red, ... }); plain strings when `color` is false.
+ * Color is off by default when NO_COLOR is set (https://no-color.org).
+ */
+const palette = (color = !process.env.NO_COLOR) => Object.fromEntries(Object.entries(ANSI)
+    .map(([name, n]) => [name, color ? (s) => `\x1b[${n}m${s}\x1b[0m` : (s) => String(s)]));
+
+const formatDuration = (ms) => {
+    if (ms < 1000) return `${ms}ms`;
+    const s = ms / 1000;
+    return `${s.toFixed(2)}s`;
+};
+
+// Frame progress is printed about every 10% (every 2560 frames when the total is unknown)
+const FRAME_LINES = 10;
+const STREAM_FRAME_LINE = 2560;
+
+/**
+ * onProgress handler that prints to the console; failures go to stderr.
+ *   quiet    only failures and the final result
+ *   verbose  also the expected/actual details recorded by every step
+ *   color    ANSI colors (see palette)
+ */
+const consoleProgress = ({ quiet = false, verbose = false, color } = {}) => {
+    const { bold, dim, red, green, yellow, magenta, cyan } = palette(color);
+    const out = (line) => console.log(line);
+    const err = (line) => console.error(line);
+    const formatFields = (fields) => Object.entries(fields)
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => `${dim(`${k}:`)} ${typeof v === 'object' ? JSON.stringify(v) : v}`)
+        .join('  ');
+    let lastFrames = 0;
+    return (event) => {
+        if (quiet && event.type !== 'fail' && event.type !== 'result') return;
+        switch (event.type) {
+            case 'banner':
+                out(cyan('='.repeat(60)));
+                out(`${bold(event.title)}${event.subtitle ? ` ${dim(event.subtitle)}` : ''}`);
+                for (const fields of event.lines) out(formatFields(fields));
+                out(cyan('='.repeat(60)));
+                break;
+            case 'step':
+                lastFrames = 0;
+                out(`${magenta(`STEP ${event.index}/${event.total}`)} ${bold(event.title)}`);
+                break;
+            case 'pass':
+                if (verbose && event.details) {
+                    for (const [k, v] of Object.entries(event.details)) out(formatFields({ [`  ${k}`]: v }));
+                }
+                out(`${green('PASS')} ${dim(`(${formatDuration(event.durationMs)})`)}`);
+                break;
+            case 'fail':
+                err(`${red('FAIL')} ${dim(`(${formatDuration(event.durationMs)})`)} - ${quiet ? `${event.title}: ` : ''}${event.error}`);
+                break;
+            case 'note':
+                out(formatFields(event.fields));
+                break;
+            case 'info':
+                out(dim(event.text));
+                break;
+            case 'warn':
+                out(yellow(event.text));
+                break;
+            case 'ok':
+                out(`${green('OK')} ${dim(event.text)}`);
+                break;
+            case 'frames': {
+                const every = event.total ? Math.max(1, Math.floor(event.total / FRAME_LINES)) : STREAM_FRAME_LINE;
+                if (Math.floor(event.done / every) === Math.floor(lastFrames / every) && !event.last) break;
+                lastFrames = event.done;
+                const pct = event.total ? ` ${dim(`(${Math.round((event.done / event.total) * 100)}%)`)}` : '';
+                out(`${dim(' - progress:')} ${event.done}${event.total ? `/${event.total}` : ' frames'}${pct}`);
+                break;
+            }
+            case 'result':
+                if (quiet) {
+                    out(`${event.ok ? green(event.title) : red(event.title)} ${event.subject || ''}`.trimEnd());
+                    break;
+                }
+                out(cyan('='.repeat(60)));
+                out(`${event.ok ? green(event.title) : red(event.title)}${event.subject ? ` ${dim(event.subject)}` : ''}`);
+                for (const f of event.failures || []) out(`${red(' - ')}${f.step}: ${f.error}`);
+                for (const fields of event.lines || []) out(formatFields(fields));
+                out(cyan('='.repeat(60)));
+                break;
+            default:
+                break;
+        }
+    };
+};
+
+/**
+ * Step runner printing straight to the console, for scripts that print the rest themselves.
+ */
+const consoleStepRunner = (totalSteps) => createProgress({ totalSteps, onProgress: consoleProgress() }).step;
+
+module.exports = {
+    palette,
+    createProgress,
+    consoleProgress,
+    consoleStepRunner,
+    formatDuration
+};
@@ -0,0 +1,168 @@
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const { flagValue } = require('./cli');
+const { sha256Hex } = require('./frames');
+
+// -------------------------------
+// Capture provenance
+// -------------------------------
+// Camera make/model, creation_time, GPS location and encoder live in container
+// and stream tags, which no canonical hash covers. The signers copy a chosen
+// set of them, named and valued as ffprobe reports its format/stream tags, into
+// a signed `provenance` object:
+//   { fields: [tag names looked for],
+//     format: { tag: value },
+//     streams: [{ index, type, tags: { tag: value } }] }
+// Only tags present are recorded; `fields` lets verifiers also report a tag
+// added after signing. sign_video.js puts its hash (or NO_PROVENANCE_SHA256)
+// into the video claim, so it cannot be stripped; older payloads signed it as a
+// separate ProvenanceClaim. In a frames manifest it is a head field, covered by
+// the manifest signature.
+const DEFAULT_FIELDS = [
+    'make', 'model', 'creation_time', 'location', 'location-eng', 'encoder',
+    'com.apple.quicktime.make', 'com.apple.quicktime.model', 'com.apple.quicktime.software',
+    'com.apple.quicktime.creationdate', 'com.apple.quicktime.location.iso6709',
+    'com.android.manufacturer', 'com.android.model'
+];
+
+/**
+ * --provenance-fields=<tag,...> (PROVENANCE_FIELDS) replaces the default tag
+ * list; --no-provenance records none.
+ */
+const parseProvenanceOptions = (args, env = process.env) => {
+    if (args.includes('--no-provenance')) return { fields: [] };
+    const raw = flagValue(args, 'provenance-fields') || env.PROVENANCE_FIELDS || null;
+    if (raw === null) return { fields: DEFAULT_FIELDS };
+    return { fields: raw.split(',').map((f) => f.trim().toLowerCase()).filter(Boolean) };
+};
+
+// Format and stream tags from ffmpeg's input summary (ffmpeg-static ships
+// without ffprobe). Tag names are lowercased (Matroska's are upper case);
+// multi-line values come back joined with '\n'.
+const parseInputTags = (summary) => {
+    const format = {};
+    const streams = [];
+    let owner = null;
+    let block = null;
+    for (const line of summary.split(/\r?\n/)) {
+        const indent = line.search(/\S/);
+        if (indent < 0) continue;
+        if (block && indent > block.indent) {
+            const m = line.match(/^\s*([^:]*?)\s*: ?(.*)$/);
+            if (!m) continue;
+            if (m[1]) {
+                block.key = m[1].toLowerCase();
+                block.tags[block.key] = m[2].trimEnd();
+            } else if (block.key) {
+                block.tags[block.key] += `\n${m[2].trimEnd()}`;
+            }
+            continue;
+        }
+        block = null;
+        const text = line.trim();
+        const stream = text.match(/^Stream #0:(\d+)[^:]*: (\w+):/);
+        if (/^Input #0\b/.test(text)) {
+            owner = format;
+        } else if (stream) {
+            const entry = { index: Number(stream[1]), type: stream[2].toLowerCase(), tags: {} };
+            streams.push(entry);
+            owner = entry.tags;
+        } else if (/^(Chapter|Program|Input|Output) #/.test(text)) {
+            // Chapter and program metadata are not provenance
+            owner = null;
+        } else if (text === 'Metadata:' && owner) {
+            block = { indent, tags: owner, key: null };
+        }
+    }
+    return { format, streams };
+};
+
+const readInputTags = (videoPath) => {
+    return new Promise((resolve, reject) => {
+        const child = spawn(ffmpegPath, ['-hide_banner', '-i', videoPath], { stdio: ['ignore', 'ignore', 'pipe'] });
+        let err = '';
+        child.stderr.on('data', (d) => (err += d.toString()));
+        child.on('error', reject);
+        // ffmpeg exits non-zero without an output file; the summary is still printed
+        child.on('exit', () => {
+            if (!/^Input #0\b/m.test(err)) return reject(new Error(`ffmpeg could not read ${videoPath}: ${err.trim().split('\n').pop()}`));
+            resolve(parseInputTags(err));
+        });
+    });
+};
+
+const pick = (tags, fields) => Object.fromEntries(fields.filter((f) => f in tags).map((f) => [f, tags[f]]));
+
+/**
+ * The provenance object of a video for the given tag names.
+ * @returns {Promise<{ fields: string[], format: object, streams: { index: number, type: string, tags: object }[] }>}
+ */
+const readProvenance = async (videoPath, fields = DEFAULT_FIELDS) => {
+    const { format, streams } = await readInputTags(videoPath);
+    return {
+        fields,
+        format: pick(format, fields),
+        streams: streams
+            .map(({ index, type, tags }) => ({ index, type, tags: pick(tags, fields) }))
+            .filter((s) => Object.keys(s.tags).length > 0)
+    };
+};
+
+// Signed in place of a provenance hash when none was recorded
+const NO_PROVENANCE_SHA256 = '0'.repeat(64);
+
+/**
+ * SHA-256 of the provenance JSON, as signed in the video claim (NO_PROVENANCE_SHA256
+ * without one). Payloads keep the key order they were signed with, so
+ * JSON.parse + JSON.stringify round-trips.
+ */
+const provenanceSha256 = (provenance) => (provenance
+    ? sha256Hex(Buffer.from(JSON.stringify(provenance), 'utf8'))
+    : NO_PROVENANCE_SHA256);
+
+/**
+ * Every signed field whose value in `current` differs: changed, removed
+ * (actual null) or added (signed null). Field names follow ffprobe's JSON,
+ * e.g. format.tags.make or streams[0].tags.creation_time.
+ */
+const diffProvenance = (signed, current) => {
+    const changes = [];
+    const compare = (where, was = {}, now = {}) => {
+        for (const field of signed.fields) {
+            const a = field in was ? was[field] : null;
+            const b = field in now ? now[field] : null;
+            if (a !== b) changes.push({ field: `${where}.${field}`, signed: a, actual: b });
+        }
+    };
+    compare('format.tags', signed.format, current.format);
+    const indices = [...new Set([...signed.streams, ...current.streams].map((s) => s.index))].sort((x, y) => x - y);
+    const tagsOf = (list, i) => (list.find((s) => s.index === i) || {}).tags;
+    for (const i of indices) compare(`streams[${i}].tags`, tagsOf(signed.streams, i), tagsOf(current.streams, i));
+    return changes;
+};
+
+const describeChange = ({ field, signed, actual }) => {
+    if (signed === null) return `${field} added: ${JSON.stringify(actual)}`;
+    if (actual === null) return `${field} removed (signed ${JSON.stringify(signed)})`;
+    return `${field} changed: ${JSON.stringify(signed)} -> ${JSON.stringify(actual)}`;
+};
+
+// "make=Apple, model=iPhone 15, +2 stream tags" for progress notes
+const describeProvenance = (provenance) => {
+    const format = Object.entries(provenance.format).map(([k, v]) => `${k}=${v}`);
+    const streamTags = provenance.streams.reduce((n, s) => n + Object.keys(s.tags).length, 0);
+    const parts = [...format, ...(streamTags ? [`+${streamTags} stream tags`] : [])];
+    return parts.length ? parts.join(', ') : 'none of the chosen tags present';
+};
+
+module.exports = {
+    DEFAULT_FIELDS,
+    NO_PROVENANCE_SHA256,
+    parseProvenanceOptions,
+    parseInputTags,
+    readProvenance,
+    provenanceSha256,
+    diffProvenance,
+    describeChange,
+    describeProvenance
+};
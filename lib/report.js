@@ -0,0 +1,183 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const { flagValue } = require('./cli');
+
+// -------------------------------
+// Machine-readable verification reports
+// -------------------------------
+// verify_video.js and verify_frames.js record every step (name, status,
+// duration, expected vs. actual values) and, with --format=json or
+// --format=junit, print the report on stdout; the colored progress then goes
+// to stderr. --report=<path> writes the report to a file instead and leaves
+// stdout alone.
+//
+// Each check has a category; the exit code tells the most specific one that
+// failed, in this order:
+//   0 verified
+//   2 not signed        no signature payload / manifest
+//   3 hash mismatch     file, frame or audio content differs from what was signed
+//   4 bad signature     a signature, proof, timestamp token or anchor does not verify
+//   5 untrusted signer  signature is valid but the trust policy rejects the signer
+//   1 tool error        bad arguments, missing files, ffmpeg failures, crashes
+const REPORT_SCHEMA = 'crypto-video-verification-report@1';
+const FORMATS = ['text', 'json', 'junit'];
+
+const VERDICTS = ['not-signed', 'hash-mismatch', 'bad-signature', 'untrusted-signer', 'tool-error'];
+const EXIT_CODES = {
+    verified: 0,
+    'tool-error': 1,
+    'not-signed': 2,
+    'hash-mismatch': 3,
+    'bad-signature': 4,
+    'untrusted-signer': 5
+};
+
+/**
+ * --format=text|json|junit (default text) and --report=<path>.
+ */
+const parseReportOptions = (args) => {
+    const format = flagValue(args, 'format') || 'text';
+    if (!FORMATS.includes(format)) throw new Error(`Unknown --format: ${format} (expected ${FORMATS.join(', ')})`);
+    const reportPath = flagValue(args, 'report');
+    return { format, reportPath: reportPath ? path.resolve(reportPath) : null };
+};
+
+// A failed step counts as a tool error when the system failed, not the video
+const categoryOf = (step) => (step.systemError || !step.category ? 'tool-error' : step.category);
+
+const xmlEscape = (s) => String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+const renderJunit = (report) => {
+    const { tool, steps } = report;
+    const failures = steps.filter((s) => s.status === 'failed' && s.category !== 'tool-error').length;
+    const errors = steps.filter((s) => s.status === 'failed' && s.category === 'tool-error').length + (report.error ? 1 : 0);
+    const tests = steps.length + (report.error ? 1 : 0);
+    const suiteName = `${tool}: ${report.target.video || report.target.manifest || ''}`.trim();
+    const counts = `tests="${tests}" failures="${failures}" errors="${errors}" time="${seconds(report.durationMs)}"`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${xmlEscape(tool)}" ${counts}>`,
+        `  <testsuite name="${xmlEscape(suiteName)}" ${counts} timestamp="${report.startedAt}">`,
+        '    <properties>',
+        `      <property name="verdict" value="${xmlEscape(report.verdict)}"/>`,
+        `      <property name="exitCode" value="${report.exitCode}"/>`,
+        ...Object.entries(report.target).map(([k, v]) => `      <property name="${xmlEscape(k)}" value="${xmlEscape(v)}"/>`),
+        '    </properties>'
+    ];
+    for (const s of steps) {
+        const open = `    <testcase classname="${xmlEscape(tool)}" name="${xmlEscape(s.name)}" time="${seconds(s.durationMs)}"`;
+        const details = Object.keys(s.details).length ? xmlEscape(JSON.stringify(s.details, null, 2)) : '';
+        if (s.status === 'passed') {
+            lines.push(details ? `${open}>\n      <system-out>${details}</system-out>\n    </testcase>` : `${open}/>`);
+            continue;
+        }
+        const tag = s.category === 'tool-error' ? 'error' : 'failure';
+        lines.push(`${open}>`);
+        lines.push(`      <${tag} type="${xmlEscape(s.category)}" message="${xmlEscape(s.error)}">${details}</${tag}>`);
+        lines.push('    </testcase>');
+    }
+    if (report.error) {
+        lines.push(`    <testcase classname="${xmlEscape(tool)}" name="run" time="0.000">`);
+        lines.push(`      <error type="tool-error" message="${xmlEscape(report.error)}"/>`);
+        lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>', '</testsuites>');
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Collects the steps of one verifier run (see createProgress in lib/progress.js).
+ * @param {string} tool script name, e.g. 'verify_video'
+ * @returns {{ target: object, addStep: (step: object) => void, build: (extra?: { error?: Error }) => object }}
+ *   build() returns the report document, with its verdict and exit code
+ */
+const createReport = (tool) => {
+    const startedAtMs = Date.now();
+    const steps = [];
+    const target = {};
+
+    const build = ({ error = null } = {}) => {
+        const failed = steps.filter((s) => s.status === 'failed').map(categoryOf);
+        if (error && failed.length === 0) failed.push('tool-error');
+        const verdict = VERDICTS.find((v) => failed.includes(v)) || 'verified';
+        return {
+            schema: REPORT_SCHEMA,
+            tool,
+            target,
+            verdict,
+            exitCode: EXIT_CODES[verdict],
+            startedAt: new Date(startedAtMs).toISOString(),
+            durationMs: Date.now() - startedAtMs,
+            steps: steps.map((s) => ({
+                name: s.name,
+                status: s.status,
+                durationMs: s.durationMs,
+                ...(s.status === 'failed' ? { category: categoryOf(s), error: s.error } : {}),
+                details: s.details
+            })),
+            ...(error ? { error: error.message || String(error) } : {})
+        };
+    };
+
+    return {
+        target,
+        /**
+         * Record a finished step: { name, status: 'passed'|'failed', durationMs,
+         * category, error (Error), details }. An error with its own `category`
+         * overrides the step's.
+         */
+        addStep: ({ name, status, durationMs, category = null, error = null, details = {} }) => {
+            steps.push({
+                name,
+                status,
+                durationMs,
+                category: (error && error.category) || category,
+                // Node system errors (ENOENT, spawn failures, ...) carry a syscall
+                systemError: Boolean(error && error.syscall),
+                error: error ? error.message || String(error) : null,
+                details
+            });
+        },
+        build
+    };
+};
+
+/**
+ * With --format=json|junit and no --report the report goes to stdout, so the
+ * progress printed with console.log is sent to stderr instead.
+ */
+const reserveStdout = ({ format, reportPath }) => {
+    if (format !== 'text' && !reportPath) console.log = console.error;
+};
+
+/**
+ * Print or write a built report as the options ask (nothing for text without
+ * --report) and return its exit code.
+ */
+const writeReport = async (report, { format, reportPath }) => {
+    if (format === 'text' && !reportPath) return report.exitCode;
+    const out = format === 'junit' ? renderJunit(report) : `${JSON.stringify(report, null, 2)}\n`;
+    if (reportPath) {
+        await fsp.mkdir(path.dirname(reportPath), { recursive: true });
+        await fsp.writeFile(reportPath, out, 'utf8');
+    } else {
+        process.stdout.write(out);
+    }
+    return report.exitCode;
+};
+
+module.exports = {
+    REPORT_SCHEMA,
+    EXIT_CODES,
+    parseReportOptions,
+    createReport,
+    reserveStdout,
+    writeReport
+};
@@ -0,0 +1,576 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { createMerkleProver, verifyMerkleProof } = require('./merkle');
+const { diffFrames } = require('./frame_diff');
+const {
+    FRAME_PATTERN, STREAM_PIXEL_FORMAT, sha256Hex, listPngFilesSorted, runFfmpegExtractFrames, streamFrameHashes, streamFrameName, extractFrameHashes, probeCreationTime
+} = require('./frames');
+const { frameTiming, merkleLeafHex } = require('./frame_messages');
+const { PCM_FORMAT, DEFAULT_CHUNK_MS, probeAudioStreams, hashAudioChunks } = require('./audio');
+const { detectContainer } = require('./containers');
+const { SCHEME_LABELS, verifyClaim, signingOf } = require('./signers');
+const { parseTsaOptions, requestTimestamp } = require('./tsa');
+const { parseAnchorOptions, anchoringEnabled, anchorHash } = require('./anchor');
+const { canEmbedManifest, embedManifest } = require('./embed');
+const { createFramePool } = require('./frame_pool');
+const { createManifestWriter, appendManifestField } = require('./manifest_writer');
+const { writeTaggedCopy } = require('./metadata');
+const { parseProvenanceOptions, readProvenance, describeProvenance } = require('./provenance');
+const { createProgress } = require('./progress');
+
+// -------------------------------
+// Per-frame signing
+// -------------------------------
+// Every frame (and audio chunk) is hashed and signed into a frames manifest,
+// which is then verified, signed as a whole, optionally timestamped and
+// anchored, and referenced from the tags of a verifiable copy of the video.
+// Chosen capture tags (make, model, creation_time, ...) go into the manifest
+// head as `provenance` (lib/provenance.js), so the manifest signature covers them.
+
+// Frames handed to the pool at a time; also the unit in which entries are written
+const FRAME_WINDOW = 256;
+
+const MODES = ['per-frame', 'merkle'];
+
+const emptyDir = async (dirPath) => {
+    try {
+        await fsp.rm(dirPath, { recursive: true, force: true });
+    } catch (_) { }
+    await fsp.mkdir(dirPath, { recursive: true });
+};
+
+// Consecutive batches of up to `size` items from an array or async iterable
+const batchesOf = async function* (source, size) {
+    let batch = [];
+    for await (const item of source) {
+        batch.push(item);
+        if (batch.length === size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) yield batch;
+};
+
+/**
+ * Sign every frame of a video into a frames manifest and write a verifiable copy.
+ * @param {object} options
+ * @param {string} options.input source video
+ * @param {string} options.output path of the verifiable copy
+ * @param {string} options.workDir frames go to <workDir>/input, the manifest and
+ *   manifest_hash.txt to <workDir>/output; parallel runs each need their own
+ * @param {object} options.signer from loadSigner (lib/keys.js): { signer, source, wallet, key }
+ * @param {'per-frame'|'merkle'} [options.mode] sign every frame, or only the Merkle root of the frame hashes
+ * @param {boolean} [options.streamFrames] hash raw frames from an ffmpeg pipe instead of PNG files
+ * @param {number|null} [options.frameRate] sign this many frames per second instead of every frame
+ * @param {number} [options.audioChunkMs] duration of the signed audio chunks
+ * @param {boolean} [options.embedManifest] embed the manifest in the copy (lib/embed.js)
+ * @param {boolean} [options.compressManifest] gzip the embedded manifest
+ * @param {number} [options.threads] worker threads (lib/frame_pool.js)
+ * @param {{ url?: string }} [options.tsa] from parseTsaOptions (lib/tsa.js); by default from the environment
+ * @param {object} [options.anchor] from parseAnchorOptions (lib/anchor.js); by default from the environment
+ * @param {{ fields: string[] }} [options.provenance] from parseProvenanceOptions (lib/provenance.js); by default from the environment
+ * @param {object|null} [options.payer] wallet paying for the anchor when the signer has none (Ed25519)
+ * @param {(event: object) => void} [options.onProgress] see lib/progress.js
+ * @returns {Promise<{ manifestPath: string, output: string, mode: string, signerAddress: string, startTimestampMs: number,
+ *   frameCount: number, manifestSha256: string, signature: string, rfc3161: object|null, anchor: object|null, provenance: object|null,
+ *   embedded: object|null }>}
+ */
+const signFrames = async ({
+    input,
+    output,
+    workDir,
+    signer: loaded,
+    mode = 'per-frame',
+    streamFrames = false,
+    frameRate = null,
+    audioChunkMs = DEFAULT_CHUNK_MS,
+    embedManifest: embed = true,
+    compressManifest = false,
+    threads = 1,
+    tsa: tsaOptions = parseTsaOptions([]),
+    anchor: anchorOptions = parseAnchorOptions([]),
+    provenance: provenanceOptions = parseProvenanceOptions([]),
+    payer = null,
+    onProgress
+}) => {
+    if (!MODES.includes(mode)) throw new Error(`Unknown manifest mode: ${mode} (expected per-frame or merkle)`);
+    if (!fs.existsSync(input)) throw new Error(`Input video not found: ${input}`);
+    const inputDir = path.join(workDir, 'input');
+    const outputDir = path.join(workDir, 'output');
+    const manifestPath = path.join(outputDir, 'frames_manifest.json');
+
+    const { signer, source: keySource, wallet, key } = loaded;
+    const signing = { scheme: signer.scheme, domain: signer.domain };
+    const pool = createFramePool({ threads, signing, key });
+    try {
+        const startTimestampMs = Date.now();
+        const signerAddress = signer.address;
+        const progress = createProgress({ totalSteps: streamFrames ? 11 : 13, onProgress });
+        const { step } = progress;
+
+        progress.banner('Crypto Video Frame Signer', `(${SCHEME_LABELS[signing.scheme]})`,
+            { Video: path.basename(input), Signer: `${signerAddress} (${keySource})` },
+            { Start: new Date(startTimestampMs).toISOString(), Mode: `${mode}${streamFrames ? ' (streamed frames)' : ''}`, Threads: pool.threads },
+            ...(frameRate ? [{ 'Frame rate': `${frameRate} fps (sampled)` }] : []));
+
+        await step('Prepare folders', async () => {
+            // Streamed frames never touch the disk
+            if (!streamFrames) await emptyDir(inputDir);
+            await fsp.mkdir(outputDir, { recursive: true });
+        });
+
+        // ffmpeg stamps some tags (e.g. encoder) on every copy it writes, so they are
+        // read from a short copy written the way the verifiable copy is at the end
+        const provenance = await step('Read provenance metadata', async () => {
+            if (provenanceOptions.fields.length === 0) {
+                progress.info('Provenance disabled (--no-provenance)');
+                return null;
+            }
+            const container = await detectContainer(input);
+            const probe = path.join(outputDir, `provenance_probe${path.extname(output)}`);
+            try {
+                await writeTaggedCopy(input, probe, {}, [...container.muxArgs, '-t', '1']);
+                const read = await readProvenance(probe, provenanceOptions.fields);
+                progress.note({ Provenance: describeProvenance(read) });
+                return read;
+            } finally {
+                await fsp.rm(probe, { force: true });
+            }
+        });
+
+        // Frames to sign, in frameNumber order: PNG files in inputDir, or frames
+        // hashed as they come out of the pipe. `describe` gives the manifest's
+        // timing (and frame format) once the first frame is known.
+        let frameSource;
+        let describe;
+        let totalFrames = null;
+        if (!streamFrames) {
+            // Presentation timestamps come from ffmpeg's showinfo filter during extraction
+            const extracted = await step('Extract frames', async () => {
+                const [t, captureStartMs] = await Promise.all([
+                    runFfmpegExtractFrames(input, inputDir, FRAME_PATTERN, { timing: true, frameRate }),
+                    probeCreationTime(input)
+                ]);
+                if (!t.timeBase) throw new Error('Could not determine video time base');
+                progress.note({ 'Time base': t.timeBase, 'Capture start': captureStartMs ? new Date(captureStartMs).toISOString() : 'unknown' });
+                return { timings: t.frames, timing: { source: 'showinfo', timeBase: t.timeBase, captureStartMs } };
+            });
+
+            const frameFiles = await step('Discover frames', async () => {
+                const files = await listPngFilesSorted(inputDir);
+                if (files.length === 0) throw new Error('No frames were extracted');
+                if (files.length !== extracted.timings.length) {
+                    throw new Error(`Timing count mismatch: ${files.length} frames, ${extracted.timings.length} timestamps`);
+                }
+                progress.note({ 'Frames found': files.length });
+                return files;
+            });
+
+            totalFrames = frameFiles.length;
+            frameSource = frameFiles.map((filename, i) => ({ frameNumber: i + 1, filename, filePath: path.join(inputDir, filename), ...extracted.timings[i] }));
+            describe = () => ({ timing: extracted.timing, frameFormat: null });
+        } else {
+            const captureStartMs = await probeCreationTime(input);
+            frameSource = (async function* () {
+                for await (const f of streamFrameHashes(input, { pixelFormat: STREAM_PIXEL_FORMAT, frameRate })) {
+                    yield { ...f, filename: streamFrameName(f.frameNumber, STREAM_PIXEL_FORMAT) };
+                }
+            })();
+            describe = (first) => {
+                progress.note({
+                    'Time base': first.timeBase,
+                    'Capture start': captureStartMs ? new Date(captureStartMs).toISOString() : 'unknown',
+                    Frames: `${first.width}x${first.height} ${STREAM_PIXEL_FORMAT}`
+                });
+                return {
+                    timing: { source: 'showinfo', timeBase: first.timeBase, captureStartMs },
+                    // Verifiers decode to the same pixel format to reproduce the hashes
+                    frameFormat: { encoding: 'rawvideo', pixelFormat: STREAM_PIXEL_FORMAT, width: first.width, height: first.height }
+                };
+            };
+        }
+
+        const audioStreams = await step('Decode, hash and sign audio chunks', async () => {
+            const streams = await probeAudioStreams(input);
+            if (streams.length === 0) progress.info('No audio streams');
+            const out = [];
+            for (const stream of streams) {
+                const chunks = await hashAudioChunks(input, stream, audioChunkMs);
+                for (const chunk of chunks) {
+                    const signed = await signer.sign('AudioChunkClaim', {
+                        startTimestampMs,
+                        streamIndex: stream.streamIndex,
+                        chunkNumber: chunk.chunkNumber,
+                        chunkHashSha256: chunk.chunkHashSha256
+                    });
+                    Object.assign(chunk, signed);
+                }
+                progress.info(` - stream ${stream.streamIndex} (${stream.codec}, ${stream.sampleRate} Hz, ${stream.channels} ch): ${chunks.length} chunks`);
+                out.push({ ...stream, chunks });
+            }
+            return out;
+        });
+
+        // Frames are taken FRAME_WINDOW at a time, hashed and signed on the pool and
+        // appended to the manifest in frameNumber order; only the fields around
+        // `frames` stay in memory. Merkle mode needs every hash before the root (part
+        // of the manifest head) exists, so it keeps the hashes and writes the entries
+        // after the last frame.
+        const writer = await step(streamFrames ? 'Stream, hash and sign frames' : 'Hash and sign frames', async () => {
+            progress.info(`Processing frames ${totalFrames ? `(${totalFrames} total)` : '(streaming)'}`);
+            let info = null;
+            let out = null;
+            const openWriter = (merkle) => createManifestWriter(manifestPath, {
+                schema: 'crypto-video-frames-manifest@1',
+                mode,
+                inputVideo: path.basename(input),
+                // Streamed frames have no input folder
+                inputDir: streamFrames ? undefined : path.basename(inputDir),
+                outputDir: path.basename(outputDir),
+                startTimestampMs,
+                timing: info.timing,
+                ...(info.frameFormat ? { frameFormat: info.frameFormat } : {}),
+                // Only throttled manifests carry it; verifiers extract at the same rate
+                ...(frameRate ? { sampling: { filter: 'fps', frameRate } } : {}),
+                ...(provenance ? { provenance } : {}),
+                signer: signer.signerFields,
+                ...(merkle ? { merkle } : {})
+            });
+            const merkleFrames = [];
+            let done = 0;
+            try {
+                for await (const batch of batchesOf(frameSource, FRAME_WINDOW)) {
+                    if (!info) info = describe(batch[0]);
+                    if (mode === 'merkle') {
+                        const hashes = streamFrames ? batch.map((f) => f.frameHashSha256) : await pool.map('hash', batch.map((f) => f.filePath));
+                        batch.forEach(({ frameNumber, filename, pts, ptsTime, duration }, j) => {
+                            merkleFrames.push({ frameNumber, filename, frameHashSha256: hashes[j], pts, ptsTime, duration });
+                        });
+                    } else {
+                        if (!out) out = await openWriter(null);
+                        // Results come back in item order, whichever worker finished first
+                        const results = await pool.map('sign', batch.map((f) => ({
+                            filePath: f.filePath,
+                            frameHashSha256: f.frameHashSha256,
+                            claim: { startTimestampMs, frameNumber: f.frameNumber, timing: { pts: f.pts, duration: f.duration, timeBase: info.timing.timeBase } }
+                        })));
+                        // message, digest and signature fields depend on the backend
+                        await out.writeFrames(batch.map(({ frameNumber, filename, pts, ptsTime, duration }, j) => ({
+                            frameNumber, filename, frameHashSha256: results[j].frameHashSha256, pts, ptsTime, duration, ...results[j].signed
+                        })));
+                    }
+                    done += batch.length;
+                    progress.frames(done, totalFrames, totalFrames === done);
+                }
+                if (!info) throw new Error('No frames were extracted');
+                if (!totalFrames) progress.frames(done, null, true);
+                if (mode === 'merkle') {
+                    const timingInfo = { startTimestampMs, timing: info.timing };
+                    const prover = createMerkleProver(merkleFrames.map((f) => merkleLeafHex(timingInfo, f, f.frameHashSha256)));
+                    const { root } = prover;
+                    const signed = await signer.sign('FrameRootClaim', { startTimestampMs, frameCount: done, merkleRootSha256: root });
+                    out = await openWriter({
+                        hash: 'sha256',
+                        leaf: 'message-sha256',
+                        leafPrefix: '0x00',
+                        nodePrefix: '0x01',
+                        frameCount: done,
+                        root,
+                        ...signed
+                    });
+                    progress.note({ 'Merkle root': root });
+                    for (let i = 0; i < merkleFrames.length; i += FRAME_WINDOW) {
+                        await out.writeFrames(merkleFrames.slice(i, i + FRAME_WINDOW).map((f, j) => ({ ...f, proof: prover.proof(i + j) })));
+                    }
+                }
+                return out;
+            } catch (err) {
+                if (out) await out.abort();
+                throw err;
+            }
+        });
+
+        const frameCount = await step('Write manifest', async () => {
+            const count = await writer.finish({
+                audio: {
+                    pcmFormat: PCM_FORMAT,
+                    bitexact: true,
+                    chunkDurationMs: audioChunkMs,
+                    streams: audioStreams
+                }
+            });
+            progress.note({ Manifest: manifestPath });
+            return count;
+        });
+
+        // The token covers the manifest as written above, signer and frame signatures
+        // included; it is then appended as the last field, so verifiers drop `rfc3161`
+        // and re-serialize to get the imprint. The manifest signature below covers
+        // the final file, token included.
+        const timestamp = await step('Request RFC 3161 timestamp over the manifest', async () => {
+            if (!tsaOptions.url) {
+                progress.info('No TSA configured (--tsa-url / TSA_URL); start time is self-reported');
+                return null;
+            }
+            const record = await requestTimestamp(tsaOptions.url, sha256Hex(await fsp.readFile(manifestPath)));
+            await appendManifestField(manifestPath, 'rfc3161', record);
+            progress.note({ TSA: record.tsaUrl, genTime: record.genTime });
+            return record;
+        });
+
+        // -------------------------------
+        // Verification step
+        // -------------------------------
+        const loadedManifest = await step('Verify frames and signatures', async () => {
+            const manifest = JSON.parse(await fsp.readFile(manifestPath, 'utf8'));
+
+            // Align the whole input folder against the manifest before any per-frame check,
+            // so a mismatch is reported with every affected frame range, not just the first.
+            // Streamed frames are decoded again, the way verifiers will.
+            let inputFramesNow;
+            let inputHashes;
+            if (streamFrames) {
+                ({ files: inputFramesNow, hashes: inputHashes } = await extractFrameHashes(input, { frameFormat: manifest.frameFormat, sampling: manifest.sampling }));
+            } else {
+                inputFramesNow = await listPngFilesSorted(inputDir);
+                inputHashes = await pool.map('hash', inputFramesNow.map((filename) => path.join(inputDir, filename)));
+            }
+            const diff = diffFrames(manifest.frames.map((f) => f.frameHashSha256), inputHashes);
+            if (!diff.intact) {
+                for (const r of diff.differences) {
+                    const orig = r.manifest ? `manifest ${r.manifest[0]}-${r.manifest[1]}` : '';
+                    const now = r.video ? `input ${r.video[0]}-${r.video[1]}` : '';
+                    progress.warn(` - ${r.type} ${[orig, now].filter(Boolean).join(' -> ')}`);
+                }
+                const counts = Object.entries(diff.summary).filter(([, n]) => n > 0).map(([t, n]) => `${n} ${t}`);
+                throw new Error(`Input frames differ from manifest: ${counts.join(', ') || 'frame count mismatch'}`);
+            }
+            for (let i = 0; i < manifest.frames.length; i++) {
+                const expectedName = inputFramesNow[i];
+                if (manifest.frames[i].filename !== expectedName) {
+                    throw new Error(`Frame filename mismatch at index ${i}: ${manifest.frames[i].filename} !== ${expectedName}`);
+                }
+                if (manifest.frames[i].frameNumber !== i + 1) {
+                    throw new Error(`Frame number out of order at index ${i}: ${manifest.frames[i].frameNumber} !== ${i + 1}`);
+                }
+            }
+
+            // Recompute hashes and verify signatures using ONLY the starting timestamp from manifest
+            const verifyStartTs = manifest.startTimestampMs;
+            const expectedAddress = manifest.signer.address;
+            const expectedPublicKey = manifest.signer.publicKey;
+            const loadedSigning = signingOf(manifest.signer);
+            const isMerkle = manifest.mode === 'merkle';
+
+            if (isMerkle) {
+                // One signature covers the root, timestamp and frame count
+                const { merkle } = manifest;
+                if (merkle.frameCount !== manifest.frames.length) {
+                    throw new Error(`Merkle frame count mismatch: ${merkle.frameCount} !== ${manifest.frames.length}`);
+                }
+                const { message: rootMsg, addrOk, pubOk, recoveredAddress } = await verifyClaim(loadedSigning, 'FrameRootClaim', {
+                    startTimestampMs: verifyStartTs, frameCount: merkle.frameCount, merkleRootSha256: merkle.root
+                }, merkle.signature, expectedAddress, expectedPublicKey);
+                if (rootMsg !== merkle.message) {
+                    throw new Error('Merkle root message mismatch');
+                }
+                if (!addrOk || !pubOk) {
+                    throw new Error(`Merkle root signature verification failed. Recovered addr=${recoveredAddress}`);
+                }
+            }
+
+            if (isMerkle) {
+                for (let i = 0; i < manifest.frames.length; i++) {
+                    const f = manifest.frames[i];
+                    const leaf = merkleLeafHex(manifest, f, inputHashes[i]);
+                    if (!verifyMerkleProof(leaf, f.proof, manifest.merkle.root, i, manifest.merkle.frameCount)) {
+                        throw new Error(`Merkle proof verification failed for ${f.filename}`);
+                    }
+                }
+            } else {
+                const results = await pool.map('verify', manifest.frames.map((f, i) => ({
+                    kind: 'FrameClaim',
+                    claim: {
+                        startTimestampMs: verifyStartTs,
+                        frameNumber: f.frameNumber,
+                        frameHashSha256: inputHashes[i],
+                        timing: frameTiming(manifest, f)
+                    },
+                    signature: f.signature
+                })), { signing: loadedSigning, expectedAddress, expectedPublicKey });
+                // Reported in frame order, like a serial pass would
+                for (let i = 0; i < manifest.frames.length; i++) {
+                    const f = manifest.frames[i];
+                    const { message: recomputedMsg, addrOk, pubOk, recoveredAddress, recoveredPublicKey } = results[i];
+                    if (recomputedMsg !== f.message) {
+                        throw new Error(`Message mismatch for ${f.filename}`);
+                    }
+
+                    if (!addrOk || !pubOk) {
+                        throw new Error(
+                            `Signature verification failed for ${f.filename}. Recovered addr=${recoveredAddress}, pubKey=${recoveredPublicKey}`
+                        );
+                    }
+                }
+            }
+            progress.ok('All frames verified');
+
+            // Audio chunk signatures (chunk hashes were computed from the decoded stream above)
+            for (const stream of (manifest.audio ? manifest.audio.streams : [])) {
+                for (const chunk of stream.chunks) {
+                    const { message: msg, addrOk, pubOk } = await verifyClaim(loadedSigning, 'AudioChunkClaim', {
+                        startTimestampMs: verifyStartTs,
+                        streamIndex: stream.streamIndex,
+                        chunkNumber: chunk.chunkNumber,
+                        chunkHashSha256: chunk.chunkHashSha256
+                    }, chunk.signature, expectedAddress, expectedPublicKey);
+                    if (msg !== chunk.message || !addrOk || !pubOk) {
+                        throw new Error(`Signature verification failed for audio stream ${stream.streamIndex} chunk ${chunk.chunkNumber}`);
+                    }
+                }
+            }
+            return manifest;
+        });
+
+        // -------------------------------
+        // Negative verification: wrong start timestamp
+        // -------------------------------
+        await step('Negative verification (bad start timestamp)', async () => {
+            const loaded = loadedManifest;
+            const badStartTs = loaded.startTimestampMs + 1; // off-by-one should break signatures
+            const loadedSigning = signingOf(loaded.signer);
+            let negativeFailedAsExpected = false;
+            try {
+                if (loaded.mode === 'merkle') {
+                    const { addrOk, pubOk } = await verifyClaim(loadedSigning, 'FrameRootClaim', {
+                        startTimestampMs: badStartTs, frameCount: loaded.merkle.frameCount, merkleRootSha256: loaded.merkle.root
+                    }, loaded.merkle.signature, loaded.signer.address, loaded.signer.publicKey);
+                    if (addrOk && pubOk) {
+                        throw new Error('Negative verification unexpectedly succeeded for the Merkle root');
+                    }
+                }
+                if (loaded.mode !== 'merkle') {
+                    // Frame hashes were checked against the input in the previous step
+                    const results = await pool.map('verify', loaded.frames.map((f) => ({
+                        kind: 'FrameClaim',
+                        claim: {
+                            startTimestampMs: badStartTs,
+                            frameNumber: f.frameNumber,
+                            frameHashSha256: f.frameHashSha256,
+                            timing: frameTiming(loaded, f)
+                        },
+                        signature: f.signature
+                    })), { signing: loadedSigning, expectedAddress: loaded.signer.address, expectedPublicKey: loaded.signer.publicKey });
+                    for (let i = 0; i < loaded.frames.length; i++) {
+                        const { message: recomputedMsg, addrOk, pubOk } = results[i];
+                        // This should not match original message
+                        if (recomputedMsg === loaded.frames[i].message) {
+                            throw new Error('Negative test invariant broken: recomputed message unexpectedly equals original');
+                        }
+                        if (addrOk && pubOk) {
+                            throw new Error('Negative verification unexpectedly succeeded for a frame');
+                        }
+                    }
+                }
+                negativeFailedAsExpected = true;
+            } catch (_) {
+                // Any thrown error indicates mismatch/failed verification — which is expected
+                negativeFailedAsExpected = true;
+            }
+            if (negativeFailedAsExpected) {
+                progress.ok('Failed as expected with bad timestamp');
+            } else {
+                throw new Error('Negative verification did not fail as expected');
+            }
+        });
+
+        const { manifestSha256Hex, manifestSignature } = await step('Sign manifest hash and write manifest_hash.txt', async () => {
+            const manifestSha256 = sha256Hex(await fsp.readFile(manifestPath));
+            const { signature, r: manR, s: manS, v: manV } = await signer.sign('ManifestClaim', {
+                startTimestampMs, frameCount, manifestSha256
+            });
+
+            progress.note({ 'Manifest file': path.basename(manifestPath) });
+            progress.note({ 'Start timestamp': startTimestampMs });
+            progress.note({ 'Manifest SHA-256': manifestSha256 });
+            progress.note({ Signature: signature });
+            if (manR) progress.note({ r: manR, s: manS, v: manV });
+
+            const hashTxtPath = path.join(outputDir, 'manifest_hash.txt');
+            const lines = [
+                path.basename(input),
+                String(startTimestampMs),
+                manifestSha256,
+                signature
+            ].join('\n') + '\n';
+            await fsp.writeFile(hashTxtPath, lines, 'utf8');
+            progress.note({ Wrote: hashTxtPath });
+            return { manifestSha256Hex: manifestSha256, manifestSignature: signature };
+        });
+
+        // Recorded in the video's `anchor` tag; the manifest cannot hold its own anchor
+        const anchor = await step('Anchor manifest hash on-chain', async () => {
+            if (!anchoringEnabled(anchorOptions)) {
+                progress.info('No registry configured (--anchor-rpc and --anchor-registry); skipping');
+                return null;
+            }
+            // Ed25519 signers pay for the transaction with a separate Ethereum key
+            const from = wallet || payer;
+            if (!from) throw new Error('Anchoring with an Ed25519 signer needs an Ethereum payer wallet');
+            const record = await anchorHash(from, anchorOptions, {
+                hashHex: manifestSha256Hex,
+                timestampMs: startTimestampMs,
+                kind: 'manifest'
+            });
+            progress.note({ Chain: record.chainId, Block: record.blockNumber, Tx: record.txHash });
+            return record;
+        });
+
+        const embedded = await step('Write verifiable video copy with metadata', async () => {
+            await fsp.mkdir(path.dirname(output), { recursive: true });
+            const container = await detectContainer(input);
+            await writeTaggedCopy(input, output, {
+                artist: manifestSha256Hex,
+                album: `Timestamp - ${startTimestampMs}`,
+                title: 'Verifiable Video',
+                // Manifest-level signature so recipients can run verify_frames.js
+                description: manifestSignature,
+                ...(anchor ? { anchor: JSON.stringify(anchor) } : {})
+            }, container.muxArgs);
+            progress.note({ 'Wrote verifiable video': output });
+
+            if (!embed) return null;
+            if (!canEmbedManifest(container)) {
+                progress.warn(`${container.name} cannot carry the manifest; share ${path.basename(manifestPath)} with the video`);
+                return null;
+            }
+            const record = await embedManifest(output, await fsp.readFile(manifestPath), { compress: compressManifest });
+            progress.note({ 'Embedded manifest': `${record.location} (${record.storedBytes} bytes${compressManifest ? ', gzip' : ''})` });
+            return record;
+        });
+
+        progress.result(true, 'ALL STEPS PASSED', path.basename(manifestPath));
+        return {
+            manifestPath,
+            output,
+            mode,
+            signerAddress,
+            startTimestampMs,
+            frameCount,
+            manifestSha256: manifestSha256Hex,
+            signature: manifestSignature,
+            rfc3161: timestamp,
+            anchor,
+            provenance,
+            embedded
+        };
+    } finally {
+        await pool.close();
+    }
+};
+
+module.exports = {
+    signFrames
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { detectContainer } = require('./containers');
+const { SCHEME_LABELS, schemeFields } = require('./signers');
+const { parseTsaOptions, requestSignatureTimestamp } = require('./tsa');
+const { parseAnchorOptions, anchoringEnabled, anchorHash } = require('./anchor');
+const { parseProvenanceOptions, readProvenance, provenanceSha256, describeProvenance } = require('./provenance');
+const { createProgress } = require('./progress');
+
+// -------------------------------
+// Whole-file signing
+// -------------------------------
+// The signature covers the canonical media hash (MP4/MOV: moov sample tables and
+// mdat; MKV/WebM: track settings and frames) plus the start timestamp. The JSON
+// payload then goes into the comment tag of the copy, which does not change that
+// hash. Capture tags (make, model, creation_time, ...) are not in that hash; the
+// claim also signs the hash of the ones recorded, or a marker that none were
+// (lib/provenance.js), so they can be neither changed nor stripped.
+
+/**
+ * Sign a video into a verifiable copy.
+ * @param {object} options
+ * @param {string} options.input source video (MP4, MOV, MKV, WebM)
+ * @param {string} options.output path of the verifiable copy
+ * @param {string|null} [options.outputDir] where video_hash.txt goes; not written when null
+ * @param {object} options.signer from loadSigner (lib/keys.js): { signer, source, wallet }
+ * @param {{ url?: string }} [options.tsa] from parseTsaOptions (lib/tsa.js); by default from the environment
+ * @param {object} [options.anchor] from parseAnchorOptions (lib/anchor.js); by default from the environment
+ * @param {{ fields: string[] }} [options.provenance] from parseProvenanceOptions (lib/provenance.js); by default from the environment
+ * @param {object|null} [options.payer] wallet paying for the anchor when the signer has none (Ed25519)
+ * @param {(event: object) => void} [options.onProgress] see lib/progress.js
+ * @returns {Promise<{ output: string, container: string, scheme: string, signerAddress: string, timestampMs: number,
+ *   fileHashSha256: string, signature: string, provenance: object|null, payload: object }>}
+ */
+const signVideo = async ({
+    input,
+    output,
+    outputDir = null,
+    signer: loaded,
+    tsa = parseTsaOptions([]),
+    anchor: anchorOptions = parseAnchorOptions([]),
+    provenance: provenanceOptions = parseProvenanceOptions([]),
+    payer = null,
+    onProgress
+}) => {
+    if (!fs.existsSync(input)) throw new Error(`Input video not found: ${input}`);
+    const container = await detectContainer(input);
+    const { signer, source: keySource, wallet } = loaded;
+    const signing = { scheme: signer.scheme, domain: signer.domain };
+    const startTimestampMs = Date.now();
+    const signerAddress = signer.address;
+    const progress = createProgress({ totalSteps: outputDir ? 7 : 6, onProgress });
+    const { step } = progress;
+
+    progress.banner('Whole-File Signer', `(${SCHEME_LABELS[signing.scheme]})`,
+        { Video: `${path.basename(input)} (${container.name})`, Signer: `${signerAddress} (${keySource})` },
+        { Start: new Date(startTimestampMs).toISOString() });
+
+    await step('Copy original into verifiable folder', async () => {
+        await fsp.mkdir(path.dirname(output), { recursive: true });
+        await container.prepareCopy(input, output);
+        progress.note({ Copy: output });
+    });
+
+    // Read from the copy: ffmpeg remuxes (Matroska) rewrite some tags, e.g. encoder
+    const provenance = await step('Read provenance metadata', async () => {
+        if (provenanceOptions.fields.length === 0) {
+            progress.info('Provenance disabled (--no-provenance)');
+            return null;
+        }
+        try {
+            const read = await readProvenance(output, provenanceOptions.fields);
+            progress.note({ Provenance: describeProvenance(read) });
+            return read;
+        } catch (err) {
+            // MP4/MOV sign without ffmpeg; the tags then stay unsigned
+            if (!err.syscall) throw err;
+            progress.warn(`Provenance not recorded: ${err.message}`);
+            return null;
+        }
+    });
+
+    const { fileHashHex, signature } = await step(`Hash canonical media (${container.canonicalScheme}) and sign`, async () => {
+        // Parsed directly from the file; the payload location is excluded from the hash
+        const fileHashHexLocal = await container.canonicalHashHex(output);
+        const signed = await signer.sign('VideoClaim', {
+            timestampMs: startTimestampMs,
+            fileHashSha256: fileHashHexLocal,
+            canonical: container.canonicalScheme,
+            provenanceSha256: provenanceSha256(provenance)
+        });
+        progress.note({ 'SHA-256': fileHashHexLocal });
+        progress.note({ Message: signed.message });
+        progress.note({ Signature: signed.signature });
+        return { fileHashHex: fileHashHexLocal, ...signed };
+    });
+
+    // Without a TSA the start time is only the signer's clock. The token covers
+    // the signature too, so it cannot be carried over to a re-signed copy.
+    const timestamp = await step('Request RFC 3161 timestamp over the file hash and signature', async () => {
+        if (!tsa.url) {
+            progress.info('No TSA configured (--tsa-url / TSA_URL); start time is self-reported');
+            return null;
+        }
+        const record = await requestSignatureTimestamp(tsa.url, fileHashHex, signature);
+        progress.note({ TSA: record.tsaUrl, genTime: record.genTime });
+        return record;
+    });
+
+    const anchor = await step('Anchor file hash on-chain', async () => {
+        if (!anchoringEnabled(anchorOptions)) {
+            progress.info('No registry configured (--anchor-rpc and --anchor-registry); skipping');
+            return null;
+        }
+        // Ed25519 signers pay for the transaction with a separate Ethereum key
+        const from = wallet || payer;
+        if (!from) throw new Error('Anchoring with an Ed25519 signer needs an Ethereum payer wallet');
+        const record = await anchorHash(from, anchorOptions, { hashHex: fileHashHex, timestampMs: startTimestampMs, kind: 'video' });
+        progress.note({ Chain: record.chainId, Block: record.blockNumber, Tx: record.txHash });
+        return record;
+    });
+
+    if (outputDir) {
+        await step('Write video_hash.txt', async () => {
+            await fsp.mkdir(outputDir, { recursive: true });
+            const outTxt = path.join(outputDir, 'video_hash.txt');
+            const lines = [
+                path.basename(input),
+                String(startTimestampMs),
+                fileHashHex
+            ].join('\n') + '\n';
+            await fsp.writeFile(outTxt, lines, 'utf8');
+            progress.note({ Wrote: outTxt });
+        });
+    }
+
+    const payload = {
+        timestampMs: startTimestampMs,
+        fileHashSha256: fileHashHex,
+        signerAddress,
+        // Needed by backends without public key recovery (secp256k1-sha256)
+        signerPublicKey: signer.publicKey,
+        signature,
+        canonical: container.canonicalScheme,
+        ...schemeFields(signing),
+        provenanceSha256: provenanceSha256(provenance),
+        ...(provenance ? { provenance } : {}),
+        ...(timestamp ? { rfc3161: timestamp } : {}),
+        ...(anchor ? { anchor } : {})
+    };
+    await step('Write comment JSON (timestamp,filehash,signerAddress,signature) in place', async () => {
+        await container.writeTags(output, { comment: JSON.stringify(payload) });
+        progress.note({ Payload: container.payloadLocation });
+        progress.note({ 'Wrote verifiable video': output });
+    });
+
+    progress.result(true, 'DONE', path.basename(input));
+    return {
+        output,
+        container: container.name,
+        scheme: signing.scheme,
+        signerAddress,
+        timestampMs: startTimestampMs,
+        fileHashSha256: fileHashHex,
+        signature,
+        provenance,
+        payload
+    };
+};
+
+module.exports = {
+    signVideo
+};
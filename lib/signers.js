@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { flagValue } = require('./cli');
+const { LEGACY_MESSAGES, buildDomain, typedData, claimJson } = require('./claims');
+
+// -------------------------------
+// Signature backends
+// -------------------------------
+// Picked per signing run with --signature-scheme (SIGNATURE_SCHEME) and recorded
+// as `scheme` in the manifest signer section and in the comment payload; a
+// missing scheme means eip191 so older files still verify.
+//
+//   eip191            Ethereum personal_sign over the legacy JSON strings (default)
+//   eip712            Ethereum typed structured data under a versioned domain
+//   secp256k1-sha256  plain ECDSA (RFC 6979, low-S) over SHA-256 of the claim JSON,
+//                     64-byte r||s signatures, via @noble/secp256k1
+//   ed25519           Ed25519 over the claim JSON, via Node crypto
+//
+// The Ethereum and secp256k1-sha256 backends use the same secp256k1 key sources
+// (lib/keys.js) and identify the signer by its Ethereum address. Ed25519 keys
+// are separate and identify the signer as "ed25519:<public key hex>".
+const SCHEMES = ['eip191', 'eip712', 'secp256k1-sha256', 'ed25519'];
+const DEFAULT_SCHEME = 'eip191';
+
+const SCHEME_LABELS = {
+    eip191: 'EIP-191',
+    eip712: 'EIP-712',
+    'secp256k1-sha256': 'secp256k1/SHA-256',
+    ed25519: 'Ed25519'
+};
+
+// @noble/secp256k1 v3 is ESM-only
+let noblePromise = null;
+const loadNoble = () => {
+    if (!noblePromise) noblePromise = import('@noble/secp256k1');
+    return noblePromise;
+};
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const strip0x = (hex) => String(hex).replace(/^0x/i, '');
+
+// -------------------------------
+// Ed25519 key helpers
+// -------------------------------
+const ed25519RawPublicKey = (keyObject) => {
+    const pub = keyObject.type === 'private' ? crypto.createPublicKey(keyObject) : keyObject;
+    return Buffer.from(pub.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+};
+
+const ed25519PublicKeyObject = (rawHex) => {
+    const x = Buffer.from(strip0x(rawHex), 'hex').toString('base64url');
+    return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x }, format: 'jwk' });
+};
+
+const ed25519Address = (rawHex) => `ed25519:${strip0x(rawHex).toLowerCase()}`;
+
+/**
+ * Canonical form of a signer id: checksummed Ethereum address or lower-case
+ * "ed25519:<public key hex>". Throws on anything else.
+ */
+const normalizeSignerAddress = (address) => {
+    const s = String(address);
+    if (/^ed25519:[0-9a-fA-F]{64}$/.test(s)) return s.toLowerCase();
+    if (/^0x[0-9a-fA-F]{40}$/.test(s)) return ethers.utils.getAddress(s.toLowerCase());
+    throw new Error(`Malformed signer address: ${s}`);
+};
+
+// -------------------------------
+// Backends
+// -------------------------------
+// keyType                         'secp256k1' or 'ed25519' (see lib/keys.js)
+// signerFields(key, domain)       manifest signer section
+// message(kind, claim, domain)    { message (stored text), digest field }
+// sign(key, kind, claim, domain)  signature fields
+// verify(digest, signature, publicKey, kind, claim, address) -> { recoveredAddress, recoveredPublicKey } or null
+const ethereumMessage = (scheme) => (kind, claim, domain) => {
+    if (scheme === 'eip712') {
+        const t = typedData(kind, claim, domain);
+        return {
+            message: JSON.stringify({ primaryType: kind, ...t.value }),
+            messageKeccak256: ethers.utils._TypedDataEncoder.hash(t.domain, t.types, t.value)
+        };
+    }
+    const message = LEGACY_MESSAGES[kind](claim);
+    return { message: Buffer.isBuffer(message) ? message.toString('hex') : message, messageKeccak256: ethers.utils.hashMessage(message) };
+};
+
+const ethereumBackend = (scheme) => ({
+    keyType: 'secp256k1',
+    message: ethereumMessage(scheme),
+    signerFields: (wallet, domain) => ({
+        address: wallet.address,
+        publicKey: wallet.publicKey, // uncompressed 0x04...
+        algo: 'secp256k1',
+        messagePrefix: scheme === 'eip712' ? '\\x19\\x01' : 'Ethereum Signed Message',
+        hash: 'keccak256',
+        eip: scheme === 'eip712' ? '712' : '191',
+        ...(domain ? { scheme, domain } : { scheme })
+    }),
+    sign: async (wallet, kind, claim, domain) => {
+        let signature;
+        if (scheme === 'eip712') {
+            const t = typedData(kind, claim, domain);
+            signature = await wallet._signTypedData(t.domain, t.types, t.value);
+        } else {
+            // Wallet.signMessage applies EIP-191: prefix + keccak256 hashing under the hood
+            signature = await wallet.signMessage(LEGACY_MESSAGES[kind](claim));
+        }
+        const { r, s, v } = ethers.utils.splitSignature(signature);
+        return { signature, r, s, v };
+    },
+    verify: async (digest, signature) => {
+        const recoveredPublicKey = ethers.utils.recoverPublicKey(digest.messageKeccak256, signature);
+        return { recoveredPublicKey, recoveredAddress: ethers.utils.computeAddress(recoveredPublicKey) };
+    }
+});
+
+const rawMessage = (kind, claim) => {
+    const message = claimJson(kind, claim);
+    return { message, messageSha256: sha256Hex(message) };
+};
+
+const BACKENDS = {
+    eip191: ethereumBackend('eip191'),
+    eip712: ethereumBackend('eip712'),
+    'secp256k1-sha256': {
+        keyType: 'secp256k1',
+        message: rawMessage,
+        signerFields: (wallet) => ({
+            address: wallet.address,
+            publicKey: wallet.publicKey,
+            algo: 'secp256k1',
+            hash: 'sha256',
+            signatureFormat: 'compact (r || s, low-S)',
+            scheme: 'secp256k1-sha256'
+        }),
+        sign: async (wallet, kind, claim) => {
+            const secp = await loadNoble();
+            // signAsync pre-hashes the message with SHA-256
+            const sig = await secp.signAsync(Buffer.from(claimJson(kind, claim), 'utf8'), Buffer.from(strip0x(wallet.privateKey), 'hex'));
+            const hex = Buffer.from(sig).toString('hex');
+            return { signature: `0x${hex}`, r: `0x${hex.slice(0, 64)}`, s: `0x${hex.slice(64)}` };
+        },
+        // No recovery id in plain ECDSA: verify against the recorded public key
+        verify: async (digest, signature, publicKeyHex, kind, claim) => {
+            if (!publicKeyHex) throw new Error('secp256k1-sha256 verification needs the signer public key');
+            const secp = await loadNoble();
+            const ok = await secp.verifyAsync(
+                Buffer.from(strip0x(signature), 'hex'),
+                Buffer.from(claimJson(kind, claim), 'utf8'),
+                Buffer.from(strip0x(publicKeyHex), 'hex')
+            );
+            return ok ? { recoveredPublicKey: publicKeyHex, recoveredAddress: ethers.utils.computeAddress(publicKeyHex) } : null;
+        }
+    },
+    ed25519: {
+        keyType: 'ed25519',
+        message: rawMessage,
+        signerFields: (keyObject) => {
+            const publicKey = ed25519RawPublicKey(keyObject);
+            return { address: ed25519Address(publicKey), publicKey, algo: 'ed25519', hash: 'sha512', scheme: 'ed25519' };
+        },
+        sign: async (keyObject, kind, claim) => {
+            const sig = crypto.sign(null, Buffer.from(claimJson(kind, claim), 'utf8'), keyObject);
+            return { signature: sig.toString('hex') };
+        },
+        // The public key is part of the signer id, so the address alone is enough
+        verify: async (digest, signature, publicKeyHex, kind, claim, expectedAddress) => {
+            const raw = publicKeyHex || String(expectedAddress).replace(/^ed25519:/, '');
+            const ok = crypto.verify(null, Buffer.from(claimJson(kind, claim), 'utf8'), ed25519PublicKeyObject(raw), Buffer.from(strip0x(signature), 'hex'));
+            return ok ? { recoveredPublicKey: strip0x(raw).toLowerCase(), recoveredAddress: ed25519Address(raw) } : null;
+        }
+    }
+};
+
+const backendFor = (scheme) => {
+    const backend = BACKENDS[scheme];
+    if (!backend) throw new Error(`Unsupported signature scheme: ${scheme}`);
+    return backend;
+};
+
+/**
+ * Signature scheme options from CLI args and the environment:
+ * --signature-scheme=<scheme> (SIGNATURE_SCHEME), and for eip712 --chain-id
+ * (EIP712_CHAIN_ID) and --verifying-contract (EIP712_VERIFYING_CONTRACT).
+ * @returns {{ scheme: string, domain: object|null }}
+ */
+const parseSchemeOptions = (args, env = process.env) => {
+    const scheme = flagValue(args, 'signature-scheme') || env.SIGNATURE_SCHEME || DEFAULT_SCHEME;
+    if (!SCHEMES.includes(scheme)) throw new Error(`Unknown signature scheme: ${scheme} (expected one of ${SCHEMES.join(', ')})`);
+    if (scheme !== 'eip712') return { scheme, domain: null };
+    return {
+        scheme,
+        domain: buildDomain({
+            chainId: flagValue(args, 'chain-id') || env.EIP712_CHAIN_ID,
+            verifyingContract: flagValue(args, 'verifying-contract') || env.EIP712_VERIFYING_CONTRACT
+        })
+    };
+};
+
+/**
+ * Bind a key to a backend. `key` is an ethers Wallet for the secp256k1
+ * backends and a private KeyObject for ed25519.
+ * @returns {{ scheme: string, domain: object|null, address: string, publicKey: string, signerFields: object,
+ *   sign: (kind: string, claim: object) => Promise<object> }}
+ */
+const createSigner = ({ scheme, domain }, key) => {
+    const backend = backendFor(scheme);
+    const signerFields = backend.signerFields(key, domain);
+    return {
+        scheme,
+        domain,
+        address: signerFields.address,
+        publicKey: signerFields.publicKey,
+        signerFields,
+        // { message, messageKeccak256 | messageSha256, signature, ... } in manifest field order
+        sign: async (kind, claim) => ({
+            ...backend.message(kind, claim, domain),
+            ...(await backend.sign(key, kind, claim, domain))
+        })
+    };
+};
+
+/**
+ * Verify a claim signature and compare the signer with the expected address
+ * (and public key when given).
+ */
+const verifyClaim = async (signing, kind, claim, signature, expectedAddress, expectedPublicKeyHex) => {
+    const scheme = signing.scheme || DEFAULT_SCHEME;
+    const backend = backendFor(scheme);
+    const digest = backend.message(kind, claim, signing.domain);
+    let recovered = null;
+    try {
+        recovered = await backend.verify(digest, signature, expectedPublicKeyHex, kind, claim, expectedAddress);
+    } catch (_) {
+        recovered = null;
+    }
+    const recoveredAddress = recovered ? recovered.recoveredAddress : null;
+    const recoveredPublicKey = recovered ? recovered.recoveredPublicKey : null;
+    const addrOk = Boolean(recoveredAddress) && recoveredAddress.toLowerCase() === String(expectedAddress).toLowerCase();
+    const pubOk = expectedPublicKeyHex
+        ? Boolean(recoveredPublicKey) && strip0x(recoveredPublicKey).toLowerCase() === strip0x(expectedPublicKeyHex).toLowerCase()
+        : true;
+    return { ...digest, addrOk, pubOk, recoveredAddress, recoveredPublicKey };
+};
+
+// Scheme fields for payloads
+const schemeFields = ({ scheme, domain }) => (domain ? { scheme, domain } : { scheme });
+
+// Scheme of a manifest signer section or payload (older ones have none)
+const signingOf = (record) => ({ scheme: record.scheme || DEFAULT_SCHEME, domain: record.domain || null });
+
+// Key type a scheme needs ('secp256k1' or 'ed25519')
+const keyTypeFor = (scheme) => backendFor(scheme).keyType;
+
+module.exports = {
+    SCHEMES,
+    DEFAULT_SCHEME,
+    SCHEME_LABELS,
+    parseSchemeOptions,
+    createSigner,
+    verifyClaim,
+    schemeFields,
+    signingOf,
+    keyTypeFor,
+    ed25519RawPublicKey,
+    ed25519Address,
+    normalizeSignerAddress
+};
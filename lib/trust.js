@@ -0,0 +1,138 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { flagValue, flagValues } = require('./cli');
+const { normalizeSignerAddress } = require('./signers');
+
+// -------------------------------
+// Trusted-signer policy
+// -------------------------------
+// A valid signature only proves *someone* signed; the policy decides whether
+// that someone is accepted. Policy file (schema crypto-video-trust-policy@1):
+//
+//   {
+//     "schema": "crypto-video-trust-policy@1",
+//     "requiredRoles": { "video": ["publisher"], "frames": ["camera"] },
+//     "signers": [
+//       { "address": "0x...", "label": "Camera A", "roles": ["camera"],
+//         "validFrom": "2025-01-01T00:00:00Z", "validUntil": "2026-12-31T23:59:59Z" },
+//       { "address": "0x...", "label": "Leaked key", "status": "distrusted", "reason": "..." },
+//       { "address": "ed25519:<public key hex>", "label": "Archive", "roles": ["publisher"] }
+//     ]
+//   }
+//
+// A signer is:
+//  - trusted:    listed, not distrusted, signing time inside its validity window
+//                and holding every required role
+//  - distrusted: listed with status "distrusted", or failing the window/role checks
+//  - unknown:    not listed (or no policy file at all)
+// Verifiers fail on anything but trusted unless --allow-untrusted is given.
+const POLICY_SCHEMA = 'crypto-video-trust-policy@1';
+const DEFAULT_POLICY_PATH = path.resolve(__dirname, '..', 'trusted_signers.json');
+
+const parseTime = (value, field, address) => {
+    if (value === undefined || value === null) return null;
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new Error(`Trust policy: invalid ${field} for ${address}: ${value}`);
+    return ms;
+};
+
+/**
+ * Trust options from CLI args and the environment.
+ */
+const parseTrustOptions = (args, env = process.env) => {
+    const policyPath = flagValue(args, 'trust-policy') || env.TRUST_POLICY || DEFAULT_POLICY_PATH;
+    return {
+        policyPath: path.resolve(policyPath),
+        requiredRoles: flagValues(args, 'require-role'),
+        allowUntrusted: args.includes('--allow-untrusted')
+    };
+};
+
+/**
+ * Load and validate a policy file. Returns null when the file does not exist.
+ */
+const loadTrustPolicy = async (policyPath) => {
+    if (!fs.existsSync(policyPath)) return null;
+    const raw = JSON.parse(await fsp.readFile(policyPath, 'utf8'));
+    if (!raw || raw.schema !== POLICY_SCHEMA) throw new Error(`Unsupported trust policy schema: ${raw && raw.schema}`);
+    if (!Array.isArray(raw.signers)) throw new Error('Trust policy has no signers list');
+    const signers = new Map();
+    for (const s of raw.signers) {
+        let address;
+        try {
+            address = normalizeSignerAddress(s.address);
+        } catch (_) {
+            throw new Error(`Trust policy: invalid signer address ${s.address}`);
+        }
+        if (s.status && s.status !== 'trusted' && s.status !== 'distrusted') {
+            throw new Error(`Trust policy: invalid status for ${address}: ${s.status}`);
+        }
+        signers.set(address, {
+            address,
+            label: s.label || null,
+            status: s.status || 'trusted',
+            reason: s.reason || null,
+            roles: Array.isArray(s.roles) ? s.roles : [],
+            validFromMs: parseTime(s.validFrom, 'validFrom', address),
+            validUntilMs: parseTime(s.validUntil, 'validUntil', address)
+        });
+    }
+    return { path: policyPath, requiredRoles: raw.requiredRoles || {}, signers };
+};
+
+/**
+ * Classify a signer for one verification.
+ *
+ * @param {object|null} policy from loadTrustPolicy
+ * @param {string} address recovered signer address
+ * @param {{ signedAtMs?: number, purpose: 'video'|'frames'|'live', requiredRoles?: string[] }} context
+ * @returns {{ status: 'trusted'|'unknown'|'distrusted', address: string, label: string|null, roles: string[], reasons: string[] }}
+ */
+const evaluateSigner = (policy, address, { signedAtMs, purpose, requiredRoles = [] }) => {
+    const normalized = normalizeSignerAddress(address);
+    const result = { status: 'unknown', address: normalized, label: null, roles: [], reasons: [] };
+    if (!policy) {
+        result.reasons.push('no trust policy file');
+        return result;
+    }
+    const entry = policy.signers.get(normalized);
+    if (!entry) {
+        result.reasons.push(`not listed in ${path.basename(policy.path)}`);
+        return result;
+    }
+    result.label = entry.label;
+    result.roles = entry.roles;
+    if (entry.status === 'distrusted') {
+        result.reasons.push(entry.reason ? `distrusted: ${entry.reason}` : 'explicitly distrusted');
+    }
+    if (Number.isFinite(signedAtMs)) {
+        if (entry.validFromMs !== null && signedAtMs < entry.validFromMs) {
+            result.reasons.push(`signed ${new Date(signedAtMs).toISOString()}, before validFrom ${new Date(entry.validFromMs).toISOString()}`);
+        }
+        if (entry.validUntilMs !== null && signedAtMs > entry.validUntilMs) {
+            result.reasons.push(`signed ${new Date(signedAtMs).toISOString()}, after validUntil ${new Date(entry.validUntilMs).toISOString()}`);
+        }
+    } else if (entry.validFromMs !== null || entry.validUntilMs !== null) {
+        result.reasons.push('signing time unknown; cannot check validity window');
+    }
+    const needed = [...new Set([...(policy.requiredRoles[purpose] || []), ...requiredRoles])];
+    const missing = needed.filter((r) => !entry.roles.includes(r));
+    if (missing.length > 0) result.reasons.push(`missing required role(s): ${missing.join(', ')}`);
+    result.status = result.reasons.length === 0 ? 'trusted' : 'distrusted';
+    return result;
+};
+
+const describeTrust = (t) => {
+    const who = t.label ? `${t.label} (${t.address})` : t.address;
+    return t.reasons.length ? `${t.status}: ${who} - ${t.reasons.join('; ')}` : `${t.status}: ${who}`;
+};
+
+module.exports = {
+    POLICY_SCHEMA,
+    DEFAULT_POLICY_PATH,
+    parseTrustOptions,
+    loadTrustPolicy,
+    evaluateSigner,
+    describeTrust
+};
@@ -0,0 +1,410 @@
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { flagValue } = require('./cli');
+const der = require('./der');
+const { loadCertificateBundle, chainToRoot } = require('./x509');
+
+// -------------------------------
+// RFC 3161 trusted timestamps
+// -------------------------------
+// startTimestampMs is the signer's own clock. When a TSA is configured
+// (--tsa-url / TSA_URL) the signers also ask it for a time-stamp token over the
+// file hash (sign_video.js) or the manifest (sign_frames.js) and embed it as
+//
+//   "rfc3161": { "tsaUrl": "...", "hashAlgorithm": "sha256", "messageImprint": "<hex>",
+//                "genTime": "<ISO, informational>", "token": "<base64 DER ContentInfo>" }
+//
+// Verifiers check the token's message imprint against the recomputed hash, the
+// CMS signature and that the TSA certificate (extended key usage timeStamping,
+// valid at genTime) chains to a root in --tsa-roots / TSA_ROOTS (PEM bundle,
+// default tsa_roots.pem in the repository root). genTime then bounds the
+// signing time from above: the claimed start may not be later than genTime.
+//
+// genTime only dates a signature the token covers. A frames manifest already
+// contains its signer and frame signatures; for whole-file payloads the imprint
+// is SHA-256(file hash bytes | signature text), marked "binding": "hash+signature".
+// Older payload tokens cover the file hash alone: anyone re-signing the file
+// could carry them over, so their genTime is not used as the signing time.
+// `node tsa_server.js` is a local stand-in TSA for testing.
+const DEFAULT_TSA_ROOTS_PATH = path.resolve(__dirname, '..', 'tsa_roots.pem');
+const REQUEST_TIMEOUT_MS = 15000;
+// Tolerated difference between the signer clock and the TSA clock
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const SIGNATURE_BINDING = 'hash+signature';
+
+const OID = {
+    signedData: '1.2.840.113549.1.7.2',
+    tstInfo: '1.2.840.113549.1.9.16.1.4',
+    contentType: '1.2.840.113549.1.9.3',
+    messageDigest: '1.2.840.113549.1.9.4',
+    signingCertificate: '1.2.840.113549.1.9.16.2.12',
+    signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+    sha1: '1.3.14.3.2.26',
+    sha256: '2.16.840.1.101.3.4.2.1',
+    sha384: '2.16.840.1.101.3.4.2.2',
+    sha512: '2.16.840.1.101.3.4.2.3',
+    rsaEncryption: '1.2.840.113549.1.1.1',
+    sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+    sha384WithRSAEncryption: '1.2.840.113549.1.1.12',
+    sha512WithRSAEncryption: '1.2.840.113549.1.1.13',
+    ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+    ecdsaWithSHA384: '1.2.840.10045.4.3.3',
+    ecdsaWithSHA512: '1.2.840.10045.4.3.4',
+    ecPublicKey: '1.2.840.10045.2.1',
+    kpTimeStamping: '1.3.6.1.5.5.7.3.8'
+};
+
+const HASH_BY_OID = {
+    [OID.sha1]: 'sha1',
+    [OID.sha256]: 'sha256',
+    [OID.sha384]: 'sha384',
+    [OID.sha512]: 'sha512'
+};
+
+// Signature algorithm -> hash it implies (null: use the SignerInfo digest algorithm)
+const SIGNATURE_HASH_BY_OID = {
+    [OID.rsaEncryption]: null,
+    [OID.ecPublicKey]: null,
+    [OID.sha256WithRSAEncryption]: 'sha256',
+    [OID.sha384WithRSAEncryption]: 'sha384',
+    [OID.sha512WithRSAEncryption]: 'sha512',
+    [OID.ecdsaWithSHA256]: 'sha256',
+    [OID.ecdsaWithSHA384]: 'sha384',
+    [OID.ecdsaWithSHA512]: 'sha512'
+};
+
+const PKI_STATUS = ['granted', 'grantedWithMods', 'rejection', 'waiting', 'revocationWarning', 'revocationNotification'];
+
+const hashOid = (name) => {
+    const entry = Object.entries(HASH_BY_OID).find(([, n]) => n === name);
+    if (!entry) throw new Error(`Unsupported hash algorithm: ${name}`);
+    return entry[0];
+};
+
+const algorithmIdentifier = (oidStr) => der.sequence(der.oid(oidStr), der.nullValue());
+
+/**
+ * TSA options from CLI args and the environment.
+ */
+const parseTsaOptions = (args, env = process.env) => {
+    const rootsPath = flagValue(args, 'tsa-roots') || env.TSA_ROOTS || DEFAULT_TSA_ROOTS_PATH;
+    return {
+        url: flagValue(args, 'tsa-url') || env.TSA_URL || null,
+        rootsPath: path.resolve(rootsPath),
+        requireTimestamp: args.includes('--require-timestamp')
+    };
+};
+
+/**
+ * Load trusted TSA root certificates from a PEM bundle.
+ * @returns {Promise<crypto.X509Certificate[]>}
+ */
+const loadTsaRoots = (rootsPath) => loadCertificateBundle(rootsPath, 'TSA roots (use --tsa-roots or TSA_ROOTS)');
+
+// -------------------------------
+// Requests and responses
+// -------------------------------
+/**
+ * DER TimeStampReq for a digest (version 1, with nonce, certReq true).
+ */
+const buildTimeStampRequest = (hashHex, { hashAlgorithm = 'sha256', nonceHex } = {}) => {
+    return der.sequence(
+        der.integer(1),
+        der.sequence(algorithmIdentifier(hashOid(hashAlgorithm)), der.octetString(Buffer.from(hashHex, 'hex'))),
+        der.integer(nonceHex),
+        der.boolean(true)
+    );
+};
+
+const parseMessageImprint = (node) => {
+    const [alg, hashed] = der.expect(node, der.TAG.SEQUENCE, 'MessageImprint').children;
+    const algOid = der.readOid(alg.children[0]);
+    return { hashAlgorithm: HASH_BY_OID[algOid] || algOid, hashHex: der.readOctetString(hashed).toString('hex') };
+};
+
+/**
+ * Parse a DER TimeStampReq (used by the local TSA).
+ * @returns {{ hashAlgorithm: string, hashHex: string, policy: string|null, nonceHex: string|null, certReq: boolean }}
+ */
+const parseTimeStampRequest = (buf) => {
+    const root = der.expect(der.decodeAll(buf), der.TAG.SEQUENCE, 'TimeStampReq');
+    const [version, imprint, ...rest] = root.children;
+    if (der.readInteger(version) !== 1) throw new Error('Unsupported TimeStampReq version');
+    const req = { ...parseMessageImprint(imprint), policy: null, nonceHex: null, certReq: false };
+    for (const node of rest) {
+        if (der.isUniversal(node, der.TAG.OID)) req.policy = der.readOid(node);
+        else if (der.isUniversal(node, der.TAG.INTEGER)) req.nonceHex = der.readIntegerHex(node);
+        else if (der.isUniversal(node, der.TAG.BOOLEAN)) req.certReq = der.readBoolean(node);
+    }
+    return req;
+};
+
+/**
+ * DER TimeStampResp; `token` is omitted for rejections.
+ */
+const buildTimeStampResponse = (status, { token = null, statusText = null, failInfoBit = null } = {}) => {
+    const statusInfo = [der.integer(status)];
+    if (statusText) statusInfo.push(der.sequence(der.utf8String(statusText)));
+    if (failInfoBit !== null) {
+        const bytes = Buffer.alloc(Math.floor(failInfoBit / 8) + 1);
+        bytes[Math.floor(failInfoBit / 8)] |= 0x80 >> (failInfoBit % 8);
+        statusInfo.push(der.bitString(bytes, 7 - (failInfoBit % 8)));
+    }
+    return der.sequence(der.sequence(...statusInfo), ...(token ? [token] : []));
+};
+
+const parseTimeStampResponse = (buf) => {
+    const root = der.expect(der.decodeAll(buf), der.TAG.SEQUENCE, 'TimeStampResp');
+    const [statusInfo, token] = root.children;
+    const [statusNode, ...extra] = der.expect(statusInfo, der.TAG.SEQUENCE, 'PKIStatusInfo').children;
+    const status = der.readInteger(statusNode);
+    const text = extra
+        .filter((n) => der.isUniversal(n, der.TAG.SEQUENCE))
+        .flatMap((n) => n.children.map((c) => c.content.toString('utf8')))
+        .join('; ');
+    return { status, statusName: PKI_STATUS[status] || String(status), statusText: text || null, token: token ? Buffer.from(token.bytes) : null };
+};
+
+const postTimestampQuery = (url, body) => {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/timestamp-query', 'Content-Length': body.length },
+            timeout: REQUEST_TIMEOUT_MS
+        }, (res) => {
+            const chunks = [];
+            res.on('data', (d) => chunks.push(d));
+            res.on('end', () => {
+                if (res.statusCode !== 200) return reject(new Error(`TSA answered HTTP ${res.statusCode}`));
+                resolve(Buffer.concat(chunks));
+            });
+            res.on('error', reject);
+        });
+        req.on('timeout', () => req.destroy(new Error(`TSA did not answer within ${REQUEST_TIMEOUT_MS}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+};
+
+// -------------------------------
+// Tokens
+// -------------------------------
+const parseTstInfo = (buf) => {
+    const root = der.expect(der.decodeAll(buf), der.TAG.SEQUENCE, 'TSTInfo');
+    const [version, policy, imprint, serial, genTime, ...rest] = root.children;
+    if (der.readInteger(version) !== 1) throw new Error('Unsupported TSTInfo version');
+    const info = {
+        policy: der.readOid(policy),
+        ...parseMessageImprint(imprint),
+        serialNumber: der.readIntegerHex(serial),
+        genTimeMs: der.readTime(genTime),
+        nonceHex: null
+    };
+    for (const node of rest) {
+        if (der.isUniversal(node, der.TAG.INTEGER)) info.nonceHex = der.readIntegerHex(node);
+    }
+    return info;
+};
+
+/**
+ * Split a time-stamp token (ContentInfo with SignedData) into its parts.
+ */
+const parseTimestampToken = (token) => {
+    const contentInfo = der.expect(der.decodeAll(token), der.TAG.SEQUENCE, 'ContentInfo');
+    const [contentType, wrapped] = contentInfo.children;
+    if (der.readOid(contentType) !== OID.signedData) throw new Error('Time-stamp token is not CMS SignedData');
+    if (!der.isContext(wrapped, 0)) throw new Error('Time-stamp token has no content');
+    const signedData = der.expect(wrapped.children[0], der.TAG.SEQUENCE, 'SignedData');
+    const [, , encap, ...rest] = signedData.children;
+    const [eContentType, eContentWrapped] = encap.children;
+    if (der.readOid(eContentType) !== OID.tstInfo) throw new Error('Time-stamp token does not hold a TSTInfo');
+    const tstInfoDer = der.readOctetString(eContentWrapped.children[0]);
+
+    const certificates = [];
+    let signerInfos = null;
+    for (const node of rest) {
+        if (der.isContext(node, 0)) {
+            for (const c of node.children) {
+                if (der.isUniversal(c, der.TAG.SEQUENCE)) certificates.push(new crypto.X509Certificate(Buffer.from(c.bytes)));
+            }
+        } else if (der.isUniversal(node, der.TAG.SET)) {
+            signerInfos = node.children;
+        }
+    }
+    if (!signerInfos || signerInfos.length !== 1) throw new Error('Time-stamp token must have exactly one signer');
+
+    const [, , digestAlg, signedAttrs, signatureAlg, signature] = signerInfos[0].children;
+    if (!der.isContext(signedAttrs, 0)) throw new Error('Time-stamp token has no signed attributes');
+    const attributes = new Map(signedAttrs.children.map((a) => [der.readOid(a.children[0]), a.children[1].children]));
+
+    return {
+        tstInfoDer,
+        tstInfo: parseTstInfo(tstInfoDer),
+        certificates,
+        digestAlgorithm: HASH_BY_OID[der.readOid(digestAlg.children[0])] || null,
+        // The signature covers the attributes re-tagged as a SET OF
+        signedAttrsDer: Buffer.concat([Buffer.from([0x31]), signedAttrs.bytes.subarray(1)]),
+        attributes,
+        signatureAlgorithm: der.readOid(signatureAlg.children[0]),
+        signature: der.readOctetString(signature)
+    };
+};
+
+// ESSCertID / ESSCertIDv2 hash of the signing certificate
+const signingCertHash = (attributes) => {
+    const v2 = attributes.get(OID.signingCertificateV2);
+    if (v2) {
+        const certId = v2[0].children[0].children[0];
+        const hasAlg = der.isUniversal(certId.children[0], der.TAG.SEQUENCE);
+        const algorithm = hasAlg ? HASH_BY_OID[der.readOid(certId.children[0].children[0])] : 'sha256';
+        return { algorithm, hashHex: der.readOctetString(certId.children[hasAlg ? 1 : 0]).toString('hex') };
+    }
+    const v1 = attributes.get(OID.signingCertificate);
+    if (v1) return { algorithm: 'sha1', hashHex: der.readOctetString(v1[0].children[0].children[0].children[0]).toString('hex') };
+    throw new Error('Time-stamp token has no signing certificate attribute');
+};
+
+/**
+ * Verify a time-stamp token against the expected digest and the trusted roots.
+ * @param {Buffer} token DER ContentInfo
+ * @param {{ hashHex: string, hashAlgorithm?: string, roots: crypto.X509Certificate[] }} expected
+ * @returns {{ genTimeMs: number, serialNumber: string, policy: string, tsa: string, chain: string[] }}
+ */
+const verifyTimestampToken = (token, { hashHex, hashAlgorithm = 'sha256', roots }) => {
+    const t = parseTimestampToken(token);
+    if (t.tstInfo.hashAlgorithm !== hashAlgorithm) throw new Error(`Token imprint uses ${t.tstInfo.hashAlgorithm}, expected ${hashAlgorithm}`);
+    if (t.tstInfo.hashHex !== hashHex.toLowerCase()) throw new Error('Token message imprint does not match the hash');
+
+    const contentType = t.attributes.get(OID.contentType);
+    if (!contentType || der.readOid(contentType[0]) !== OID.tstInfo) throw new Error('Token content-type attribute is not TSTInfo');
+    const messageDigest = t.attributes.get(OID.messageDigest);
+    if (!t.digestAlgorithm) throw new Error('Unsupported token digest algorithm');
+    const actualDigest = crypto.createHash(t.digestAlgorithm).update(t.tstInfoDer).digest();
+    if (!messageDigest || !der.readOctetString(messageDigest[0]).equals(actualDigest)) {
+        throw new Error('Token message-digest attribute does not match TSTInfo');
+    }
+
+    const certHash = signingCertHash(t.attributes);
+    const candidates = [...t.certificates, ...roots];
+    const signerCert = candidates.find((c) => crypto.createHash(certHash.algorithm).update(c.raw).digest('hex') === certHash.hashHex);
+    if (!signerCert) throw new Error('TSA certificate not included in token or roots');
+
+    if (!(t.signatureAlgorithm in SIGNATURE_HASH_BY_OID)) throw new Error(`Unsupported token signature algorithm ${t.signatureAlgorithm}`);
+    const sigHash = SIGNATURE_HASH_BY_OID[t.signatureAlgorithm] || t.digestAlgorithm;
+    if (!crypto.verify(sigHash, t.signedAttrsDer, signerCert.publicKey, t.signature)) {
+        throw new Error('Token signature is invalid');
+    }
+    if (!(signerCert.keyUsage || []).includes(OID.kpTimeStamping)) {
+        throw new Error('TSA certificate lacks the timeStamping extended key usage');
+    }
+    const chain = chainToRoot(signerCert, t.certificates, roots, t.tstInfo.genTimeMs, { label: 'TSA', at: 'genTime' });
+    return {
+        genTimeMs: t.tstInfo.genTimeMs,
+        serialNumber: t.tstInfo.serialNumber,
+        policy: t.tstInfo.policy,
+        tsa: signerCert.subject.replace(/\n/g, ', '),
+        chain: chain.map((c) => c.subject.replace(/\n/g, ', '))
+    };
+};
+
+/**
+ * Ask a TSA to time-stamp a digest and build the record stored next to the signature.
+ * @returns {Promise<{ tsaUrl: string, hashAlgorithm: string, messageImprint: string, genTime: string, token: string }>}
+ */
+const requestTimestamp = async (url, hashHex, hashAlgorithm = 'sha256') => {
+    const nonceHex = crypto.randomBytes(8).toString('hex');
+    const response = parseTimeStampResponse(await postTimestampQuery(url, buildTimeStampRequest(hashHex, { hashAlgorithm, nonceHex })));
+    if (response.status > 1 || !response.token) {
+        throw new Error(`TSA refused the request: ${response.statusName}${response.statusText ? ` (${response.statusText})` : ''}`);
+    }
+    const { tstInfo } = parseTimestampToken(response.token);
+    if (tstInfo.hashHex !== hashHex.toLowerCase()) throw new Error('TSA token is for a different hash');
+    if (tstInfo.nonceHex !== nonceHex.replace(/^(?:00)+(?=..)/, '')) throw new Error('TSA token nonce does not match the request');
+    return {
+        tsaUrl: url,
+        hashAlgorithm,
+        messageImprint: hashHex.toLowerCase(),
+        genTime: new Date(tstInfo.genTimeMs).toISOString(),
+        token: response.token.toString('base64')
+    };
+};
+
+/**
+ * Imprint that binds a token to one signature over a hash.
+ */
+const signatureImprintHex = (hashHex, signature) => {
+    return crypto.createHash('sha256')
+        .update(Buffer.from(String(hashHex), 'hex'))
+        .update(String(signature), 'utf8')
+        .digest('hex');
+};
+
+/**
+ * Time-stamp a signature over `hashHex` (whole-file payloads).
+ * @returns {Promise<object>} the requestTimestamp record plus `binding`
+ */
+const requestSignatureTimestamp = async (url, hashHex, signature) => {
+    const record = await requestTimestamp(url, signatureImprintHex(hashHex, signature));
+    return { ...record, binding: SIGNATURE_BINDING };
+};
+
+/**
+ * Verify the rfc3161 record of a whole-file payload. Records without the
+ * signature binding are checked against the bare hash and come back with
+ * coversSignature false: their genTime must not date the signature.
+ */
+const verifySignatureTimestamp = (record, { hashHex, signature, claimedMs, roots }) => {
+    const coversSignature = record.binding === SIGNATURE_BINDING;
+    if (record.binding && !coversSignature) throw new Error(`Unsupported timestamp binding: ${record.binding}`);
+    const result = verifyTimestampRecord(record, {
+        hashHex: coversSignature ? signatureImprintHex(hashHex, signature) : hashHex,
+        claimedMs,
+        roots
+    });
+    return { ...result, coversSignature };
+};
+
+/**
+ * Verify an embedded rfc3161 record for `hashHex` and check that the claimed
+ * signing time is not after the TSA time.
+ */
+const verifyTimestampRecord = (record, { hashHex, claimedMs, roots }) => {
+    if (String(record.messageImprint).toLowerCase() !== hashHex.toLowerCase()) {
+        throw new Error('Timestamp covers a different hash');
+    }
+    const result = verifyTimestampToken(Buffer.from(String(record.token), 'base64'), {
+        hashHex,
+        hashAlgorithm: record.hashAlgorithm || 'sha256',
+        roots
+    });
+    if (Number.isFinite(claimedMs) && claimedMs > result.genTimeMs + CLOCK_SKEW_MS) {
+        throw new Error(`Claimed start ${new Date(claimedMs).toISOString()} is after the TSA time ${new Date(result.genTimeMs).toISOString()}`);
+    }
+    return result;
+};
+
+module.exports = {
+    DEFAULT_TSA_ROOTS_PATH,
+    CLOCK_SKEW_MS,
+    SIGNATURE_BINDING,
+    OID,
+    PKI_STATUS,
+    parseTsaOptions,
+    loadTsaRoots,
+    buildTimeStampRequest,
+    parseTimeStampRequest,
+    buildTimeStampResponse,
+    parseTimeStampResponse,
+    parseTimestampToken,
+    verifyTimestampToken,
+    requestTimestamp,
+    verifyTimestampRecord,
+    signatureImprintHex,
+    requestSignatureTimestamp,
+    verifySignatureTimestamp,
+    algorithmIdentifier
+};
@@ -0,0 +1,466 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { extractFrameHashes, probeFrameRate } = require('./frames');
+const { diffFrames } = require('./frame_diff');
+const { parseFramesManifest, unstampedManifestSha256, findBadManifestEntries, timeBaseSeconds } = require('./frame_manifest');
+const { probeAudioStreams, hashAudioChunks } = require('./audio');
+const { SCHEME_LABELS, verifyClaim, signingOf } = require('./signers');
+const { createFramePool } = require('./frame_pool');
+const { parseTrustOptions, loadTrustPolicy, evaluateSigner, describeTrust } = require('./trust');
+const { parseTsaOptions, loadTsaRoots, verifyTimestampRecord } = require('./tsa');
+const { parseAnchorOptions, checkAnchor, describeAnchor } = require('./anchor');
+const { readEmbeddedManifest } = require('./embed');
+const { readMetadataTags } = require('./metadata');
+const { readProvenance, diffProvenance, describeChange, describeProvenance } = require('./provenance');
+const { createProgress } = require('./progress');
+const { createReport } = require('./report');
+
+// -------------------------------
+// Per-frame verification
+// -------------------------------
+// Checks a video against its frames manifest (sign_frames.js): the manifest
+// hash and signature in the video's tags, timestamp, anchor, trust policy,
+// every frame entry, then re-extracts the frames and audio and localizes what
+// differs. Frames are hashed in memory or piped when the manifest was signed
+// from streamed frames (its `frameFormat`); nothing is written to input/.
+// Finally the capture tags are compared with the signed `provenance`.
+
+// Compare signed presentation timing against the re-extracted video for every
+// aligned frame pair. Time bases may differ after a remux, so compare in seconds.
+const findRetimedFrames = (manifest, anchors, videoTimings) => {
+    const signedTb = timeBaseSeconds(manifest.timing.timeBase);
+    const videoTb = timeBaseSeconds(videoTimings.timeBase);
+    const same = (a, b) => Math.abs(a - b) < 1e-6;
+    const retimed = [];
+    for (const [m, v] of anchors) {
+        const f = manifest.frames[m - 1];
+        const actual = videoTimings.frames[v - 1];
+        if (!actual) continue;
+        const ptsOk = same(f.pts * signedTb, actual.pts * videoTb);
+        const durOk = f.duration === null || actual.duration === null || same(f.duration * signedTb, actual.duration * videoTb);
+        if (!ptsOk || !durOk) {
+            retimed.push({
+                frameNumber: m,
+                videoFrame: v,
+                signedPtsTime: f.pts * signedTb,
+                actualPtsTime: actual.pts * videoTb
+            });
+        }
+    }
+    return retimed;
+};
+
+// Signed media time and wall-clock capture time of every frame, for the report
+const frameTimes = (manifest) => {
+    const tb = timeBaseSeconds(manifest.timing.timeBase);
+    const { captureStartMs } = manifest.timing;
+    return manifest.frames.map((f) => ({
+        frameNumber: f.frameNumber,
+        ptsTime: f.pts * tb,
+        capturedAt: captureStartMs ? new Date(captureStartMs + Math.round(f.pts * tb * 1000)).toISOString() : null
+    }));
+};
+
+// Contiguous chunk-number runs, with media time, for the report
+const chunkRanges = (numbers, chunks) => {
+    const ranges = [];
+    for (const n of numbers) {
+        const last = ranges[ranges.length - 1];
+        if (last && last.chunks[1] === n - 1) last.chunks[1] = n;
+        else ranges.push({ chunks: [n, n] });
+    }
+    return ranges.map((r) => {
+        const first = chunks[r.chunks[0] - 1];
+        const end = chunks[r.chunks[1] - 1];
+        return { ...r, startMs: first.startMs, endMs: end.startMs + end.durationMs };
+    });
+};
+
+// Re-decode every audio stream with the signed parameters and compare chunk by chunk.
+const verifyAudioStreams = async (manifest, videoPath) => {
+    const { audio, startTimestampMs, signer } = manifest;
+    const signing = signingOf(signer);
+    const present = await probeAudioStreams(videoPath);
+    const signedIndices = new Set(audio.streams.map((st) => st.streamIndex));
+    const result = {
+        covered: true,
+        streams: [],
+        extraStreams: present.filter((p) => !signedIndices.has(p.streamIndex)).map((p) => p.streamIndex)
+    };
+    for (const signed of audio.streams) {
+        const invalidSignatures = [];
+        for (const chunk of signed.chunks) {
+            const { message: msg, addrOk, pubOk } = await verifyClaim(signing, 'AudioChunkClaim', {
+                startTimestampMs,
+                streamIndex: signed.streamIndex,
+                chunkNumber: chunk.chunkNumber,
+                chunkHashSha256: chunk.chunkHashSha256
+            }, chunk.signature, signer.address, signer.publicKey);
+            if (msg !== chunk.message || !addrOk || !pubOk) invalidSignatures.push(chunk.chunkNumber);
+        }
+        if (!present.some((p) => p.streamIndex === signed.streamIndex)) {
+            result.streams.push({ streamIndex: signed.streamIndex, status: 'missing', invalidSignatures, mismatched: [] });
+            continue;
+        }
+        const actual = await hashAudioChunks(videoPath, signed, audio.chunkDurationMs);
+        const total = Math.max(actual.length, signed.chunks.length);
+        const mismatchedNumbers = [];
+        for (let i = 0; i < total; i++) {
+            const a = actual[i];
+            const e = signed.chunks[i];
+            if (!a || !e || a.chunkHashSha256 !== e.chunkHashSha256) mismatchedNumbers.push(i + 1);
+        }
+        const timeline = actual.length >= signed.chunks.length ? actual : signed.chunks;
+        const mismatched = chunkRanges(mismatchedNumbers, timeline);
+        const status = mismatched.length === 0 && invalidSignatures.length === 0 ? 'intact' : 'modified';
+        result.streams.push({ streamIndex: signed.streamIndex, status, chunks: actual.length, invalidSignatures, mismatched });
+    }
+    result.intact = result.extraStreams.length === 0 && result.streams.every((st) => st.status === 'intact');
+    return result;
+};
+
+/**
+ * Verify a video against its frames manifest. Verification failures do not
+ * throw: they are in the result and its report (lib/report.js).
+ * @param {object} options
+ * @param {string} options.input the video
+ * @param {string|null} [options.manifest] frames manifest file; the one embedded in the video
+ *   (lib/embed.js) when null
+ * @param {string|null} [options.fallbackManifest] manifest file used when there is none embedded
+ * @param {string|null} [options.tamperReport] where to write the tamper report (JSON)
+ * @param {object} [options.trust] from parseTrustOptions (lib/trust.js); by default from the environment
+ * @param {object} [options.tsa] from parseTsaOptions (lib/tsa.js); by default from the environment
+ * @param {object} [options.anchor] from parseAnchorOptions (lib/anchor.js); by default from the environment
+ * @param {number} [options.threads] worker threads (lib/frame_pool.js)
+ * @param {(event: object) => void} [options.onProgress] see lib/progress.js
+ * @returns {Promise<{ verified: boolean, verdict: string, exitCode: number, report: object, failures: object[],
+ *   manifest: string|null, signerAddress: string|null, startTimestampMs: number|null, trust: object|null,
+ *   timestamp: object|null, anchor: object|null, provenance: { signed: object, changes: object[] }|null, tampering: object|null,
+ *   error: Error|null }>}
+ */
+const verifyFrames = async ({
+    input,
+    manifest: manifestArg = null,
+    fallbackManifest = null,
+    tamperReport: tamperReportPath = null,
+    trust: trustOptions = parseTrustOptions([]),
+    tsa: tsaOptions = parseTsaOptions([]),
+    anchor: anchorOptions = parseAnchorOptions([]),
+    threads = 1,
+    onProgress
+}) => {
+    const report = createReport('verify_frames');
+    const failures = [];
+    const result = { manifest: null, signerAddress: null, startTimestampMs: null, trust: null, timestamp: null, anchor: null, provenance: null, tampering: null, failures, error: null };
+    const finish = (error = null) => {
+        const built = report.build({ error });
+        return { verified: built.exitCode === 0, verdict: built.verdict, exitCode: built.exitCode, report: built, ...result, error };
+    };
+
+    const progress = createProgress({ totalSteps: tamperReportPath ? 13 : 12, onProgress, report });
+    const { step } = progress;
+    let pool = null;
+    try {
+        report.target.video = path.basename(input);
+        const embedded = manifestArg ? null : await readEmbeddedManifest(input);
+        const manifestPath = manifestArg || fallbackManifest;
+        if (!embedded && !(manifestPath && fs.existsSync(manifestPath))) {
+            const message = manifestPath
+                ? `Manifest not found: ${manifestPath} (and none embedded in the video)`
+                : 'No manifest embedded in the video';
+            progress.warn(message);
+            report.addStep({ name: 'Load manifest', status: 'failed', durationMs: 0, category: 'not-signed', error: new Error(message) });
+            failures.push({ step: 'Load manifest', error: message });
+            progress.result(false, 'VERIFICATION FAILED', path.basename(input), { failures });
+            return finish();
+        }
+        const manifestName = embedded ? `embedded (${embedded.location})` : path.basename(manifestPath);
+        report.target.manifest = manifestName;
+        result.manifest = manifestName;
+        pool = createFramePool({ threads });
+
+        // Checks after loading the manifest record their failure and carry on, so the
+        // report always covers the whole video.
+        const check = async (title, fn, category) => {
+            try {
+                return await step(title, fn, category);
+            } catch (err) {
+                failures.push({ step: title, error: err.message || String(err) });
+                return undefined;
+            }
+        };
+
+        progress.banner('Crypto Video Frame Verifier', '(EIP-191, EIP-712, secp256k1/SHA-256, Ed25519)',
+            { Video: path.basename(input), Manifest: manifestName });
+
+        const { manifest, manifestSha256Hex } = await step('Load manifest', async (record) => {
+            const loaded = parseFramesManifest(embedded ? embedded.manifestBuffer : await fsp.readFile(manifestPath));
+            const parsed = loaded.manifest;
+            progress.note({ Signer: parsed.signer.address, Scheme: SCHEME_LABELS[signingOf(parsed.signer).scheme] || parsed.signer.scheme });
+            progress.note({ Start: new Date(parsed.startTimestampMs).toISOString() });
+            progress.note({ Frames: parsed.frames.length, Mode: parsed.mode || 'per-frame' });
+            record({ signer: parsed.signer.address, scheme: signingOf(parsed.signer).scheme, frames: parsed.frames.length, mode: parsed.mode || 'per-frame' });
+            return loaded;
+        }, 'not-signed');
+        result.signerAddress = manifest.signer.address;
+        result.startTimestampMs = manifest.startTimestampMs;
+
+        const tags = await check('Check manifest SHA-256 against video metadata', async (record) => {
+            const t = await readMetadataTags(input);
+            progress.note({ 'Expected (artist)': t.artist });
+            progress.note({ 'Actual   (file)  ': manifestSha256Hex });
+            record({ expected: t.artist, actual: manifestSha256Hex });
+            if (!t.artist) throw Object.assign(new Error('Video has no manifest hash in artist tag'), { category: 'not-signed' });
+            if (t.artist.toLowerCase() !== manifestSha256Hex) {
+                throw new Error('Manifest hash mismatch - manifest does not belong to this video');
+            }
+            if (t.album !== `Timestamp - ${manifest.startTimestampMs}`) {
+                throw new Error(`Timestamp mismatch: album tag "${t.album}" vs manifest ${manifest.startTimestampMs}`);
+            }
+            return t;
+        }, 'hash-mismatch');
+
+        await check('Verify manifest signature', async (record) => {
+            const manifestSignature = tags ? (tags.description || '').trim() : '';
+            if (!manifestSignature) throw Object.assign(new Error('Video has no manifest signature in description tag'), { category: 'not-signed' });
+            const { addrOk, recoveredAddress } = await verifyClaim(signingOf(manifest.signer), 'ManifestClaim', {
+                startTimestampMs: manifest.startTimestampMs,
+                frameCount: manifest.frames.length,
+                manifestSha256: manifestSha256Hex
+            }, manifestSignature, manifest.signer.address, manifest.signer.publicKey);
+            progress.note({ Recovered: recoveredAddress });
+            record({ expected: manifest.signer.address, actual: recoveredAddress });
+            if (!addrOk) {
+                throw new Error('Manifest signature does not match signer address');
+            }
+        }, 'bad-signature');
+
+        // The token covers the manifest as first written, i.e. without its own rfc3161
+        // field. That includes the signer and every frame (or root) signature checked
+        // above, so a re-signed manifest hashes differently and cannot reuse the token.
+        let attested = null;
+        await check('Verify RFC 3161 timestamp token', async (record) => {
+            if (!manifest.rfc3161) {
+                if (tsaOptions.requireTimestamp) throw new Error('Manifest has no RFC 3161 timestamp');
+                progress.info('No timestamp token; signing time is self-reported');
+                return;
+            }
+            attested = verifyTimestampRecord(manifest.rfc3161, {
+                hashHex: unstampedManifestSha256(manifest),
+                claimedMs: manifest.startTimestampMs,
+                roots: await loadTsaRoots(tsaOptions.rootsPath)
+            });
+            progress.note({ TSA: attested.tsa, Serial: attested.serialNumber });
+            progress.note({ 'Signed no later than': new Date(attested.genTimeMs).toISOString() });
+            record({ tsa: attested.tsa, serialNumber: attested.serialNumber, claimed: manifest.startTimestampMs, genTime: new Date(attested.genTimeMs).toISOString() });
+        }, 'bad-signature');
+
+        let anchored = null;
+        await check('Look up on-chain anchor', async (record) => {
+            let recorded = null;
+            try {
+                recorded = tags && tags.anchor ? JSON.parse(tags.anchor) : null;
+            } catch (_) {
+                throw new Error('Invalid anchor tag');
+            }
+            if (!anchorOptions.rpcUrl) {
+                if (anchorOptions.requireAnchor) throw new Error('--require-anchor needs --anchor-rpc (ANCHOR_RPC_URL)');
+                progress.info(recorded
+                    ? `Anchor recorded (tx ${recorded.txHash}) but no RPC endpoint configured; not checked`
+                    : 'No anchor recorded and no RPC endpoint configured; skipping');
+                return;
+            }
+            anchored = await checkAnchor(anchorOptions, recorded, { hashHex: manifestSha256Hex, claimedMs: manifest.startTimestampMs });
+            if (!anchored) {
+                progress.info('Manifest hash not anchored in the configured registry');
+                return;
+            }
+            progress.note({ Anchor: `${describeAnchor(anchored)} (${anchored.source})` });
+            progress.note({ 'Existed no later than': new Date(anchored.blockTimeMs).toISOString() });
+            record({ anchor: anchored });
+        }, 'bad-signature');
+
+        let trust = null;
+        await check('Check signer against trust policy', async (record) => {
+            // An unreadable policy is a setup problem, not a verdict on the signer
+            const policy = await loadTrustPolicy(trustOptions.policyPath).catch((err) => {
+                throw Object.assign(err, { category: 'tool-error' });
+            });
+            trust = evaluateSigner(policy, manifest.signer.address, {
+                signedAtMs: attested ? attested.genTimeMs : manifest.startTimestampMs,
+                purpose: 'frames',
+                requiredRoles: trustOptions.requiredRoles
+            });
+            progress.note({ Policy: policy ? policy.path : `none (${trustOptions.policyPath} not found)` });
+            progress.note({ 'Signer trust': describeTrust(trust) });
+            record({ signer: manifest.signer.address, status: trust.status, ...(trust.label ? { label: trust.label } : {}) });
+            if (trust.status !== 'trusted') {
+                if (trustOptions.allowUntrusted) {
+                    progress.warn(`Signer is ${trust.status}; accepted because of --allow-untrusted`);
+                    return;
+                }
+                throw new Error(`Signer is ${trust.status}`);
+            }
+        }, 'untrusted-signer');
+
+        let badEntries = null;
+        await check('Verify manifest frame signatures', async (record) => {
+            badEntries = await findBadManifestEntries(manifest, null, { pool });
+            if (manifest.mode === 'merkle') progress.note({ 'Merkle root': manifest.merkle.root });
+            record({ entries: manifest.frames.length, invalid: badEntries });
+            if (badEntries.length > 0) {
+                throw new Error(`${badEntries.length} manifest entries have invalid signatures/proofs (first: frame ${badEntries[0]})`);
+            }
+        }, 'bad-signature');
+
+        const { hashes: videoHashes, timings: videoTimings, frameRate } = await step('Re-extract and hash frames from video', async (record) => {
+            const [extracted, fps] = await Promise.all([
+                extractFrameHashes(input, { timing: Boolean(manifest.timing), pool, frameFormat: manifest.frameFormat, sampling: manifest.sampling }),
+                // Sampled frames are manifest.sampling.frameRate apart, whatever the video's rate
+                manifest.sampling ? manifest.sampling.frameRate : probeFrameRate(input)
+            ]);
+            if (extracted.hashes.length === 0) throw new Error('No frames were extracted');
+            progress.note({ 'Frames extracted': extracted.hashes.length, 'Frame rate': fps || 'unknown' });
+            record({ frames: extracted.hashes.length, frameRate: fps });
+            return { hashes: extracted.hashes, timings: extracted.timings, frameRate: fps };
+        });
+
+        const diff = diffFrames(manifest.frames.map((f) => f.frameHashSha256), videoHashes, { frameRate });
+        await check('Align video frames against manifest', async (record) => {
+            const s = diff.summary;
+            record({ expected: manifest.frames.length, actual: videoHashes.length, matchedFrames: diff.matchedFrames, summary: s });
+            progress.note({ 'Matched in order': `${diff.matchedFrames}/${manifest.frames.length}` });
+            progress.note({ Modified: s.modified, Inserted: s.inserted, Dropped: s.dropped, Reordered: s.reordered, Duplicated: s.duplicated });
+            for (const r of diff.differences) {
+                const orig = r.manifest ? `original ${r.manifest[0]}-${r.manifest[1]}` : '';
+                const vid = r.video ? `video ${r.video[0]}-${r.video[1]}` : '';
+                const t = r.time.video || r.time.original;
+                const when = t ? ` @ ${t.startSec}s-${t.endSec}s` : '';
+                progress.warn(` - ${r.type} ${[orig, vid].filter(Boolean).join(' -> ')}${when}`);
+            }
+            // Only frames missing at the ends: most likely an excerpt
+            const atEnds = (r) => r.type === 'dropped' && (r.manifest[0] === 1 || r.manifest[1] === manifest.frames.length);
+            if (!diff.intact && diff.matchedFrames > 0 && diff.differences.every(atEnds)) {
+                progress.warn('Video looks like a trimmed clip; check it with: node verify_clip.js <clip> <manifest>');
+            }
+            if (!diff.intact) throw new Error('Video frames differ from manifest');
+        }, 'hash-mismatch');
+
+        let retimed = null;
+        await check('Verify frame presentation timing', async (record) => {
+            if (!manifest.timing) {
+                progress.warn('Manifest has no timing section; frame timing is NOT covered');
+                return;
+            }
+            retimed = findRetimedFrames(manifest, diff.anchors, videoTimings);
+            const { captureStartMs } = manifest.timing;
+            const first = manifest.frames[0];
+            const last = manifest.frames[manifest.frames.length - 1];
+            if (captureStartMs) {
+                const tb = timeBaseSeconds(manifest.timing.timeBase);
+                const at = (f) => new Date(captureStartMs + Math.round(f.pts * tb * 1000)).toISOString();
+                progress.note({ Captured: `${at(first)} -> ${at(last)}` });
+            }
+            record({ retimedFrames: retimed.length });
+            if (retimed.length > 0) {
+                const r = retimed[0];
+                record({ expected: r.signedPtsTime, actual: r.actualPtsTime, frameNumber: r.frameNumber });
+                throw new Error(`${retimed.length} frames retimed (first: frame ${r.frameNumber} signed at ${r.signedPtsTime.toFixed(6)}s, now ${r.actualPtsTime.toFixed(6)}s)`);
+            }
+        }, 'hash-mismatch');
+
+        let audioResult = null;
+        await check('Decode and verify audio chunks', async (record) => {
+            if (!manifest.audio) {
+                const present = await probeAudioStreams(input);
+                audioResult = { covered: false, intact: null, streams: [], extraStreams: present.map((p) => p.streamIndex) };
+                if (present.length > 0) {
+                    progress.warn(`Manifest has no audio section; ${present.length} audio stream(s) are NOT covered`);
+                }
+                return;
+            }
+            audioResult = await verifyAudioStreams(manifest, input);
+            for (const st of audioResult.streams) {
+                if (st.status === 'intact') progress.info(` - stream ${st.streamIndex}: ${st.status}`);
+                else progress.warn(` - stream ${st.streamIndex}: ${st.status}`);
+                for (const r of st.mismatched) {
+                    progress.warn(`   modified chunks ${r.chunks[0]}-${r.chunks[1]} @ ${r.startMs}ms-${r.endMs}ms`);
+                }
+                if (st.invalidSignatures.length > 0) {
+                    progress.warn(`   invalid signatures: ${st.invalidSignatures.length}`);
+                }
+            }
+            for (const idx of audioResult.extraStreams) progress.warn(` - unsigned stream ${idx}`);
+            record({ streams: audioResult.streams.map((st) => ({ streamIndex: st.streamIndex, status: st.status })), extraStreams: audioResult.extraStreams });
+            if (!audioResult.intact) throw new Error('Audio differs from manifest');
+        }, 'hash-mismatch');
+
+        await check('Compare provenance metadata with signed values', async (record) => {
+            const signed = manifest.provenance;
+            if (!signed) {
+                progress.info('Manifest has no provenance; capture tags (make, model, creation_time, ...) are NOT covered');
+                return;
+            }
+            const changes = diffProvenance(signed, await readProvenance(input, signed.fields));
+            result.provenance = { signed, changes };
+            progress.note({ Signed: describeProvenance(signed) });
+            for (const c of changes) progress.warn(` - ${describeChange(c)}`);
+            record({ fields: signed.fields, changes });
+            if (changes.length > 0) throw new Error(`${changes.length} provenance tag(s) differ from the signed values`);
+        }, 'hash-mismatch');
+
+        const tampering = {
+            schema: 'crypto-video-tamper-report@1',
+            video: path.basename(input),
+            manifest: manifestName,
+            manifestSha256: manifestSha256Hex,
+            signer: manifest.signer.address,
+            signerTrust: trust,
+            startTimestampMs: manifest.startTimestampMs,
+            timestamp: attested,
+            anchor: anchored,
+            frameRate,
+            manifestFrames: manifest.frames.length,
+            videoFrames: videoHashes.length,
+            intact: failures.length === 0,
+            checks: failures,
+            invalidManifestEntries: badEntries,
+            matchedFrames: diff.matchedFrames,
+            summary: diff.summary,
+            differences: diff.differences,
+            retimedFrames: retimed,
+            frameTimes: manifest.timing ? frameTimes(manifest) : null,
+            audio: audioResult,
+            provenance: result.provenance ? result.provenance.changes : null
+        };
+        Object.assign(result, { trust, timestamp: attested, anchor: anchored, tampering });
+        if (tamperReportPath) {
+            await step('Write tamper report', async (record) => {
+                await fsp.mkdir(path.dirname(tamperReportPath), { recursive: true });
+                await fsp.writeFile(tamperReportPath, JSON.stringify(tampering, null, 2), 'utf8');
+                progress.note({ Report: tamperReportPath });
+                record({ path: tamperReportPath });
+            });
+        }
+        const signedAt = `${manifest.startTimestampMs} (${attested ? `TSA: ${new Date(attested.genTimeMs).toISOString()}` : 'self-reported'})`;
+        progress.result(failures.length === 0, failures.length === 0 ? 'ALL FRAMES VERIFIED' : 'VERIFICATION FAILED', path.basename(input), {
+            failures,
+            lines: [
+                { Signer: `${manifest.signer.address}${trust && trust.label ? ` (${trust.label})` : ''} [${trust ? trust.status : 'unknown'}]` },
+                { 'Start timestamp': signedAt },
+                ...(result.provenance ? [{ Provenance: `${describeProvenance(result.provenance.signed)} (as signed)` }] : []),
+                ...(anchored ? [{ Anchored: describeAnchor(anchored) }] : [])
+            ]
+        });
+        return finish();
+    } catch (err) {
+        return finish(err);
+    } finally {
+        if (pool) await pool.close();
+    }
+};
+
+module.exports = {
+    verifyFrames
+};
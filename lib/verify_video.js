@@ -0,0 +1,328 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const { sha256Hex, extractFrameHashes, probeFrameRate } = require('./frames');
+const { diffFrames } = require('./frame_diff');
+const { detectContainer, tempPathFor } = require('./containers');
+const { readMetadataTags, writeCanonicalMetadata } = require('./metadata');
+const { parseTrustOptions, loadTrustPolicy, evaluateSigner, describeTrust } = require('./trust');
+const { SCHEME_LABELS, verifyClaim, signingOf, normalizeSignerAddress } = require('./signers');
+const { parseTsaOptions, loadTsaRoots, verifySignatureTimestamp } = require('./tsa');
+const { parseAnchorOptions, checkAnchor, describeAnchor } = require('./anchor');
+const { readProvenance, provenanceSha256, diffProvenance, describeChange, describeProvenance } = require('./provenance');
+const { createProgress } = require('./progress');
+const { createReport } = require('./report');
+
+// -------------------------------
+// Whole-file verification
+// -------------------------------
+// Reads the signature payload (sign_video.js), recomputes the canonical hash and
+// checks the signature, signed provenance tags, RFC 3161 token, anchor and
+// trust policy. Every check
+// after the payload is read runs even if an earlier one failed, so the result
+// lists all of them.
+
+// Files signed before the native parser hashed an ffmpeg remux with only comment=timestamp
+const legacyCanonicalHashHex = async (filePath, tsStr, container) => {
+    const temp1 = tempPathFor(filePath, 'tmp');
+    const temp2 = tempPathFor(filePath, 'tmp2');
+    try {
+        await fsp.copyFile(filePath, temp1);
+        await writeCanonicalMetadata(temp1, temp2, { comment: tsStr }, container.muxArgs);
+        return sha256Hex(await fsp.readFile(temp2));
+    } finally {
+        await fsp.rm(temp1, { force: true });
+        await fsp.rm(temp2, { force: true });
+    }
+};
+
+// Which frames changed, from a frames manifest of the same video (sign_frames.js)
+const localizeTampering = async (filePath, framesManifestPath, progress) => {
+    const manifest = JSON.parse(await fsp.readFile(framesManifestPath, 'utf8'));
+    const [{ hashes }, frameRate] = await Promise.all([
+        extractFrameHashes(filePath, { frameFormat: manifest.frameFormat, sampling: manifest.sampling }),
+        manifest.sampling ? manifest.sampling.frameRate : probeFrameRate(filePath)
+    ]);
+    const diff = diffFrames(manifest.frames.map((f) => f.frameHashSha256), hashes, { frameRate });
+    const s = diff.summary;
+    progress.note({ Frames: `video ${hashes.length}, manifest ${manifest.frames.length}, matched in order ${diff.matchedFrames}` });
+    progress.note({ Modified: s.modified, Inserted: s.inserted, Dropped: s.dropped, Reordered: s.reordered, Duplicated: s.duplicated });
+    for (const r of diff.differences) {
+        const orig = r.manifest ? `original ${r.manifest[0]}-${r.manifest[1]}` : '';
+        const vid = r.video ? `video ${r.video[0]}-${r.video[1]}` : '';
+        const t = r.time.video || r.time.original;
+        progress.warn(` - ${r.type} ${[orig, vid].filter(Boolean).join(' -> ')}${t ? ` @ ${t.startSec}s-${t.endSec}s` : ''}`);
+    }
+    return {
+        schema: 'crypto-video-tamper-report@1',
+        video: path.basename(filePath),
+        manifest: path.basename(framesManifestPath),
+        frameRate,
+        manifestFrames: manifest.frames.length,
+        videoFrames: hashes.length,
+        intact: diff.intact,
+        matchedFrames: diff.matchedFrames,
+        summary: diff.summary,
+        differences: diff.differences
+    };
+};
+
+/**
+ * Verify a video signed by signVideo / sign_video.js. Verification failures do
+ * not throw: they are in the result and its report (lib/report.js).
+ * @param {object} options
+ * @param {string} options.input the video
+ * @param {string|null} [options.expectedTimestamp] start timestamp (ms) the caller expects
+ * @param {string|null} [options.framesManifest] frames manifest of the same video; localizes
+ *   tampering when the whole-file hash fails
+ * @param {string|null} [options.tamperReport] where to write that localization (JSON)
+ * @param {object} [options.trust] from parseTrustOptions (lib/trust.js); by default from the environment
+ * @param {object} [options.tsa] from parseTsaOptions (lib/tsa.js); by default from the environment
+ * @param {object} [options.anchor] from parseAnchorOptions (lib/anchor.js); by default from the environment
+ * @param {(event: object) => void} [options.onProgress] see lib/progress.js
+ * @returns {Promise<{ verified: boolean, verdict: string, exitCode: number, report: object, failures: object[],
+ *   signerAddress: string|null, timestampMs: number|null, scheme: string|null, canonical: string|null, trust: object|null, timestamp: object|null,
+ *   anchor: object|null, provenance: { signed: object, changes: object[] }|null, tampering: object|null, error: Error|null }>}
+ */
+const verifyVideo = async ({
+    input,
+    expectedTimestamp = null,
+    framesManifest = null,
+    tamperReport: tamperReportPath = null,
+    trust: trustOptions = parseTrustOptions([]),
+    tsa: tsaOptions = parseTsaOptions([]),
+    anchor: anchorOptions = parseAnchorOptions([]),
+    onProgress
+}) => {
+    const report = createReport('verify_video');
+    const progress = createProgress({ totalSteps: framesManifest ? 10 : 9, onProgress, report });
+    const { step } = progress;
+    const expectedTs = expectedTimestamp === null ? null : String(expectedTimestamp);
+    const failures = [];
+    const check = async (title, fn, category) => {
+        try {
+            return await step(title, fn, category);
+        } catch (e) {
+            failures.push({ step: title, error: e.message || String(e) });
+            return undefined;
+        }
+    };
+    const result = { signerAddress: null, timestampMs: null, scheme: null, canonical: null, trust: null, timestamp: null, anchor: null, provenance: null, tampering: null, failures, error: null };
+    const finish = (error = null) => {
+        const built = report.build({ error });
+        return { verified: built.exitCode === 0, verdict: built.verdict, exitCode: built.exitCode, report: built, ...result, error };
+    };
+
+    try {
+        const base = path.basename(input);
+        const container = await detectContainer(input);
+        Object.assign(report.target, { video: base, container: container.name, ...(expectedTs ? { expectedTimestamp: expectedTs } : {}) });
+        progress.banner('Verifiable Video Validator', null,
+            { Input: `${base} (${container.name})` },
+            ...(expectedTs ? [{ 'Expected timestamp': expectedTs }] : []));
+
+        const { payloadJson } = await step('Read comment JSON metadata', async (record) => {
+            // Native container parser first; ffmpeg as a fallback for files it cannot parse
+            const tags = await container.readTags(input).catch(() => readMetadataTags(input));
+            const payload = (tags.comment || '').trim();
+            if (!payload) throw new Error('Missing comment JSON payload');
+            let parsed;
+            try { parsed = JSON.parse(payload); } catch (_) { throw new Error('Invalid comment JSON payload'); }
+            if (!parsed || typeof parsed !== 'object') throw new Error('Invalid comment JSON payload');
+            record({ signerAddress: parsed.signerAddress, timestampMs: parsed.timestampMs, scheme: signingOf(parsed).scheme });
+            return { payloadJson: parsed };
+        }, 'not-signed');
+
+        const tsStr = String(payloadJson.timestampMs);
+        const fileHashExpected = String(payloadJson.fileHashSha256);
+        const signerAddress = String(payloadJson.signerAddress);
+        const signature = String(payloadJson.signature);
+        result.signerAddress = signerAddress;
+        result.timestampMs = Number(tsStr);
+
+        const canonicalScheme = payloadJson.canonical || 'ffmpeg-remux';
+        result.canonical = canonicalScheme;
+
+        const hashOk = await check(`Recompute canonical file hash (${canonicalScheme}) and compare`, async (record) => {
+            if (payloadJson.canonical && canonicalScheme !== container.canonicalScheme) {
+                throw new Error(`Unsupported canonical scheme for ${container.name}: ${canonicalScheme}`);
+            }
+            const actualHash = canonicalScheme === container.canonicalScheme
+                ? await container.canonicalHashHex(input)
+                : await legacyCanonicalHashHex(input, tsStr, container);
+            progress.note({ 'Expected hash': fileHashExpected });
+            progress.note({ 'Actual   hash': actualHash });
+            record({ canonical: canonicalScheme, expected: fileHashExpected, actual: actualHash });
+            if (actualHash.toLowerCase() !== fileHashExpected.toLowerCase()) {
+                throw new Error('Hash mismatch - file was modified');
+            }
+            return true;
+        }, 'hash-mismatch');
+
+        await check(expectedTs ? 'Check timestamp matches the expected value' : 'Check timestamp is numeric', async (record) => {
+            record({ actual: tsStr, ...(expectedTs ? { expected: expectedTs } : {}) });
+            if (!/^\d{10,}$/.test(tsStr)) throw new Error('Malformed timestamp');
+            if (expectedTs && expectedTs !== tsStr) throw new Error(`Timestamp mismatch: signed ${tsStr}, expected ${expectedTs}`);
+        }, 'bad-signature');
+
+        await check('Validate signer address is shaped properly', async (record) => {
+            record({ actual: signerAddress });
+            // Ethereum address, or ed25519:<public key hex>
+            normalizeSignerAddress(signerAddress);
+        }, 'bad-signature');
+
+        // Payloads without a scheme field predate EIP-712 support and are EIP-191
+        const signing = signingOf(payloadJson);
+        result.scheme = signing.scheme;
+        // Current payloads sign the provenance hash (or NO_PROVENANCE_SHA256) in the
+        // video claim; older ones have no provenanceSha256 and a ProvenanceClaim
+        await check(`Verify ${SCHEME_LABELS[signing.scheme] || signing.scheme} signature over the video claim`, async (record) => {
+            const committed = payloadJson.provenanceSha256 !== undefined;
+            if (committed && String(payloadJson.provenanceSha256).toLowerCase() !== provenanceSha256(payloadJson.provenance)) {
+                throw new Error(payloadJson.provenance ? 'Provenance does not match its signed hash' : 'Signed provenance is missing');
+            }
+            const { addrOk, recoveredAddress } = await verifyClaim(signing, 'VideoClaim', {
+                timestampMs: Number(tsStr),
+                fileHashSha256: fileHashExpected,
+                canonical: payloadJson.canonical,
+                ...(committed ? { provenanceSha256: provenanceSha256(payloadJson.provenance) } : {})
+            }, signature, signerAddress, payloadJson.signerPublicKey);
+            progress.note({ Recovered: recoveredAddress });
+            record({ scheme: signing.scheme, expected: signerAddress, actual: recoveredAddress });
+            if (!addrOk) {
+                throw new Error('Signature does not match signer address');
+            }
+            if (!committed && payloadJson.provenance) {
+                const provenanceCheck = await verifyClaim(signing, 'ProvenanceClaim', {
+                    timestampMs: Number(tsStr),
+                    fileHashSha256: fileHashExpected,
+                    provenanceSha256: provenanceSha256(payloadJson.provenance)
+                }, String(payloadJson.provenanceSignature), signerAddress, payloadJson.signerPublicKey);
+                if (!provenanceCheck.addrOk) throw new Error('Provenance signature does not match signer address');
+            }
+        }, 'bad-signature');
+
+        // Tags outside the canonical hash; only the signed ones are compared
+        await check('Compare provenance metadata with signed values', async (record) => {
+            const signed = payloadJson.provenance;
+            if (!signed) {
+                progress.info('No signed provenance; capture tags (make, model, creation_time, ...) are NOT covered');
+                if (payloadJson.provenanceSha256 === undefined) progress.warn('Older payload without a provenance hash: provenance may have been stripped');
+                return;
+            }
+            const changes = diffProvenance(signed, await readProvenance(input, signed.fields));
+            result.provenance = { signed, changes };
+            progress.note({ Signed: describeProvenance(signed) });
+            for (const c of changes) progress.warn(` - ${describeChange(c)}`);
+            record({ fields: signed.fields, changes });
+            if (changes.length > 0) throw new Error(`${changes.length} provenance tag(s) differ from the signed values`);
+        }, 'hash-mismatch');
+
+        // A verified token over the signature replaces the self-reported time for
+        // the trust policy window; one over the bare file hash does not
+        let attested = null;
+        await check('Verify RFC 3161 timestamp token', async (record) => {
+            if (!payloadJson.rfc3161) {
+                if (tsaOptions.requireTimestamp) throw new Error('Payload has no RFC 3161 timestamp');
+                progress.info('No timestamp token; signing time is self-reported');
+                return;
+            }
+            attested = verifySignatureTimestamp(payloadJson.rfc3161, {
+                hashHex: fileHashExpected,
+                signature,
+                claimedMs: Number(tsStr),
+                roots: await loadTsaRoots(tsaOptions.rootsPath)
+            });
+            progress.note({ TSA: attested.tsa, Serial: attested.serialNumber });
+            progress.note({ 'Signed no later than': new Date(attested.genTimeMs).toISOString() });
+            if (!attested.coversSignature) progress.warn('Token covers the file hash only; the trust policy uses the self-reported time');
+            record({
+                tsa: attested.tsa,
+                serialNumber: attested.serialNumber,
+                claimed: Number(tsStr),
+                genTime: new Date(attested.genTimeMs).toISOString(),
+                coversSignature: attested.coversSignature
+            });
+        }, 'bad-signature');
+        result.timestamp = attested;
+
+        let anchored = null;
+        await check('Look up on-chain anchor', async (record) => {
+            if (!anchorOptions.rpcUrl) {
+                if (anchorOptions.requireAnchor) throw new Error('--require-anchor needs --anchor-rpc (ANCHOR_RPC_URL)');
+                progress.info(payloadJson.anchor
+                    ? `Anchor recorded (tx ${payloadJson.anchor.txHash}) but no RPC endpoint configured; not checked`
+                    : 'No anchor recorded and no RPC endpoint configured; skipping');
+                return;
+            }
+            anchored = await checkAnchor(anchorOptions, payloadJson.anchor, { hashHex: fileHashExpected, claimedMs: Number(tsStr) });
+            if (!anchored) {
+                progress.info('Hash not anchored in the configured registry');
+                return;
+            }
+            progress.note({ Anchor: `${describeAnchor(anchored)} (${anchored.source})` });
+            progress.note({ 'Existed no later than': new Date(anchored.blockTimeMs).toISOString() });
+            record({ anchor: anchored });
+        }, 'bad-signature');
+        result.anchor = anchored;
+
+        await check('Check signer against trust policy', async (record) => {
+            // An unreadable policy is a setup problem, not a verdict on the signer
+            const policy = await loadTrustPolicy(trustOptions.policyPath).catch((err) => {
+                throw Object.assign(err, { category: 'tool-error' });
+            });
+            const trust = evaluateSigner(policy, signerAddress, {
+                signedAtMs: attested && attested.coversSignature ? attested.genTimeMs : Number(tsStr),
+                purpose: 'video',
+                requiredRoles: trustOptions.requiredRoles
+            });
+            result.trust = trust;
+            progress.note({ Policy: policy ? policy.path : `none (${trustOptions.policyPath} not found)` });
+            progress.note({ 'Signer trust': describeTrust(trust) });
+            record({ signer: signerAddress, status: trust.status, ...(trust.label ? { label: trust.label } : {}) });
+            if (trust.status !== 'trusted') {
+                if (trustOptions.allowUntrusted) {
+                    progress.warn(`Signer is ${trust.status}; accepted because of --allow-untrusted`);
+                    return;
+                }
+                throw new Error(`Signer is ${trust.status}`);
+            }
+        }, 'untrusted-signer');
+
+        if (framesManifest) {
+            await step('Localize tampering against frames manifest', async () => {
+                if (hashOk) {
+                    progress.info('Whole-file hash matches; nothing to localize');
+                    return;
+                }
+                result.tampering = await localizeTampering(input, framesManifest, progress);
+                if (tamperReportPath) {
+                    await fsp.mkdir(path.dirname(tamperReportPath), { recursive: true });
+                    await fsp.writeFile(tamperReportPath, JSON.stringify(result.tampering, null, 2), 'utf8');
+                    progress.note({ Report: tamperReportPath });
+                }
+            });
+        }
+        const signedAt = `${tsStr} (${attested ? `TSA: ${new Date(attested.genTimeMs).toISOString()}` : 'self-reported'})`;
+        const trust = result.trust;
+        if (failures.length > 0) {
+            progress.result(false, 'FAIL', base, { failures });
+        } else {
+            progress.result(true, 'PASS', base, {
+                lines: [
+                    { Verified: `hash matches canonical(${canonicalScheme}), timestamp validated, ${SCHEME_LABELS[signing.scheme]} signature covers the video claim.` },
+                    { Signer: `${signerAddress}${trust && trust.label ? ` (${trust.label})` : ''} [${trust ? trust.status : 'unknown'}]` },
+                    { Timestamp: signedAt },
+                    ...(result.provenance ? [{ Provenance: `${describeProvenance(result.provenance.signed)} (as signed)` }] : []),
+                    ...(anchored ? [{ Anchored: describeAnchor(anchored) }] : [])
+                ]
+            });
+        }
+        return finish();
+    } catch (err) {
+        return finish(err);
+    }
+};
+
+module.exports = {
+    verifyVideo
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const crypto = require('crypto');
+const der = require('./der');
+
+// -------------------------------
+// X.509 helpers
+// -------------------------------
+// Certificate bundles and chain building for verifiers (RFC 3161 TSAs, C2PA
+// claim signers), and DER-built certificates for the local test authorities
+// (tsa_server.js, c2pa.js certs). Test certificates are signed with
+// ECDSA P-256 / SHA-256 by their issuer.
+const ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readPemCertificates = (pem) => {
+    const blocks = String(pem).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    return blocks.map((b) => new crypto.X509Certificate(b));
+};
+
+/**
+ * Load a PEM bundle of trusted roots; `what` names the setting in errors.
+ * @returns {Promise<crypto.X509Certificate[]>}
+ */
+const loadCertificateBundle = async (bundlePath, what) => {
+    if (!fs.existsSync(bundlePath)) throw new Error(`No ${what} configured (${bundlePath} not found)`);
+    const certs = readPemCertificates(await fsp.readFile(bundlePath, 'utf8'));
+    if (certs.length === 0) throw new Error(`No certificates in ${bundlePath}`);
+    return certs;
+};
+
+const certValidAt = (cert, ms) => ms >= Date.parse(cert.validFrom) && ms <= Date.parse(cert.validTo);
+
+const sameCert = (a, b) => a.fingerprint256 === b.fingerprint256;
+
+/**
+ * Walk issuer links from a leaf certificate to one of the roots; every
+ * certificate on the way must be valid at atMs, and every issuer (intermediate
+ * or root) must be a CA certificate.
+ * @param {{ label: string, at: string }} describe used in errors, e.g. { label: 'TSA', at: 'genTime' }
+ * @returns {crypto.X509Certificate[]} leaf first, root last
+ */
+const chainToRoot = (leaf, intermediates, roots, atMs, { label, at }) => {
+    const chain = [leaf];
+    let current = leaf;
+    for (let depth = 0; depth < 8; depth++) {
+        if (!certValidAt(current, atMs)) throw new Error(`Certificate ${current.subject.replace(/\n/g, ', ')} not valid at ${at}`);
+        if (roots.some((r) => sameCert(r, current))) return chain;
+        const root = roots.find((r) => r.ca && current.checkIssued(r) && current.verify(r.publicKey));
+        if (root) {
+            if (!certValidAt(root, atMs)) throw new Error(`${label} root certificate not valid at ${at}`);
+            return [...chain, root];
+        }
+        const next = intermediates.find((c) => c.ca && !sameCert(c, current) && current.checkIssued(c) && current.verify(c.publicKey));
+        if (!next) break;
+        chain.push(next);
+        current = next;
+    }
+    throw new Error(`${label} certificate does not chain to a configured ${label} root`);
+};
+
+// -------------------------------
+// Test certificates
+// -------------------------------
+const name = (organization, commonName) => der.sequence(
+    der.set(der.sequence(der.oid('2.5.4.10'), der.utf8String(organization))),
+    der.set(der.sequence(der.oid('2.5.4.3'), der.utf8String(commonName)))
+);
+
+const extension = (oidStr, critical, valueDer) => der.sequence(
+    der.oid(oidStr),
+    ...(critical ? [der.boolean(true)] : []),
+    der.octetString(valueDer)
+);
+
+/**
+ * Build and sign a v3 certificate.
+ * @returns {crypto.X509Certificate}
+ */
+const buildCertificate = ({ organization, subject, issuer, publicKey, signingKey, validDays, extensions }) => {
+    const now = Date.now();
+    const tbs = der.sequence(
+        der.explicit(0, der.integer(2)),
+        der.integer(crypto.randomBytes(16)),
+        der.sequence(der.oid(ECDSA_WITH_SHA256)),
+        name(organization, issuer),
+        der.sequence(der.utcTime(now - DAY_MS), der.utcTime(now + validDays * DAY_MS)),
+        name(organization, subject),
+        publicKey.export({ type: 'spki', format: 'der' }),
+        der.explicit(3, der.sequence(...extensions))
+    );
+    const signature = crypto.sign('sha256', tbs, signingKey);
+    const certDer = der.sequence(tbs, der.sequence(der.oid(ECDSA_WITH_SHA256)), der.bitString(signature));
+    return new crypto.X509Certificate(certDer);
+};
+
+// Extensions used by the test authorities
+const EXTENSIONS = {
+    caBasicConstraints: () => extension('2.5.29.19', true, der.sequence(der.boolean(true))),
+    caKeyUsage: () => extension('2.5.29.15', true, der.bitString(Buffer.from([0x06]), 1)), // keyCertSign, cRLSign
+    signingKeyUsage: () => extension('2.5.29.15', true, der.bitString(Buffer.from([0x80]), 7)), // digitalSignature
+    extendedKeyUsage: (...oids) => extension('2.5.29.37', true, der.sequence(...oids.map((o) => der.oid(o))))
+};
+
+module.exports = {
+    readPemCertificates,
+    loadCertificateBundle,
+    certValidAt,
+    sameCert,
+    chainToRoot,
+    buildCertificate,
+    EXTENSIONS
+};
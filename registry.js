@@ -0,0 +1,65 @@
+const { parseKeyOptions, loadSigningWallet } = require('./lib/keys');
+const { parseAnchorOptions, deployRegistry, lookupAnchor, describeAnchor } = require('./lib/anchor');
+const { positionalArgs } = require('./lib/cli');
+require('dotenv').config({ quiet: true });
+
+// -------------------------------
+// Hash registry contract
+// -------------------------------
+// Usage:
+//   node registry.js deploy [key source] --anchor-rpc=<url>
+//   node registry.js lookup <sha256 hex> --anchor-rpc=<url> --anchor-registry=<address>
+//
+// [key source] is any of the signer options (--keystore, --mnemonic-file,
+// MNEMONIC, PRIVATE_KEY); see lib/keys.js. The RPC endpoint and registry can
+// also come from ANCHOR_RPC_URL and ANCHOR_REGISTRY. Against a local dev chain:
+//   anvil   (or: npx hardhat node)
+//   MNEMONIC="test test test test test test test test test test test junk" \
+//     node registry.js deploy --anchor-rpc=http://127.0.0.1:8545
+// then sign with --anchor-rpc and --anchor-registry=<printed address>.
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const deploy = async (args) => {
+    const options = parseAnchorOptions(args);
+    const { wallet, source } = await loadSigningWallet(parseKeyOptions(args));
+    console.log(`${cDim('Deployer:')} ${wallet.address} ${cDim(`(${source})`)}`);
+    const deployed = await deployRegistry(wallet, options);
+    console.log(`${cDim('Chain:')} ${deployed.chainId}  ${cDim('Block:')} ${deployed.blockNumber}  ${cDim('Tx:')} ${deployed.txHash}`);
+    console.log(`${cBold('Registry:')} ${deployed.address}`);
+    console.log(cDim(`Use --anchor-registry=${deployed.address} (or ANCHOR_REGISTRY) when signing and verifying.`));
+};
+
+const lookup = async (args) => {
+    const [hashHex] = positionalArgs(args);
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(hashHex || '')) throw new Error('Usage: node registry.js lookup <sha256 hex>');
+    const found = await lookupAnchor(parseAnchorOptions(args), { hashHex });
+    if (!found) {
+        console.log(cYellow('Not anchored'));
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`${cBold('Anchored:')} ${describeAnchor(found)}`);
+};
+
+const main = async () => {
+    try {
+        const [command, ...args] = process.argv.slice(2);
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold('Hash Registry')} ${cDim('(on-chain anchoring)')}`);
+        console.log(cCyan('='.repeat(60)));
+        if (command === 'deploy') return await deploy(args);
+        if (command === 'lookup') return await lookup(args);
+        throw new Error('Usage: node registry.js <deploy|lookup> ...');
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { flagValue, positionalArgs } = require('./lib/cli');
+const { parseKeyOptions, loadSigner } = require('./lib/keys');
+const { SCHEME_LABELS, parseSchemeOptions } = require('./lib/signers');
+const {
+    LIVE_SCHEMA,
+    DEFAULT_MANIFEST_NAME,
+    parsePlaylist,
+    findPlaylist,
+    listSegmentFiles,
+    segmentPath,
+    writeJsonAtomic,
+    readLiveManifest,
+    segmentClaim,
+    streamEndClaim,
+    segmentEntry,
+    streamEnd,
+    sleep
+} = require('./lib/live');
+require('dotenv').config({ quiet: true });
+
+// -------------------------------
+// Live segment signer
+// -------------------------------
+// Usage: node sign_live.js <stream dir> [--playlist=<name.m3u8>] [--out=<manifest>]
+//        [--poll-ms=500] [--idle-exit=<seconds>] [key options, see lib/keys.js]
+//        [--signature-scheme=<scheme>, see lib/signers.js]
+//
+// Signs HLS segments (or fMP4 fragments) as they appear; see lib/live.js for
+// the chaining and the sidecar manifest. Runs until the playlist gets
+// #EXT-X-ENDLIST, no segment arrived for --idle-exit seconds, or Ctrl+C; then
+// seals the stream with a signed end marker. Restarting with the same key
+// resumes an unfinished manifest. Example with ffmpeg writing the stream:
+//   ffmpeg -re -i test.mp4 -c copy -f hls -hls_time 4 -hls_list_size 0 \
+//     -hls_segment_type fmp4 live/stream.m3u8
+//   node sign_live.js live --idle-exit=30
+const CLI_ARGS = process.argv.slice(2);
+const POLL_MS = Number(flagValue(CLI_ARGS, 'poll-ms') || 500);
+const IDLE_EXIT_MS = Number(flagValue(CLI_ARGS, 'idle-exit') || 0) * 1000;
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+// Open manifest for this signer: resumed if unfinished, new otherwise
+const openManifest = async (manifestPath, { streamName, playlistName, signer }) => {
+    const existing = await readLiveManifest(manifestPath);
+    if (existing) {
+        if (existing.end) throw new Error(`${manifestPath} is already sealed; pass --out to start a new manifest`);
+        if (existing.signer.address !== signer.address) {
+            throw new Error(`${manifestPath} belongs to signer ${existing.signer.address}; pass --out to start a new manifest`);
+        }
+        return { manifest: existing, resumed: true };
+    }
+    return {
+        manifest: {
+            schema: LIVE_SCHEMA,
+            stream: streamName,
+            playlist: playlistName,
+            startTimestampMs: Date.now(),
+            signer: signer.signerFields,
+            segments: [],
+            skipped: [],
+            end: null
+        },
+        resumed: false
+    };
+};
+
+const main = async () => {
+    try {
+        const [dirArg] = positionalArgs(CLI_ARGS);
+        if (!dirArg) throw new Error('Usage: node sign_live.js <stream dir> [options]');
+        const streamDir = path.resolve(dirArg);
+        if (!fs.existsSync(streamDir)) throw new Error(`Stream directory not found: ${streamDir}`);
+        const manifestPath = path.resolve(flagValue(CLI_ARGS, 'out') || path.join(streamDir, DEFAULT_MANIFEST_NAME));
+        let playlistPath = await findPlaylist(streamDir, flagValue(CLI_ARGS, 'playlist'));
+
+        const signing = parseSchemeOptions(CLI_ARGS);
+        const { signer, source: keySource } = await loadSigner(parseKeyOptions(CLI_ARGS), signing);
+        const { manifest, resumed } = await openManifest(manifestPath, {
+            streamName: path.basename(streamDir),
+            playlistName: playlistPath ? path.basename(playlistPath) : null,
+            signer
+        });
+
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold('Live Segment Signer')} ${cDim(`(${SCHEME_LABELS[signing.scheme]})`)}`);
+        console.log(`${cDim('Stream:')} ${streamDir}  ${cDim('Source:')} ${playlistPath ? path.basename(playlistPath) : 'playlist once it appears, else directory listing'}`);
+        console.log(`${cDim('Signer:')} ${signer.address} ${cDim(`(${keySource})`)}`);
+        console.log(`${cDim('Manifest:')} ${manifestPath}${resumed ? cYellow(` (resumed at segment ${manifest.segments.length})`) : ''}`);
+        console.log(cCyan('='.repeat(60)));
+
+        // Published right away so followers see the stream before its first segment
+        await writeJsonAtomic(manifestPath, manifest);
+
+        let stopReason = null;
+        process.on('SIGINT', () => {
+            if (stopReason) process.exit(130);
+            stopReason = 'stopped';
+            console.log(cYellow('Stopping after the current poll...'));
+        });
+
+        const seen = new Set([...manifest.segments.map((s) => s.uri), ...manifest.skipped.map((s) => s.uri)]);
+        const lastSizes = new Map();
+        let lastActivityMs = Date.now();
+
+        const signEntry = async (candidate) => {
+            let bytes;
+            try {
+                bytes = await fsp.readFile(segmentPath(streamDir, candidate.uri));
+            } catch (err) {
+                // Gone before we got to it (sliding window); the verifier will see the gap
+                manifest.skipped.push({ uri: candidate.uri, reason: err.code || err.message });
+                console.log(`${cRed('SKIP')} ${candidate.uri} ${cDim(err.code || err.message)}`);
+                return;
+            }
+            const entry = segmentEntry(manifest, candidate, bytes);
+            Object.assign(entry, await signer.sign('SegmentClaim', segmentClaim(manifest, entry)));
+            manifest.segments.push(entry);
+            console.log(`${cGreen('SIGNED')} #${entry.sequence} ${entry.uri} ${cDim(`${entry.type} ${entry.durationMs}ms ${entry.segmentHashSha256.slice(0, 16)}...`)}`);
+        };
+
+        for (;;) {
+            let candidates;
+            let ended = false;
+            // The writer may create its playlist only with the first segment
+            if (!playlistPath) {
+                playlistPath = await findPlaylist(streamDir);
+                if (playlistPath) {
+                    manifest.playlist = path.basename(playlistPath);
+                    console.log(`${cDim('Playlist:')} ${manifest.playlist}`);
+                }
+            }
+            if (playlistPath) {
+                const text = await fsp.readFile(playlistPath, 'utf8').catch(() => '');
+                const parsed = parsePlaylist(text);
+                candidates = parsed.entries.filter((e) => !seen.has(e.uri));
+                ended = parsed.ended;
+            } else {
+                // No playlist: a file is complete once its size held still for one poll
+                const files = await listSegmentFiles(streamDir);
+                candidates = files.filter((f) => !seen.has(f.uri) && f.size > 0 && lastSizes.get(f.uri) === f.size);
+                for (const f of files) lastSizes.set(f.uri, f.size);
+            }
+
+            for (const candidate of candidates) {
+                seen.add(candidate.uri);
+                await signEntry(candidate);
+            }
+            if (candidates.length > 0) {
+                lastActivityMs = Date.now();
+                await writeJsonAtomic(manifestPath, manifest);
+            }
+
+            if (ended && !stopReason) stopReason = 'endlist';
+            if (!stopReason && IDLE_EXIT_MS > 0 && Date.now() - lastActivityMs > IDLE_EXIT_MS) stopReason = 'idle';
+            if (stopReason) break;
+            await sleep(POLL_MS);
+        }
+
+        const end = streamEnd(manifest, stopReason);
+        manifest.end = { ...end, ...(await signer.sign('StreamEndClaim', streamEndClaim(manifest, end))) };
+        await writeJsonAtomic(manifestPath, manifest);
+
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cGreen('STREAM SEALED')} ${cDim(`${manifest.segments.length} segments, ${manifest.skipped.length} skipped (${stopReason})`)}`);
+        console.log(`${cDim('Manifest:')} ${manifestPath}`);
+        console.log(cCyan('='.repeat(60)));
+        if (manifest.skipped.length > 0) process.exitCode = 1;
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+const { deployRegistry, anchorHash, checkAnchor } = require('../lib/anchor');
+
+const CHAIN_ID = 31337;
+const wallet = ethers.Wallet.createRandom();
+const hashHex = 'ab'.repeat(32);
+const otherHex = 'cd'.repeat(32);
+
+// One in-process chain with the committed HashRegistry artifact deployed, and
+// `hashHex` anchored on it
+let server;
+let options;
+let record;
+
+test.before(async () => {
+    server = ganache.server({
+        logging: { quiet: true },
+        chain: { chainId: CHAIN_ID },
+        wallet: { accounts: [{ secretKey: wallet.privateKey, balance: ethers.utils.parseEther('10').toHexString() }] }
+    });
+    await server.listen(0, '127.0.0.1');
+    const base = { rpcUrl: `http://127.0.0.1:${server.address().port}`, confirmations: 1, requireAnchor: false };
+    const deployed = await deployRegistry(wallet, { ...base, registry: null });
+    assert.strictEqual(deployed.chainId, CHAIN_ID);
+    options = { ...base, registry: deployed.address };
+    record = await anchorHash(wallet, options, { hashHex, timestampMs: Date.now(), kind: 'video' });
+});
+
+test.after(() => server && server.close());
+
+test('an anchored hash is found from its record and by lookup', async () => {
+    assert.deepStrictEqual({ chainId: record.chainId, registry: record.registry, kind: record.kind, hash: record.hash },
+        { chainId: CHAIN_ID, registry: options.registry, kind: 'video', hash: hashHex });
+
+    const recorded = await checkAnchor(options, record, { hashHex, claimedMs: Date.now() });
+    assert.strictEqual(recorded.source, 'recorded');
+    assert.strictEqual(recorded.blockNumber, record.blockNumber);
+    assert.strictEqual(recorded.txHash, record.txHash);
+    assert.strictEqual(recorded.submitter, wallet.address);
+
+    const looked = await checkAnchor(options, null, { hashHex: hashHex.toUpperCase(), claimedMs: Date.now() });
+    assert.deepStrictEqual(looked, { source: 'registry lookup', chainId: CHAIN_ID, registry: options.registry, blockNumber: record.blockNumber, blockTimeMs: recorded.blockTimeMs });
+});
+
+test('a record that does not match the chain is rejected', async () => {
+    const claim = { hashHex, claimedMs: Date.now() };
+    await assert.rejects(checkAnchor(options, record, { hashHex: otherHex, claimedMs: Date.now() }), /Anchor covers a different hash/);
+    await assert.rejects(checkAnchor(options, { ...record, hash: otherHex }, { hashHex: otherHex, claimedMs: Date.now() }),
+        /no Anchored event for this hash/);
+    await assert.rejects(checkAnchor(options, { ...record, chainId: 1 }, claim), /Anchor is on chain 1, RPC endpoint serves chain 31337/);
+    await assert.rejects(checkAnchor(options, { ...record, blockNumber: record.blockNumber + 5 }, claim), /reorg/);
+    await assert.rejects(checkAnchor({ ...options, registry: ethers.Wallet.createRandom().address }, record, claim), /is not the configured registry/);
+    await assert.rejects(checkAnchor(options, { ...record, txHash: `0x${'00'.repeat(32)}` }, claim), /not found/);
+});
+
+test('a claimed start after the block time is rejected', async () => {
+    const future = Date.now() + 60 * 60 * 1000;
+    await assert.rejects(checkAnchor(options, record, { hashHex, claimedMs: future }), /is after the anchor block time/);
+    await assert.rejects(checkAnchor(options, null, { hashHex, claimedMs: future }), /is after the anchor block time/);
+});
+
+test('a hash that was never anchored', async () => {
+    assert.strictEqual(await checkAnchor(options, null, { hashHex: otherHex, claimedMs: Date.now() }), null);
+    await assert.rejects(checkAnchor({ ...options, requireAnchor: true }, null, { hashHex: otherHex, claimedMs: Date.now() }),
+        /No on-chain anchor found for this hash/);
+});
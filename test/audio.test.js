@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { parseAudioStreams, createPcmChunker, buildAudioMessageString } = require('../lib/audio');
+
+const sha256Hex = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+// 100 ms chunks of 8 kHz stereo s16le: 800 sample frames, 3200 bytes
+const FORMAT = { sampleRate: 8000, channels: 2 };
+const pcm = (bytes) => Buffer.from(Array.from({ length: bytes }, (_, i) => (i * 7) & 0xff));
+
+test('PCM is split into fixed-duration chunks, the last one shorter', () => {
+    const data = pcm(3200 * 2 + 1000);
+    const chunker = createPcmChunker(FORMAT, 100);
+    chunker.write(data);
+    const chunks = chunker.end();
+    assert.deepStrictEqual(chunks.map(({ chunkNumber, startMs, durationMs, byteLength }) => ({ chunkNumber, startMs, durationMs, byteLength })), [
+        { chunkNumber: 1, startMs: 0, durationMs: 100, byteLength: 3200 },
+        { chunkNumber: 2, startMs: 100, durationMs: 100, byteLength: 3200 },
+        { chunkNumber: 3, startMs: 200, durationMs: 31, byteLength: 1000 }
+    ]);
+    assert.strictEqual(chunks[1].chunkHashSha256, sha256Hex(data.subarray(3200, 6400)));
+});
+
+test('chunk hashes do not depend on how the stream is cut into writes', () => {
+    const data = pcm(3200 * 3 + 4);
+    const whole = createPcmChunker(FORMAT, 100);
+    whole.write(data);
+    const pieces = createPcmChunker(FORMAT, 100);
+    for (let pos = 0; pos < data.length; pos += 999) pieces.write(data.subarray(pos, pos + 999));
+    assert.deepStrictEqual(pieces.end(), whole.end());
+});
+
+test('chunk boundaries never split a sample frame', () => {
+    // 44.1 kHz for 1 ms is 44.1 frames: rounded to 44 whole stereo frames
+    const chunker = createPcmChunker({ sampleRate: 44100, channels: 2 }, 1);
+    chunker.write(pcm(176 * 2));
+    assert.deepStrictEqual(chunker.end().map((c) => c.byteLength), [176, 176]);
+});
+
+test('audio streams are read from the ffmpeg input summary', () => {
+    const summary = [
+        'Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'in.mp4\':',
+        '  Stream #0:0[0x1](und): Video: h264 (High) (avc1 / 0x31637661), yuv420p, 1280x720, 30 fps',
+        '  Stream #0:1[0x2](eng): Audio: aac (LC) (mp4a / 0x6134706D), 48000 Hz, stereo, fltp, 128 kb/s (default)',
+        '  Stream #0:2[0x3](und): Audio: pcm_s16le, 44100 Hz, mono, s16, 705 kb/s',
+        '  Stream #0:3[0x4](und): Audio: ac3, 48000 Hz, 5.1(side), fltp, 384 kb/s'
+    ].join('\n');
+    assert.deepStrictEqual(parseAudioStreams(summary), [
+        { streamIndex: 1, codec: 'aac', sampleRate: 48000, channels: 2 },
+        { streamIndex: 2, codec: 'pcm_s16le', sampleRate: 44100, channels: 1 },
+        { streamIndex: 3, codec: 'ac3', sampleRate: 48000, channels: 6 }
+    ]);
+});
+
+test('the chunk message binds stream, chunk number and start time', () => {
+    const hash = 'cd'.repeat(32);
+    assert.strictEqual(buildAudioMessageString(1700000000000, 1, 2, hash),
+        `{"startTimestampMs":1700000000000,"streamIndex":1,"chunkNumber":2,"chunkHashSha256":"${hash}"}`);
+    assert.notStrictEqual(buildAudioMessageString(1700000000000, 1, 3, hash), buildAudioMessageString(1700000000000, 1, 2, hash));
+});
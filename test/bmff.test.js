@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const { canonicalHashHex, readMetadataItems, writeMetadataItems } = require('../lib/bmff');
+const { tempDir, writeMp4 } = require('./helpers/bmff');
+
+test('metadata items round-trip and stay out of the canonical hash', async (t) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    const file = await writeMp4(dir, 'plain.mp4');
+    const before = await canonicalHashHex(file);
+
+    await writeMetadataItems(file, { comment: 'signed payload', artist: 'cam' });
+    assert.deepStrictEqual(await readMetadataItems(file), { comment: 'signed payload', artist: 'cam' });
+    assert.strictEqual(await canonicalHashHex(file), before);
+});
+
+test('tags without an iTunes item are written as freeform items', async (t) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    const file = await writeMp4(dir, 'itunes.mp4', { items: { '©nam': 'Take 1' } });
+    const before = await canonicalHashHex(file);
+
+    await writeMetadataItems(file, { anchor: '{"tx":"0x01"}', 'com.apple.quicktime.make': 'Apple' });
+    await writeMetadataItems(file, { anchor: '{"tx":"0x02"}' });
+    assert.deepStrictEqual(await readMetadataItems(file), {
+        title: 'Take 1',
+        anchor: '{"tx":"0x02"}',
+        'com.apple.quicktime.make': 'Apple'
+    });
+    assert.strictEqual(await canonicalHashHex(file), before);
+});
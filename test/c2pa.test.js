@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const c2pa = require('../lib/c2pa');
+const { tempDir, writeMp4 } = require('./helpers/bmff');
+const { CODE_SIGNING, ca, claimSigner, issue } = require('./helpers/certs');
+
+const ASSERTIONS = [
+    { label: c2pa.ASSERTIONS.actions, data: { actions: [{ action: 'c2pa.created', softwareAgent: c2pa.CLAIM_GENERATOR }] } },
+    { label: c2pa.ASSERTIONS.video, data: { timestampMs: 1700000000000, fileHashSha256: 'ab'.repeat(32) }, json: true }
+];
+
+const signerOf = (leaf, ...chain) => ({ certs: [leaf.cert, ...chain.map((c) => c.cert)], privateKey: leaf.privateKey, alg: 'ES256' });
+
+// Exports a store signed by `signer` into a copy of a synthetic MP4 and reads it back
+const exportAndRead = async (t, signer) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    const input = await writeMp4(dir, 'input.mp4');
+    const output = path.join(dir, 'credentials.mp4');
+    const written = await c2pa.exportManifestStore(input, output, 'mp4', ASSERTIONS, signer);
+    const store = await c2pa.readManifestStore(output);
+    return { output, written, manifest: store.active };
+};
+
+test('exported credentials read back and verify', async (t) => {
+    const root = ca('Test C2PA Root');
+    const { output, written, manifest } = await exportAndRead(t, signerOf(claimSigner('Test Claim Signer', root)));
+
+    const result = c2pa.verifyCose(manifest.signature, manifest.claimBytes, [root.cert]);
+    assert.strictEqual(result.alg, 'ES256');
+    assert.strictEqual(result.chain.length, 2);
+    assert.deepStrictEqual(c2pa.checkAssertionHashes(manifest), []);
+    const { expectedHex, actualHex } = await c2pa.checkHardBinding(output, manifest);
+    assert.strictEqual(actualHex, expectedHex);
+    assert.strictEqual(actualHex, written.hashHex);
+    assert.deepStrictEqual(c2pa.assertionData(manifest, c2pa.ASSERTIONS.video), ASSERTIONS[1].data);
+});
+
+test('a bit flip in mdat breaks the hard binding', async (t) => {
+    const root = ca('Test C2PA Root');
+    const { output, manifest } = await exportAndRead(t, signerOf(claimSigner('Test Claim Signer', root)));
+    const buf = await fsp.readFile(output);
+    const mdat = buf.indexOf('synthetic media payload');
+    buf[mdat] ^= 0x01;
+    await fsp.writeFile(output, buf);
+
+    const { expectedHex, actualHex } = await c2pa.checkHardBinding(output, manifest);
+    assert.notStrictEqual(actualHex, expectedHex);
+});
+
+test('a claim signed under another root is rejected', async (t) => {
+    const root = ca('Test C2PA Root');
+    const { manifest } = await exportAndRead(t, signerOf(claimSigner('Test Claim Signer', root)));
+    assert.throws(() => c2pa.verifyCose(manifest.signature, manifest.claimBytes, [ca('Other Root').cert]),
+        /does not chain to a configured C2PA root/);
+});
+
+test('a signing certificate without a claim-signing EKU is rejected', async (t) => {
+    const root = ca('Test C2PA Root');
+    const { manifest } = await exportAndRead(t, signerOf(claimSigner('Code Signer', root, CODE_SIGNING)));
+    assert.throws(() => c2pa.verifyCose(manifest.signature, manifest.claimBytes, [root.cert]),
+        /extended key usage/);
+});
+
+test('a claim signer issued by a non-CA certificate is rejected', async (t) => {
+    const root = ca('Test C2PA Root');
+    const leaf = issue('Test Leaf', { issuer: root });
+    const { manifest } = await exportAndRead(t, signerOf(claimSigner('Forged Signer', leaf), leaf));
+    assert.throws(() => c2pa.verifyCose(manifest.signature, manifest.claimBytes, [root.cert]),
+        /does not chain to a configured C2PA root/);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LEGACY_MESSAGES, buildDomain, typedData, claimJson } = require('../lib/claims');
+
+const fileHashSha256 = 'ab'.repeat(32);
+
+test('the EIP-191 video message covers the canonical scheme', () => {
+    const bmff = LEGACY_MESSAGES.VideoClaim({ timestampMs: 1700000000000, fileHashSha256, canonical: 'bmff-sha256@1' });
+    const other = LEGACY_MESSAGES.VideoClaim({ timestampMs: 1700000000000, fileHashSha256, canonical: 'mkv-frames-sha256@1' });
+    assert.notStrictEqual(bmff, other);
+    assert.strictEqual(JSON.parse(bmff).canonical, 'bmff-sha256@1');
+});
+
+test('video payloads without a canonical scheme keep their original message', () => {
+    assert.strictEqual(LEGACY_MESSAGES.VideoClaim({ timestampMs: 1700000000000, fileHashSha256 }),
+        `{"timestampMs":1700000000000,"fileHashSha256":"${fileHashSha256}"}`);
+});
+
+test('the video claim covers the provenance hash when there is one', () => {
+    const claim = { timestampMs: 1700000000000, fileHashSha256, canonical: 'bmff-sha256@1' };
+    assert.strictEqual(JSON.parse(LEGACY_MESSAGES.VideoClaim({ ...claim, provenanceSha256: 'cd'.repeat(32) })).provenanceSha256, 'cd'.repeat(32));
+    assert.strictEqual(LEGACY_MESSAGES.VideoClaim(claim), `{"timestampMs":1700000000000,"fileHashSha256":"${fileHashSha256}","canonical":"bmff-sha256@1"}`);
+
+    // EIP-712 and claim JSON only add the field when the claim has it
+    assert.deepStrictEqual(typedData('VideoClaim', claim, buildDomain()).types.VideoClaim.map((f) => f.name), ['timestampMs', 'fileHashSha256', 'canonical']);
+    assert.strictEqual(JSON.parse(claimJson('VideoClaim', { ...claim, provenanceSha256: 'cd'.repeat(32) })).provenanceSha256, `0x${'cd'.repeat(32)}`);
+});
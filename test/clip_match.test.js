@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchClip } = require('../lib/clip_match');
+
+const frames = (s) => s.split('');
+
+test('a contiguous excerpt is located in the original', () => {
+    const result = matchClip(frames('abcdefgh'), frames('cdef'));
+    assert.strictEqual(result.contiguous, true);
+    assert.deepStrictEqual(result.matched, { clip: [1, 4], original: [3, 6], count: 4 });
+    assert.deepStrictEqual(result.pairs[0], [3, 1]);
+    assert.deepStrictEqual(result.flagged, []);
+});
+
+test('foreign and spliced frames are flagged', () => {
+    const result = matchClip(frames('abcdefgh'), frames('cdeXYgh'));
+    assert.strictEqual(result.contiguous, false);
+    assert.deepStrictEqual(result.matched.original, [3, 5]);
+    assert.deepStrictEqual(result.flagged, [
+        { type: 'not-in-original', clip: [4, 5], original: null, count: 2 },
+        { type: 'out-of-sequence', clip: [6, 7], original: [7, 8], count: 2 }
+    ]);
+});
+
+test('ties go to the earliest clip, then manifest position', () => {
+    assert.deepStrictEqual(matchClip(frames('abab'), frames('ab')).matched.original, [1, 2]);
+    assert.deepStrictEqual(matchClip(frames('abxcd'), frames('cdab')).matched.clip, [1, 2]);
+});
+
+test('a static scene matches at its first position', () => {
+    const result = matchClip(frames('zaaaaaaz'), frames('aaa'));
+    assert.deepStrictEqual(result.matched.original, [2, 4]);
+    assert.strictEqual(result.contiguous, true);
+});
+
+test('a clip from a long static scene is matched whole', () => {
+    const manifest = ['x', ...new Array(30000).fill('a'), 'y'];
+    const result = matchClip(manifest, [...new Array(20000).fill('a'), 'y']);
+    assert.strictEqual(result.contiguous, true);
+    assert.deepStrictEqual(result.matched, { clip: [1, 20001], original: [10002, 30002], count: 20001 });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ethers } = require('ethers');
+const { signVideo, createSigner } = require('..');
+const { tempDir, writeMp4 } = require('./helpers/bmff');
+
+const CRYPTOVID = path.join(__dirname, '..', 'cryptovid.js');
+
+// A signed synthetic MP4 in a directory with a .env, which dotenv would announce on stdout
+const signedVideoWithEnv = async (t) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    await fsp.writeFile(path.join(dir, '.env'), 'CRYPTOVID_TEST=1\n');
+    const wallet = ethers.Wallet.createRandom();
+    const { output } = await signVideo({
+        input: await writeMp4(dir, 'input.mp4'),
+        output: path.join(dir, 'signed.mp4'),
+        signer: { signer: createSigner({ scheme: 'eip191', domain: null }, wallet), source: 'test', wallet },
+        tsa: {},
+        anchor: {},
+        provenance: { fields: [] }
+    });
+    return { dir, output };
+};
+
+const run = (dir, args) => spawnSync(process.execPath, [CRYPTOVID, ...args], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+
+test('verify --format=json writes only the report to stdout', async (t) => {
+    const { dir, output } = await signedVideoWithEnv(t);
+    const result = run(dir, ['verify', output, '--format=json', '--allow-untrusted', '--no-color']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const report = JSON.parse(result.stdout);
+    assert.strictEqual(report.verdict, 'verified');
+});
+
+test('inspect writes only JSON to stdout', async (t) => {
+    const { dir, output } = await signedVideoWithEnv(t);
+    const result = run(dir, ['inspect', output, '--no-color']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(JSON.parse(result.stdout));
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const bmff = require('../lib/bmff');
+const { EMBED_UUID, embedManifest, readEmbeddedManifest } = require('../lib/embed');
+const { buildMatroska } = require('./helpers/ebml');
+const { tempDir, writeMp4 } = require('./helpers/bmff');
+
+const withDir = async (t) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const manifestBuffer = Buffer.from(`${JSON.stringify({ schema: 'test', frames: ['ab'.repeat(32)] }, null, 2)}\n`);
+
+test('a manifest embedded in an MP4 reads back byte for byte', async (t) => {
+    const file = await writeMp4(await withDir(t), 'a.mp4');
+    assert.deepStrictEqual(await embedManifest(file, manifestBuffer), { location: 'top-level uuid box', storedBytes: manifestBuffer.length });
+    assert.deepStrictEqual(await readEmbeddedManifest(file), { manifestBuffer, compressed: false, location: 'top-level uuid box' });
+});
+
+test('a compressed manifest is gunzipped on read', async (t) => {
+    const file = await writeMp4(await withDir(t), 'a.mp4');
+    const { storedBytes } = await embedManifest(file, manifestBuffer, { compress: true });
+    const content = await bmff.readUuidBox(file, EMBED_UUID);
+    assert.deepStrictEqual([...content.subarray(0, 2)], [1, 1]);
+    assert.strictEqual(content.length, 2 + storedBytes);
+
+    const read = await readEmbeddedManifest(file);
+    assert.strictEqual(read.compressed, true);
+    assert.ok(read.manifestBuffer.equals(manifestBuffer));
+});
+
+test('embedding again replaces the earlier manifest and keeps the tags', async (t) => {
+    const file = await writeMp4(await withDir(t), 'a.mp4');
+    await bmff.writeMetadataItems(file, { artist: 'ab'.repeat(32) });
+    await embedManifest(file, Buffer.from('{"old":true}'), { compress: true });
+    await embedManifest(file, manifestBuffer);
+
+    assert.ok((await readEmbeddedManifest(file)).manifestBuffer.equals(manifestBuffer));
+    assert.deepStrictEqual(await bmff.readMetadataItems(file), { artist: 'ab'.repeat(32) });
+});
+
+test('an MP4 without a manifest box has none', async (t) => {
+    const dir = await withDir(t);
+    assert.strictEqual(await readEmbeddedManifest(await writeMp4(dir, 'a.mp4')), null);
+
+    const notVideo = path.join(dir, 'notes.txt');
+    await fsp.writeFile(notVideo, 'hello world!');
+    assert.strictEqual(await readEmbeddedManifest(notVideo), null);
+});
+
+test('unknown manifest box versions and encodings are rejected', async (t) => {
+    const file = await writeMp4(await withDir(t), 'a.mp4');
+    await bmff.writeUuidBox(file, EMBED_UUID, Buffer.concat([Buffer.from([2, 0]), manifestBuffer]));
+    await assert.rejects(readEmbeddedManifest(file), /Unsupported embedded manifest version: 2/);
+    await bmff.writeUuidBox(file, EMBED_UUID, Buffer.concat([Buffer.from([1, 7]), manifestBuffer]));
+    await assert.rejects(readEmbeddedManifest(file), /Unknown embedded manifest encoding: 7/);
+});
+
+test('a Matroska manifest attachment is read, plain or gzipped', async (t) => {
+    const dir = await withDir(t);
+    const font = { fileName: 'font.ttf', mimeType: 'font/ttf', data: Buffer.from('glyphs') };
+    const plain = path.join(dir, 'plain.mkv');
+    await fsp.writeFile(plain, buildMatroska({ attachments: [font, { fileName: 'frames_manifest.json', mimeType: 'application/json', data: manifestBuffer }] }));
+    assert.deepStrictEqual(await readEmbeddedManifest(plain), { manifestBuffer, location: 'attachment frames_manifest.json', compressed: false });
+
+    const gzipped = path.join(dir, 'gzipped.mkv');
+    await fsp.writeFile(gzipped, buildMatroska({ attachments: [{ fileName: 'frames_manifest.json.gz', mimeType: 'application/gzip', data: zlib.gzipSync(manifestBuffer) }] }));
+    assert.deepStrictEqual(await readEmbeddedManifest(gzipped), { manifestBuffer, location: 'attachment frames_manifest.json.gz', compressed: true });
+
+    const other = path.join(dir, 'other.mkv');
+    await fsp.writeFile(other, buildMatroska({ attachments: [font] }));
+    assert.strictEqual(await readEmbeddedManifest(other), null);
+});
+
+test('WebM cannot carry an embedded manifest', async (t) => {
+    const file = path.join(await withDir(t), 'a.webm');
+    await fsp.writeFile(file, buildMatroska({ docType: 'webm' }));
+    await assert.rejects(embedManifest(file, manifestBuffer), /webm cannot carry an embedded manifest/);
+    assert.strictEqual(await readEmbeddedManifest(file), null);
+});
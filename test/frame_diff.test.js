@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffFrames } = require('../lib/frame_diff');
+
+const frames = (s) => s.split('');
+const ranges = (diff) => diff.differences.map(({ type, manifest, video }) => ({ type, manifest, video }));
+
+test('identical sequences are intact', () => {
+    const diff = diffFrames(frames('abcdef'), frames('abcdef'));
+    assert.strictEqual(diff.intact, true);
+    assert.strictEqual(diff.matchedFrames, 6);
+    assert.deepStrictEqual(diff.differences, []);
+});
+
+test('modified frames are paired between anchors', () => {
+    const diff = diffFrames(frames('abcdef'), frames('abXYef'));
+    assert.strictEqual(diff.intact, false);
+    assert.deepStrictEqual(ranges(diff), [{ type: 'modified', manifest: [3, 4], video: [3, 4] }]);
+    assert.strictEqual(diff.summary.modified, 2);
+});
+
+test('inserted and dropped frames', () => {
+    assert.deepStrictEqual(ranges(diffFrames(frames('abcd'), frames('abXYcd'))),
+        [{ type: 'inserted', manifest: null, video: [3, 4] }]);
+    assert.deepStrictEqual(ranges(diffFrames(frames('abcdef'), frames('abef'))),
+        [{ type: 'dropped', manifest: [3, 4], video: null }]);
+    // Trailing frames are cut, not modified
+    const cut = diffFrames(frames('abcdef'), frames('abcd'));
+    assert.strictEqual(cut.intact, false);
+    assert.deepStrictEqual(ranges(cut), [{ type: 'dropped', manifest: [5, 6], video: null }]);
+});
+
+test('reordered frames', () => {
+    const diff = diffFrames(frames('abcdef'), frames('abdcef'));
+    assert.strictEqual(diff.summary.reordered, 1);
+    assert.strictEqual(diff.summary.modified + diff.summary.inserted + diff.summary.dropped, 0);
+    assert.strictEqual(diff.matchedFrames, 5);
+});
+
+test('duplicated frames', () => {
+    const diff = diffFrames(frames('abcd'), frames('abbcd'));
+    assert.deepStrictEqual(ranges(diff), [{ type: 'duplicated', manifest: [2, 2], video: [3, 3] }]);
+});
+
+test('repeated hashes in static scenes line up in order', () => {
+    const diff = diffFrames(frames('aaaabaaaa'), frames('aaaabaaaa'));
+    assert.strictEqual(diff.intact, true);
+    assert.deepStrictEqual(diff.anchors.map(([m, v]) => m - v), new Array(9).fill(0));
+
+    const dropped = diffFrames(frames('aaaabaaaa'), frames('aaabaaaa'));
+    assert.strictEqual(dropped.summary.dropped, 1);
+    assert.strictEqual(dropped.matchedFrames, 8);
+});
+
+test('ranges carry media time when the frame rate is known', () => {
+    const diff = diffFrames(frames('abcdef'), frames('abXdef'), { frameRate: 2 });
+    assert.deepStrictEqual(diff.differences[0].time, {
+        original: { startSec: 1, endSec: 1.5 },
+        video: { startSec: 1, endSec: 1.5 }
+    });
+});
+
+test('a long static scene is matched frame for frame', () => {
+    const n = 30000;
+    const diff = diffFrames(new Array(n).fill('a'), new Array(n + 10).fill('a'));
+    assert.strictEqual(diff.matchedFrames, n);
+    assert.ok(diff.anchors.every(([m, v]) => m === v));
+    assert.deepStrictEqual(diff.summary, { modified: 0, inserted: 0, dropped: 0, reordered: 0, duplicated: 10 });
+    assert.deepStrictEqual(diff.differences.map((d) => d.video[0]), Array.from({ length: 10 }, (_, k) => n + 1 + k));
+});
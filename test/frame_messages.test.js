@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { buildMessageString, frameTiming, merkleLeafHex } = require('../lib/frame_messages');
+const { createSigner, verifyClaim } = require('../lib/signers');
+
+const frameHashSha256 = 'ef'.repeat(32);
+const manifest = { startTimestampMs: 1700000000000, timing: { timeBase: '1/15360' } };
+const frame = { frameNumber: 3, pts: 1024, duration: 512 };
+
+test('manifests without timing keep the three-field message', () => {
+    assert.strictEqual(frameTiming({ startTimestampMs: 1 }, frame), null);
+    assert.strictEqual(buildMessageString(1700000000000, 3, frameHashSha256, null),
+        `{"startTimestampMs":1700000000000,"frameNumber":3,"frameHashSha256":"${frameHashSha256}"}`);
+    assert.strictEqual(merkleLeafHex({ startTimestampMs: 1 }, frame, frameHashSha256), frameHashSha256);
+});
+
+test('the timed message carries pts, duration and time base', () => {
+    const timing = frameTiming(manifest, frame);
+    assert.deepStrictEqual(timing, { pts: 1024, duration: 512, timeBase: '1/15360' });
+    assert.deepStrictEqual(JSON.parse(buildMessageString(manifest.startTimestampMs, 3, frameHashSha256, timing)), {
+        startTimestampMs: 1700000000000, frameNumber: 3, frameHashSha256, pts: 1024, duration: 512, timeBase: '1/15360'
+    });
+});
+
+test('a Merkle leaf with timing changes when the frame is retimed', () => {
+    const leaf = merkleLeafHex(manifest, frame, frameHashSha256);
+    assert.notStrictEqual(leaf, frameHashSha256);
+    assert.notStrictEqual(merkleLeafHex(manifest, { ...frame, pts: 2048 }, frameHashSha256), leaf);
+    assert.notStrictEqual(merkleLeafHex({ ...manifest, timing: { timeBase: '1/30' } }, frame, frameHashSha256), leaf);
+});
+
+test('a frame signature does not verify for other timing', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const signer = createSigner({ scheme: 'eip191', domain: null }, wallet);
+    const claim = { startTimestampMs: manifest.startTimestampMs, frameNumber: 3, frameHashSha256, timing: frameTiming(manifest, frame) };
+    const { signature } = await signer.sign('FrameClaim', claim);
+    const signing = { scheme: 'eip191', domain: null };
+
+    assert.ok((await verifyClaim(signing, 'FrameClaim', claim, signature, wallet.address)).addrOk);
+    const retimed = { ...claim, timing: { ...claim.timing, duration: 1024 } };
+    assert.ok(!(await verifyClaim(signing, 'FrameClaim', retimed, signature, wallet.address)).addrOk);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const { createFramePool, parseThreadOptions } = require('../lib/frame_pool');
+const { tempDir } = require('./helpers/bmff');
+
+const signing = { scheme: 'eip191', domain: null };
+const wallet = ethers.Wallet.createRandom();
+
+// Early frames are the largest, so with several workers later chunks finish first
+const writeFrames = async (t, count) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        const file = path.join(dir, `frame_${String(i + 1).padStart(5, '0')}.raw`);
+        await fsp.writeFile(file, Buffer.alloc((count - i) * 4096, i));
+        files.push(file);
+    }
+    return files;
+};
+
+// The same work on one thread and on a pool of workers
+const withBothPools = async (t, fn) => {
+    const single = createFramePool({ threads: 1, signing, key: wallet });
+    const pooled = createFramePool({ threads: 3, signing, key: wallet });
+    t.after(() => pooled.close());
+    return [await fn(single), await fn(pooled)];
+};
+
+test('results come back in input order with any number of threads', async (t) => {
+    const files = await writeFrames(t, 70);
+    const [single, pooled] = await withBothPools(t, (pool) => pool.map('hash', files));
+    assert.strictEqual(single.length, files.length);
+    assert.deepStrictEqual(pooled, single);
+    assert.strictEqual(new Set(single).size, files.length);
+});
+
+test('frame signatures are identical with and without workers', async (t) => {
+    const files = await writeFrames(t, 40);
+    const items = files.map((filePath, i) => ({
+        filePath,
+        claim: { startTimestampMs: 1700000000000, frameNumber: i + 1, timing: { pts: i * 512, duration: 512, timeBase: '1/12800' } }
+    }));
+    const [single, pooled] = await withBothPools(t, (pool) => pool.map('sign', items));
+    assert.deepStrictEqual(pooled, single);
+    assert.deepStrictEqual(single.map((r) => r.signed.signature), pooled.map((r) => r.signed.signature));
+
+    // And every signature verifies, in order, against its own frame
+    const checks = single.map(({ frameHashSha256, signed }, i) => ({
+        kind: 'FrameClaim',
+        claim: { ...items[i].claim, frameHashSha256 },
+        signature: i === 7 ? single[8].signed.signature : signed.signature
+    }));
+    const [verifiedSingle, verifiedPooled] = await withBothPools(t, (pool) => pool.map('verify', checks, { signing, expectedAddress: wallet.address }));
+    assert.deepStrictEqual(verifiedPooled.map((r) => r.addrOk), verifiedSingle.map((r) => r.addrOk));
+    assert.deepStrictEqual(verifiedSingle.map((r, i) => (r.addrOk ? null : i)).filter((i) => i !== null), [7]);
+});
+
+test('a failing task rejects the whole map', async (t) => {
+    const files = await writeFrames(t, 20);
+    files[17] = path.join(path.dirname(files[0]), 'missing.raw');
+    const pooled = createFramePool({ threads: 2 });
+    t.after(() => pooled.close());
+    await assert.rejects(pooled.map('hash', files), /ENOENT/);
+    await assert.rejects(createFramePool({ threads: 1 }).map('hash', files), /ENOENT/);
+    await assert.rejects(pooled.map('sign', [{ frameHashSha256: 'ab'.repeat(32), claim: {} }]), /without a signing key/);
+});
+
+test('--threads overrides FRAME_THREADS and must be a positive integer', () => {
+    assert.deepStrictEqual(parseThreadOptions(['--threads=2'], { FRAME_THREADS: '8' }), { threads: 2 });
+    assert.deepStrictEqual(parseThreadOptions([], { FRAME_THREADS: '8' }), { threads: 8 });
+    assert.throws(() => parseThreadOptions(['--threads=0'], {}), /Invalid --threads/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { splitRawFrames, streamFrameHashes } = require('../lib/frames');
+
+const sha256 = (b) => crypto.createHash('sha256').update(b).digest('hex');
+
+const CONFIG = '[Parsed_showinfo_1 @ 0x5580] config in time_base: 1/12800, frame_rate: 25/1';
+const showinfo = (n, { size = '4x2', duration = 512 } = {}) =>
+    `[Parsed_showinfo_1 @ 0x5580] n:${String(n).padStart(4)} pts:${String(n * 512).padStart(7)} pts_time:${n * 0.04} ${duration === null ? '' : `duration:${String(duration).padStart(7)} `}pos: 48 fmt:rgb24 sar:1/1 s:${size} i:P iskey:${n === 0 ? 1 : 0} type:${n === 0 ? 'I' : 'P'}`;
+
+// Frames of 4x2 rgb24 (24 bytes), each filled with its own byte
+const frameBytes = (count, bytes = 24) => Array.from({ length: count }, (_, i) => Buffer.alloc(bytes, i + 1));
+
+/**
+ * Feed synthetic ffmpeg output to splitRawFrames: `stdout` chunks and `stderr`
+ * text are written interleaved, one of each per turn, then both end.
+ */
+const split = async ({ stdout, stderr, code = 0, pixelFormat = 'rgb24' }) => {
+    const out = new PassThrough();
+    const err = new PassThrough();
+    let exit;
+    const exited = new Promise((resolve) => { exit = resolve; });
+    const feed = (async () => {
+        const lines = stderr.slice();
+        for (const chunk of stdout) {
+            if (lines.length) err.write(lines.shift());
+            await new Promise((resolve) => setImmediate(resolve));
+            out.write(chunk);
+        }
+        for (const line of lines) err.write(line);
+        err.end();
+        out.end();
+        exit(code);
+    })();
+    const frames = [];
+    try {
+        for await (const f of splitRawFrames(out, err, exited, pixelFormat)) frames.push(f);
+    } finally {
+        await feed;
+    }
+    return frames;
+};
+
+test('raw output is split into frames by the showinfo frame size', async () => {
+    const frames = frameBytes(3);
+    const stderr = [`${CONFIG}\n${showinfo(0)}\n`, `${showinfo(1)}\n`, `${showinfo(2, { duration: null })}\n`];
+    // Chunk boundaries that do not line up with frames
+    const all = Buffer.concat(frames);
+    const result = await split({ stdout: [all.subarray(0, 10), all.subarray(10, 50), all.subarray(50)], stderr });
+    assert.deepStrictEqual(result, [
+        { frameNumber: 1, frameHashSha256: sha256(frames[0]), pts: 0, ptsTime: 0, duration: 512, width: 4, height: 2, timeBase: '1/12800' },
+        { frameNumber: 2, frameHashSha256: sha256(frames[1]), pts: 512, ptsTime: 0.04, duration: 512, width: 4, height: 2, timeBase: '1/12800' },
+        { frameNumber: 3, frameHashSha256: sha256(frames[2]), pts: 1024, ptsTime: 0.08, duration: null, width: 4, height: 2, timeBase: '1/12800' }
+    ]);
+});
+
+test('frames arriving before their showinfo line wait for it', async () => {
+    const frames = frameBytes(2);
+    // stderr lines split mid-line and delivered after the pixels of the first frame
+    const info = `${CONFIG}\n${showinfo(0)}\n${showinfo(1)}\n`;
+    const result = await split({ stdout: [Buffer.alloc(0), ...frames], stderr: ['', info.slice(0, 40), info.slice(40)] });
+    assert.deepStrictEqual(result.map((f) => f.frameHashSha256), frames.map(sha256));
+});
+
+test('the pixel format sets the frame size', async () => {
+    const frames = frameBytes(2, 32);
+    const result = await split({ stdout: frames, stderr: [`${CONFIG}\n${showinfo(0)}\n${showinfo(1)}\n`], pixelFormat: 'rgba' });
+    assert.deepStrictEqual(result.map((f) => f.frameHashSha256), frames.map(sha256));
+
+    await assert.rejects(split({ stdout: [], stderr: [], pixelFormat: 'yuv420p' }), /Unsupported pixel format for streaming: yuv420p/);
+    await assert.rejects(streamFrameHashes('unused.mp4', { pixelFormat: 'yuv420p' }).next(), /Unsupported pixel format/);
+});
+
+test('a truncated stream or missing timing is an error', async () => {
+    const [a, b] = frameBytes(2);
+    const lines = `${CONFIG}\n${showinfo(0)}\n${showinfo(1)}\n`;
+    await assert.rejects(split({ stdout: [a, b.subarray(0, 5)], stderr: [lines] }), /Stream ended inside frame 2/);
+    await assert.rejects(split({ stdout: [a, b], stderr: [`${CONFIG}\n${showinfo(0)}\n`] }), /ffmpeg reported no timing for frame 2/);
+    await assert.rejects(split({ stdout: [a], stderr: [lines] }), /Timing count mismatch: 1 frames, 2 timestamps/);
+    await assert.rejects(split({ stdout: [a], stderr: [`${showinfo(0)}\n`] }), /Could not determine video time base/);
+});
+
+test('a frame size change is refused', async () => {
+    const stderr = [`${CONFIG}\n${showinfo(0)}\n${showinfo(1, { size: '2x2' })}\n`];
+    await assert.rejects(split({ stdout: [Buffer.alloc(24), Buffer.alloc(12)], stderr }), /Frame size changed at frame 2 \(4x2 -> 2x2\)/);
+});
+
+test('ffmpeg failures carry the last log lines', async () => {
+    const stderr = [`${CONFIG}\n`, 'Error while decoding stream #0:0: Invalid data found when processing input\n'];
+    await assert.rejects(split({ stdout: [Buffer.alloc(0)], stderr, code: 1 }),
+        /ffmpeg exited with code 1\n[^]*Error while decoding stream #0:0/);
+    await assert.rejects(split({ stdout: [], stderr: [`${CONFIG}\n`] }), /No frames were decoded/);
+});
@@ -0,0 +1,54 @@
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Minimal ISO-BMFF files for tests: ftyp, moov (mvhd + one stco) and mdat,
+// optionally with an iTunes-style moov/udta/meta holding the given items.
+const box = (type, ...content) => {
+    const body = Buffer.concat(content);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+};
+
+const itunesMeta = (items) => {
+    const hdlr = Buffer.alloc(25);
+    hdlr.write('mdir', 8, 'latin1');
+    hdlr.write('appl', 12, 'latin1');
+    const ilst = Object.entries(items).map(([type, value]) => {
+        const prefix = Buffer.alloc(8);
+        prefix.writeUInt32BE(1, 0);
+        return box(type, box('data', prefix, Buffer.from(value, 'utf8')));
+    });
+    return box('udta', box('meta', Buffer.alloc(4), box('hdlr', hdlr), box('ilst', ...ilst)));
+};
+
+const buildMp4 = ({ items = null, media = Buffer.from('synthetic media payload') } = {}) => {
+    const ftyp = box('ftyp', Buffer.from('isom', 'latin1'), Buffer.alloc(4), Buffer.from('isom', 'latin1'));
+    const stcoFor = (offset) => {
+        const data = Buffer.alloc(12);
+        data.writeUInt32BE(1, 4);
+        data.writeUInt32BE(offset, 8);
+        return box('stco', data);
+    };
+    const moovFor = (offset) => box('moov', box('mvhd', Buffer.alloc(100)),
+        box('trak', box('mdia', box('minf', box('stbl', stcoFor(offset))))),
+        ...(items ? [itunesMeta(items)] : []));
+    const mdatStart = ftyp.length + moovFor(0).length;
+    return Buffer.concat([ftyp, moovFor(mdatStart + 8), box('mdat', media)]);
+};
+
+const tempDir = () => fsp.mkdtemp(path.join(os.tmpdir(), 'cryptovid-test-'));
+
+const writeMp4 = async (dir, name, options) => {
+    const file = path.join(dir, name);
+    await fsp.writeFile(file, buildMp4(options));
+    return file;
+};
+
+module.exports = {
+    buildMp4,
+    tempDir,
+    writeMp4
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { buildCertificate, EXTENSIONS } = require('../../lib/x509');
+
+// Throwaway ECDSA P-256 certificates, built like the local test authorities'
+// (c2pa.js certs, tsa_server.js). `issuer` is another result of issue();
+// without one the certificate is self-signed.
+const EMAIL_PROTECTION = '1.3.6.1.5.5.7.3.4';
+const CODE_SIGNING = '1.3.6.1.5.5.7.3.3';
+
+const issue = (subject, { issuer = null, extensions = [], validDays = 30 } = {}) => {
+    const keys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const cert = buildCertificate({
+        organization: 'CryptoVideo tests',
+        subject,
+        issuer: issuer ? issuer.subject : subject,
+        publicKey: keys.publicKey,
+        signingKey: issuer ? issuer.privateKey : keys.privateKey,
+        validDays,
+        extensions
+    });
+    return { subject, cert, privateKey: keys.privateKey };
+};
+
+const ca = (subject, issuer = null) => issue(subject, {
+    issuer,
+    extensions: [EXTENSIONS.caBasicConstraints(), EXTENSIONS.caKeyUsage()]
+});
+
+const claimSigner = (subject, issuer, eku = EMAIL_PROTECTION) => issue(subject, {
+    issuer,
+    extensions: [EXTENSIONS.signingKeyUsage(), EXTENSIONS.extendedKeyUsage(eku)]
+});
+
+module.exports = {
+    EMAIL_PROTECTION,
+    CODE_SIGNING,
+    issue,
+    ca,
+    claimSigner
+};
@@ -0,0 +1,71 @@
+// Minimal Matroska/WebM files for tests: EBML header, then a Segment with
+// Info, Tracks (one video track), Clusters of SimpleBlocks, Tags and Attachments.
+const idBytes = (id) => {
+    const out = [];
+    for (let v = id; v > 0; v = Math.floor(v / 256)) out.unshift(v & 0xff);
+    return Buffer.from(out);
+};
+
+// 8-byte sizes throughout, like some muxers write; unknownSize writes all ones
+const sizeBytes = (size, unknownSize = false) => {
+    const b = Buffer.alloc(8, unknownSize ? 0xff : 0);
+    b[0] = 0x01;
+    if (!unknownSize) b.writeUIntBE(size, 2, 6);
+    return b;
+};
+
+const element = (id, ...content) => {
+    const body = Buffer.concat(content.map((c) => (Buffer.isBuffer(c) ? c : Buffer.from(String(c), 'utf8'))));
+    return Buffer.concat([idBytes(id), sizeBytes(body.length), body]);
+};
+
+const uint = (id, value) => element(id, Buffer.from([value >> 8 & 0xff, value & 0xff]));
+
+const simpleBlock = (track, relative, keyframe, frame) => {
+    const header = Buffer.alloc(4);
+    header[0] = 0x80 | track;
+    header.writeInt16BE(relative, 1);
+    header[3] = keyframe ? 0x80 : 0;
+    return element(0xa3, header, frame);
+};
+
+const simpleTag = (name, value) => element(0x67c8, element(0x45a3, name), element(0x4487, value));
+
+/**
+ * @param {{ docType?: string, frames?: Buffer[], tags?: object, trackTags?: object,
+ *   attachments?: { fileName: string, mimeType: string, data: Buffer }[], framesPerCluster?: number, voidBytes?: number }} [options]
+ */
+const buildMatroska = ({
+    docType = 'matroska',
+    frames = [Buffer.from('frame one'), Buffer.from('frame two'), Buffer.from('frame three')],
+    tags = {},
+    trackTags = {},
+    attachments = [],
+    framesPerCluster = 2,
+    voidBytes = 0
+} = {}) => {
+    const header = element(0x1a45dfa3, element(0x4282, docType));
+    const info = element(0x1549a966, element(0x2ad7b1, Buffer.from([0x0f, 0x42, 0x40])));
+    const tracks = element(0x1654ae6b, element(0xae, uint(0xd7, 1), uint(0x83, 1), element(0x86, 'V_TEST')));
+    const clusters = [];
+    for (let i = 0; i < frames.length; i += framesPerCluster) {
+        const blocks = frames.slice(i, i + framesPerCluster).map((f, k) => simpleBlock(1, k * 40, i + k === 0, f));
+        clusters.push(element(0x1f43b675, uint(0xe7, i * 40), ...blocks));
+    }
+    const tagEls = [];
+    if (Object.keys(tags).length) tagEls.push(element(0x7373, element(0x63c0), ...Object.entries(tags).map(([k, v]) => simpleTag(k, v))));
+    if (Object.keys(trackTags).length) {
+        tagEls.push(element(0x7373, element(0x63c0, uint(0x63c5, 1)), ...Object.entries(trackTags).map(([k, v]) => simpleTag(k, v))));
+    }
+    const rest = [
+        ...(voidBytes ? [element(0xec, Buffer.alloc(voidBytes))] : []),
+        ...(tagEls.length ? [element(0x1254c367, ...tagEls)] : []),
+        ...(attachments.length ? [element(0x1941a469, ...attachments.map((a) => element(0x61a7,
+            element(0x466e, a.fileName), element(0x4660, a.mimeType), element(0x465c, a.data))))] : [])
+    ];
+    return Buffer.concat([header, element(0x18538067, info, tracks, ...clusters, ...rest)]);
+};
+
+module.exports = {
+    buildMatroska
+};
@@ -0,0 +1,40 @@
+const { spawn } = require('child_process');
+const fsp = require('fs').promises;
+const path = require('path');
+const { tempDir } = require('./bmff');
+
+const SERVER = path.resolve(__dirname, '..', '..', 'tsa_server.js');
+
+/**
+ * Start tsa_server.js on a random local port for the duration of a test.
+ * @returns {Promise<{ url: string, rootsPath: string }>}
+ */
+const startTsa = async (t) => {
+    const dir = await tempDir();
+    const port = 20000 + Math.floor(Math.random() * 40000);
+    const child = spawn(process.execPath, [SERVER, `--port=${port}`, `--dir=${dir}`], { stdio: ['ignore', 'pipe', 'pipe'] });
+    t.after(async () => {
+        child.kill();
+        await fsp.rm(dir, { recursive: true, force: true });
+    });
+    await new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`TSA did not start: ${output}`)), 10000);
+        const onData = (d) => {
+            output += d;
+            if (output.includes('Root:')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`TSA exited with ${code}: ${output}`));
+        });
+    });
+    return { url: `http://127.0.0.1:${port}`, rootsPath: path.join(dir, 'root.pem') };
+};
+
+module.exports = { startTsa };
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const { createSigner } = require('../lib/signers');
+const {
+    LIVE_SCHEMA,
+    ZERO_HASH,
+    segmentPath,
+    segmentClaim,
+    streamEndClaim,
+    segmentEntry,
+    streamEnd,
+    checkSegmentEntry,
+    checkStreamEnd
+} = require('../lib/live');
+const { tempDir } = require('./helpers/bmff');
+
+// A sealed stream of three segments, signed the way sign_live.js does
+const signedStream = async (t) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    const signer = createSigner({ scheme: 'eip191', domain: null }, ethers.Wallet.createRandom());
+    const names = ['init.mp4', 'seg0.m4s', 'seg1.m4s'];
+    const playlist = ['#EXTM3U', '#EXT-X-MAP:URI="init.mp4"', '#EXTINF:4.0,', 'seg0.m4s', '#EXTINF:4.0,', 'seg1.m4s', '#EXT-X-ENDLIST', ''];
+    await fsp.writeFile(path.join(dir, 'stream.m3u8'), playlist.join('\n'));
+    const manifest = {
+        schema: LIVE_SCHEMA,
+        stream: 'test',
+        playlist: 'stream.m3u8',
+        startTimestampMs: 1700000000000,
+        signer: signer.signerFields,
+        segments: [],
+        skipped: [],
+        end: null
+    };
+    for (const name of names) {
+        const bytes = Buffer.from(`segment ${name}`);
+        await fsp.writeFile(path.join(dir, name), bytes);
+        const entry = segmentEntry(manifest, { uri: name, type: name.startsWith('init') ? 'init' : 'media', durationMs: 4000 }, bytes);
+        Object.assign(entry, await signer.sign('SegmentClaim', segmentClaim(manifest, entry)));
+        manifest.segments.push(entry);
+    }
+    const end = streamEnd(manifest, 'endlist');
+    manifest.end = { ...end, ...(await signer.sign('StreamEndClaim', streamEndClaim(manifest, end))) };
+    return { dir, manifest, signer };
+};
+
+const entryProblems = async (dir, manifest) => {
+    const problems = [];
+    for (let i = 0; i < manifest.segments.length; i++) problems.push(await checkSegmentEntry(dir, manifest, i));
+    return problems;
+};
+
+test('segment URIs resolve inside the stream directory', () => {
+    const dir = path.resolve('/streams/live');
+    assert.strictEqual(segmentPath(dir, 'seg0.m4s'), path.join(dir, 'seg0.m4s'));
+    assert.strictEqual(segmentPath(dir, 'v0/seg%201.m4s?token=x'), path.join(dir, 'v0', 'seg 1.m4s'));
+    assert.strictEqual(segmentPath(dir, '..seg.m4s'), path.join(dir, '..seg.m4s'));
+});
+
+test('segment URIs outside the stream directory are refused', () => {
+    const dir = path.resolve('/streams/live');
+    for (const uri of ['../secret.key', 'v0/../../secret.key', '%2e%2e%2fsecret.key', '..%2F..%2Fetc%2Fpasswd', '/etc/passwd', '%2Fetc%2Fpasswd', '.', '']) {
+        assert.throws(() => segmentPath(dir, uri), /outside the stream directory/, uri);
+    }
+    assert.throws(() => segmentPath(dir, 'https://cdn.example/seg0.m4s'), /Remote segment URIs/);
+});
+
+test('entries chain to the previous segment hash', async (t) => {
+    const { dir, manifest } = await signedStream(t);
+    assert.strictEqual(manifest.segments[0].prevSegmentHashSha256, ZERO_HASH);
+    assert.strictEqual(manifest.segments[2].prevSegmentHashSha256, manifest.segments[1].segmentHashSha256);
+    assert.deepStrictEqual(await entryProblems(dir, manifest), [[], [], []]);
+    assert.deepStrictEqual(await checkStreamEnd(dir, manifest), { problems: [], playlistFound: true });
+});
+
+test('a dropped segment breaks the chain', async (t) => {
+    const { dir, manifest } = await signedStream(t);
+    manifest.segments.splice(1, 1);
+    const [first, second] = await entryProblems(dir, manifest);
+    assert.deepStrictEqual(first, []);
+    assert.deepStrictEqual(second, ['sequence 2 at position 1', 'chain broken (previous hash does not match)']);
+});
+
+test('reordered or rewritten entries are reported', async (t) => {
+    const { dir, manifest } = await signedStream(t);
+    const swapped = { ...manifest, segments: [manifest.segments[0], manifest.segments[2], manifest.segments[1]] };
+    assert.ok((await entryProblems(dir, swapped)).slice(1).every((p) => p.includes('chain broken (previous hash does not match)')));
+
+    // Renumbering to hide the gap invalidates the signature instead
+    const renumbered = { ...manifest, segments: [manifest.segments[0], { ...manifest.segments[2], sequence: 1 }] };
+    assert.deepStrictEqual((await entryProblems(dir, renumbered))[1], ['chain broken (previous hash does not match)', 'signature does not match signer']);
+});
+
+test('segment bytes are compared with the signed hash', async (t) => {
+    const { dir, manifest } = await signedStream(t);
+    await fsp.writeFile(path.join(dir, 'seg0.m4s'), 'replaced');
+    await fsp.rm(path.join(dir, 'seg1.m4s'));
+    const problems = await entryProblems(dir, manifest);
+    assert.deepStrictEqual(problems[1], ['segment bytes do not match signed hash']);
+    assert.deepStrictEqual(problems[2], ['segment unavailable (ENOENT)']);
+});
+
+test('an entry pointing outside the stream directory is unavailable', async (t) => {
+    const { dir, manifest } = await signedStream(t);
+    manifest.segments[1].uri = '%2e%2e%2fseg0.m4s';
+    const [, problems] = await entryProblems(dir, manifest);
+    assert.match(problems.join('; '), /segment unavailable \(Segment URI outside the stream directory/);
+});
+
+test('the end marker seals the segment count and last hash', async (t) => {
+    const { dir, manifest } = await signedStream(t);
+    const truncated = { ...manifest, segments: manifest.segments.slice(0, 2) };
+    assert.deepStrictEqual((await checkStreamEnd(dir, truncated)).problems, [
+        'end marker counts 3 segments, manifest has 2',
+        'end marker does not seal the last segment',
+        '1 playlist segment(s) not signed (first: seg1.m4s)'
+    ]);
+
+    const forged = { ...manifest, end: { ...manifest.end, segmentCount: 2 } };
+    assert.ok((await checkStreamEnd(dir, forged)).problems.includes('end marker signature does not match signer'));
+});
+
+test('playlist segments the signer skipped or never signed are reported', async (t) => {
+    const { dir, manifest } = await signedStream(t);
+    await fsp.appendFile(path.join(dir, 'stream.m3u8'), '#EXTINF:4.0,\nseg2.m4s\n');
+    const skipped = { ...manifest, skipped: [{ uri: 'seg2.m4s', reason: 'ENOENT' }] };
+    assert.deepStrictEqual((await checkStreamEnd(dir, skipped)).problems, [
+        'signer skipped seg2.m4s (ENOENT)',
+        '1 playlist segment(s) not signed (first: seg2.m4s)'
+    ]);
+
+    await fsp.rm(path.join(dir, 'stream.m3u8'));
+    assert.deepStrictEqual(await checkStreamEnd(dir, manifest), { problems: [], playlistFound: false });
+});
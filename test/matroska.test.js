@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const matroska = require('../lib/matroska');
+const { detectContainer, isSupportedVideoFile } = require('../lib/containers');
+const { buildMatroska } = require('./helpers/ebml');
+const { tempDir, writeMp4 } = require('./helpers/bmff');
+
+const withDir = async (t) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const writeMkv = async (dir, name, options) => {
+    const file = path.join(dir, name);
+    await fsp.writeFile(file, buildMatroska(options));
+    return file;
+};
+
+test('the DocType tells WebM from Matroska', async (t) => {
+    const dir = await withDir(t);
+    assert.strictEqual(await matroska.readDocType(await writeMkv(dir, 'a.mkv')), 'matroska');
+    assert.strictEqual(await matroska.readDocType(await writeMkv(dir, 'b.webm', { docType: 'webm' })), 'webm');
+    assert.strictEqual(await matroska.isEbmlFile(await writeMp4(dir, 'c.mp4')), false);
+    await assert.rejects(matroska.readDocType(await writeMp4(dir, 'd.mp4')), /EBML/);
+});
+
+test('only global SimpleTags are read, with lower-case names', async (t) => {
+    const dir = await withDir(t);
+    const file = await writeMkv(dir, 'tags.mkv', { tags: { COMMENT: '{"signed":true}', ARTIST: 'abc' }, trackTags: { COMMENT: 'track level' } });
+    assert.deepStrictEqual(await matroska.readTags(file), { comment: '{"signed":true}', artist: 'abc' });
+});
+
+test('attachments are read in file order', async (t) => {
+    const dir = await withDir(t);
+    const attachments = [
+        { fileName: 'frames_manifest.json', mimeType: 'application/json', data: Buffer.from('{"frames":[]}') },
+        { fileName: 'cover.png', mimeType: 'image/png', data: Buffer.from([1, 2, 3]) }
+    ];
+    assert.deepStrictEqual(await matroska.readAttachments(await writeMkv(dir, 'att.mkv', { attachments })), attachments);
+});
+
+test('the canonical hash covers frames, not tags or layout', async (t) => {
+    const dir = await withDir(t);
+    const base = await matroska.canonicalHashHex(await writeMkv(dir, 'base.mkv'));
+    const relaid = await writeMkv(dir, 'relaid.mkv', { tags: { COMMENT: 'payload' }, attachments: [{ fileName: 'x', mimeType: 'y', data: Buffer.from('z') }], voidBytes: 32 });
+    assert.strictEqual(await matroska.canonicalHashHex(relaid), base);
+
+    const frames = [Buffer.from('frame one'), Buffer.from('frame twp'), Buffer.from('frame three')];
+    assert.notStrictEqual(await matroska.canonicalHashHex(await writeMkv(dir, 'edited.mkv', { frames })), base);
+});
+
+test('containers are detected by extension, then by magic bytes', async (t) => {
+    const dir = await withDir(t);
+    assert.strictEqual((await detectContainer(await writeMkv(dir, 'a.mkv'))).name, 'matroska');
+    assert.strictEqual((await detectContainer(await writeMkv(dir, 'upload', { docType: 'webm' }))).name, 'webm');
+    assert.strictEqual((await detectContainer(await writeMp4(dir, 'upload2'))).name, 'mp4');
+    await fsp.writeFile(path.join(dir, 'notes.txt'), 'hello world!');
+    await assert.rejects(detectContainer(path.join(dir, 'notes.txt')), /Unsupported container/);
+    assert.strictEqual(isSupportedVideoFile('clip.webm'), true);
+    assert.strictEqual(isSupportedVideoFile('clip.tmp2.mkv'), false);
+});
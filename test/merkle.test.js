@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { buildMerkleTree, verifyMerkleProof } = require('../lib/merkle');
+
+const frameHash = (i) => crypto.createHash('sha256').update(`frame ${i}`).digest('hex');
+
+test('every proof verifies at its own index', () => {
+    for (const count of [1, 2, 3, 5, 8, 13]) {
+        const hashes = Array.from({ length: count }, (_, i) => frameHash(i));
+        const { root, proofs } = buildMerkleTree(hashes);
+        hashes.forEach((h, i) => assert.ok(verifyMerkleProof(h, proofs[i], root, i, count), `${i}/${count}`));
+    }
+});
+
+test('a proof is rejected at any other index', () => {
+    // Identical frames share a leaf, so only the proof positions can tell them apart
+    const hashes = Array.from({ length: 7 }, () => frameHash(0));
+    const { root, proofs } = buildMerkleTree(hashes);
+    for (let i = 0; i < hashes.length; i++) {
+        for (let j = 0; j < hashes.length; j++) {
+            assert.strictEqual(verifyMerkleProof(hashes[i], proofs[i], root, j, hashes.length), i === j, `${i} as ${j}`);
+        }
+    }
+});
+
+test('swapped entries and wrong tree sizes are rejected', () => {
+    const hashes = Array.from({ length: 6 }, (_, i) => frameHash(i));
+    const { root, proofs } = buildMerkleTree(hashes);
+    assert.ok(!verifyMerkleProof(hashes[1], proofs[1], root, 2, 6));
+    assert.ok(!verifyMerkleProof(hashes[2], proofs[1], root, 1, 6));
+    assert.ok(!verifyMerkleProof(hashes[5], proofs[5], root, 5, 8));
+    assert.ok(!verifyMerkleProof(hashes[0], proofs[0], root, 6, 6));
+    assert.ok(!verifyMerkleProof(hashes[0], proofs[0].slice(1), root, 0, 6));
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const { signVideo, verifyVideo, createSigner, parseTrustOptions, EXIT_CODES } = require('..');
+const { POLICY_SCHEMA } = require('../lib/trust');
+const { requestTimestamp } = require('../lib/tsa');
+const { NO_PROVENANCE_SHA256, provenanceSha256 } = require('../lib/provenance');
+const { readMetadataItems, writeMetadataItems } = require('../lib/bmff');
+const { tempDir, writeMp4 } = require('./helpers/bmff');
+const { startTsa } = require('./helpers/tsa');
+
+const signedVideo = async (t, { wallet = ethers.Wallet.createRandom(), tsa = {}, input = null, name = 'signed.mp4' } = {}) => {
+    const dir = await tempDir();
+    t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+    const signed = await signVideo({
+        input: input || await writeMp4(dir, 'input.mp4'),
+        output: path.join(dir, name),
+        signer: { signer: createSigner({ scheme: 'eip191', domain: null }, wallet), source: 'test', wallet },
+        tsa,
+        anchor: {},
+        provenance: { fields: [] }
+    });
+    return { ...signed, input: input || path.join(dir, 'input.mp4'), wallet, dir };
+};
+
+const readPayload = async (file) => JSON.parse((await readMetadataItems(file)).comment);
+const writePayload = (file, payload) => writeMetadataItems(file, { comment: JSON.stringify(payload) });
+
+const writePolicy = async (dir, signer) => {
+    const policyPath = path.join(dir, 'policy.json');
+    await fsp.writeFile(policyPath, JSON.stringify({ schema: POLICY_SCHEMA, signers: [signer] }));
+    return policyPath;
+};
+
+const verify = (input, options = {}) => verifyVideo({ input, trust: parseTrustOptions(['--allow-untrusted'], {}), tsa: {}, anchor: {}, ...options });
+
+test('a signed video verifies', async (t) => {
+    const signed = await signedVideo(t);
+    const result = await verify(signed.output);
+    assert.strictEqual(result.verified, true, JSON.stringify(result.failures));
+    assert.strictEqual(result.timestampMs, signed.timestampMs);
+});
+
+test('the expected timestamp is compared with the signed one', async (t) => {
+    const signed = await signedVideo(t);
+    assert.strictEqual((await verify(signed.output, { expectedTimestamp: String(signed.timestampMs) })).verified, true);
+
+    const result = await verify(signed.output, { expectedTimestamp: String(signed.timestampMs + 1) });
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.exitCode, EXIT_CODES['bad-signature']);
+    assert.match(result.failures[0].error, /Timestamp mismatch/);
+});
+
+test('a payload without provenance signs the no-provenance marker', async (t) => {
+    const signed = await signedVideo(t);
+    const payload = await readPayload(signed.output);
+    assert.strictEqual(payload.provenanceSha256, NO_PROVENANCE_SHA256);
+    assert.strictEqual(payload.provenance, undefined);
+});
+
+test('signed provenance cannot be stripped', async (t) => {
+    const signed = await signedVideo(t);
+    const payload = await readPayload(signed.output);
+    // ffmpeg reads the real tags; a recorded set is signed here directly
+    const provenance = { fields: ['make'], format: { make: 'Apple' }, streams: [] };
+    const signer = createSigner({ scheme: 'eip191', domain: null }, signed.wallet);
+    const { signature } = await signer.sign('VideoClaim', {
+        timestampMs: payload.timestampMs,
+        fileHashSha256: payload.fileHashSha256,
+        canonical: payload.canonical,
+        provenanceSha256: provenanceSha256(provenance)
+    });
+    const withProvenance = { ...payload, signature, provenanceSha256: provenanceSha256(provenance), provenance };
+
+    const stripped = [
+        [{ provenance: undefined }, /Signed provenance is missing/],
+        [{ provenance: undefined, provenanceSha256: NO_PROVENANCE_SHA256 }, /Signature does not match/],
+        [{ provenance: undefined, provenanceSha256: undefined }, /Signature does not match/]
+    ];
+    for (const [change, error] of stripped) {
+        await writePayload(signed.output, JSON.parse(JSON.stringify({ ...withProvenance, ...change })));
+        const result = await verify(signed.output);
+        assert.strictEqual(result.verified, false);
+        assert.strictEqual(result.exitCode, EXIT_CODES['bad-signature']);
+        assert.match(result.failures[0].error, error);
+    }
+});
+
+test('a token over the signature dates it for the trust policy', async (t) => {
+    const tsa = await startTsa(t);
+    const signed = await signedVideo(t, { tsa: { url: tsa.url } });
+    const { rfc3161 } = await readPayload(signed.output);
+    assert.strictEqual(rfc3161.binding, 'hash+signature');
+
+    // Trusted only from the TSA time on: the self-reported start does not count
+    const policyPath = await writePolicy(signed.dir, { address: signed.signerAddress, validFrom: rfc3161.genTime });
+    const result = await verify(signed.output, {
+        trust: parseTrustOptions([`--trust-policy=${policyPath}`], {}),
+        tsa: { rootsPath: tsa.rootsPath, requireTimestamp: true }
+    });
+    assert.strictEqual(result.verified, true, JSON.stringify(result.failures));
+    assert.strictEqual(result.timestamp.coversSignature, true);
+    assert.strictEqual(result.trust.status, 'trusted');
+});
+
+test('a token cannot be carried over to a re-signed copy', async (t) => {
+    const tsa = await startTsa(t);
+    const original = await signedVideo(t, { tsa: { url: tsa.url } });
+    const resigned = await signedVideo(t, { input: original.input, name: 'resigned.mp4' });
+    assert.strictEqual(resigned.fileHashSha256, original.fileHashSha256);
+
+    const { rfc3161 } = await readPayload(original.output);
+    await writePayload(resigned.output, { ...await readPayload(resigned.output), rfc3161 });
+    const result = await verify(resigned.output, { tsa: { rootsPath: tsa.rootsPath, requireTimestamp: true } });
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.exitCode, EXIT_CODES['bad-signature']);
+    assert.match(result.failures[0].error, /Timestamp covers a different hash/);
+});
+
+test('a token over the bare file hash does not date the signature', async (t) => {
+    const tsa = await startTsa(t);
+    const signed = await signedVideo(t);
+    const legacy = await requestTimestamp(tsa.url, signed.fileHashSha256);
+    await writePayload(signed.output, { ...await readPayload(signed.output), rfc3161: legacy });
+
+    const policyPath = await writePolicy(signed.dir, { address: signed.signerAddress, validFrom: legacy.genTime });
+    const result = await verify(signed.output, {
+        trust: parseTrustOptions([`--trust-policy=${policyPath}`], {}),
+        tsa: { rootsPath: tsa.rootsPath }
+    });
+    assert.strictEqual(result.timestamp.coversSignature, false);
+    assert.strictEqual(result.trust.status, 'distrusted');
+    assert.strictEqual(result.exitCode, EXIT_CODES['untrusted-signer']);
+});
+
+test('an unreadable trust policy is a tool error', async (t) => {
+    const signed = await signedVideo(t);
+    const policyPath = path.join(signed.dir, 'policy.json');
+    await fsp.writeFile(policyPath, '{ not json');
+    const result = await verify(signed.output, { trust: parseTrustOptions([`--trust-policy=${policyPath}`], {}) });
+    assert.strictEqual(result.verified, false);
+    assert.strictEqual(result.exitCode, EXIT_CODES['tool-error']);
+    assert.strictEqual(result.verdict, 'tool-error');
+});
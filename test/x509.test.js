@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chainToRoot } = require('../lib/x509');
+const { issue, ca, claimSigner } = require('./helpers/certs');
+
+const describe = { label: 'C2PA', at: 'verification time' };
+
+test('a leaf chains through a CA intermediate to its root', () => {
+    const root = ca('Test Root');
+    const intermediate = ca('Test Intermediate', root);
+    const leaf = claimSigner('Test Signer', intermediate);
+    const chain = chainToRoot(leaf.cert, [intermediate.cert], [root.cert], Date.now(), describe);
+    assert.deepStrictEqual(chain.map((c) => c.fingerprint256), [leaf.cert, intermediate.cert, root.cert].map((c) => c.fingerprint256));
+});
+
+test('a certificate issued by a non-CA leaf is rejected', () => {
+    const root = ca('Test Root');
+    // No basicConstraints and no keyUsage: nothing but the CA check stops it
+    const leaf = issue('Test Leaf', { issuer: root });
+    const forged = claimSigner('Forged Signer', leaf);
+    assert.throws(() => chainToRoot(forged.cert, [leaf.cert], [root.cert], Date.now(), describe),
+        /does not chain to a configured C2PA root/);
+});
+
+test('a configured root that is not a CA cannot issue', () => {
+    const notCa = issue('Test Root without CA flag');
+    const leaf = claimSigner('Test Signer', notCa);
+    assert.throws(() => chainToRoot(leaf.cert, [], [notCa.cert], Date.now(), describe),
+        /does not chain to a configured C2PA root/);
+});
+
+test('certificates outside their validity window are rejected', () => {
+    const root = ca('Test Root');
+    const leaf = claimSigner('Test Signer', root);
+    assert.throws(() => chainToRoot(leaf.cert, [], [root.cert], Date.now() + 365 * 24 * 60 * 60 * 1000, describe),
+        /not valid at verification time/);
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const der = require('./lib/der');
+const { flagValue } = require('./lib/cli');
+const { buildCertificate, EXTENSIONS } = require('./lib/x509');
+const { OID, algorithmIdentifier, parseTimeStampRequest, buildTimeStampResponse } = require('./lib/tsa');
+
+// -------------------------------
+// Local RFC 3161 time-stamp authority (testing only)
+// -------------------------------
+// Usage: node tsa_server.js [--port=3161] [--dir=output/tsa]
+//
+// On first start it creates a throwaway root CA and a TSA certificate
+// (ECDSA P-256, extended key usage timeStamping) in --dir and then answers
+// application/timestamp-query POSTs. Point the tools at it with
+//   TSA_URL=http://127.0.0.1:3161  and  --tsa-roots=output/tsa/root.pem
+// The keys are stored unencrypted: tokens from this TSA prove nothing outside
+// a test setup.
+const CLI_ARGS = process.argv.slice(2);
+const PORT = Number(flagValue(CLI_ARGS, 'port') || 3161);
+const TSA_DIR = path.resolve(flagValue(CLI_ARGS, 'dir') || path.join(__dirname, 'output', 'tsa'));
+const MAX_REQUEST_BYTES = 64 * 1024;
+// UUID-based OID (2.25.<uuid>) standing in for a real TSA policy
+const TEST_POLICY_OID = '2.25.329800735698586629295641978511506172918';
+const ORGANIZATION = 'CryptoVideo test TSA';
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+// -------------------------------
+// Certificates
+// -------------------------------
+const generateAuthority = async () => {
+    const ec = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const root = ec();
+    const tsa = ec();
+    const rootCert = buildCertificate({
+        organization: ORGANIZATION,
+        subject: 'CryptoVideo Test Root',
+        issuer: 'CryptoVideo Test Root',
+        publicKey: root.publicKey,
+        signingKey: root.privateKey,
+        validDays: 3650,
+        extensions: [EXTENSIONS.caBasicConstraints(), EXTENSIONS.caKeyUsage()]
+    });
+    const tsaCert = buildCertificate({
+        organization: ORGANIZATION,
+        subject: 'CryptoVideo Test TSA',
+        issuer: 'CryptoVideo Test Root',
+        publicKey: tsa.publicKey,
+        signingKey: root.privateKey,
+        validDays: 1825,
+        extensions: [EXTENSIONS.signingKeyUsage(), EXTENSIONS.extendedKeyUsage(OID.kpTimeStamping)]
+    });
+    await fsp.mkdir(TSA_DIR, { recursive: true });
+    await fsp.writeFile(path.join(TSA_DIR, 'root.pem'), rootCert.toString(), 'utf8');
+    await fsp.writeFile(path.join(TSA_DIR, 'tsa.pem'), tsaCert.toString(), 'utf8');
+    await fsp.writeFile(path.join(TSA_DIR, 'tsa-key.pem'), tsa.privateKey.export({ type: 'pkcs8', format: 'pem' }), { encoding: 'utf8', mode: 0o600 });
+};
+
+const loadAuthority = async () => {
+    if (!fs.existsSync(path.join(TSA_DIR, 'tsa-key.pem'))) await generateAuthority();
+    const rootCert = new crypto.X509Certificate(await fsp.readFile(path.join(TSA_DIR, 'root.pem')));
+    const tsaCert = new crypto.X509Certificate(await fsp.readFile(path.join(TSA_DIR, 'tsa.pem')));
+    const privateKey = crypto.createPrivateKey(await fsp.readFile(path.join(TSA_DIR, 'tsa-key.pem')));
+    // IssuerAndSerialNumber comes straight from the certificate's TBS fields
+    const [, serial, , issuerName] = der.decodeAll(tsaCert.raw).children[0].children;
+    return { rootCert, tsaCert, privateKey, issuerName: Buffer.from(issuerName.bytes), serial: Buffer.from(serial.bytes) };
+};
+
+// -------------------------------
+// Tokens
+// -------------------------------
+const attribute = (oidStr, valueDer) => der.sequence(der.oid(oidStr), der.set(valueDer));
+
+const buildToken = (authority, req) => {
+    const tstInfo = der.sequence(
+        der.integer(1),
+        der.oid(req.policy || TEST_POLICY_OID),
+        der.sequence(algorithmIdentifier(OID[req.hashAlgorithm]), der.octetString(Buffer.from(req.hashHex, 'hex'))),
+        der.integer(crypto.randomBytes(8)),
+        der.generalizedTime(Date.now()),
+        ...(req.nonceHex ? [der.integer(req.nonceHex)] : [])
+    );
+    const signedAttrsSet = der.set(
+        attribute(OID.contentType, der.oid(OID.tstInfo)),
+        attribute(OID.messageDigest, der.octetString(crypto.createHash('sha256').update(tstInfo).digest())),
+        attribute(OID.signingCertificateV2, der.sequence(der.sequence(der.sequence(
+            der.octetString(crypto.createHash('sha256').update(authority.tsaCert.raw).digest())
+        ))))
+    );
+    const signature = crypto.sign('sha256', signedAttrsSet, authority.privateKey);
+    const signerInfo = der.sequence(
+        der.integer(1),
+        der.sequence(authority.issuerName, authority.serial),
+        algorithmIdentifier(OID.sha256),
+        Buffer.concat([Buffer.from([0xa0]), signedAttrsSet.subarray(1)]), // [0] IMPLICIT SET OF
+        der.sequence(der.oid(OID.ecdsaWithSHA256)),
+        der.octetString(signature)
+    );
+    const signedData = der.sequence(
+        der.integer(3),
+        der.set(algorithmIdentifier(OID.sha256)),
+        der.sequence(der.oid(OID.tstInfo), der.explicit(0, der.octetString(tstInfo))),
+        ...(req.certReq ? [der.implicitConstructed(0, Buffer.concat([authority.tsaCert.raw, authority.rootCert.raw]))] : []),
+        der.set(signerInfo)
+    );
+    return der.sequence(der.oid(OID.signedData), der.explicit(0, signedData));
+};
+
+// PKIFailureInfo bits
+const FAIL_BAD_ALG = 0;
+const FAIL_BAD_DATA_FORMAT = 5;
+
+const answer = (authority, body) => {
+    let req;
+    try {
+        req = parseTimeStampRequest(body);
+    } catch (err) {
+        return { response: buildTimeStampResponse(2, { statusText: err.message, failInfoBit: FAIL_BAD_DATA_FORMAT }), note: cRed('rejected (bad request)') };
+    }
+    if (!['sha256', 'sha384', 'sha512'].includes(req.hashAlgorithm)) {
+        return { response: buildTimeStampResponse(2, { statusText: `unsupported hash ${req.hashAlgorithm}`, failInfoBit: FAIL_BAD_ALG }), note: cRed('rejected (bad hash algorithm)') };
+    }
+    return { response: buildTimeStampResponse(0, { token: buildToken(authority, req) }), note: `${cGreen('granted')} ${cDim(req.hashHex)}` };
+};
+
+const main = async () => {
+    try {
+        const authority = await loadAuthority();
+        const server = http.createServer((request, response) => {
+            if (request.method !== 'POST') {
+                response.writeHead(405, { Allow: 'POST' });
+                return response.end();
+            }
+            const chunks = [];
+            let size = 0;
+            request.on('data', (d) => {
+                size += d.length;
+                if (size > MAX_REQUEST_BYTES) request.destroy();
+                else chunks.push(d);
+            });
+            request.on('end', () => {
+                const { response: reply, note } = answer(authority, Buffer.concat(chunks));
+                console.log(`${cDim(new Date().toISOString())} ${note}`);
+                response.writeHead(200, { 'Content-Type': 'application/timestamp-reply', 'Content-Length': reply.length });
+                response.end(reply);
+            });
+        });
+        server.listen(PORT, '127.0.0.1', () => {
+            console.log(cCyan('='.repeat(60)));
+            console.log(`${cBold('Local RFC 3161 TSA')} ${cYellow('(testing only)')}`);
+            console.log(`${cDim('URL:')} http://127.0.0.1:${PORT}  ${cDim('Root:')} ${path.join(TSA_DIR, 'root.pem')}`);
+            console.log(cCyan('='.repeat(60)));
+        });
+    } catch (err) {
+        console.error(err.stack || err.message || String(err));
+        process.exitCode = 1;
+    }
+};
+
+main();
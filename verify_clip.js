@@ -0,0 +1,356 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { extractFrameHashes, probeFrameRate } = require('./lib/frames');
+const { matchClip } = require('./lib/clip_match');
+const { parseFramesManifest, unstampedManifestSha256, findBadManifestEntries, timeBaseSeconds } = require('./lib/frame_manifest');
+const { probeAudioStreams } = require('./lib/audio');
+const { SCHEME_LABELS, verifyClaim, signingOf } = require('./lib/signers');
+const { positionalArgs } = require('./lib/cli');
+const { parseThreadOptions, createFramePool } = require('./lib/frame_pool');
+const { parseTrustOptions, loadTrustPolicy, evaluateSigner, describeTrust } = require('./lib/trust');
+const { parseTsaOptions, loadTsaRoots, verifyTimestampRecord } = require('./lib/tsa');
+const { parseAnchorOptions, checkAnchor, describeAnchor } = require('./lib/anchor');
+const { readEmbeddedManifest } = require('./lib/embed');
+const { isSupportedVideoFile } = require('./lib/containers');
+const { readMetadataTags } = require('./lib/metadata');
+const { consoleStepRunner } = require('./lib/progress');
+
+// -------------------------------
+// Clip verifier
+// -------------------------------
+// Usage: node verify_clip.js <clip> [manifest | original video] [--trust-policy=<file>] [--require-role=<role>] [--allow-untrusted]
+//        [--tsa-roots=<pem>] [--require-timestamp] [--anchor-rpc=<url>] [--anchor-registry=<address>] [--require-anchor]
+//        [--threads=<n>]
+//
+// Verifies an excerpt of a signed video against the original's
+// frames_manifest.json: finds the run of original frames the clip decodes to
+// (lib/clip_match.js), checks the signature or Merkle proof of every one of
+// them and reports the matched range in frame numbers and signed media time.
+// Clip frames that are not part of that run are flagged. Lossless cuts
+// (ffmpeg -ss <keyframe> -i original.mp4 -t <len> -c copy clip.mp4) keep the
+// decoded pixels, so they match frame for frame.
+//
+// The manifest comes from the command line (a frames_manifest.json, or the
+// original verifiable video carrying it, see lib/embed.js), else from the clip
+// itself if its cut kept the embedded copy, else output/frames_manifest.json.
+// The manifest-hash tags are checked when the clip still carries them (stream
+// copy keeps global metadata); without them the frames are bound to the signer
+// by their own signatures only. Audio is not checked: clip boundaries do not
+// fall on the signed chunk grid.
+const OUTPUT_DIR = path.join(__dirname, 'output');
+const DEFAULT_MANIFEST_PATH = path.join(OUTPUT_DIR, 'frames_manifest.json');
+const REPORT_PATH = path.join(OUTPUT_DIR, 'clip_report.json');
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// Signed media time span of original frames [first, last]: from the manifest
+// timing when present, else from the frame rate
+const originalTimeSpan = (manifest, [first, last], frameRate) => {
+    if (manifest.timing) {
+        const tb = timeBaseSeconds(manifest.timing.timeBase);
+        const a = manifest.frames[first - 1];
+        const b = manifest.frames[last - 1];
+        const startSec = a.pts * tb;
+        const endSec = (b.pts + (b.duration || 0)) * tb;
+        const { captureStartMs } = manifest.timing;
+        const at = (sec) => (captureStartMs ? new Date(captureStartMs + Math.round(sec * 1000)).toISOString() : null);
+        return { startSec: round3(startSec), endSec: round3(endSec), capturedFrom: at(startSec), capturedTo: at(endSec) };
+    }
+    if (!frameRate) return null;
+    return { startSec: round3((first - 1) / frameRate), endSec: round3(last / frameRate), capturedFrom: null, capturedTo: null };
+};
+
+// A cut shifts every timestamp by the same amount (or resets it to zero), so
+// compare each pair's offset with the first pair's. Time bases may differ after
+// a remux, so compare in seconds.
+const findRetimedFrames = (manifest, pairs, clipTimings) => {
+    const signedTb = timeBaseSeconds(manifest.timing.timeBase);
+    const clipTb = timeBaseSeconds(clipTimings.timeBase);
+    const same = (a, b) => Math.abs(a - b) < 1e-6;
+    const offsetOf = ([m, c]) => clipTimings.frames[c - 1].pts * clipTb - manifest.frames[m - 1].pts * signedTb;
+    const usable = pairs.filter(([, c]) => clipTimings.frames[c - 1]);
+    if (usable.length === 0) return { offsetSec: null, retimed: [] };
+    const offsetSec = offsetOf(usable[0]);
+    const retimed = [];
+    for (const [m, c] of usable) {
+        const f = manifest.frames[m - 1];
+        const actual = clipTimings.frames[c - 1];
+        const ptsOk = same(offsetOf([m, c]), offsetSec);
+        const durOk = f.duration === null || actual.duration === null || same(f.duration * signedTb, actual.duration * clipTb);
+        if (!ptsOk || !durOk) {
+            retimed.push({
+                frameNumber: m,
+                clipFrame: c,
+                signedPtsTime: f.pts * signedTb,
+                actualPtsTime: actual.pts * clipTb
+            });
+        }
+    }
+    return { offsetSec, retimed };
+};
+
+const loadManifestSource = async (clipPath, manifestArg) => {
+    if (manifestArg) {
+        const argPath = path.resolve(manifestArg);
+        if (!fs.existsSync(argPath)) throw new Error(`Manifest not found: ${argPath}`);
+        if (!isSupportedVideoFile(argPath)) return { manifestBuffer: await fsp.readFile(argPath), manifestName: path.basename(argPath) };
+        const embedded = await readEmbeddedManifest(argPath);
+        if (!embedded) throw new Error(`${path.basename(argPath)} carries no embedded manifest`);
+        return { manifestBuffer: embedded.manifestBuffer, manifestName: `${path.basename(argPath)} (${embedded.location})` };
+    }
+    const embedded = await readEmbeddedManifest(clipPath);
+    if (embedded) return { manifestBuffer: embedded.manifestBuffer, manifestName: `embedded (${embedded.location})` };
+    if (!fs.existsSync(DEFAULT_MANIFEST_PATH)) throw new Error(`Manifest not found: ${DEFAULT_MANIFEST_PATH}`);
+    return { manifestBuffer: await fsp.readFile(DEFAULT_MANIFEST_PATH), manifestName: path.basename(DEFAULT_MANIFEST_PATH) };
+};
+
+const main = async () => {
+    let pool = null;
+    try {
+        const cliArgs = process.argv.slice(2);
+        const [clipArg, manifestArg] = positionalArgs(cliArgs);
+        if (!clipArg) throw new Error('Usage: node verify_clip.js <clip> [manifest | original video]');
+        const clipPath = path.resolve(clipArg);
+        if (!fs.existsSync(clipPath)) throw new Error(`Clip not found: ${clipPath}`);
+        const { manifestBuffer, manifestName } = await loadManifestSource(clipPath, manifestArg);
+        const trustOptions = parseTrustOptions(cliArgs);
+        const tsaOptions = parseTsaOptions(cliArgs);
+        const anchorOptions = parseAnchorOptions(cliArgs);
+        pool = createFramePool(parseThreadOptions(cliArgs));
+
+        const totalSteps = 11;
+        const step = consoleStepRunner(totalSteps);
+        // As in verify_frames.js: record failures and carry on, so the report is complete
+        const failures = [];
+        const check = async (title, fn) => {
+            try {
+                return await step(title, fn);
+            } catch (err) {
+                failures.push({ step: title, error: err.message || String(err) });
+                return undefined;
+            }
+        };
+
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold('Crypto Video Clip Verifier')} ${cDim('(excerpt vs. original frame manifest)')}`);
+        console.log(`${cDim('Clip:')} ${path.basename(clipPath)}  ${cDim('Manifest:')} ${manifestName}`);
+        console.log(cCyan('='.repeat(60)));
+
+        const { manifest, manifestSha256Hex } = await step('Load original manifest', async () => {
+            const loaded = parseFramesManifest(manifestBuffer);
+            const m = loaded.manifest;
+            console.log(`${cDim('Signer:')} ${m.signer.address}  ${cDim('Scheme:')} ${SCHEME_LABELS[signingOf(m.signer).scheme] || m.signer.scheme}`);
+            console.log(`${cDim('Start:')} ${new Date(m.startTimestampMs).toISOString()}`);
+            console.log(`${cDim('Frames:')} ${m.frames.length}  ${cDim('Mode:')} ${m.mode || 'per-frame'}`);
+            return loaded;
+        });
+
+        // Tags are optional on a clip, but if present they must name this manifest
+        const tags = await check('Check clip metadata against manifest', async () => {
+            const t = await readMetadataTags(clipPath);
+            if (!t.artist) {
+                console.log(cYellow('Clip carries no manifest hash tag; relying on the frame signatures'));
+                return null;
+            }
+            console.log(`${cDim('Clip (artist):')} ${t.artist}`);
+            console.log(`${cDim('Manifest:     ')} ${manifestSha256Hex}`);
+            if (t.artist.toLowerCase() !== manifestSha256Hex) {
+                throw new Error('Manifest hash mismatch - clip was tagged with a different manifest');
+            }
+            if (t.album && t.album !== `Timestamp - ${manifest.startTimestampMs}`) {
+                throw new Error(`Timestamp mismatch: album tag "${t.album}" vs manifest ${manifest.startTimestampMs}`);
+            }
+            return t;
+        });
+
+        await check('Verify manifest signature', async () => {
+            const manifestSignature = tags ? (tags.description || '').trim() : '';
+            if (!manifestSignature) {
+                console.log(cDim('No manifest signature carried by the clip; skipping'));
+                return;
+            }
+            const { addrOk, recoveredAddress } = await verifyClaim(signingOf(manifest.signer), 'ManifestClaim', {
+                startTimestampMs: manifest.startTimestampMs,
+                frameCount: manifest.frames.length,
+                manifestSha256: manifestSha256Hex
+            }, manifestSignature, manifest.signer.address, manifest.signer.publicKey);
+            console.log(`${cDim('Recovered:')} ${recoveredAddress}`);
+            if (!addrOk) throw new Error('Manifest signature does not match signer address');
+        });
+
+        let attested = null;
+        await check('Verify RFC 3161 timestamp token', async () => {
+            if (!manifest.rfc3161) {
+                if (tsaOptions.requireTimestamp) throw new Error('Manifest has no RFC 3161 timestamp');
+                console.log(cDim('No timestamp token; signing time is self-reported'));
+                return;
+            }
+            attested = verifyTimestampRecord(manifest.rfc3161, {
+                hashHex: unstampedManifestSha256(manifest),
+                claimedMs: manifest.startTimestampMs,
+                roots: await loadTsaRoots(tsaOptions.rootsPath)
+            });
+            console.log(`${cDim('TSA:')} ${attested.tsa}  ${cDim('Serial:')} ${attested.serialNumber}`);
+            console.log(`${cDim('Signed no later than:')} ${new Date(attested.genTimeMs).toISOString()}`);
+        });
+
+        let anchored = null;
+        await check('Look up on-chain anchor', async () => {
+            let record = null;
+            try {
+                record = tags && tags.anchor ? JSON.parse(tags.anchor) : null;
+            } catch (_) {
+                throw new Error('Invalid anchor tag');
+            }
+            if (!anchorOptions.rpcUrl) {
+                if (anchorOptions.requireAnchor) throw new Error('--require-anchor needs --anchor-rpc (ANCHOR_RPC_URL)');
+                console.log(cDim('No RPC endpoint configured; skipping'));
+                return;
+            }
+            anchored = await checkAnchor(anchorOptions, record, { hashHex: manifestSha256Hex, claimedMs: manifest.startTimestampMs });
+            if (!anchored) {
+                console.log(cDim('Manifest hash not anchored in the configured registry'));
+                return;
+            }
+            console.log(`${cDim('Anchor:')} ${describeAnchor(anchored)} ${cDim(`(${anchored.source})`)}`);
+        });
+
+        let trust = null;
+        await check('Check signer against trust policy', async () => {
+            const policy = await loadTrustPolicy(trustOptions.policyPath);
+            trust = evaluateSigner(policy, manifest.signer.address, {
+                signedAtMs: attested ? attested.genTimeMs : manifest.startTimestampMs,
+                purpose: 'frames',
+                requiredRoles: trustOptions.requiredRoles
+            });
+            console.log(`${cDim('Signer trust:')} ${describeTrust(trust)}`);
+            if (trust.status !== 'trusted') {
+                if (trustOptions.allowUntrusted) {
+                    console.log(cYellow(`Signer is ${trust.status}; accepted because of --allow-untrusted`));
+                    return;
+                }
+                throw new Error(`Signer is ${trust.status}`);
+            }
+        });
+
+        const { hashes: clipHashes, timings: clipTimings, frameRate } = await step('Extract and hash clip frames', async () => {
+            const [extracted, fps, audioStreams] = await Promise.all([
+                extractFrameHashes(clipPath, { timing: Boolean(manifest.timing), pool, frameFormat: manifest.frameFormat, sampling: manifest.sampling }),
+                manifest.sampling ? manifest.sampling.frameRate : probeFrameRate(clipPath),
+                probeAudioStreams(clipPath)
+            ]);
+            if (extracted.hashes.length === 0) throw new Error('No frames were extracted');
+            console.log(`${cDim('Frames extracted:')} ${extracted.hashes.length}  ${cDim('Frame rate:')} ${fps || 'unknown'}`);
+            if (audioStreams.length > 0) console.log(`${cYellow(`${audioStreams.length} audio stream(s)`)} are NOT covered by clip verification`);
+            return { hashes: extracted.hashes, timings: extracted.timings, frameRate: fps };
+        });
+
+        const match = matchClip(manifest.frames.map((f) => f.frameHashSha256), clipHashes);
+        const matchedTime = match.matched ? originalTimeSpan(manifest, match.matched.original, frameRate) : null;
+        await check('Locate clip in original', async () => {
+            if (!match.matched) throw new Error('No clip frame appears in the original');
+            const { clip, original, count } = match.matched;
+            console.log(`${cDim('Matched:')} clip frames ${clip[0]}-${clip[1]} = original frames ${original[0]}-${original[1]} ${cDim(`(${count}/${clipHashes.length})`)}`);
+            if (matchedTime) {
+                console.log(`${cDim('Original time:')} ${matchedTime.startSec}s-${matchedTime.endSec}s`);
+                if (matchedTime.capturedFrom) console.log(`${cDim('Captured:')} ${matchedTime.capturedFrom} ${cDim('->')} ${matchedTime.capturedTo}`);
+            }
+            for (const r of match.flagged) {
+                const orig = r.original ? ` -> original ${r.original[0]}-${r.original[1]}` : '';
+                console.log(`${cYellow(` - ${r.type}`)} clip ${r.clip[0]}-${r.clip[1]}${orig}`);
+            }
+            if (!match.contiguous) {
+                const s = match.summary;
+                throw new Error(`${s.notInOriginal + s.outOfSequence} clip frames are outside the matched range (${s.notInOriginal} not in original, ${s.outOfSequence} out of sequence)`);
+            }
+        });
+
+        // Every original frame the clip shows, whether in place or not
+        const shownFrames = [...new Set([
+            ...match.pairs.map(([m]) => m),
+            ...match.flagged.filter((r) => r.original).flatMap((r) => {
+                const out = [];
+                for (let n = r.original[0]; n <= r.original[1]; n++) out.push(n);
+                return out;
+            })
+        ])].sort((a, b) => a - b);
+        let badEntries = null;
+        await check('Verify signatures of matched frames', async () => {
+            badEntries = await findBadManifestEntries(manifest, shownFrames, { pool });
+            console.log(`${cDim('Checked:')} ${shownFrames.length} ${manifest.mode === 'merkle' ? 'Merkle proofs' : 'frame signatures'}`);
+            if (badEntries.length > 0) {
+                throw new Error(`${badEntries.length} frames have invalid signatures/proofs (first: frame ${badEntries[0]})`);
+            }
+        });
+
+        let timing = null;
+        await check('Verify frame presentation timing', async () => {
+            if (!manifest.timing) {
+                console.log(`${cYellow('Manifest has no timing section;')} frame timing is NOT covered`);
+                return;
+            }
+            timing = findRetimedFrames(manifest, match.pairs, clipTimings);
+            if (timing.offsetSec !== null) console.log(`${cDim('Clip time offset:')} ${round3(timing.offsetSec)}s`);
+            if (timing.retimed.length > 0) {
+                const r = timing.retimed[0];
+                throw new Error(`${timing.retimed.length} frames retimed (first: frame ${r.frameNumber} signed at ${r.signedPtsTime.toFixed(6)}s, now ${r.actualPtsTime.toFixed(6)}s)`);
+            }
+        });
+
+        await step('Write clip report', async () => {
+            const report = {
+                schema: 'crypto-video-clip-report@1',
+                clip: path.basename(clipPath),
+                manifest: manifestName,
+                manifestSha256: manifestSha256Hex,
+                signer: manifest.signer.address,
+                signerTrust: trust,
+                startTimestampMs: manifest.startTimestampMs,
+                timestamp: attested,
+                anchor: anchored,
+                frameRate,
+                manifestFrames: manifest.frames.length,
+                clipFrames: clipHashes.length,
+                verified: failures.length === 0,
+                checks: failures,
+                matched: match.matched ? { ...match.matched, time: matchedTime } : null,
+                summary: match.summary,
+                flagged: match.flagged,
+                invalidManifestEntries: badEntries,
+                timeOffsetSec: timing ? timing.offsetSec : null,
+                retimedFrames: timing ? timing.retimed : null
+            };
+            await fsp.mkdir(OUTPUT_DIR, { recursive: true });
+            await fsp.writeFile(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+            console.log(`${cDim('Report:')} ${REPORT_PATH}`);
+        });
+
+        console.log(cCyan('='.repeat(60)));
+        if (failures.length > 0) {
+            console.log(`${cRed('CLIP VERIFICATION FAILED')} ${cDim(path.basename(clipPath))}`);
+            for (const f of failures) console.log(`${cRed(' - ')}${f.step}: ${f.error}`);
+            process.exitCode = 1;
+        } else {
+            const { original } = match.matched;
+            console.log(`${cGreen('CLIP VERIFIED')} ${cDim(`${path.basename(clipPath)} = original frames ${original[0]}-${original[1]}`)}`);
+        }
+        console.log(`${cDim('Signer:')} ${manifest.signer.address}${trust && trust.label ? ` (${trust.label})` : ''} ${cDim(`[${trust ? trust.status : 'unknown'}]`)}`);
+        console.log(cCyan('='.repeat(60)));
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    } finally {
+        if (pool) await pool.close();
+    }
+};
+
+main();
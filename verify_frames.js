@@ -0,0 +1,78 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { isSupportedVideoFile } = require('./lib/containers');
+const { flagValue, positionalArgs } = require('./lib/cli');
+const { parseThreadOptions } = require('./lib/frame_pool');
+const { parseTrustOptions } = require('./lib/trust');
+const { parseTsaOptions } = require('./lib/tsa');
+const { parseAnchorOptions } = require('./lib/anchor');
+const { parseReportOptions, createReport, reserveStdout, writeReport } = require('./lib/report');
+const { consoleProgress } = require('./lib/progress');
+const { verifyFrames } = require('./lib/verify_frames');
+
+// -------------------------------
+// Configuration
+// -------------------------------
+// The recipient only needs the verifiable MP4, which carries frames_manifest.json
+// (lib/embed.js); a manifest path on the command line takes precedence, and
+// output/frames_manifest.json is used when the video carries none.
+// The checks are verifyFrames in lib/verify_frames.js (also exported by index.js).
+const VERIFIABLE_DIR = path.join(__dirname, 'verifiable mp4s');
+const OUTPUT_DIR = path.join(__dirname, 'output');
+const DEFAULT_MANIFEST_PATH = path.join(OUTPUT_DIR, 'frames_manifest.json');
+const DEFAULT_REPORT_PATH = path.join(OUTPUT_DIR, 'tamper_report.json');
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cYellow = ansi(33);
+
+// -------------------------------
+// Main pipeline
+// -------------------------------
+const resolveVideoPath = async (arg) => {
+    if (arg) {
+        // Accept either a path or a file name inside "verifiable mp4s"
+        const candidates = [path.resolve(arg), path.join(VERIFIABLE_DIR, arg)];
+        const found = candidates.find((p) => fs.existsSync(p));
+        if (!found) throw new Error(`Video not found: ${arg}`);
+        return found;
+    }
+    const files = fs.existsSync(VERIFIABLE_DIR)
+        ? (await fsp.readdir(VERIFIABLE_DIR)).filter(isSupportedVideoFile)
+        : [];
+    if (files.length === 0) throw new Error('No supported videos (MP4, MOV, MKV, WebM) found in verifiable mp4s');
+    console.log(`${cYellow('No file specified; using first found:')} ${files[0]}`);
+    return path.join(VERIFIABLE_DIR, files[0]);
+};
+
+const main = async () => {
+    let reportOptions = { format: 'text', reportPath: null };
+    try {
+        // Usage: node verify_frames.js [video] [manifest] [--trust-policy=<file>] [--require-role=<role>] [--allow-untrusted]
+        //        [--tsa-roots=<pem>] [--require-timestamp] [--anchor-rpc=<url>] [--anchor-registry=<address>] [--require-anchor]
+        //        [--threads=<n>] [--format=text|json|junit] [--report=<path>] [--tamper-report=<path>]
+        // Exit codes: 0 verified, 1 tool error, 2 not signed, 3 hash mismatch, 4 bad signature, 5 untrusted signer
+        const cliArgs = process.argv.slice(2);
+        reportOptions = parseReportOptions(cliArgs);
+        reserveStdout(reportOptions);
+        const [videoArg, manifestArg] = positionalArgs(cliArgs);
+        const options = {
+            manifest: manifestArg ? path.resolve(manifestArg) : null,
+            fallbackManifest: DEFAULT_MANIFEST_PATH,
+            tamperReport: path.resolve(flagValue(cliArgs, 'tamper-report') || DEFAULT_REPORT_PATH),
+            trust: parseTrustOptions(cliArgs),
+            tsa: parseTsaOptions(cliArgs),
+            anchor: parseAnchorOptions(cliArgs),
+            threads: parseThreadOptions(cliArgs).threads
+        };
+        const videoPath = await resolveVideoPath(videoArg);
+        const result = await verifyFrames({ input: videoPath, ...options, onProgress: consoleProgress() });
+        if (result.error) console.error(result.error.stack || result.error.message || String(result.error));
+        process.exitCode = await writeReport(result.report, reportOptions);
+    } catch (err) {
+        console.error(err.stack || err.message || String(err));
+        process.exitCode = await writeReport(createReport('verify_frames').build({ error: err }), reportOptions).catch(() => 1);
+    }
+};
+
+main();
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { flagValue, positionalArgs } = require('./lib/cli');
+const { SCHEME_LABELS, signingOf } = require('./lib/signers');
+const { parseTrustOptions, loadTrustPolicy, evaluateSigner, describeTrust } = require('./lib/trust');
+const { DEFAULT_MANIFEST_NAME, readLiveManifest, checkSegmentEntry, checkStreamEnd, sleep } = require('./lib/live');
+
+// -------------------------------
+// Live stream verifier
+// -------------------------------
+// Usage: node verify_live.js <stream dir | manifest> [--follow] [--poll-ms=1000] [--idle-exit=<seconds>]
+//        [--trust-policy=<file>] [--require-role=<role>] [--allow-untrusted]
+//
+// Checks a sidecar manifest written by sign_live.js: every entry's signature,
+// its link to the previous entry, and the segment bytes on disk. With --follow
+// it keeps polling and checks new entries as they are published, until the
+// stream is sealed (or --idle-exit / Ctrl+C). Entries already checked must not
+// change between polls. Once sealed, the end marker must match the last entry
+// and every segment in the playlist must be signed.
+const CLI_ARGS = process.argv.slice(2);
+const OUTPUT_DIR = path.join(__dirname, 'output');
+const REPORT_PATH = path.join(OUTPUT_DIR, 'live_report.json');
+const POLL_MS = Number(flagValue(CLI_ARGS, 'poll-ms') || 1000);
+const IDLE_EXIT_MS = Number(flagValue(CLI_ARGS, 'idle-exit') || 0) * 1000;
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const resolvePaths = (arg) => {
+    const target = path.resolve(arg);
+    if (!fs.existsSync(target)) throw new Error(`Not found: ${target}`);
+    if (fs.statSync(target).isDirectory()) return { streamDir: target, manifestPath: path.join(target, DEFAULT_MANIFEST_NAME) };
+    return { streamDir: path.dirname(target), manifestPath: target };
+};
+
+// A manifest mid-rename can fail to read; in follow mode just try again next poll
+const tryReadManifest = async (manifestPath, follow) => {
+    try {
+        return await readLiveManifest(manifestPath);
+    } catch (err) {
+        if (follow && err instanceof SyntaxError) return null;
+        throw err;
+    }
+};
+
+const main = async () => {
+    try {
+        const [targetArg] = positionalArgs(CLI_ARGS);
+        if (!targetArg) throw new Error('Usage: node verify_live.js <stream dir | manifest> [--follow]');
+        const follow = CLI_ARGS.includes('--follow');
+        const trustOptions = parseTrustOptions(CLI_ARGS);
+        const { streamDir, manifestPath } = resolvePaths(targetArg);
+
+        console.log(cCyan('='.repeat(60)));
+        console.log(`${cBold('Live Stream Verifier')} ${cDim(follow ? '(following)' : '(snapshot)')}`);
+        console.log(`${cDim('Stream:')} ${streamDir}  ${cDim('Manifest:')} ${path.basename(manifestPath)}`);
+        console.log(cCyan('='.repeat(60)));
+
+        const failures = [];
+        const fail = (where, error) => {
+            failures.push({ where, error });
+            console.log(`${cRed('FAIL')} ${where}: ${error}`);
+        };
+
+        let stop = false;
+        process.on('SIGINT', () => {
+            if (stop) process.exit(130);
+            stop = true;
+        });
+
+        let header = null;
+        let trust = null;
+        const verified = [];
+        let lastActivityMs = Date.now();
+        let manifest = null;
+
+        const checkHeader = async (m) => {
+            header = { startTimestampMs: m.startTimestampMs, signer: m.signer };
+            console.log(`${cDim('Signer:')} ${m.signer.address}  ${cDim('Scheme:')} ${SCHEME_LABELS[signingOf(m.signer).scheme] || m.signer.scheme}`);
+            console.log(`${cDim('Start:')} ${new Date(m.startTimestampMs).toISOString()}`);
+            const policy = await loadTrustPolicy(trustOptions.policyPath);
+            trust = evaluateSigner(policy, m.signer.address, {
+                signedAtMs: m.startTimestampMs,
+                purpose: 'live',
+                requiredRoles: trustOptions.requiredRoles
+            });
+            console.log(`${cDim('Signer trust:')} ${describeTrust(trust)}`);
+            if (trust.status !== 'trusted') {
+                if (trustOptions.allowUntrusted) console.log(cYellow(`Signer is ${trust.status}; accepted because of --allow-untrusted`));
+                else fail('signer', `Signer is ${trust.status}`);
+            }
+        };
+
+        const checkEntry = async (m, entry, index) => {
+            const problems = await checkSegmentEntry(streamDir, m, index);
+            if (problems.length > 0) fail(`segment #${index} ${entry.uri}`, problems.join('; '));
+            else console.log(`${cGreen('OK')} #${index} ${entry.uri} ${cDim(`${entry.type} ${entry.durationMs}ms`)}`);
+        };
+
+        const checkEnd = async (m) => {
+            const { problems, playlistFound } = await checkStreamEnd(streamDir, m);
+            if (!playlistFound) console.log(cYellow(`Playlist ${m.playlist} not found; cannot check for unsigned segments`));
+            if (problems.length > 0) fail('end marker', problems.join('; '));
+            else console.log(`${cGreen('SEALED')} ${m.segments.length} segments ${cDim(`(${m.end.reason}, ${new Date(m.end.endedAtMs).toISOString()})`)}`);
+        };
+
+        for (;;) {
+            const m = await tryReadManifest(manifestPath, follow);
+            if (!m && !follow) throw new Error(`Manifest not found: ${manifestPath}`);
+            if (m) {
+                manifest = m;
+                if (!header) await checkHeader(m);
+                else if (m.startTimestampMs !== header.startTimestampMs || m.signer.address !== header.signer.address) {
+                    fail('manifest', 'stream header changed between polls');
+                    break;
+                }
+                // Already-checked entries must be unchanged
+                for (let i = 0; i < verified.length; i++) {
+                    if (!m.segments[i] || m.segments[i].signature !== verified[i]) {
+                        fail(`segment #${i}`, 'entry changed or removed after it was published');
+                        break;
+                    }
+                }
+                for (let i = verified.length; i < m.segments.length; i++) {
+                    await checkEntry(m, m.segments[i], i);
+                    verified.push(m.segments[i].signature);
+                    lastActivityMs = Date.now();
+                }
+                if (m.end) {
+                    await checkEnd(m);
+                    break;
+                }
+            }
+            if (!follow || stop) break;
+            if (IDLE_EXIT_MS > 0 && Date.now() - lastActivityMs > IDLE_EXIT_MS) {
+                console.log(cYellow(`No new segments for ${IDLE_EXIT_MS / 1000}s; stopping`));
+                break;
+            }
+            await sleep(POLL_MS);
+        }
+
+        const sealed = Boolean(manifest && manifest.end);
+        await fsp.mkdir(OUTPUT_DIR, { recursive: true });
+        await fsp.writeFile(REPORT_PATH, JSON.stringify({
+            schema: 'crypto-video-live-report@1',
+            stream: streamDir,
+            manifest: path.basename(manifestPath),
+            signer: manifest ? manifest.signer.address : null,
+            signerTrust: trust,
+            startTimestampMs: manifest ? manifest.startTimestampMs : null,
+            verifiedSegments: verified.length,
+            sealed,
+            intact: failures.length === 0,
+            failures
+        }, null, 2), 'utf8');
+
+        console.log(cCyan('='.repeat(60)));
+        if (failures.length > 0) {
+            console.log(`${cRed('VERIFICATION FAILED')} ${cDim(`${failures.length} problem(s)`)}`);
+            process.exitCode = 1;
+        } else if (sealed) {
+            console.log(`${cGreen('STREAM VERIFIED')} ${cDim(`${verified.length} segments, sealed`)}`);
+        } else {
+            console.log(`${cYellow('VERIFIED SO FAR')} ${cDim(`${verified.length} segments; stream not sealed yet`)}`);
+        }
+        console.log(`${cDim('Report:')} ${REPORT_PATH}`);
+        console.log(cCyan('='.repeat(60)));
+    } catch (err) {
+        console.error(`${cRed('FAIL')} ${err.message || String(err)}`);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { flagValue } = require('./lib/cli');
+const { detectContainer, isSupportedVideoFile } = require('./lib/containers');
+const { readEmbeddedManifest } = require('./lib/embed');
+const { parseTrustOptions, loadTrustPolicy } = require('./lib/trust');
+const { parseTsaOptions } = require('./lib/tsa');
+const { httpError, multipartBoundary, readMultipart } = require('./lib/multipart');
+
+// -------------------------------
+// Local HTTP verification service
+// -------------------------------
+// Usage: node verify_server.js [--port=8790] [--host=127.0.0.1] [--max-upload-mb=2048]
+//        [--concurrency=2] [--timeout=600] [verifier options, see below]
+//
+//   POST /verify          the video as the raw body, or multipart/form-data with a
+//                         `video` file (and optionally a `manifest` to localize
+//                         tampering); ?expectedTimestamp=<ms> like verify_video.js
+//   POST /verify-frames   multipart/form-data with `video` and `manifest` files;
+//                         the manifest may be left out when it is embedded
+//   GET  /signers         the signers of the trust policy
+//
+// Every request gets its own temp directory, so the uploads and the verifiers'
+// temp files (.tmp.mp4, .tmp2.mp4, tamper reports) never collide. verify_video.js
+// and verify_frames.js run unchanged in a child process and the response is
+// their --format=json report (lib/report.js) plus the tamper report, if any:
+//   { verdict, exitCode, report, tamperReport }
+// Trust policy, TSA roots, anchor and --threads options given to the server are
+// passed on to every verification; clients cannot change them.
+const CLI_ARGS = process.argv.slice(2);
+const PORT = Number(flagValue(CLI_ARGS, 'port') || 8790);
+const HOST = flagValue(CLI_ARGS, 'host') || '127.0.0.1';
+const MAX_UPLOAD_BYTES = Number(flagValue(CLI_ARGS, 'max-upload-mb') || 2048) * 1024 * 1024;
+const CONCURRENCY = Math.max(1, Number(flagValue(CLI_ARGS, 'concurrency') || 2));
+const TIMEOUT_MS = Number(flagValue(CLI_ARGS, 'timeout') || 600) * 1000;
+const VERIFIER_FLAGS = [
+    '--trust-policy=', '--require-role=', '--allow-untrusted',
+    '--tsa-roots=', '--require-timestamp',
+    '--anchor-rpc=', '--anchor-registry=', '--require-anchor',
+    '--threads='
+];
+// Verifiers run in the request's temp directory, so the policy and TSA roots
+// (flag, TRUST_POLICY / TSA_ROOTS or default) are passed on as absolute paths,
+// resolved here against the server's cwd like GET /signers does
+const VERIFIER_ARGS = [
+    ...CLI_ARGS.filter((a) => VERIFIER_FLAGS.some((f) => a === f || (f.endsWith('=') && a.startsWith(f)))
+        && !a.startsWith('--trust-policy=') && !a.startsWith('--tsa-roots=')),
+    `--trust-policy=${parseTrustOptions(CLI_ARGS).policyPath}`,
+    `--tsa-roots=${parseTsaOptions(CLI_ARGS).rootsPath}`
+];
+
+const ansi = (n) => (s) => `\x1b[${n}m${s}\x1b[0m`;
+const cBold = ansi(1);
+const cDim = ansi(2);
+const cRed = ansi(31);
+const cGreen = ansi(32);
+const cYellow = ansi(33);
+const cCyan = ansi(36);
+
+const stripAnsi = (s) => s.replace(/\x1b\[\d+m/g, '');
+
+// -------------------------------
+// Uploads
+// -------------------------------
+// The client's file name is kept when it is a plain video name (it shows up in
+// the report); anything else is stored as `upload` and the container is sniffed
+const uploadName = (fileName) => {
+    const base = path.basename(String(fileName || '')).replace(/[^\w.-]/g, '_');
+    return !base.startsWith('.') && isSupportedVideoFile(base) ? base : 'upload';
+};
+
+const saveRawBody = async (request, filePath) => {
+    let total = 0;
+    const handle = await fsp.open(filePath, 'w');
+    try {
+        for await (const chunk of request.iterator({ destroyOnReturn: false })) {
+            total += chunk.length;
+            if (total > MAX_UPLOAD_BYTES) throw httpError(413, `Upload larger than ${MAX_UPLOAD_BYTES} bytes`);
+            await handle.write(chunk);
+        }
+    } finally {
+        await handle.close();
+    }
+    if (total === 0) throw httpError(400, 'Empty upload');
+};
+
+/**
+ * Store the request body in `dir`: { videoPath, manifestPath|null }.
+ */
+const receiveUpload = async (request, url, dir) => {
+    const boundary = multipartBoundary(request.headers['content-type']);
+    if (!boundary) {
+        const videoPath = path.join(dir, uploadName(url.searchParams.get('name')));
+        await saveRawBody(request, videoPath);
+        return { videoPath, manifestPath: null };
+    }
+    const parts = await readMultipart(request, boundary, (name, fileName) => {
+        if (name === 'video') return path.join(dir, uploadName(fileName));
+        // Fixed name so a client cannot make it collide with the video
+        if (name === 'manifest') return path.join(dir, 'upload.manifest.json');
+        return null;
+    }, { maxBytes: MAX_UPLOAD_BYTES });
+    if (!parts.video || parts.video.size === 0) throw httpError(400, 'Missing `video` file field');
+    return { videoPath: parts.video.filePath, manifestPath: parts.manifest ? parts.manifest.filePath : null };
+};
+
+// Unsupported or misnamed uploads are rejected before a verifier is started
+const checkContainer = async (videoPath) => {
+    let container;
+    try {
+        container = await detectContainer(videoPath);
+    } catch (err) {
+        throw httpError(415, err.message);
+    }
+    if (container.extensions.includes(path.extname(videoPath).toLowerCase())) return videoPath;
+    const renamed = path.join(path.dirname(videoPath), `upload${container.extensions[0]}`);
+    await fsp.rename(videoPath, renamed);
+    return renamed;
+};
+
+// -------------------------------
+// Verifier processes
+// -------------------------------
+let running = 0;
+const waiting = [];
+
+const withSlot = async (fn) => {
+    if (running >= CONCURRENCY) await new Promise((resolve) => waiting.push(resolve));
+    running += 1;
+    try {
+        return await fn();
+    } finally {
+        running -= 1;
+        if (waiting.length > 0) waiting.shift()();
+    }
+};
+
+// Run a verifier script and read back its JSON report; the exit code is in the report
+const runVerifier = (script, args, dir) => withSlot(() => new Promise((resolve, reject) => {
+    const reportPath = path.join(dir, 'report.json');
+    const child = spawn(process.execPath, [path.join(__dirname, script), ...args, ...VERIFIER_ARGS, '--format=json', `--report=${reportPath}`], {
+        cwd: dir,
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', (d) => (stderr = (stderr + d.toString()).slice(-4000)));
+    const timer = setTimeout(() => child.kill(), TIMEOUT_MS);
+    child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+    });
+    child.on('exit', (code, signal) => {
+        clearTimeout(timer);
+        if (!fs.existsSync(reportPath)) {
+            const why = signal ? `killed (${signal}${signal === 'SIGTERM' ? `, over ${TIMEOUT_MS / 1000}s` : ''})` : `exited ${code}`;
+            const tail = stripAnsi(stderr).trim().split(/\r?\n/).slice(-5).join('\n');
+            return reject(new Error(`${script} ${why} without a report${tail ? `\n${tail}` : ''}`));
+        }
+        fsp.readFile(reportPath, 'utf8').then((raw) => resolve(JSON.parse(raw)), reject);
+    });
+}));
+
+const readTamperReport = async (filePath) => {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+};
+
+// -------------------------------
+// Routes
+// -------------------------------
+const verifyVideo = async (request, url, dir) => {
+    const upload = await receiveUpload(request, url, dir);
+    const videoPath = await checkContainer(upload.videoPath);
+    const tamperReportPath = path.join(dir, 'tamper_report.json');
+    const args = [videoPath];
+    const expectedTs = url.searchParams.get('expectedTimestamp');
+    if (expectedTs) {
+        if (!/^\d+$/.test(expectedTs)) throw httpError(400, 'expectedTimestamp must be epoch milliseconds');
+        args.push(expectedTs);
+    }
+    if (upload.manifestPath) args.push(`--frames-manifest=${upload.manifestPath}`, `--tamper-report=${tamperReportPath}`);
+    const report = await runVerifier('verify_video.js', args, dir);
+    return { video: path.basename(videoPath), report, tamperReport: await readTamperReport(tamperReportPath) };
+};
+
+const verifyFrames = async (request, url, dir) => {
+    const upload = await receiveUpload(request, url, dir);
+    const videoPath = await checkContainer(upload.videoPath);
+    const tamperReportPath = path.join(dir, 'tamper_report.json');
+    // Without an uploaded or embedded manifest, point at a missing file so the
+    // verifier reports "not signed" instead of falling back to output/frames_manifest.json
+    let manifestPath = upload.manifestPath;
+    if (!manifestPath && !(await readEmbeddedManifest(videoPath))) manifestPath = path.join(dir, 'frames_manifest.json');
+    const args = [videoPath, ...(manifestPath ? [manifestPath] : []), `--tamper-report=${tamperReportPath}`];
+    const report = await runVerifier('verify_frames.js', args, dir);
+    return { video: path.basename(videoPath), report, tamperReport: await readTamperReport(tamperReportPath) };
+};
+
+const listSigners = async () => {
+    const { policyPath } = parseTrustOptions(VERIFIER_ARGS);
+    const policy = await loadTrustPolicy(policyPath);
+    const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+    return {
+        policy: policy ? path.basename(policy.path) : null,
+        requiredRoles: policy ? policy.requiredRoles : {},
+        signers: policy
+            ? [...policy.signers.values()].map((s) => ({
+                address: s.address,
+                label: s.label,
+                status: s.status,
+                reason: s.reason,
+                roles: s.roles,
+                validFrom: iso(s.validFromMs),
+                validUntil: iso(s.validUntilMs)
+            }))
+            : []
+    };
+};
+
+const VERIFY_ROUTES = {
+    '/verify': verifyVideo,
+    '/verify-frames': verifyFrames
+};
+
+const sendJson = (response, status, body) => {
+    const json = `${JSON.stringify(body, null, 2)}\n`;
+    response.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+    response.end(json);
+};
+
+const handle = async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname === '/signers') {
+        if (request.method !== 'GET') throw Object.assign(httpError(405, 'Use GET'), { allow: 'GET' });
+        return { status: 200, body: await listSigners(), note: 'signers' };
+    }
+    const route = VERIFY_ROUTES[url.pathname];
+    if (!route) throw httpError(404, `No such endpoint: ${url.pathname}`);
+    if (request.method !== 'POST') throw Object.assign(httpError(405, 'Use POST'), { allow: 'POST' });
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'verify-server-'));
+    try {
+        const { video, report, tamperReport } = await route(request, url, dir);
+        const color = report.exitCode === 0 ? cGreen : cRed;
+        return {
+            status: 200,
+            body: { verdict: report.verdict, exitCode: report.exitCode, report, tamperReport },
+            note: `${video} ${color(report.verdict)}`
+        };
+    } finally {
+        await fsp.rm(dir, { recursive: true, force: true });
+    }
+};
+
+const main = async () => {
+    try {
+        const server = http.createServer((request, response) => {
+            const t0 = Date.now();
+            handle(request, response)
+                .catch((err) => ({
+                    status: err.status || 500,
+                    headers: err.allow ? { Allow: err.allow } : {},
+                    body: { error: err.message || String(err) },
+                    note: (err.status ? cYellow : cRed)(err.message || String(err))
+                }))
+                .then(({ status, headers = {}, body, note }) => {
+                    console.log(`${cDim(new Date().toISOString())} ${request.method} ${request.url} ${status} ${note} ${cDim(`(${Date.now() - t0}ms)`)}`);
+                    for (const [k, v] of Object.entries(headers)) response.setHeader(k, v);
+                    // The rest of a rejected upload is not read; close instead of draining it
+                    if (!request.complete) response.setHeader('Connection', 'close');
+                    sendJson(response, status, body);
+                });
+        });
+        server.listen(PORT, HOST, () => {
+            console.log(cCyan('='.repeat(60)));
+            console.log(`${cBold('Verification service')}`);
+            console.log(`${cDim('URL:')} http://${HOST}:${PORT}  ${cDim('Concurrency:')} ${CONCURRENCY}  ${cDim('Max upload:')} ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+            console.log(`${cDim('Verifier options:')} ${VERIFIER_ARGS.length ? VERIFIER_ARGS.join(' ') : 'none'}`);
+            console.log(cCyan('='.repeat(60)));
+        });
+    } catch (err) {
+        console.error(err.stack || err.message || String(err));
+        process.exitCode = 1;
+    }
+};
+
+main();